@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * batch.js - Batch design system extraction from a URL list
+ *
+ * Reads URLs from a file (or stdin), extracts each site with a shared
+ * browser, and writes one design system per site plus an index.json
+ * summary. A failing site is recorded in the summary and skipped.
+ *
+ * Usage:
+ *   node batch.js [file] [options]
+ *   cat urls.txt | node batch.js [options]
+ *
+ * Options:
+ *   --output-dir <dir>   Directory for per-site JSON and index.json (default: ./extractions)
+ *   --concurrency <n>    Sites extracted in parallel (default: 2)
+ *   --dark-mode          Extract dark mode variant
+ *   --mobile             Use mobile viewport (390x844)
+ *   --slow               3x timeouts for JS-heavy SPAs
+ *   --browser <type>     chromium (default) or firefox
+ *   --dtcg               Output W3C Design Tokens format
+ *   --json-only          Output JSON only (no status messages)
+ *   --storage-state <f>  Sign in with a saved Playwright storage state (see login.js)
+ *   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
+ */
+
+import { program } from 'commander';
+import {
+  launchBrowser,
+  createContext,
+  validateUrl,
+  navigateToUrl,
+  switchToMobile,
+  closeBrowser,
+} from './browser.js';
+import { switchTheme } from './themes.js';
+import runAllExtractors from './extractors/index.js';
+import { mapToSchema, toDTCGFormat } from './output/schema-mapper.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Version from package.json
+const VERSION = '1.0.0';
+
+// Configure CLI
+program
+  .name('extract-website-batch')
+  .description('Extract design systems from a list of websites')
+  .version(VERSION)
+  .argument('[file]', 'File with one URL per line (default: stdin)')
+  .option('-o, --output-dir <dir>', 'Output directory', './extractions')
+  .option('-c, --concurrency <n>', 'Sites extracted in parallel', '2')
+  .option('--dark-mode', 'Extract dark mode variant')
+  .option('--mobile', 'Use mobile viewport')
+  .option('--slow', 'Extended timeouts for JS-heavy sites')
+  .option('--browser <type>', 'Browser to use (chromium or firefox)', 'chromium')
+  .option('--dtcg', 'Output in W3C Design Tokens format')
+  .option('--json-only', 'Output JSON only (no status messages)')
+  .option('--headless', 'Run in headless mode (default)', true)
+  .option('--no-headless', 'Run with visible browser')
+  .option('--storage-state <file>', 'Playwright storage state file (from login.js)')
+  .option('--cookies <file>', 'Cookie file to import (Netscape cookies.txt or JSON)')
+  .parse();
+
+const options = program.opts();
+const inputFile = program.args[0];
+
+// Log to stderr (so stdout is clean JSON)
+function log(message) {
+  if (!options.jsonOnly) {
+    console.error(`[extract-batch] ${message}`);
+  }
+}
+
+// Read the URL list from a file or stdin
+async function readUrlList(file) {
+  let text;
+
+  if (file && file !== '-') {
+    text = await fs.readFile(path.resolve(file), 'utf8');
+  } else {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    text = Buffer.concat(chunks).toString('utf8');
+  }
+
+  // One URL per line, blank lines and # comments ignored
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Build a unique, filesystem-safe output name for a URL
+function outputNameFor(url, usedNames) {
+  const parsed = new URL(url);
+  const pathSlug = parsed.pathname.replace(/\/+$/, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  const base = pathSlug ? `${parsed.hostname}-${pathSlug}` : parsed.hostname;
+
+  let name = base;
+  let suffix = 2;
+  while (usedNames.has(name)) {
+    name = `${base}-${suffix++}`;
+  }
+  usedNames.add(name);
+
+  return `${name}.json`;
+}
+
+// Extract one site on a worker's page
+async function extractSite(page, entry, outputDir) {
+  const startTime = Date.now();
+  const result = {
+    input: entry.input,
+    url: entry.url,
+    success: false,
+  };
+
+  try {
+    const navResult = await navigateToUrl(page, entry.url, { slow: options.slow });
+    result.finalUrl = navResult.finalUrl;
+
+    if (!navResult.success) {
+      result.stage = 'navigation';
+      result.error = navResult.error;
+      return result;
+    }
+
+    let activation = null;
+    if (options.darkMode) {
+      activation = await switchTheme(page, 'dark', { slow: options.slow });
+    }
+
+    if (options.mobile) {
+      await switchToMobile(page);
+    }
+
+    result.stage = 'extraction';
+    const extraction = await runAllExtractors(page, options);
+    const designSystem = mapToSchema(extraction, {
+      url: entry.url,
+      name: `Design System from ${new URL(entry.url).hostname}`,
+    });
+    if (activation) designSystem.metadata.theme = activation;
+
+    const output = options.dtcg ? toDTCGFormat(designSystem) : designSystem;
+    const outputPath = path.join(outputDir, entry.outputName);
+    await fs.writeFile(outputPath, JSON.stringify(output, null, 2));
+
+    delete result.stage;
+    result.success = true;
+    result.output = entry.outputName;
+    result.overallConfidence = designSystem.metadata.overallConfidence;
+  } catch (error) {
+    result.stage = result.stage || 'navigation';
+    result.error = error.message;
+  } finally {
+    result.durationMs = Date.now() - startTime;
+  }
+
+  return result;
+}
+
+// Main batch function
+async function main() {
+  let browser = null;
+
+  try {
+    const lines = await readUrlList(inputFile);
+    if (lines.length === 0) {
+      throw new Error('No URLs to extract');
+    }
+
+    const outputDir = path.resolve(options.outputDir);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    // Validate URLs up front; invalid lines become failed entries
+    const usedNames = new Set();
+    const entries = [];
+    const results = new Array(lines.length);
+
+    lines.forEach((line, index) => {
+      try {
+        const url = validateUrl(line);
+        entries.push({ index, input: line, url, outputName: outputNameFor(url, usedNames) });
+      } catch (error) {
+        results[index] = { input: line, url: null, success: false, stage: 'validation', error: error.message };
+      }
+    });
+
+    if (entries.length > 0) {
+      const concurrency = Math.max(1, Math.min(parseInt(options.concurrency, 10) || 1, entries.length));
+      log(`Extracting ${entries.length} sites with ${concurrency} worker(s)...`);
+
+      const browserOptions = {
+        browser: options.browser,
+        headless: options.headless,
+        mobile: options.mobile,
+        slow: options.slow,
+        darkMode: options.darkMode,
+        storageState: options.storageState,
+        cookies: options.cookies,
+        trackFonts: true,
+      };
+
+      // One browser for the whole batch; each worker gets its own context
+      let browserError = null;
+      const launched = await launchBrowser(browserOptions).catch((error) => {
+        browserError = error;
+        return null;
+      });
+
+      if (launched) {
+        browser = launched.browser;
+
+        let next = 0;
+        let done = 0;
+
+        // A worker that can't get a page stops and leaves the rest to the others
+        const worker = async (workerIndex) => {
+          let context = null;
+          let page = null;
+
+          try {
+            ({ context, page } = workerIndex === 0
+              ? launched
+              : await createContext(browser, browserOptions));
+
+            while (next < entries.length) {
+              const entry = entries[next++];
+
+              // A crashed or closed page cannot be reused
+              if (page.isClosed()) {
+                await context.close().catch(() => {});
+                context = null;
+                ({ context, page } = await createContext(browser, browserOptions));
+              }
+
+              const result = await extractSite(page, entry, outputDir);
+              results[entry.index] = result;
+              done++;
+
+              if (result.success) {
+                log(`[${done}/${entries.length}] ${entry.url} -> ${result.output}`);
+              } else {
+                log(`[${done}/${entries.length}] ${entry.url} failed (${result.stage}): ${result.error}`);
+              }
+            }
+          } catch (error) {
+            browserError = error;
+            log(`Worker ${workerIndex + 1} stopped: ${error.message}`);
+          } finally {
+            await context?.close().catch(() => {});
+          }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, (_, i) => worker(i)));
+      }
+
+      // Sites no worker could extract once the browser failed
+      for (const entry of entries) {
+        results[entry.index] = results[entry.index] || {
+          input: entry.input,
+          url: entry.url,
+          success: false,
+          stage: 'browser',
+          error: browserError?.message || 'Browser closed',
+        };
+      }
+    }
+
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      format: options.dtcg ? 'dtcg' : 'schema',
+      total: results.length,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results,
+    };
+
+    const indexPath = path.join(outputDir, 'index.json');
+    await fs.writeFile(indexPath, JSON.stringify(summary, null, 2));
+    log(`Summary saved to: ${indexPath}`);
+    log(`${summary.succeeded} succeeded, ${summary.failed} failed`);
+
+    console.log(JSON.stringify(summary, null, 2));
+
+    if (summary.succeeded === 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    if (options.jsonOnly) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`[extract-batch] Error: ${error.message}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    if (browser) {
+      await closeBrowser(browser);
+    }
+  }
+}
+
+// Run
+main();
@@ -6,6 +6,10 @@
  */
 
 import { chromium, firefox } from 'playwright';
+import { loadCookies } from './utils/cookies.js';
+import { runScenario } from './scenario.js';
+import { createTimeline, describeElement, writeTimeline } from './timeline.js';
+import { trackFontResponses } from './extractors/fonts.js';
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -103,16 +107,15 @@ const STEALTH_SCRIPT = `
  * @param {boolean} options.slow - Use extended timeouts
  * @param {boolean} options.record - Enable video recording
  * @param {string} options.recordingDir - Directory to save recordings
+ * @param {string} options.storageState - Playwright storage state file to sign in with
+ * @param {string} options.cookies - Netscape or JSON cookie file to import
+ * @param {boolean} options.trackFonts - Keep font responses for the font extractor
  * @returns {Promise<{browser: Browser, context: BrowserContext, page: Page, videoPath?: string}>}
  */
 export async function launchBrowser(options = {}) {
   const {
     browser: browserType = 'chromium',
     headless = true,
-    mobile = false,
-    slow = false,
-    record = false,
-    recordingDir = DEFAULT_CONFIG.recordingDir,
   } = options;
 
   const browserEngine = browserType === 'firefox' ? firefox : chromium;
@@ -132,6 +135,36 @@ export async function launchBrowser(options = {}) {
     args: launchArgs,
   });
 
+  try {
+    const { context, page } = await createContext(browser, options);
+    return { browser, context, page };
+  } catch (error) {
+    // Don't leave an orphaned browser behind (e.g. missing storage state file)
+    await browser.close().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Create a stealth browser context and page on an already launched browser
+ * Lets several workers share one browser process
+ *
+ * @param {Browser} browser - Playwright browser instance
+ * @param {Object} options - Same options as launchBrowser
+ * @returns {Promise<{context: BrowserContext, page: Page}>}
+ */
+export async function createContext(browser, options = {}) {
+  const {
+    browser: browserType = 'chromium',
+    mobile = false,
+    slow = false,
+    record = false,
+    recordingDir = DEFAULT_CONFIG.recordingDir,
+    storageState = null,
+    cookies = null,
+    trackFonts = false,
+  } = options;
+
   // Create context with viewport and user agent
   const viewport = mobile ? DEFAULT_CONFIG.mobileViewport : DEFAULT_CONFIG.viewport;
 
@@ -145,6 +178,14 @@ export async function launchBrowser(options = {}) {
     colorScheme: options.darkMode ? 'dark' : 'light',
   };
 
+  // Restore a saved login session
+  if (storageState) {
+    if (!existsSync(storageState)) {
+      throw new Error(`Storage state file not found: ${storageState}`);
+    }
+    contextOptions.storageState = storageState;
+  }
+
   // Add video recording if enabled
   if (record) {
     // Ensure recording directory exists
@@ -159,17 +200,51 @@ export async function launchBrowser(options = {}) {
 
   const context = await browser.newContext(contextOptions);
 
+  // Import cookies exported from a real browser session
+  if (cookies) {
+    if (!existsSync(cookies)) {
+      throw new Error(`Cookie file not found: ${cookies}`);
+    }
+    await context.addCookies(await loadCookies(cookies));
+  }
+
   // Inject stealth script before any page navigation
   await context.addInitScript(STEALTH_SCRIPT);
 
   // Create page
   const page = await context.newPage();
 
+  // Keep font files as they load, for the font extractor
+  if (trackFonts) trackFontResponses(page);
+
   // Set default timeout
   const timeoutMultiplier = slow ? SLOW_MULTIPLIER : 1;
   page.setDefaultTimeout(DEFAULT_CONFIG.navigationTimeout * timeoutMultiplier);
 
-  return { browser, context, page };
+  return { context, page };
+}
+
+/**
+ * Validate a URL, adding https:// when no protocol is given
+ *
+ * @param {string} urlString - URL as typed
+ * @returns {string} Normalized http(s) URL
+ * @throws {Error} If the URL is invalid or not http(s)
+ */
+export function validateUrl(urlString) {
+  try {
+    const parsed = new URL(urlString);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('URL must use http or https protocol');
+    }
+    return parsed.href;
+  } catch (e) {
+    // Try adding https://
+    if (!urlString.includes('://')) {
+      return validateUrl(`https://${urlString}`);
+    }
+    throw new Error(`Invalid URL: ${urlString}`);
+  }
 }
 
 /**
@@ -246,14 +321,34 @@ export async function navigateToUrl(page, url, options = {}) {
  * @param {Page} page - Playwright page instance
  */
 export async function enableDarkMode(page) {
-  await page.emulateMedia({ colorScheme: 'dark' });
+  await applyTheme(page, 'dark');
+}
 
-  await page.evaluate(() => {
-    // Set common dark mode attributes
-    document.documentElement.setAttribute('data-theme', 'dark');
-    document.documentElement.classList.add('dark', 'dark-mode', 'theme-dark');
-    document.body.classList.add('dark', 'dark-mode', 'theme-dark');
-  });
+/**
+ * Switch the page to a named theme
+ * Emulates prefers-color-scheme (dark for themes named *dark*, light
+ * otherwise), sets data-theme on <html> and adds the common theme classes
+ * (dark, dark-mode, theme-dark) to <html> and <body>, after removing the
+ * classes of the other themes.
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {string} theme - Theme name (light, dark, dim, ...)
+ * @param {string[]} others - Other theme names whose classes are removed
+ */
+export async function applyTheme(page, theme, others = []) {
+  await page.emulateMedia({ colorScheme: /dark/i.test(theme) ? 'dark' : 'light' });
+
+  await page.evaluate(({ theme, others }) => {
+    const classesOf = (name) => [name, `${name}-mode`, `theme-${name}`];
+
+    for (const el of [document.documentElement, document.body]) {
+      if (!el) continue;
+      for (const other of others) el.classList.remove(...classesOf(other));
+      el.classList.add(...classesOf(theme));
+    }
+
+    document.documentElement.setAttribute('data-theme', theme);
+  }, { theme, others: others.filter(other => other !== theme) });
 
   // Wait for theme transition
   await page.waitForTimeout(500);
@@ -320,17 +415,23 @@ export async function saveVideo(page, outputPath) {
  * 4. At each scroll position, wait for lazy content and hover nearby elements
  * 5. Scroll back to top
  *
+ * When a timeline is passed (see timeline.js), every scroll, hover, click
+ * and page height change is recorded on it.
+ *
  * @param {Page} page - Playwright page instance
  * @param {Object} options - Interaction options
+ * @param {Object} options.timeline - Timeline to record events on
  */
 export async function simulateInteractions(page, options = {}) {
   const {
     scrollDelay = 1200,      // Time to wait at each scroll position
     hoverElements = true,
     clickButtons = false,
+    timeline = null,
   } = options;
 
   // Initial wait for page to fully settle (SPAs need time)
+  timeline?.add('phase', { name: 'settle' });
   await page.waitForTimeout(2000);
 
   // Helper: get current scroll height (can change as lazy content loads)
@@ -376,6 +477,9 @@ export async function simulateInteractions(page, options = {}) {
             const scrollY = await page.evaluate(() => window.scrollY);
 
             if (box.y >= scrollY && box.y <= scrollY + viewport.height) {
+              if (timeline) {
+                timeline.add('hover', { ...await describeElement(element), scrollY });
+              }
               await element.hover({ timeout: 500, force: true });
               await page.waitForTimeout(300);
               hovered++;
@@ -391,6 +495,7 @@ export async function simulateInteractions(page, options = {}) {
   };
 
   // Hover elements in initial viewport (hero section)
+  timeline?.add('phase', { name: 'hero' });
   await hoverNearbyElements();
   await page.waitForTimeout(500);
 
@@ -404,12 +509,16 @@ export async function simulateInteractions(page, options = {}) {
   // Scroll down the entire page
   let currentScroll = 0;
   let lastScrollHeight = scrollInfo.scrollHeight;
+  let recordedHeight = scrollInfo.scrollHeight;
   let stuckCount = 0;
 
+  timeline?.add('phase', { name: 'scroll-down', scrollHeight: scrollInfo.scrollHeight, viewportHeight });
+
   while (true) {
     // Scroll down by one increment
     currentScroll += scrollIncrement;
 
+    const scrollEvent = timeline?.add('scroll', { targetY: currentScroll });
     await page.evaluate((y) => {
       window.scrollTo({ top: y, behavior: 'smooth' });
     }, currentScroll);
@@ -420,6 +529,19 @@ export async function simulateInteractions(page, options = {}) {
     // Check if page height changed (lazy loading)
     scrollInfo = await getScrollInfo();
 
+    if (timeline) {
+      scrollEvent.scrollY = scrollInfo.scrollTop;
+      if (scrollInfo.scrollHeight !== recordedHeight) {
+        timeline.add('page-height', {
+          from: recordedHeight,
+          to: scrollInfo.scrollHeight,
+          growth: scrollInfo.scrollHeight - recordedHeight,
+          scrollY: scrollInfo.scrollTop,
+        });
+        recordedHeight = scrollInfo.scrollHeight;
+      }
+    }
+
     if (scrollInfo.scrollHeight > lastScrollHeight) {
       // Page grew, reset stuck counter
       lastScrollHeight = scrollInfo.scrollHeight;
@@ -448,19 +570,24 @@ export async function simulateInteractions(page, options = {}) {
   }
 
   // Pause at the bottom to capture footer
+  timeline?.add('phase', { name: 'bottom', scrollHeight: scrollInfo.scrollHeight });
   await page.waitForTimeout(1000);
 
   // Scroll back to top smoothly
+  timeline?.add('phase', { name: 'scroll-to-top' });
+  timeline?.add('scroll', { targetY: 0 });
   await page.evaluate(() => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   });
   await page.waitForTimeout(2000);
 
   // Final hover on hero elements (captures any scroll-triggered state changes)
+  timeline?.add('phase', { name: 'hero-revisit' });
   await hoverNearbyElements();
 
   // Click toggle buttons if enabled (tabs, accordions, etc.)
   if (clickButtons) {
+    timeline?.add('phase', { name: 'toggles' });
     const toggleSelectors = [
       '[role="tab"]',
       '[data-toggle]',
@@ -476,6 +603,9 @@ export async function simulateInteractions(page, options = {}) {
         for (const element of elements.slice(0, 3)) {
           try {
             if (await element.isVisible()) {
+              if (timeline) {
+                timeline.add('click', await describeElement(element));
+              }
               await element.click({ timeout: 500 });
               await page.waitForTimeout(800);
             }
@@ -500,7 +630,12 @@ export async function simulateInteractions(page, options = {}) {
  * @param {boolean} options.mobile - Use mobile viewport
  * @param {boolean} options.darkMode - Enable dark mode
  * @param {Object} options.interactions - Interaction simulation options
- * @returns {Promise<{success: boolean, videoPath?: string, error?: string}>}
+ * @param {Object} options.scenario - Scripted scenario (see scenario.js), replaces the default sweep
+ * @param {string} options.screenshotDir - Directory for scenario screenshot steps
+ * @param {string} options.storageState - Playwright storage state file to sign in with
+ * @param {string} options.cookies - Netscape or JSON cookie file to import
+ * @param {boolean} options.timeline - Write a <video>.timeline.json sidecar of interaction events (default: true)
+ * @returns {Promise<{success: boolean, videoPath?: string, timelinePath?: string, scenario?: Object, error?: string}>}
  */
 export async function recordWebsite(url, options = {}) {
   const {
@@ -509,7 +644,12 @@ export async function recordWebsite(url, options = {}) {
     mobile = false,
     darkMode = false,
     interactions = {},
+    scenario = null,
+    screenshotDir = null,
     browser: browserType = 'chromium',
+    storageState = null,
+    cookies = null,
+    timeline: writeSidecar = true,
   } = options;
 
   let browser, context, page;
@@ -523,28 +663,51 @@ export async function recordWebsite(url, options = {}) {
       darkMode,
       record: true,
       recordingDir: dirname(outputPath || DEFAULT_CONFIG.recordingDir),
+      storageState,
+      cookies,
     });
 
     browser = result.browser;
     context = result.context;
     page = result.page;
 
+    // Video starts with the page, so the timeline clock starts here too
+    const timeline = createTimeline();
+
     // Navigate to URL
+    timeline.add('navigation', { state: 'start', url });
     const navResult = await navigateToUrl(page, url, { slow: false });
     if (!navResult.success) {
       throw new Error(navResult.error || 'Navigation failed');
     }
-
-    // Run interaction simulation
-    await simulateInteractions(page, {
-      scrollDelay: 1200,
-      hoverElements: true,
-      clickButtons: false,
-      ...interactions,
+    timeline.add('navigation', {
+      state: 'loaded',
+      url: navResult.finalUrl,
+      scrollHeight: await page.evaluate(() => document.documentElement.scrollHeight).catch(() => null),
     });
 
+    // Run the scripted scenario, or the default interaction sweep
+    let scenarioResult = null;
+    if (scenario) {
+      scenarioResult = await runScenario(page, scenario, {
+        screenshotDir: screenshotDir || dirname(outputPath || DEFAULT_CONFIG.recordingDir),
+        timeline,
+      });
+    } else {
+      await simulateInteractions(page, {
+        scrollDelay: 1200,
+        hoverElements: true,
+        clickButtons: false,
+        ...interactions,
+        timeline,
+      });
+    }
+
     // Final wait to capture any trailing animations
+    timeline.add('phase', { name: 'trailing' });
     await page.waitForTimeout(2000);
+    const durationMs = timeline.elapsedMs();
+    const viewport = page.viewportSize();
 
     // Close context to finalize video
     await context.close();
@@ -564,10 +727,26 @@ export async function recordWebsite(url, options = {}) {
 
     await browser.close();
 
+    // Write the interaction timeline next to the video
+    let timelinePath = null;
+    if (writeSidecar && finalVideoPath) {
+      timelinePath = await writeTimeline(finalVideoPath, timeline, {
+        url,
+        finalUrl: navResult.finalUrl,
+        durationMs,
+        viewport,
+        mobile,
+        darkMode,
+        mode: scenario ? 'scenario' : 'sweep',
+      });
+    }
+
     return {
       success: true,
       videoPath: finalVideoPath,
+      timelinePath,
       url: navResult.finalUrl,
+      ...(scenarioResult && { scenario: scenarioResult }),
     };
   } catch (error) {
     if (browser) {
@@ -606,8 +785,11 @@ export async function isCanvasOnlySite(page) {
 
 export default {
   launchBrowser,
+  createContext,
+  validateUrl,
   navigateToUrl,
   enableDarkMode,
+  applyTheme,
   switchToMobile,
   closeBrowser,
   isCanvasOnlySite,
@@ -0,0 +1,184 @@
+/**
+ * crawler.js - Same-origin multi-page crawling
+ *
+ * Walks a site breadth-first from a start URL, following same-origin
+ * links up to a depth and page limit, and hands each loaded page to a
+ * callback for extraction.
+ */
+
+import { navigateToUrl } from './browser.js';
+
+// Default crawl limits
+const DEFAULT_CRAWL = {
+  depth: 2,
+  maxPages: 10,
+};
+
+/**
+ * File extensions that are never HTML pages
+ */
+const SKIP_EXTENSIONS = /\.(pdf|zip|gz|tar|dmg|exe|png|jpe?g|gif|webp|avif|svg|ico|mp4|webm|mov|mp3|wav|css|js|json|xml|txt|rss|woff2?|ttf|otf)$/i;
+
+/**
+ * Crawl a site and run a callback on every page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string} startUrl - URL to start from
+ * @param {Object} options - Crawl options
+ * @param {number} options.depth - Max link depth from the start URL (default: 2)
+ * @param {number} options.maxPages - Max pages to extract (default: 10)
+ * @param {string[]} options.include - Path globs a page must match (default: all)
+ * @param {string[]} options.exclude - Path globs to skip
+ * @param {boolean} options.slow - Use extended timeouts
+ * @param {Function} options.onPage - async (page, navResult) => data for each loaded page
+ * @param {Function} options.log - Status logger
+ * @returns {Promise<{pages: Array, failed: Array}>}
+ */
+export async function crawlSite(page, startUrl, options = {}) {
+  const {
+    depth: maxDepth = DEFAULT_CRAWL.depth,
+    maxPages = DEFAULT_CRAWL.maxPages,
+    include = [],
+    exclude = [],
+    slow = false,
+    onPage = async () => ({}),
+    log = () => {},
+  } = options;
+
+  const origin = new URL(startUrl).origin;
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+
+  const queue = [{ url: startUrl, depth: 0 }];
+  const visited = new Set([urlKey(startUrl)]);
+  const pages = [];
+  const failed = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+
+    log(`Crawling [${pages.length + 1}/${maxPages}] ${url}`);
+    const navResult = await navigateToUrl(page, url, { slow });
+
+    if (!navResult.success) {
+      failed.push({ url, depth, error: navResult.error });
+      continue;
+    }
+
+    // Redirects can land on an already-crawled page
+    const finalKey = urlKey(navResult.finalUrl);
+    if (finalKey !== urlKey(url) && pages.some(p => urlKey(p.finalUrl) === finalKey)) {
+      continue;
+    }
+    visited.add(finalKey);
+
+    // Collect links before extraction mutates the page (dark mode, viewport)
+    const links = depth < maxDepth ? await collectLinks(page) : [];
+
+    const data = await onPage(page, navResult);
+    pages.push({
+      url,
+      finalUrl: navResult.finalUrl,
+      depth,
+      ...data,
+    });
+
+    for (const link of links) {
+      const normalized = normalizeLink(link, origin);
+      if (!normalized) continue;
+
+      const key = urlKey(normalized);
+      if (visited.has(key)) continue;
+
+      const { pathname } = new URL(normalized);
+      if (includePatterns.length > 0 && !includePatterns.some(re => re.test(pathname))) continue;
+      if (excludePatterns.some(re => re.test(pathname))) continue;
+
+      visited.add(key);
+      queue.push({ url: normalized, depth: depth + 1 });
+    }
+  }
+
+  return { pages, failed };
+}
+
+/**
+ * Collect all link targets on the current page
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function collectLinks(page) {
+  return await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('a[href]'))
+      .filter(a => !a.hasAttribute('download') && a.getAttribute('rel') !== 'external')
+      .map(a => a.href);
+  }).catch(() => []);
+}
+
+/**
+ * Normalize a link to a crawlable same-origin URL
+ *
+ * @param {string} href - Absolute link href
+ * @param {string} origin - Site origin
+ * @returns {string|null} Normalized URL or null if not crawlable
+ */
+function normalizeLink(href, origin) {
+  try {
+    const parsed = new URL(href);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    if (parsed.origin !== origin) return null;
+    if (SKIP_EXTENSIONS.test(parsed.pathname)) return null;
+
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Key used to detect already-visited URLs
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function urlKey(url) {
+  const parsed = new URL(url);
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  return `${parsed.origin}${pathname}${parsed.search}`;
+}
+
+/**
+ * Convert a path glob to a regular expression
+ * Supports ** (any path), * (one segment) and ? (one character)
+ *
+ * @param {string} glob - Path glob, e.g. /docs/**
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+export default {
+  crawlSite,
+  globToRegExp,
+  DEFAULT_CRAWL,
+};
@@ -0,0 +1,38 @@
+/**
+ * crawler.test.js - Tests for crawl path globs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp } from './crawler.js';
+
+test('** matches any path', () => {
+  const docs = globToRegExp('/docs/**');
+
+  assert.ok(docs.test('/docs/'));
+  assert.ok(docs.test('/docs/guide/install'));
+  assert.ok(!docs.test('/blog/docs/intro'));
+});
+
+test('* matches one segment', () => {
+  const posts = globToRegExp('/blog/*');
+
+  assert.ok(posts.test('/blog/hello-world'));
+  assert.ok(!posts.test('/blog/2024/hello-world'));
+});
+
+test('? matches one character', () => {
+  const versions = globToRegExp('/v?/api');
+
+  assert.ok(versions.test('/v2/api'));
+  assert.ok(!versions.test('/v10/api'));
+  assert.ok(!versions.test('/v/api'));
+});
+
+test('other characters are literal', () => {
+  const page = globToRegExp('/search.html');
+
+  assert.ok(page.test('/search.html'));
+  assert.ok(!page.test('/searchxhtml'));
+  assert.ok(globToRegExp('/a+b/(c)').test('/a+b/(c)'));
+});
@@ -6,43 +6,18 @@
  * - Common responsive breakpoints
  */
 
+import { collectStylesheets } from './stylesheets.js';
+
 /**
  * Extract breakpoints from a page
  *
  * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js); collected if omitted
  * @returns {Promise<Object>} Extracted breakpoints
  */
-export async function extractBreakpoints(page) {
-  const raw = await page.evaluate(() => {
-    const breakpoints = new Set();
-
-    // Extract from stylesheets
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules) {
-          if (rule instanceof CSSMediaRule) {
-            const mediaText = rule.conditionText || rule.media?.mediaText || '';
-
-            // Extract pixel values from media queries
-            const widthMatches = mediaText.match(/(\d+)px/g);
-            if (widthMatches) {
-              for (const match of widthMatches) {
-                const value = parseInt(match);
-                // Filter to reasonable breakpoint values
-                if (value >= 320 && value <= 2560) {
-                  breakpoints.add(value);
-                }
-              }
-            }
-          }
-        }
-      } catch (e) {
-        // CORS
-      }
-    }
-
-    return Array.from(breakpoints).sort((a, b) => a - b);
-  });
+export async function extractBreakpoints(page, css = null) {
+  const model = css || await collectStylesheets(page);
+  const raw = breakpointWidths(model);
 
   // Map to standard breakpoint names
   const mapped = mapBreakpoints(raw);
@@ -50,6 +25,32 @@ export async function extractBreakpoints(page) {
   return mapped;
 }
 
+/**
+ * Pixel widths used in media queries
+ *
+ * @param {Object} css - Parsed stylesheets
+ * @returns {number[]} Distinct widths (px), ascending
+ */
+export function breakpointWidths(css) {
+  const breakpoints = new Set();
+
+  // Extract pixel values from media queries
+  for (const mediaText of css.mediaQueries) {
+    const widthMatches = mediaText.match(/(\d+)px/g);
+    if (!widthMatches) continue;
+
+    for (const match of widthMatches) {
+      const value = parseInt(match);
+      // Filter to reasonable breakpoint values
+      if (value >= 320 && value <= 2560) {
+        breakpoints.add(value);
+      }
+    }
+  }
+
+  return Array.from(breakpoints).sort((a, b) => a - b);
+}
+
 /**
  * Map extracted breakpoints to standard names
  *
@@ -5,11 +5,16 @@
  * - Computed styles (background-color, color, border-color)
  * - CSS custom properties (--color-*, --*)
  * - Inline styles
+ * - Gradients in background-image (linear, radial, conic)
+ * - Images, SVGs and canvases (dominant colors from a screenshot)
  *
  * Features:
  * - Delta-E deduplication for perceptually similar colors
  * - Confidence scoring based on semantic context
  * - Semantic grouping (primary, secondary, background, text, etc.)
+ * - Gradient tokens with color stops and usage context
+ * - 50-950 tonal scales per brand/semantic color (CSS variable scales
+ *   when the site has them, generated in OKLCH otherwise)
  */
 
 import {
@@ -28,9 +33,24 @@ import {
 
 import { deduplicateColors, isSimilarColor } from '../utils/delta-e.js';
 
+import {
+  collectStylesheets,
+  isRootSelector,
+  isUnconditional,
+  isFrameworkInternal,
+} from './stylesheets.js';
+
+import { collectImagery, emptyImagery } from './imagery.js';
+
+import { splitTopLevel } from '../utils/css-values.js';
+
+import { SCALE_STEPS, nearestStep, generateTonalScale } from '../utils/tonal-scale.js';
+
 import {
   calculateContextScore,
   scoreToConfidence,
+  countToConfidence,
+  mergeConfidence,
   coloredButtonBoost,
   CONTEXT_SCORES,
 } from '../utils/confidence.js';
@@ -41,7 +61,6 @@ import {
 const COLOR_PROPERTIES = [
   'color',
   'backgroundColor',
-  'borderColor',
   'borderTopColor',
   'borderRightColor',
   'borderBottomColor',
@@ -83,28 +102,128 @@ const COLOR_VAR_PATTERNS = [
 ];
 
 /**
- * Framework-specific variable prefixes to skip
+ * Max distinct element contexts kept per color use (for context scoring)
  */
-const SKIP_PREFIXES = [
-  '--wp-',           // WordPress
-  '--tw-',           // Tailwind internal
-  '--chakra-',       // Chakra UI internal
-  '--mui-',          // MUI internal
-  '--bs-',           // Bootstrap
-  '--spectrum-',     // Adobe Spectrum
-];
+const MAX_CONTEXTS = 10;
+
+/**
+ * Max gradients kept in the output
+ */
+const MAX_GRADIENTS = 10;
+
+/**
+ * Max stop position difference (percentage points) for similar gradients
+ */
+const GRADIENT_POSITION_TOLERANCE = 5;
+
+const CONFIDENCE_ORDER = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Min share of the page an imagery color must paint to enter the palette
+ */
+const IMAGERY_MIN_COVERAGE = 0.01;
+
+/**
+ * CSS variable names that are one step of a scale (--blue-500, --color-primary-50)
+ */
+const SCALE_VARIABLE_PATTERN = /^(--[\w-]+?)-(50|[1-9]00|950)$/;
+
+/**
+ * Min color steps for a set of CSS variables to count as a scale
+ */
+const MIN_SCALE_STEPS = 3;
+
+/**
+ * Max Delta-E between a color and a scale step for the scale to belong to it
+ */
+const SCALE_MATCH_THRESHOLD = 5;
+
+/**
+ * Variable name keywords per scale role
+ */
+const SCALE_ROLE_KEYWORDS = {
+  primary: ['primary', 'brand'],
+  secondary: ['secondary'],
+  accent: ['accent'],
+  success: ['success'],
+  warning: ['warning', 'warn'],
+  error: ['error', 'danger', 'destructive'],
+  info: ['info'],
+};
 
 /**
  * Extract all colors from a page
  *
  * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js); collected if omitted
+ * @param {Object} imagery - Imagery colors (see imagery.js); collected if omitted
  * @returns {Promise<Object>} Extracted colors
  */
-export async function extractColors(page) {
-  // Extract colors from DOM elements
-  const rawColors = await page.evaluate((colorProps) => {
-    const colors = [];
-    const seen = new Set();
+export async function extractColors(page, css = null, imagery = null) {
+  // Extract colors (with painted area) and gradients from DOM elements
+  const { colors: rawColors, gradients: rawGradients, pageArea } = await page.evaluate(({ colorProps, maxContexts }) => {
+    const uses = new Map();
+    const gradients = [];
+    const backgrounds = new Map();
+
+    const pageWidth = document.documentElement.clientWidth || window.innerWidth;
+    const pageHeight = Math.max(document.documentElement.scrollHeight, window.innerHeight);
+
+    // Bounding rect clipped to the viewport width and the page height
+    const clippedBox = (el) => {
+      if (el === document.documentElement) return { width: pageWidth, height: pageHeight };
+
+      const rect = el.getBoundingClientRect();
+      const left = Math.max(0, rect.left + window.scrollX);
+      const right = Math.min(pageWidth, rect.right + window.scrollX);
+      const top = Math.max(0, rect.top + window.scrollY);
+      const bottom = Math.min(pageHeight, rect.bottom + window.scrollY);
+      return { width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+    };
+
+    const ownTextLength = (el) => Array.from(el.childNodes)
+      .filter(n => n.nodeType === Node.TEXT_NODE)
+      .reduce((sum, n) => sum + n.textContent.trim().length, 0);
+
+    // Area a property actually paints: borders and outlines are thin strips,
+    // text covers roughly half of each glyph's em square
+    const paintedArea = (prop, style, box, el) => {
+      const area = box.width * box.height;
+      const border = (side, length) => style[`border${side}Style`] !== 'none'
+        ? (parseFloat(style[`border${side}Width`]) || 0) * length
+        : 0;
+
+      switch (prop) {
+        case 'backgroundColor':
+          return area;
+        case 'color': {
+          const fontSize = parseFloat(style.fontSize) || 16;
+          return Math.min(area, ownTextLength(el) * fontSize * fontSize * 0.5);
+        }
+        case 'borderTopColor':
+          return border('Top', box.width);
+        case 'borderBottomColor':
+          return border('Bottom', box.width);
+        case 'borderLeftColor':
+          return border('Left', box.height);
+        case 'borderRightColor':
+          return border('Right', box.height);
+        case 'outlineColor':
+          return style.outlineStyle !== 'none'
+            ? (parseFloat(style.outlineWidth) || 0) * 2 * (box.width + box.height)
+            : 0;
+        case 'fill':
+          return el instanceof SVGElement ? area : 0;
+        case 'stroke':
+          return el instanceof SVGElement && style.stroke !== 'none'
+            ? (parseFloat(style.strokeWidth) || 0) * 2 * (box.width + box.height)
+            : 0;
+        default:
+          return 0;
+      }
+    };
+
+    const isOpaque = (value) => !value.startsWith('rgba(') && !value.includes('/');
 
     // Get all visible elements
     const elements = document.querySelectorAll('*');
@@ -116,53 +235,96 @@ export async function extractColors(page) {
         continue;
       }
 
+      const box = clippedBox(el);
+      if (box.width === 0 || box.height === 0) continue;
+
       // Get element context info
       const tagName = el.tagName;
       const classes = Array.from(el.classList);
       const id = el.id || '';
       const role = el.getAttribute('role') || '';
+      const isButton = tagName === 'BUTTON' || role === 'button' || classes.some(c => c.includes('btn') || c.includes('button'));
 
       // Extract color values
       for (const prop of colorProps) {
         const value = style.getPropertyValue(prop.replace(/([A-Z])/g, '-$1').toLowerCase());
-        if (!value || value === 'none' || value === 'transparent' || value === 'inherit') {
+        if (!value || value === 'none' || value === 'transparent' || value === 'inherit' || value === 'rgba(0, 0, 0, 0)') {
           continue;
         }
 
-        // Normalize to hex
-        const key = `${value}`;
-        if (seen.has(key)) continue;
-        seen.add(key);
+        const area = paintedArea(prop, style, box, el);
+        if (area <= 0) continue;
+
+        const key = `${prop}|${value}`;
+        if (!uses.has(key)) {
+          uses.set(key, { value, property: prop, count: 0, area: 0, contexts: [], contextKeys: new Set() });
+        }
+
+        const use = uses.get(key);
+        use.count++;
+        use.area += area;
 
-        colors.push({
-          value,
-          property: prop,
+        // A few distinct element contexts are enough to score the color
+        const contextKey = `${tagName}|${classes.join(' ')}|${id}|${role}`;
+        if (use.contexts.length < maxContexts && !use.contextKeys.has(contextKey)) {
+          use.contextKeys.add(contextKey);
+          use.contexts.push({ tagName, classes, id, role, isButton });
+        }
+
+        if (prop === 'backgroundColor' && isOpaque(value)) {
+          backgrounds.set(el, { use, area });
+        }
+      }
+
+      // Gradients: every element counts, so usage reflects how often they appear
+      if (style.backgroundImage.includes('gradient(')) {
+        gradients.push({
+          value: style.backgroundImage,
           tagName,
           classes,
           id,
           role,
-          isButton: tagName === 'BUTTON' || role === 'button' || classes.some(c => c.includes('btn') || c.includes('button')),
+          isButton,
+          isText: style.backgroundClip === 'text' || style.webkitBackgroundClip === 'text',
+          areaRatio: (box.width * box.height) / (window.innerWidth * window.innerHeight),
         });
       }
     }
 
-    return colors;
-  }, COLOR_PROPERTIES);
+    // An opaque background hides the background of the ancestor it sits on
+    for (const [el, { area }] of backgrounds) {
+      let parent = el.parentElement;
+      while (parent && !backgrounds.has(parent)) parent = parent.parentElement;
+      if (parent) backgrounds.get(parent).use.area -= area;
+    }
+
+    const colors = Array.from(uses.values()).map(({ contextKeys, ...use }) => ({
+      ...use,
+      area: Math.max(0, use.area),
+    }));
+
+    return { colors, gradients, pageArea: pageWidth * pageHeight };
+  }, { colorProps: COLOR_PROPERTIES, maxContexts: MAX_CONTEXTS });
 
   // Extract CSS custom properties
-  const cssVariables = await extractCssVariables(page);
+  const cssVariables = await extractCssVariables(page, css || await collectStylesheets(page));
 
   // Process and deduplicate colors
-  const processedColors = processColors(rawColors);
+  const processedColors = processColors(rawColors, pageArea);
 
   // Deduplicate using delta-E
   const dedupedColors = deduplicateColors(processedColors, 15);
 
+  // Dominant colors of images, SVGs and canvases (screenshot based)
+  const imageryColors = imagery || await collectImagery(page).catch(() => emptyImagery());
+
   // Categorize into semantic groups
-  const categorized = categorizeColors(dedupedColors, cssVariables);
+  const categorized = categorizeColors(dedupedColors, cssVariables, imageryColors, pageArea);
 
   return {
     ...categorized,
+    scales: buildScales(categorized, cssVariables),
+    gradients: processGradients(rawGradients),
     cssVariables,
   };
 }
@@ -170,51 +332,48 @@ export async function extractColors(page) {
 /**
  * Extract CSS custom properties (variables) from stylesheets
  *
+ * Names come from unconditional :root/html rules in all stylesheets
+ * (cross-origin included); values are the resolved values on <html>.
+ *
  * @param {import('playwright').Page} page
+ * @param {Object} css - Parsed stylesheets
  * @returns {Promise<Object>} CSS variables map
  */
-async function extractCssVariables(page) {
-  return await page.evaluate((patterns, skipPrefixes) => {
+async function extractCssVariables(page, css) {
+  const names = new Set();
+
+  for (const property of css.customProperties) {
+    if (!isUnconditional(property) || !isRootSelector(property.selector)) continue;
+
+    // Skip framework internals
+    if (isFrameworkInternal(property.name)) continue;
+
+    names.add(property.name);
+  }
+
+  return await page.evaluate((names) => {
     const variables = {};
     const rootStyles = getComputedStyle(document.documentElement);
 
-    // Try to get variables from stylesheets
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules) {
-          if (rule.selectorText === ':root' || rule.selectorText === 'html') {
-            for (let i = 0; i < rule.style.length; i++) {
-              const prop = rule.style[i];
-              if (prop.startsWith('--')) {
-                // Skip framework internals
-                if (skipPrefixes.some(prefix => prop.startsWith(prefix))) {
-                  continue;
-                }
-
-                const value = rootStyles.getPropertyValue(prop).trim();
-                if (value) {
-                  variables[prop] = value;
-                }
-              }
-            }
-          }
-        }
-      } catch (e) {
-        // CORS - can't access external stylesheets
+    for (const name of names) {
+      const value = rootStyles.getPropertyValue(name).trim();
+      if (value) {
+        variables[name] = value;
       }
     }
 
     return variables;
-  }, COLOR_VAR_PATTERNS.map(p => p.source), SKIP_PREFIXES);
+  }, Array.from(names));
 }
 
 /**
  * Process raw color data into structured format
  *
- * @param {Array} rawColors - Raw color data from page
- * @returns {Array} Processed colors with scores
+ * @param {Array} rawColors - Color uses from the page (value, property, count, painted area, element contexts)
+ * @param {number} pageArea - Page area in px², for coverage
+ * @returns {Array} Processed colors with scores, most visible first
  */
-function processColors(rawColors) {
+function processColors(rawColors, pageArea) {
   const colorMap = new Map();
 
   for (const item of rawColors) {
@@ -224,53 +383,56 @@ function processColors(rawColors) {
     // Skip transparent, white, and black (common scaffolding)
     if (isTransparent(item.value)) continue;
 
-    // Calculate context score
-    const contextScore = calculateContextScore({
-      tagName: item.tagName,
-      classes: item.classes,
-      id: item.id,
-      role: item.role,
-      isVisible: true,
-    });
-
-    // Boost for colored buttons
     const rgb = parseColor(item.value);
-    const isColoredButton = item.isButton &&
-      rgb &&
+    const isColored = rgb &&
       !isWhite(item.value, 95) &&
       !isBlack(item.value, 5) &&
       !isTransparent(item.value);
 
-    const boost = coloredButtonBoost(isColoredButton);
-    const totalScore = contextScore + boost;
+    // Best context score among the elements using it, with a boost for colored buttons
+    const totalScore = Math.max(...item.contexts.map(context =>
+      calculateContextScore({ ...context, isVisible: true }) +
+      coloredButtonBoost(context.isButton && isColored)));
 
     // Aggregate color data
-    if (colorMap.has(hex)) {
-      const existing = colorMap.get(hex);
-      existing.count++;
-      existing.score = Math.max(existing.score, totalScore);
-      existing.sources.add(item.property);
-      if (item.tagName) existing.elements.add(item.tagName);
-    } else {
+    if (!colorMap.has(hex)) {
       colorMap.set(hex, {
         hex,
-        count: 1,
+        original: null,
+        count: 0,
+        area: 0,
+        areas: {},
         score: totalScore,
-        sources: new Set([item.property]),
-        elements: new Set([item.tagName]),
+        sources: new Set(),
+        elements: new Set(),
       });
     }
+
+    const existing = colorMap.get(hex);
+    existing.count += item.count;
+    existing.area += item.area;
+    existing.areas[item.property] = (existing.areas[item.property] || 0) + item.area;
+    existing.score = Math.max(existing.score, totalScore);
+    existing.sources.add(item.property);
+    item.contexts.forEach(context => existing.elements.add(context.tagName));
+    if (!existing.original && rgb?.space) existing.original = item.value;
   }
 
   // Convert to array with confidence
-  return Array.from(colorMap.values()).map(color => ({
-    hex: color.hex,
-    count: color.count,
-    score: color.score,
-    confidence: scoreToConfidence(color.score),
-    sources: Array.from(color.sources),
-    elements: Array.from(color.elements),
-  }));
+  return Array.from(colorMap.values())
+    .map(color => ({
+      hex: color.hex,
+      original: color.original,
+      count: color.count,
+      area: color.area,
+      areas: color.areas,
+      coverage: pageArea > 0 ? Math.min(1, color.area / pageArea) : 0,
+      score: color.score,
+      confidence: scoreToConfidence(color.score),
+      sources: Array.from(color.sources),
+      elements: Array.from(color.elements),
+    }))
+    .sort((a, b) => b.area - a.area);
 }
 
 /**
@@ -278,15 +440,24 @@ function processColors(rawColors) {
  *
  * @param {Array} colors - Deduplicated colors
  * @param {Object} cssVariables - CSS custom properties
+ * @param {Object} imagery - Dominant colors of the page imagery and logo
+ * @param {number} pageArea - Page area in px², for coverage
  * @returns {Object} Categorized color groups
  */
-function categorizeColors(colors, cssVariables) {
-  // Sort by score (descending) then by count
+function categorizeColors(colors, cssVariables, imagery, pageArea) {
+  // Sort by confidence, then by painted area: within a confidence level the
+  // color people see most wins, not the one on the most elements
   const sorted = [...colors].sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return b.count - a.count;
+    const byConfidence = CONFIDENCE_ORDER[b.confidence] - CONFIDENCE_ORDER[a.confidence];
+    if (byConfidence !== 0) return byConfidence;
+    return b.area - a.area;
   });
 
+  // Colors ranked by the area painted through one property
+  const byPropertyArea = (property) => [...sorted]
+    .filter(c => c.areas[property] > 0)
+    .sort((a, b) => b.areas[property] - a.areas[property]);
+
   // Filter to high/medium confidence only
   const significant = sorted.filter(c => c.confidence === 'high' || c.confidence === 'medium');
 
@@ -321,7 +492,15 @@ function categorizeColors(colors, cssVariables) {
     // Primary is usually the most prominent non-neutral color
     const primaryCandidate = significant.find(c => !isNeutral(c.hex));
     if (primaryCandidate) {
-      result.primary = formatColorToken(primaryCandidate.hex, primaryCandidate.confidence, 'Most prominent non-neutral color');
+      result.primary = formatColorToken(primaryCandidate.original || primaryCandidate.hex, primaryCandidate.confidence, 'Most prominent non-neutral color');
+    }
+  }
+
+  // Brands that only show color in their logo: take the logo's main color
+  if (!result.primary) {
+    const logoColor = imagery.logo.find(c => !isNeutral(c.hex));
+    if (logoColor) {
+      result.primary = formatColorToken(logoColor.hex, 'medium', 'Logo color');
     }
   }
 
@@ -329,92 +508,439 @@ function categorizeColors(colors, cssVariables) {
     // Secondary is the second most prominent non-neutral color
     const secondaryCandidate = significant.filter(c => !isNeutral(c.hex) && c.hex !== result.primary?.hex)[0];
     if (secondaryCandidate) {
-      result.secondary = formatColorToken(secondaryCandidate.hex, secondaryCandidate.confidence, 'Second most prominent color');
+      result.secondary = formatColorToken(secondaryCandidate.original || secondaryCandidate.hex, secondaryCandidate.confidence, 'Second most prominent color');
     }
   }
 
   // Find background colors (high lightness)
   if (!result.background.default) {
-    const bgCandidate = sorted.find(c => {
+    const bgCandidate = byPropertyArea('backgroundColor').find(c => {
       const rgb = parseColor(c.hex);
       if (!rgb) return false;
       const lch = rgbToLch(rgb);
       return lch.l > 90; // Very light
     });
     if (bgCandidate) {
-      result.background.default = formatColorToken(bgCandidate.hex, bgCandidate.confidence, 'Page background');
+      result.background.default = formatColorToken(bgCandidate.original || bgCandidate.hex, bgCandidate.confidence, 'Page background');
     }
   }
 
   // Find text colors (low lightness)
   if (!result.text.primary) {
-    const textCandidate = sorted.find(c => {
+    const textCandidate = byPropertyArea('color').find(c => {
       const rgb = parseColor(c.hex);
       if (!rgb) return false;
       const lch = rgbToLch(rgb);
-      return lch.l < 30 && c.sources.includes('color');
+      return lch.l < 30;
     });
     if (textCandidate) {
-      result.text.primary = formatColorToken(textCandidate.hex, textCandidate.confidence, 'Primary text color');
+      result.text.primary = formatColorToken(textCandidate.original || textCandidate.hex, textCandidate.confidence, 'Primary text color');
     }
   }
 
   // Find border colors (medium lightness, low chroma)
   if (!result.border.default) {
-    const borderCandidate = sorted.find(c => {
-      const rgb = parseColor(c.hex);
-      if (!rgb) return false;
-      const lch = rgbToLch(rgb);
-      return lch.l > 70 && lch.l < 95 && lch.c < 10 && c.sources.some(s => s.includes('border'));
-    });
+    const borderArea = (c) => Object.entries(c.areas)
+      .filter(([property]) => property.startsWith('border'))
+      .reduce((sum, [, area]) => sum + area, 0);
+
+    const borderCandidate = [...sorted]
+      .sort((a, b) => borderArea(b) - borderArea(a))
+      .find(c => {
+        const rgb = parseColor(c.hex);
+        if (!rgb) return false;
+        const lch = rgbToLch(rgb);
+        return lch.l > 70 && lch.l < 95 && lch.c < 10 && borderArea(c) > 0;
+      });
     if (borderCandidate) {
-      result.border.default = formatColorToken(borderCandidate.hex, borderCandidate.confidence, 'Border color');
+      result.border.default = formatColorToken(borderCandidate.original || borderCandidate.hex, borderCandidate.confidence, 'Border color');
     }
   }
 
   // Add palette for additional colors
-  result.palette = significant
+  const palette = significant
     .filter(c => c.confidence !== 'low')
-    .slice(0, 20)
     .map(c => ({
-      ...formatColorToken(c.hex, c.confidence),
+      ...formatColorToken(c.original || c.hex, c.confidence),
       count: c.count,
+      coverage: c.coverage,
       sources: c.sources,
     }));
 
+  result.palette = mergeImageryColors(palette, imagery, pageArea)
+    .sort((a, b) => {
+      const byConfidence = CONFIDENCE_ORDER[b.confidence] - CONFIDENCE_ORDER[a.confidence];
+      if (byConfidence !== 0) return byConfidence;
+      return b.coverage - a.coverage;
+    })
+    .slice(0, 20)
+    .map(c => ({ ...c, coverage: Math.round(c.coverage * 1000) / 1000 }));
+
   return result;
 }
 
+/**
+ * Merge the dominant imagery and logo colors into the palette
+ * Colors already in the palette gain the `imagery` source and the area the
+ * imagery paints; new ones are added with that area as their coverage.
+ *
+ * @param {Array} palette - Palette entries from computed styles
+ * @param {Object} imagery - Dominant colors of the page imagery and logo
+ * @param {number} pageArea - Page area in px²
+ * @returns {Array} Palette with imagery colors
+ */
+function mergeImageryColors(palette, imagery, pageArea) {
+  const merged = [...palette];
+
+  const candidates = [
+    ...imagery.logo.map(c => ({ hex: c.hex, area: 0, confidence: 'high', usage: 'Logo' })),
+    ...imagery.colors.map(c => {
+      const coverage = pageArea > 0 ? c.area / pageArea : 0;
+      return {
+        hex: c.hex,
+        area: c.area,
+        confidence: coverage >= IMAGERY_MIN_COVERAGE ? 'medium' : 'low',
+        usage: 'Images and illustrations',
+      };
+    }),
+  ];
+
+  for (const candidate of candidates) {
+    const coverage = pageArea > 0 ? candidate.area / pageArea : 0;
+    const existing = merged.find(entry => isSimilarColor(entry.hex, candidate.hex));
+
+    if (existing) {
+      existing.coverage += coverage;
+      if (!existing.sources.includes('imagery')) existing.sources = [...existing.sources, 'imagery'];
+      continue;
+    }
+
+    if (candidate.confidence === 'low') continue;
+
+    merged.push({
+      ...formatColorToken(candidate.hex, candidate.confidence, candidate.usage),
+      coverage,
+      sources: ['imagery'],
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Process raw gradient data into gradient tokens
+ *
+ * @param {Array} rawGradients - background-image values with element context
+ * @returns {Array} Gradient tokens, most significant first
+ */
+function processGradients(rawGradients) {
+  const groups = [];
+
+  for (const item of rawGradients) {
+    const contextScore = calculateContextScore({
+      tagName: item.tagName,
+      classes: item.classes,
+      id: item.id,
+      role: item.role,
+      isVisible: true,
+    }) + coloredButtonBoost(item.isButton);
+
+    const usage = gradientUsage(item);
+
+    // One background-image can stack several gradient layers
+    for (const layer of splitTopLevel(item.value, ',')) {
+      const gradient = parseGradient(layer);
+      if (!gradient) continue;
+
+      const existing = groups.find(g => isSimilarGradient(g.gradient, gradient));
+      if (existing) {
+        existing.count++;
+        existing.score = Math.max(existing.score, contextScore);
+        if (usage) existing.usedOn.add(usage);
+      } else {
+        groups.push({
+          gradient,
+          count: 1,
+          score: contextScore,
+          usedOn: new Set(usage ? [usage] : []),
+        });
+      }
+    }
+  }
+
+  return groups
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return b.count - a.count;
+    })
+    .slice(0, MAX_GRADIENTS)
+    .map(g => formatGradientToken(g));
+}
+
+/**
+ * Parse one gradient layer of a computed background-image
+ *
+ * @param {string} value - e.g. "linear-gradient(135deg, rgb(99, 102, 241) 0%, rgb(168, 85, 247) 100%)"
+ * @returns {Object|null} { type, repeating, value, config, stops[] } or null if not a gradient
+ */
+function parseGradient(value) {
+  const match = value.trim().match(/^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/is);
+  if (!match) return null;
+
+  const args = splitTopLevel(match[3], ',');
+  let config = null;
+  const stops = [];
+
+  args.forEach((arg, index) => {
+    const [color, ...positions] = splitTopLevel(arg, ' ');
+    const rgb = parseColor(color);
+
+    if (!rgb) {
+      // Direction/shape only comes first; a lone length is an interpolation hint
+      if (index === 0) config = arg.replace(/\s+/g, ' ');
+      return;
+    }
+
+    // "red 10% 30%" is two stops of the same color
+    const stopPositions = positions.length > 0 ? positions : [null];
+    for (const position of stopPositions) {
+      stops.push({ color, rgb, hex: rgbToHex(rgb), position });
+    }
+  });
+
+  if (stops.length < 2) return null;
+
+  // Same color throughout is a solid fill (often an overlay trick)
+  if (stops.every(s => s.hex === stops[0].hex && s.rgb.a === stops[0].rgb.a)) return null;
+
+  // Spread missing positions evenly, as the browser does for the ends
+  const count = stops.length;
+  stops.forEach((stop, i) => {
+    stop.percent = stop.position?.endsWith('%')
+      ? parseFloat(stop.position)
+      : (stop.position === null ? (i / (count - 1)) * 100 : null);
+  });
+
+  return {
+    type: match[2].toLowerCase(),
+    repeating: Boolean(match[1]),
+    value: value.trim().replace(/\s+/g, ' '),
+    config,
+    stops,
+  };
+}
+
+/**
+ * Check whether two gradients are perceptually the same
+ *
+ * @param {Object} a - Parsed gradient
+ * @param {Object} b - Parsed gradient
+ * @returns {boolean}
+ */
+function isSimilarGradient(a, b) {
+  if (a.type !== b.type || a.repeating !== b.repeating || a.config !== b.config) return false;
+  if (a.stops.length !== b.stops.length) return false;
+
+  return a.stops.every((stop, i) => {
+    const other = b.stops[i];
+    if (Math.abs(stop.rgb.a - other.rgb.a) > 0.1) return false;
+    if (stop.rgb.a > 0 && !isSimilarColor(stop.hex, other.hex)) return false;
+    if (stop.percent === null || other.percent === null) return stop.position === other.position;
+    return Math.abs(stop.percent - other.percent) <= GRADIENT_POSITION_TOLERANCE;
+  });
+}
+
+/**
+ * Describe where a gradient is used
+ *
+ * @param {Object} item - Raw gradient with element context
+ * @returns {string|null}
+ */
+function gradientUsage(item) {
+  const classes = item.classes.join(' ').toLowerCase();
+
+  if (item.isText) return 'text';
+  if (item.isButton) return 'buttons';
+  if (/hero|banner|jumbotron/.test(classes)) return 'hero';
+  if (/card/.test(classes)) return 'cards';
+  if (item.tagName === 'HEADER' || item.tagName === 'NAV' || /header|navbar/.test(classes)) return 'header';
+  if (item.areaRatio >= 0.4) return 'sections';
+  return null;
+}
+
+/**
+ * Format a gradient group as a token
+ *
+ * @param {Object} group - Gradient group
+ * @returns {Object} Gradient token
+ */
+function formatGradientToken(group) {
+  const { gradient } = group;
+  const confidence = mergeConfidence(countToConfidence(group.count), scoreToConfidence(group.score));
+
+  return {
+    value: gradient.value,
+    type: gradient.type,
+    repeating: gradient.repeating,
+    direction: gradient.config || undefined,
+    stops: gradient.stops.map((stop) => {
+      const token = {
+        ...formatColorToken(stop.color, confidence),
+        position: stop.position || undefined,
+      };
+      delete token.usage;
+      if (stop.rgb.a < 1) token.alpha = stop.rgb.a;
+      return token;
+    }),
+    usage: Array.from(group.usedOn).join(', ') || undefined,
+    count: group.count,
+    confidence,
+  };
+}
+
 /**
  * Map CSS variable names to semantic categories
  *
  * @param {Object} variables - CSS custom properties
- * @returns {Object} Category to hex mapping
+ * @returns {Object} Category to color value mapping
  */
 function mapVariablesToCategories(variables) {
   const categories = {};
 
   for (const [name, value] of Object.entries(variables)) {
-    const hex = normalizeToHex(value);
-    if (!hex) continue;
+    if (!normalizeToHex(value)) continue;
 
     const lower = name.toLowerCase();
 
-    if (lower.includes('primary') && !categories.primary) categories.primary = hex;
-    else if (lower.includes('secondary') && !categories.secondary) categories.secondary = hex;
-    else if (lower.includes('accent') && !categories.accent) categories.accent = hex;
-    else if (lower.includes('success') && !categories.success) categories.success = hex;
-    else if (lower.includes('warning') && !categories.warning) categories.warning = hex;
-    else if ((lower.includes('error') || lower.includes('danger') || lower.includes('destructive')) && !categories.error) categories.error = hex;
-    else if (lower.includes('info') && !categories.info) categories.info = hex;
-    else if ((lower.includes('background') || lower.includes('bg-default')) && !categories.background) categories.background = hex;
-    else if ((lower.includes('foreground') || lower.includes('text-primary')) && !categories.text) categories.text = hex;
-    else if (lower.includes('border') && !categories.border) categories.border = hex;
+    if (lower.includes('primary') && !categories.primary) categories.primary = value;
+    else if (lower.includes('secondary') && !categories.secondary) categories.secondary = value;
+    else if (lower.includes('accent') && !categories.accent) categories.accent = value;
+    else if (lower.includes('success') && !categories.success) categories.success = value;
+    else if (lower.includes('warning') && !categories.warning) categories.warning = value;
+    else if ((lower.includes('error') || lower.includes('danger') || lower.includes('destructive')) && !categories.error) categories.error = value;
+    else if (lower.includes('info') && !categories.info) categories.info = value;
+    else if ((lower.includes('background') || lower.includes('bg-default')) && !categories.background) categories.background = value;
+    else if ((lower.includes('foreground') || lower.includes('text-primary')) && !categories.text) categories.text = value;
+    else if (lower.includes('border') && !categories.border) categories.border = value;
   }
 
   return categories;
 }
 
+/**
+ * Find color scales exposed as CSS variables (--blue-100 ... --blue-900)
+ *
+ * @param {Object} variables - CSS custom properties
+ * @returns {Array<{name: string, prefix: string, steps: Object}>} Scales with their values by step
+ */
+function detectVariableScales(variables) {
+  const byPrefix = new Map();
+
+  for (const [name, value] of Object.entries(variables)) {
+    const match = name.match(SCALE_VARIABLE_PATTERN);
+    if (!match || !parseColor(value)) continue;
+
+    const [, prefix, step] = match;
+    if (!byPrefix.has(prefix)) byPrefix.set(prefix, {});
+    byPrefix.get(prefix)[step] = value;
+  }
+
+  return Array.from(byPrefix.entries())
+    .filter(([, steps]) => Object.keys(steps).length >= MIN_SCALE_STEPS)
+    .map(([prefix, steps]) => ({
+      name: prefix.replace(/^--(colou?rs?-)?/, ''),
+      prefix,
+      steps,
+    }));
+}
+
+/**
+ * Build tonal scales for the brand and semantic colors
+ *
+ * A role uses the site's own CSS variable scale when one is named after it
+ * or contains its color; otherwise the scale is generated around the color.
+ * CSS variable scales that match no role are kept under their own name.
+ *
+ * @param {Object} colors - Categorized colors
+ * @param {Object} cssVariables - CSS custom properties
+ * @returns {Object} Scales by role or variable name, each step marked observed or generated
+ */
+function buildScales(colors, cssVariables) {
+  const observed = detectVariableScales(cssVariables);
+  const used = new Set();
+  const scales = {};
+
+  const roles = {
+    primary: colors.primary,
+    secondary: colors.secondary,
+    accent: colors.accent,
+    ...colors.semantic,
+  };
+
+  for (const [role, token] of Object.entries(roles)) {
+    if (!token) continue;
+
+    const available = observed.filter(scale => !used.has(scale));
+    const keywords = SCALE_ROLE_KEYWORDS[role] || [role];
+    const scale = available.find(s => keywords.some(k => s.name.toLowerCase().includes(k))) ||
+      available.find(s => Object.values(s.steps).some(v => isSimilarColor(v, token.hex, SCALE_MATCH_THRESHOLD)));
+
+    if (scale) used.add(scale);
+    scales[role] = formatScale(scale, token);
+  }
+
+  for (const scale of observed) {
+    if (!used.has(scale) && !scales[scale.name]) {
+      scales[scale.name] = formatScale(scale, null);
+    }
+  }
+
+  return scales;
+}
+
+/**
+ * Format a tonal scale, filling missing steps
+ *
+ * @param {Object|null} scale - CSS variable scale ({prefix, steps}), if any
+ * @param {Object|null} base - Extracted color token the scale is built for
+ * @returns {Object} Color tokens by step ('50'-'950')
+ */
+function formatScale(scale, base) {
+  const anchors = {};
+  const values = {};
+
+  if (scale) {
+    for (const [step, value] of Object.entries(scale.steps)) {
+      anchors[step] = parseColor(value);
+      values[step] = value;
+    }
+  } else {
+    const rgb = parseColor(base.original || base.hex);
+    const step = nearestStep(rgb);
+    anchors[step] = rgb;
+    values[step] = base.original || base.hex;
+  }
+
+  const generated = generateTonalScale(anchors);
+  const result = {};
+
+  for (const step of SCALE_STEPS) {
+    if (!values[step]) {
+      result[step] = { ...formatColorToken(generated[step], 'low', 'Generated'), origin: 'generated' };
+    } else if (scale) {
+      result[step] = {
+        ...formatColorToken(values[step], 'high', 'From CSS variable'),
+        origin: 'observed',
+        variable: `${scale.prefix}-${step}`,
+      };
+    } else {
+      result[step] = { ...formatColorToken(values[step], base.confidence, 'Extracted color'), origin: 'observed' };
+    }
+  }
+
+  return result;
+}
+
 /**
  * Check if a color is neutral (grayscale or very low chroma)
  *
@@ -432,26 +958,36 @@ function isNeutral(hex) {
 /**
  * Format a color as a design token
  *
- * @param {string} hex - Hex color
+ * Colors written outside sRGB syntax (oklch(), color(display-p3 ...), ...)
+ * keep that value in `original`; hex/rgb are the sRGB (gamut-mapped) fallback.
+ *
+ * @param {string} color - Hex or any CSS color
  * @param {string} confidence - Confidence level
  * @param {string} usage - Usage description
  * @returns {Object} Color token
  */
-function formatColorToken(hex, confidence, usage = '') {
-  const rgb = parseColor(hex);
+function formatColorToken(color, confidence, usage = '') {
+  const rgb = parseColor(color);
   if (!rgb) return null;
 
   const lch = rgbToLch(rgb);
   const oklch = rgbToOklch(rgb);
 
-  return {
-    hex: hex.toUpperCase(),
+  const token = {
+    hex: rgbToHex(rgb),
     rgb: formatRgb(rgb),
     lch: formatLch(lch),
     oklch: formatOklch(oklch),
     usage,
     confidence,
   };
+
+  if (rgb.space) {
+    token.original = color;
+    if (rgb.gamutMapped) token.gamutMapped = true;
+  }
+
+  return token;
 }
 
 export default extractColors;
@@ -2,30 +2,55 @@
  * components.js - UI component pattern extraction
  *
  * Extracts:
- * - Button styles (with hover/focus states)
- * - Input styles (with focus states)
- * - Link styles (with hover states)
+ * - Button styles (with hover/focus-visible/active/disabled states)
+ * - Input styles (with hover/focus-visible/disabled states)
+ * - Link styles (with hover/focus-visible states)
  * - Badge/tag styles
+ *
+ * States are captured on one representative element per variant by forcing
+ * the state and diffing computed styles (see states.js). CSS rules are only
+ * used as a fallback when that fails.
  */
 
 import { normalizeToHex } from '../utils/color-convert.js';
 import { countToConfidence } from '../utils/confidence.js';
+import { captureStates, clearSampleMarks, sampleSelector, SAMPLE_ATTRIBUTE } from './states.js';
+import { collectStylesheets } from './stylesheets.js';
+
+/**
+ * States captured per component type
+ */
+const COMPONENT_STATES = {
+  button: ['hover', 'focusVisible', 'active', 'disabled'],
+  input: ['hover', 'focusVisible', 'disabled'],
+  link: ['hover', 'focusVisible'],
+};
 
 /**
  * Extract component patterns from a page
  *
  * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js); collected if omitted
  * @returns {Promise<Object>} Extracted components
  */
-export async function extractComponents(page) {
-  // Extract button styles
-  const buttons = await extractButtonStyles(page);
+export async function extractComponents(page, css = null) {
+  let buttons, inputs, links;
+
+  // State rules are the fallback when states cannot be captured
+  const stateRules = getStateRules(css || await collectStylesheets(page));
 
-  // Extract input styles
-  const inputs = await extractInputStyles(page);
+  try {
+    // Extract button styles
+    buttons = await extractButtonStyles(page, stateRules);
 
-  // Extract link styles
-  const links = await extractLinkStyles(page);
+    // Extract input styles
+    inputs = await extractInputStyles(page, stateRules);
+
+    // Extract link styles
+    links = await extractLinkStyles(page, stateRules);
+  } finally {
+    await clearSampleMarks(page).catch(() => {});
+  }
 
   // Extract badge styles
   const badges = await extractBadgeStyles(page);
@@ -42,20 +67,26 @@ export async function extractComponents(page) {
  * Extract button styles from page
  *
  * @param {import('playwright').Page} page
+ * @param {Array} stateRules - Fallback state rules
  * @returns {Promise<Array>}
  */
-async function extractButtonStyles(page) {
-  const raw = await page.evaluate(() => {
+async function extractButtonStyles(page, stateRules) {
+  const raw = await page.evaluate((attr) => {
     const buttons = [];
     const selectors = 'button, [role="button"], [role="tab"], .btn, [class*="button"], [class*="cta"], [data-cta]';
     const elements = document.querySelectorAll(selectors);
 
     for (const el of elements) {
       const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
 
       // Skip hidden
       if (style.display === 'none' || style.visibility === 'hidden') continue;
 
+      // Mark the element so its states can be captured later
+      const sampleId = `button-${buttons.length}`;
+      el.setAttribute(attr, sampleId);
+
       // Get basic styles
       const buttonData = {
         backgroundColor: style.backgroundColor,
@@ -69,38 +100,48 @@ async function extractButtonStyles(page) {
         classes: Array.from(el.classList).join(' '),
         tagName: el.tagName,
         isNative: el.tagName === 'BUTTON',
+        sampleId,
+        disabled: el.disabled === true || el.getAttribute('aria-disabled') === 'true',
+        rendered: rect.width > 0 && rect.height > 0,
       };
 
       buttons.push(buttonData);
     }
 
     return buttons;
-  });
+  }, SAMPLE_ATTRIBUTE);
 
-  // Extract hover/focus states from CSS rules
-  const states = await extractStatesFromCSS(page, 'button');
+  // Group into variants, then capture states on one element per variant
+  const groups = groupButtons(raw);
+  const states = await extractVariantStates(page, groups, COMPONENT_STATES.button, stateRules);
 
   // Process buttons
-  return processButtons(raw, states);
+  return processButtons(groups, states);
 }
 
 /**
  * Extract input styles from page
  *
  * @param {import('playwright').Page} page
+ * @param {Array} stateRules - Fallback state rules
  * @returns {Promise<Array>}
  */
-async function extractInputStyles(page) {
-  const raw = await page.evaluate(() => {
+async function extractInputStyles(page, stateRules) {
+  const raw = await page.evaluate((attr) => {
     const inputs = [];
     const elements = document.querySelectorAll('input, textarea, select');
 
     for (const el of elements) {
       const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
 
       // Skip hidden
       if (style.display === 'none' || style.visibility === 'hidden') continue;
 
+      // Mark the element so its states can be captured later
+      const sampleId = `input-${inputs.length}`;
+      el.setAttribute(attr, sampleId);
+
       const inputData = {
         type: el.type || el.tagName.toLowerCase(),
         backgroundColor: style.backgroundColor,
@@ -112,34 +153,40 @@ async function extractInputStyles(page) {
         fontSize: style.fontSize,
         outline: style.outline,
         boxShadow: style.boxShadow,
+        sampleId,
+        disabled: el.disabled === true,
+        rendered: rect.width > 0 && rect.height > 0,
       };
 
       inputs.push(inputData);
     }
 
     return inputs;
-  });
+  }, SAMPLE_ATTRIBUTE);
 
-  // Extract focus states from CSS rules
-  const states = await extractStatesFromCSS(page, 'input');
+  // Group by type, then capture states on one element per type
+  const groups = groupInputs(raw);
+  const states = await extractVariantStates(page, groups, COMPONENT_STATES.input, stateRules);
 
   // Process inputs
-  return processInputs(raw, states);
+  return processInputs(groups, states);
 }
 
 /**
  * Extract link styles from page
  *
  * @param {import('playwright').Page} page
+ * @param {Array} stateRules - Fallback state rules
  * @returns {Promise<Array>}
  */
-async function extractLinkStyles(page) {
-  const raw = await page.evaluate(() => {
+async function extractLinkStyles(page, stateRules) {
+  const raw = await page.evaluate((attr) => {
     const links = [];
     const elements = document.querySelectorAll('a, [role="link"]');
 
     for (const el of elements) {
       const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
 
       // Skip hidden
       if (style.display === 'none' || style.visibility === 'hidden') continue;
@@ -147,20 +194,30 @@ async function extractLinkStyles(page) {
       // Skip links that look like buttons
       if (el.classList.toString().includes('btn') || el.classList.toString().includes('button')) continue;
 
+      // Mark the element so its states can be captured later
+      const sampleId = `link-${links.length}`;
+      el.setAttribute(attr, sampleId);
+
       const linkData = {
         color: style.color,
         textDecoration: style.textDecoration,
         fontWeight: style.fontWeight,
+        sampleId,
+        rendered: rect.width > 0 && rect.height > 0,
       };
 
       links.push(linkData);
     }
 
     return links;
-  });
+  }, SAMPLE_ATTRIBUTE);
+
+  // Group by color, then capture states on one link per color
+  const groups = groupLinks(raw);
+  const states = await extractVariantStates(page, groups, COMPONENT_STATES.link, stateRules);
 
   // Process links
-  return processLinks(raw);
+  return processLinks(groups, states);
 }
 
 /**
@@ -204,76 +261,138 @@ async function extractBadgeStyles(page) {
 }
 
 /**
- * Extract :hover/:focus states from CSS rules
+ * Capture states for the representative element of each variant
+ * Falls back to matching CSS rules when forcing the state fails.
  *
  * @param {import('playwright').Page} page
- * @param {string} elementType - 'button' or 'input'
+ * @param {Array} groups - Variant groups with a representative sample
+ * @param {string[]} stateNames - States to capture
+ * @param {Array} stateRules - Candidate :hover/:focus/:active rules (see getStateRules)
+ * @returns {Promise<Object>} Map of sampleId -> { source, ...states }
+ */
+async function extractVariantStates(page, groups, stateNames, stateRules) {
+  const sampleIds = groups.map(g => g.representative.sampleId);
+
+  let captured = {};
+  try {
+    captured = await captureStates(page, sampleIds, stateNames);
+  } catch (e) {
+    // Capture unavailable, use CSS rules for every variant
+  }
+
+  const states = {};
+  for (const id of sampleIds) {
+    if (captured[id]) {
+      states[id] = { source: 'computed', ...captured[id] };
+    } else {
+      const fromCss = await extractStatesFromCSS(page, id, stateRules).catch(() => null);
+      states[id] = fromCss && { source: 'css-rules', ...fromCss };
+    }
+  }
+
+  return states;
+}
+
+/**
+ * Get rules with :hover/:focus/:active selectors from the parsed stylesheets
+ *
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js)
+ * @returns {Array<{selector: string, cssText: string}>} Rules in cascade order
+ */
+function getStateRules(css) {
+  return css.rules
+    .filter(rule => /:(hover|focus|active)/.test(rule.selector))
+    .map(rule => ({
+      selector: rule.selector,
+      cssText: Object.entries(rule.declarations)
+        .filter(([prop]) => !prop.startsWith('--'))
+        .map(([prop, value]) => `${prop}: ${value}`)
+        .join('; '),
+    }));
+}
+
+/**
+ * Extract :hover/:focus/:active declarations from CSS rules that apply to an element
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} sampleId - Marked element
+ * @param {Array} stateRules - Candidate rules (see getStateRules)
  * @returns {Promise<Object>}
  */
-async function extractStatesFromCSS(page, elementType) {
-  return await page.evaluate((type) => {
+async function extractStatesFromCSS(page, sampleId, stateRules) {
+  return await page.evaluate(({ selector, rules }) => {
+    const el = document.querySelector(selector);
+    if (!el) return null;
+
     const states = {
-      hover: [],
-      focus: [],
-      active: [],
+      hover: {},
+      focusVisible: {},
+      active: {},
     };
 
-    const selectorPatterns = type === 'button'
-      ? [':hover', ':focus', ':active', ':focus-visible']
-      : [':focus', ':focus-visible', ':focus-within'];
-
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules) {
-          if (!(rule instanceof CSSStyleRule)) continue;
-
-          const selector = rule.selectorText || '';
-
-          for (const pattern of selectorPatterns) {
-            if (selector.includes(pattern)) {
-              const stateKey = pattern.includes('focus') ? 'focus' : pattern.replace(':', '');
-
-              const stateData = {
-                selector,
-                backgroundColor: rule.style.backgroundColor || undefined,
-                color: rule.style.color || undefined,
-                borderColor: rule.style.borderColor || undefined,
-                boxShadow: rule.style.boxShadow || undefined,
-                transform: rule.style.transform || undefined,
-                outline: rule.style.outline || undefined,
-              };
-
-              // Remove undefined values
-              Object.keys(stateData).forEach(key => {
-                if (stateData[key] === undefined || stateData[key] === '') {
-                  delete stateData[key];
-                }
-              });
-
-              if (Object.keys(stateData).length > 1) {
-                states[stateKey]?.push(stateData);
-              }
-            }
+    const statePatterns = [
+      [':focus-visible', 'focusVisible'],
+      [':focus', 'focusVisible'],
+      [':hover', 'hover'],
+      [':active', 'active'],
+    ];
+
+    const properties = ['backgroundColor', 'color', 'borderColor', 'boxShadow', 'transform', 'outline'];
+
+    // Parse declarations with the browser so shorthands expand (background -> backgroundColor)
+    const probe = document.createElement('div').style;
+
+    for (const rule of rules) {
+      for (const part of rule.selector.split(',')) {
+        const pattern = statePatterns.find(([p]) => part.includes(p));
+        if (!pattern) continue;
+
+        // Does the rule target this element once the state is stripped?
+        const base = part.replace(/:(hover|focus-visible|focus-within|focus|active)/g, '').trim();
+        try {
+          if (base && !el.matches(base)) continue;
+        } catch (e) {
+          continue;
+        }
+
+        // Later rules win, as in the cascade
+        probe.cssText = rule.cssText;
+        for (const prop of properties) {
+          if (probe[prop]) {
+            states[pattern[1]][prop] = probe[prop];
           }
         }
-      } catch (e) {
-        // CORS
       }
     }
 
+    for (const key of Object.keys(states)) {
+      if (Object.keys(states[key]).length === 0) states[key] = null;
+    }
+
     return states;
-  }, elementType);
+  }, { selector: sampleSelector(sampleId), rules: stateRules });
+}
+
+/**
+ * Pick the element whose states represent a variant
+ * Prefers rendered, enabled elements.
+ *
+ * @param {Array} samples
+ * @returns {Object}
+ */
+function pickRepresentative(samples) {
+  return samples.find(s => s.rendered && !s.disabled)
+    || samples.find(s => s.rendered)
+    || samples[0];
 }
 
 /**
- * Process raw button data
+ * Group raw button data into variants by background color
  *
  * @param {Array} raw - Raw button data
- * @param {Object} states - Extracted states
- * @returns {Array}
+ * @returns {Array} Top 5 variants
  */
-function processButtons(raw, states) {
-  // Group by background color
+function groupButtons(raw) {
   const groups = {};
 
   for (const btn of raw) {
@@ -289,40 +408,53 @@ function processButtons(raw, states) {
     groups[bgHex].samples.push(btn);
   }
 
-  // Convert to array
   return Object.values(groups)
     .filter(g => g.count >= 1)
     .sort((a, b) => b.count - a.count)
     .slice(0, 5)
-    .map(g => {
-      const sample = g.samples[0];
-      return {
-        defaultState: {
-          backgroundColor: g.backgroundColor,
-          color: normalizeToHex(sample.color),
-          borderColor: normalizeToHex(sample.borderColor),
-          borderRadius: sample.borderRadius,
-          padding: sample.padding,
-          fontSize: sample.fontSize,
-          fontWeight: sample.fontWeight,
-        },
-        hoverState: states.hover[0] || undefined,
-        focusState: states.focus[0] || undefined,
-        count: g.count,
-        confidence: g.samples[0].isNative ? 'high' : countToConfidence(g.count),
-      };
-    });
+    .map(g => ({ ...g, representative: pickRepresentative(g.samples) }));
 }
 
 /**
- * Process raw input data
+ * Process button variants
+ *
+ * @param {Array} groups - Button variants
+ * @param {Object} states - Captured states by sampleId
+ * @returns {Array}
+ */
+function processButtons(groups, states) {
+  return groups.map(g => {
+    const sample = g.representative;
+    const captured = states[sample.sampleId];
+
+    return {
+      defaultState: {
+        backgroundColor: g.backgroundColor,
+        color: normalizeToHex(sample.color),
+        borderColor: normalizeToHex(sample.borderColor),
+        borderRadius: sample.borderRadius,
+        padding: sample.padding,
+        fontSize: sample.fontSize,
+        fontWeight: sample.fontWeight,
+      },
+      hoverState: captured?.hover || undefined,
+      focusState: captured?.focusVisible || undefined,
+      activeState: captured?.active || undefined,
+      disabledState: captured?.disabled || undefined,
+      stateSource: captured?.source,
+      count: g.count,
+      confidence: sample.isNative ? 'high' : countToConfidence(g.count),
+    };
+  });
+}
+
+/**
+ * Group raw input data by type
  *
  * @param {Array} raw - Raw input data
- * @param {Object} states - Extracted states
  * @returns {Array}
  */
-function processInputs(raw, states) {
-  // Group by type
+function groupInputs(raw) {
   const groups = {};
 
   for (const input of raw) {
@@ -340,32 +472,47 @@ function processInputs(raw, states) {
 
   return Object.values(groups)
     .filter(g => g.count >= 1)
-    .map(g => {
-      const sample = g.samples[0];
-      return {
-        type: g.type,
-        defaultState: {
-          backgroundColor: normalizeToHex(sample.backgroundColor),
-          color: normalizeToHex(sample.color),
-          borderColor: normalizeToHex(sample.borderColor),
-          borderRadius: sample.borderRadius,
-          padding: sample.padding,
-        },
-        focusState: states.focus[0] || undefined,
-        count: g.count,
-        confidence: countToConfidence(g.count),
-      };
-    });
+    .map(g => ({ ...g, representative: pickRepresentative(g.samples) }));
 }
 
 /**
- * Process raw link data
+ * Process input groups
  *
- * @param {Array} raw - Raw link data
+ * @param {Array} groups - Input groups by type
+ * @param {Object} states - Captured states by sampleId
  * @returns {Array}
  */
-function processLinks(raw) {
-  // Group by color
+function processInputs(groups, states) {
+  return groups.map(g => {
+    const sample = g.representative;
+    const captured = states[sample.sampleId];
+
+    return {
+      type: g.type,
+      defaultState: {
+        backgroundColor: normalizeToHex(sample.backgroundColor),
+        color: normalizeToHex(sample.color),
+        borderColor: normalizeToHex(sample.borderColor),
+        borderRadius: sample.borderRadius,
+        padding: sample.padding,
+      },
+      hoverState: captured?.hover || undefined,
+      focusState: captured?.focusVisible || undefined,
+      disabledState: captured?.disabled || undefined,
+      stateSource: captured?.source,
+      count: g.count,
+      confidence: countToConfidence(g.count),
+    };
+  });
+}
+
+/**
+ * Group raw link data by color
+ *
+ * @param {Array} raw - Raw link data
+ * @returns {Array} Top 3 link styles
+ */
+function groupLinks(raw) {
   const groups = {};
 
   for (const link of raw) {
@@ -385,16 +532,32 @@ function processLinks(raw) {
     .filter(g => g.count >= 1)
     .sort((a, b) => b.count - a.count)
     .slice(0, 3)
-    .map(g => {
-      const sample = g.samples[0];
-      return {
-        color: g.color,
-        textDecoration: sample.textDecoration,
-        fontWeight: sample.fontWeight,
-        count: g.count,
-        confidence: countToConfidence(g.count),
-      };
-    });
+    .map(g => ({ ...g, representative: pickRepresentative(g.samples) }));
+}
+
+/**
+ * Process link groups
+ *
+ * @param {Array} groups - Link groups by color
+ * @param {Object} states - Captured states by sampleId
+ * @returns {Array}
+ */
+function processLinks(groups, states) {
+  return groups.map(g => {
+    const sample = g.representative;
+    const captured = states[sample.sampleId];
+
+    return {
+      color: g.color,
+      textDecoration: sample.textDecoration,
+      fontWeight: sample.fontWeight,
+      hoverState: captured?.hover || undefined,
+      focusState: captured?.focusVisible || undefined,
+      stateSource: captured?.source,
+      count: g.count,
+      confidence: countToConfidence(g.count),
+    };
+  });
 }
 
 /**
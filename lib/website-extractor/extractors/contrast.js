@@ -0,0 +1,292 @@
+/**
+ * contrast.js - Text contrast audit
+ *
+ * Extracts:
+ * - Text color / effective background pairs per element (translucent
+ *   backgrounds composited up to the first opaque ancestor)
+ * - WCAG 2.x contrast ratios (AA/AAA for normal and large text)
+ * - APCA lightness contrast (Lc)
+ * - Failing pairs with selectors, font size/weight and a suggested passing color
+ */
+
+import { parseColor, rgbToHex } from '../utils/color-convert.js';
+import {
+  WCAG_THRESHOLDS,
+  composite,
+  contrastRatio,
+  isLargeText,
+  apcaContrast,
+  apcaMinimum,
+  suggestPassingColor,
+} from '../utils/contrast.js';
+
+/**
+ * Canvas color assumed when no ancestor paints an opaque background
+ */
+const CANVAS = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * Max entries in the report lists
+ */
+const MAX_FAILURES = 50;
+const MAX_PAIRS = 30;
+
+/**
+ * Max text elements inspected on a page
+ */
+const MAX_ELEMENTS = 5000;
+
+/**
+ * Audit text contrast on a page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Object>} Contrast report (summary, pairs, failures, unverified)
+ */
+export async function extractContrast(page) {
+  const samples = await page.evaluate((maxElements) => {
+    // Alpha of a computed color string (rgba(), or "/ a" in CSS Color 4 syntax)
+    const alphaOf = (value) => {
+      if (!value || value === 'transparent') return 0;
+      const legacy = value.match(/^rgba\(.*,\s*([\d.]+)\)$/);
+      if (legacy) return parseFloat(legacy[1]);
+      const modern = value.match(/\/\s*([\d.]+)(%?)\s*\)$/);
+      if (modern) return parseFloat(modern[1]) / (modern[2] ? 100 : 1);
+      return 1;
+    };
+
+    const selectorOf = (el) => {
+      const parts = [];
+      let node = el;
+      while (node && node !== document.body && parts.length < 3) {
+        if (node.id) {
+          parts.unshift(`#${node.id}`);
+          break;
+        }
+        const classes = typeof node.className === 'string'
+          ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2)
+          : [];
+        parts.unshift(node.tagName.toLowerCase() + classes.map(c => `.${c}`).join(''));
+        node = node.parentElement;
+      }
+      return parts.join(' > ');
+    };
+
+    const hasOwnText = (el) => Array.from(el.childNodes)
+      .some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim().length > 0);
+
+    const pairs = new Map();
+    let inspected = 0;
+
+    for (const el of document.body.querySelectorAll('*')) {
+      if (inspected >= maxElements) break;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+      if (el.closest('svg')) continue;
+      if (!hasOwnText(el)) continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      if (alphaOf(style.color) === 0) continue;
+
+      inspected++;
+
+      // Walk up collecting backgrounds until one is opaque
+      const layers = [];
+      let opacity = 1;
+      let overImage = false;
+      let node = el;
+      while (node) {
+        const nodeStyle = window.getComputedStyle(node);
+        opacity *= parseFloat(nodeStyle.opacity) || 0;
+
+        if (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') {
+          overImage = true;
+          break;
+        }
+
+        const background = nodeStyle.backgroundColor;
+        const alpha = alphaOf(background);
+        if (alpha > 0) layers.push(background);
+        if (alpha >= 1) break;
+        node = node.parentElement;
+      }
+
+      const fontSize = parseFloat(style.fontSize) || 16;
+      const fontWeight = parseInt(style.fontWeight, 10) || 400;
+      const key = [style.color, layers.join('|'), fontSize, fontWeight, overImage, opacity].join(';');
+
+      const existing = pairs.get(key);
+      if (existing) {
+        existing.count++;
+        continue;
+      }
+
+      const text = el.textContent.trim().replace(/\s+/g, ' ');
+      pairs.set(key, {
+        color: style.color,
+        layers,
+        opacity,
+        overImage,
+        fontSize,
+        fontWeight,
+        selector: selectorOf(el),
+        text: text.length > 40 ? `${text.slice(0, 40)}…` : text,
+        count: 1,
+      });
+    }
+
+    return Array.from(pairs.values());
+  }, MAX_ELEMENTS);
+
+  return buildReport(samples);
+}
+
+/**
+ * Resolve the opaque background behind a sample
+ *
+ * @param {string[]} layers - Background colors from the element outwards
+ * @returns {Object|null} Opaque RGB, or null if a layer can't be parsed
+ */
+function resolveBackground(layers) {
+  let background = CANVAS;
+
+  // Paint from the outermost layer inwards
+  for (const layer of [...layers].reverse()) {
+    const rgb = parseColor(layer);
+    if (!rgb) return null;
+    background = composite(rgb, background);
+  }
+
+  return background;
+}
+
+/**
+ * Measure one text sample
+ *
+ * @param {Object} sample - Raw sample from the page
+ * @returns {Object|null} Measured pair, or null if colors can't be parsed
+ */
+function measureSample(sample) {
+  const background = resolveBackground(sample.layers);
+  const color = parseColor(sample.color);
+  if (!background || !color) return null;
+
+  // Element opacity fades text into its backdrop
+  const foreground = composite({ ...color, a: (color.a ?? 1) * sample.opacity }, background);
+
+  const large = isLargeText(sample.fontSize, sample.fontWeight);
+  const size = large ? 'large' : 'normal';
+  const ratio = contrastRatio(foreground, background);
+  const lc = apcaContrast(foreground, background);
+  const lcMinimum = apcaMinimum(sample.fontSize, sample.fontWeight);
+
+  return {
+    sample,
+    foreground,
+    background,
+    largeText: large,
+    ratio,
+    required: WCAG_THRESHOLDS.AA[size],
+    passAA: ratio >= WCAG_THRESHOLDS.AA[size],
+    passAAA: ratio >= WCAG_THRESHOLDS.AAA[size],
+    apca: {
+      lc: Math.round(lc * 10) / 10,
+      minimum: lcMinimum,
+      pass: Math.abs(lc) >= lcMinimum,
+    },
+  };
+}
+
+/**
+ * Round a contrast ratio for output
+ *
+ * @param {number} ratio
+ * @returns {number}
+ */
+function roundRatio(ratio) {
+  return Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Build the contrast report from raw samples
+ *
+ * @param {Object[]} samples - Deduplicated text samples from the page
+ * @returns {Object} Contrast report
+ */
+function buildReport(samples) {
+  const measured = [];
+  const unverified = [];
+
+  for (const sample of samples) {
+    // Text over images or gradients has no single background to measure against
+    if (sample.overImage) {
+      unverified.push({ selector: sample.selector, text: sample.text, count: sample.count });
+      continue;
+    }
+
+    const result = measureSample(sample);
+    if (result) measured.push(result);
+  }
+
+  // Color pairs across all text sizes
+  const pairMap = new Map();
+  for (const m of measured) {
+    const foreground = rgbToHex(m.foreground);
+    const background = rgbToHex(m.background);
+    const key = `${foreground}|${background}`;
+    const entry = pairMap.get(key) || {
+      foreground,
+      background,
+      ratio: roundRatio(m.ratio),
+      apca: m.apca.lc,
+      count: 0,
+    };
+    entry.count += m.sample.count;
+    pairMap.set(key, entry);
+  }
+
+  const failures = measured
+    .filter(m => !m.passAA)
+    .map(m => {
+      const suggestion = suggestPassingColor(m.foreground, m.background, m.required);
+      return {
+        selector: m.sample.selector,
+        text: m.sample.text,
+        fontSize: `${m.sample.fontSize}px`,
+        fontWeight: m.sample.fontWeight,
+        largeText: m.largeText,
+        foreground: rgbToHex(m.foreground),
+        background: rgbToHex(m.background),
+        ratio: roundRatio(m.ratio),
+        required: m.required,
+        apca: m.apca,
+        ...(suggestion && { suggestion }),
+        count: m.sample.count,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.ratio - b.ratio);
+
+  const total = (list) => list.reduce((sum, m) => sum + m.sample.count, 0);
+
+  return {
+    summary: {
+      textElements: total(measured) + unverified.reduce((sum, u) => sum + u.count, 0),
+      pairs: pairMap.size,
+      passAA: total(measured.filter(m => m.passAA)),
+      passAAA: total(measured.filter(m => m.passAAA)),
+      failAA: total(measured.filter(m => !m.passAA)),
+      failAPCA: total(measured.filter(m => !m.apca.pass)),
+      unverified: unverified.reduce((sum, u) => sum + u.count, 0),
+    },
+    pairs: Array.from(pairMap.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_PAIRS),
+    failures: failures.slice(0, MAX_FAILURES),
+    unverified: unverified
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_FAILURES),
+  };
+}
+
+export default extractContrast;
@@ -0,0 +1,307 @@
+/**
+ * fonts.js - Web font files loaded by the page
+ *
+ * @font-face rules only name a family and point at files, so the files
+ * themselves are read: font responses are kept as the page loads them
+ * (trackFontResponses) and files missed that way are fetched again.
+ *
+ * Extracts per file:
+ * - Format, size and URL, and the @font-face rule that points at it
+ * - Family, style, weight (or weight range), variable axes with their
+ *   ranges, named instances, covered Unicode ranges
+ * - Foundry and license metadata from the name table, embedding
+ *   permissions from OS/2
+ * - Optionally saves the files to a directory
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { readFontFile } from '../utils/font-file.js';
+
+/**
+ * Font responses captured per page: url => Promise<Buffer|null>
+ */
+const captured = new WeakMap();
+
+/**
+ * Max font files read per page, and max file size (bytes)
+ */
+const MAX_FILES = 50;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Per-request timeout for fetched font files
+ */
+const FETCH_TIMEOUT = 15000;
+
+/**
+ * Max license text length kept
+ */
+const MAX_LICENSE_LENGTH = 500;
+
+/**
+ * Font file URLs
+ */
+const FONT_URL = /\.(woff2?|ttf|otf|eot)([?#]|$)/i;
+
+/**
+ * File extension by format, for saved files
+ */
+const EXTENSIONS = {
+  woff2: 'woff2',
+  woff: 'woff',
+  truetype: 'ttf',
+  opentype: 'otf',
+  collection: 'ttc',
+  'embedded-opentype': 'eot',
+};
+
+/**
+ * Keep the body of every font response the page receives
+ * Call before navigating; responses are kept until the page navigates
+ * to another document.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {void}
+ */
+export function trackFontResponses(page) {
+  if (captured.has(page)) return;
+
+  const responses = new Map();
+  captured.set(page, responses);
+
+  // Crawls and batches reuse one page: drop the previous document's fonts
+  page.on('request', (request) => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) responses.clear();
+  });
+
+  page.on('response', (response) => {
+    if (response.request().resourceType() !== 'font' || !response.ok()) return;
+    responses.set(response.url(), response.body().catch(() => null));
+  });
+}
+
+/**
+ * Read the font files the current page loaded
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed CSS model from collectStylesheets()
+ * @param {Object} options - Extraction options
+ * @param {string} options.saveDir - Directory to save the files to
+ * @returns {Promise<Object>} { files: [...], summary }
+ */
+export async function extractFonts(page, css, options = {}) {
+  const { saveDir = null } = options;
+  const pageUrl = page.url();
+  const responses = captured.get(page) || new Map();
+
+  // Fonts this document loaded, from resource timing (cache hits included)
+  const resources = await page.evaluate(() =>
+    performance.getEntriesByType('resource').map(entry => entry.name)
+  );
+
+  const faces = fontFaceSources(css, pageUrl);
+  const urls = [...new Set(resources)]
+    .filter(url => !url.startsWith('data:') && (FONT_URL.test(url) || responses.has(url)))
+    .slice(0, MAX_FILES);
+
+  if (saveDir) await mkdir(saveDir, { recursive: true });
+
+  const files = [];
+  for (const url of urls) {
+    const captureBody = responses.has(url) ? await responses.get(url) : null;
+    const { body, error } = captureBody
+      ? { body: captureBody }
+      : await fetchFont(page, url);
+
+    const file = {
+      url,
+      source: captureBody ? 'network' : 'fetched',
+      ...(faces.get(url) && { declared: faces.get(url) }),
+    };
+
+    if (!body) {
+      files.push({ ...file, error });
+      continue;
+    }
+
+    file.size = body.length;
+    if (body.length > MAX_FILE_SIZE) {
+      files.push({ ...file, error: `File larger than ${MAX_FILE_SIZE} bytes` });
+      continue;
+    }
+
+    try {
+      Object.assign(file, describeFont(readFontFile(body)));
+    } catch (e) {
+      files.push({ ...file, error: e.message });
+      continue;
+    }
+
+    if (saveDir) {
+      file.savedAs = join(saveDir, fileName(file, url));
+      await writeFile(file.savedAs, body);
+    }
+
+    files.push(file);
+  }
+
+  return { files, summary: summarizeFonts(files) };
+}
+
+/**
+ * Totals for a list of font files
+ *
+ * @param {Object[]} files - Font files from extractFonts()
+ * @returns {Object} {files, totalSize, families, variable, failed}
+ */
+export function summarizeFonts(files) {
+  const read = files.filter(f => !f.error);
+
+  return {
+    files: files.length,
+    totalSize: read.reduce((sum, f) => sum + f.size, 0),
+    families: [...new Set(read.map(f => f.family).filter(Boolean))],
+    variable: [...new Set(read.filter(f => f.axes.length > 0).map(f => f.family))],
+    failed: files.length - read.length,
+  };
+}
+
+/**
+ * Resolved src URLs of every @font-face rule, with what the rule declares
+ *
+ * @param {Object} css - Parsed CSS model
+ * @param {string} pageUrl - Base URL for inline stylesheets
+ * @returns {Map<string, Object>} url => {family, weight, style, stretch, unicodeRange, display}
+ */
+function fontFaceSources(css, pageUrl) {
+  const sources = new Map();
+
+  for (const face of css.fontFaces) {
+    const declared = {
+      family: (face['font-family'] || '').replace(/['"]/g, '').trim() || null,
+      weight: face['font-weight'] || null,
+      style: face['font-style'] || null,
+      stretch: face['font-stretch'] || null,
+      unicodeRange: face['unicode-range'] || null,
+      display: face['font-display'] || null,
+    };
+    for (const key of Object.keys(declared)) {
+      if (declared[key] === null) delete declared[key];
+    }
+
+    for (const match of (face.src || '').matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+      try {
+        sources.set(new URL(match[2], face.sheet || pageUrl).href, declared);
+      } catch (e) {
+        // Unparseable URL
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Fetch a font file with the page's request context (cookies included)
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} url
+ * @returns {Promise<{body?: Buffer, error?: string}>}
+ */
+async function fetchFont(page, url) {
+  try {
+    const origin = new URL(page.url()).origin;
+    const response = await page.context().request.get(url, {
+      timeout: FETCH_TIMEOUT,
+      headers: { Referer: page.url(), Origin: origin, Accept: 'font/woff2,font/woff,*/*;q=0.1' },
+    });
+
+    if (!response.ok()) return { error: `HTTP ${response.status()}` };
+    return { body: await response.body() };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Report fields of a read font file
+ *
+ * @param {Object} font - From readFontFile()
+ * @returns {Object}
+ */
+function describeFont(font) {
+  if (font.format === 'embedded-opentype') return { format: font.format, axes: [] };
+
+  const { names } = font;
+  const weightAxis = font.axes.find(axis => axis.tag === 'wght');
+  const slanted = font.axes.some(axis => axis.tag === 'slnt' || axis.tag === 'ital');
+
+  const result = {
+    format: font.format,
+    family: names.family || null,
+    style: font.italic ? 'italic' : slanted ? 'normal, oblique' : 'normal',
+    subfamily: names.subfamily || null,
+    weight: weightAxis ? `${weightAxis.min} ${weightAxis.max}` : font.weight,
+    axes: font.axes,
+    instances: font.instances,
+    unicodeRanges: font.unicodeRanges,
+    codepoints: font.codepoints,
+    glyphs: font.glyphs,
+    fullName: names.fullName || null,
+    postScriptName: names.postScriptName || null,
+    version: names.version || null,
+    foundry: {
+      vendorId: font.vendorId,
+      manufacturer: names.manufacturer || null,
+      designer: names.designer || null,
+      url: names.vendorUrl || names.designerUrl || null,
+    },
+    license: {
+      copyright: names.copyright || null,
+      trademark: names.trademark || null,
+      description: names.license ? truncate(names.license, MAX_LICENSE_LENGTH) : null,
+      url: names.licenseUrl || null,
+      embedding: font.embedding,
+    },
+  };
+
+  for (const group of [result.foundry, result.license]) {
+    for (const key of Object.keys(group)) {
+      if (group[key] === null) delete group[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * File name for a saved font: family, weight and style, plus a hash of
+ * the URL so subsets of one face don't overwrite each other
+ *
+ * @param {Object} file - Described font file
+ * @param {string} url
+ * @returns {string}
+ */
+function fileName(file, url) {
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 8);
+  const base = [file.family || 'font', String(file.weight ?? '').replace(' ', '-'), (file.style || '').split(',')[0]]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^\w.-]+/g, '-');
+  return `${base}-${hash}.${EXTENSIONS[file.format] || 'font'}`;
+}
+
+/**
+ * Shorten text to a length
+ *
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+export default extractFonts;
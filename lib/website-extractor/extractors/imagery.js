@@ -0,0 +1,206 @@
+/**
+ * imagery.js - Dominant colors of images, SVGs and canvases
+ *
+ * Computed styles don't say what color an <img>, an inline SVG drawn from
+ * a <use> sprite, a <canvas> or a CSS background image paints, so these
+ * are read from a screenshot instead.
+ *
+ * Collects:
+ * - Boxes of visible imagery (img, svg, canvas, video, url() backgrounds)
+ * - The site logo (logo in id/class/alt/src, or the home link's image)
+ * - Dominant colors of the imagery and of the logo (median cut in OKLab)
+ */
+
+import { decodePng } from '../utils/png.js';
+import { quantize } from '../utils/quantize.js';
+import { isSimilarColor } from '../utils/delta-e.js';
+
+/**
+ * Max page height captured (px); longer pages are cut
+ */
+const MAX_CAPTURE_HEIGHT = 6000;
+
+/**
+ * Max pixels sampled from all imagery, and from the logo
+ */
+const MAX_SAMPLES = 40000;
+const MAX_LOGO_SAMPLES = 5000;
+
+/**
+ * Clusters kept per region, and the min share of the region they must cover
+ */
+const MAX_COLORS = 8;
+const MAX_LOGO_COLORS = 4;
+const MIN_SHARE = 0.03;
+const MIN_LOGO_SHARE = 0.05;
+
+/**
+ * Imagery result when nothing could be captured
+ *
+ * @returns {Object}
+ */
+export function emptyImagery() {
+  return { colors: [], logo: [], area: 0 };
+}
+
+/**
+ * Screenshot the page and find the dominant colors of its imagery
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Object>} { colors: [{hex, share, area}], logo: [{hex, share}], area }
+ */
+export async function collectImagery(page) {
+  const layout = await page.evaluate((maxHeight) => {
+    const pageWidth = document.documentElement.clientWidth || window.innerWidth;
+    const pageHeight = Math.min(Math.max(document.documentElement.scrollHeight, window.innerHeight), maxHeight);
+
+    // Bounding rect in page coordinates, clipped to the captured area
+    const clippedBox = (el) => {
+      const rect = el.getBoundingClientRect();
+      const left = Math.max(0, rect.left + window.scrollX);
+      const top = Math.max(0, rect.top + window.scrollY);
+      const right = Math.min(pageWidth, rect.right + window.scrollX);
+      const bottom = Math.min(pageHeight, rect.bottom + window.scrollY);
+      if (right <= left || bottom <= top) return null;
+      return { left, top, right, bottom };
+    };
+
+    const isVisible = (el) => {
+      const style = window.getComputedStyle(el);
+      return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+    };
+
+    const boxes = [];
+    let logo = null;
+
+    for (const el of document.querySelectorAll('*')) {
+      const tagName = el.tagName.toLowerCase();
+      const isMedia = ['img', 'canvas', 'video'].includes(tagName) ||
+        (tagName === 'svg' && !el.parentElement?.closest('svg'));
+      const hasImageBackground = !isMedia && /url\(/.test(window.getComputedStyle(el).backgroundImage);
+      if (!isMedia && !hasImageBackground) continue;
+      if (!isVisible(el)) continue;
+
+      const box = clippedBox(el);
+      if (!box) continue;
+      boxes.push(box);
+
+      if (!logo && isMedia) {
+        const className = typeof el.className === 'string' ? el.className : el.className?.baseVal || '';
+        const hints = [el.id, className, el.getAttribute('alt'), el.getAttribute('aria-label'), el.getAttribute('src')]
+          .join(' ');
+        const homeLink = el.closest('a[href="/"], a[href="./"]') || el.closest(`a[href="${location.origin}/"]`);
+        if (/logo/i.test(hints) || (homeLink && el.closest('header, nav'))) {
+          logo = box;
+        }
+      }
+    }
+
+    return { pageWidth, pageHeight, boxes, logo };
+  }, MAX_CAPTURE_HEIGHT);
+
+  if (layout.boxes.length === 0) return emptyImagery();
+
+  const png = await page.screenshot({
+    fullPage: true,
+    clip: { x: 0, y: 0, width: layout.pageWidth, height: layout.pageHeight },
+    timeout: 15000,
+  });
+  const image = decodePng(png);
+  const scale = image.width / layout.pageWidth;
+
+  const { pixels, area } = samplePixels(image, scale, layout.boxes, MAX_SAMPLES);
+  const colors = quantize(pixels, MAX_COLORS)
+    .filter(c => c.share >= MIN_SHARE)
+    .map(c => ({ hex: c.hex, share: c.share, area: c.share * area }));
+
+  return {
+    colors,
+    logo: layout.logo ? logoColors(image, scale, layout.logo) : [],
+    area,
+  };
+}
+
+/**
+ * Sample pixels on a grid over a set of boxes (overlaps sampled once)
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Decoded screenshot
+ * @param {number} scale - Image pixels per CSS pixel
+ * @param {Array<{left: number, top: number, right: number, bottom: number}>} boxes - CSS px
+ * @param {number} maxSamples - Max samples
+ * @returns {{pixels: Array, area: number}} Samples weighted by the CSS px² they stand for, and the area covered
+ */
+function samplePixels(image, scale, boxes, maxSamples) {
+  const totalArea = boxes.reduce((sum, b) => sum + (b.right - b.left) * (b.bottom - b.top), 0);
+  const step = Math.max(1, Math.ceil(Math.sqrt(totalArea / maxSamples)));
+
+  const seen = new Set();
+  const pixels = [];
+
+  for (const box of boxes) {
+    for (let gy = Math.floor(box.top / step); gy * step < box.bottom; gy++) {
+      for (let gx = Math.floor(box.left / step); gx * step < box.right; gx++) {
+        const x = gx * step;
+        const y = gy * step;
+        if (x < box.left || y < box.top) continue;
+
+        const key = `${gx},${gy}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        pixels.push({ ...pixelAt(image, scale, x, y), weight: step * step });
+      }
+    }
+  }
+
+  return { pixels, area: pixels.length * step * step };
+}
+
+/**
+ * Read the screenshot pixel at a CSS px position
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Decoded screenshot
+ * @param {number} scale - Image pixels per CSS pixel
+ * @param {number} x - CSS px
+ * @param {number} y - CSS px
+ * @returns {{r: number, g: number, b: number}}
+ */
+function pixelAt(image, scale, x, y) {
+  const px = Math.min(image.width - 1, Math.floor(x * scale));
+  const py = Math.min(image.height - 1, Math.floor(y * scale));
+  const i = (py * image.width + px) * 4;
+  return { r: image.data[i], g: image.data[i + 1], b: image.data[i + 2] };
+}
+
+/**
+ * Dominant colors of the logo, without the backdrop it sits on
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Decoded screenshot
+ * @param {number} scale - Image pixels per CSS pixel
+ * @param {{left: number, top: number, right: number, bottom: number}} box - Logo box (CSS px)
+ * @returns {Array<{hex: string, share: number}>}
+ */
+function logoColors(image, scale, box) {
+  const { pixels } = samplePixels(image, scale, [box], MAX_LOGO_SAMPLES);
+
+  // Transparent logos show the header behind them in their corners
+  const corners = quantize(
+    [[box.left, box.top], [box.right - 1, box.top], [box.left, box.bottom - 1], [box.right - 1, box.bottom - 1]]
+      .map(([x, y]) => ({ ...pixelAt(image, scale, x, y), weight: 1 })),
+    1,
+  );
+  const backdrop = corners[0]?.hex;
+
+  const clusters = quantize(pixels, MAX_LOGO_COLORS)
+    .filter(c => !backdrop || !isSimilarColor(c.hex, backdrop, 5));
+  const total = clusters.reduce((sum, c) => sum + c.share, 0);
+
+  return clusters
+    .map(c => ({ hex: c.hex, share: c.share / total }))
+    .filter(c => c.share >= MIN_LOGO_SHARE);
+}
+
+export default {
+  collectImagery,
+  emptyImagery,
+};
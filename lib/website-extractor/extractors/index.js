@@ -1,17 +1,27 @@
 /**
  * extractors/index.js - Orchestration of all extractors
  *
- * Runs all extractors in parallel and combines results
+ * Runs the read-only extractors in parallel, with the ones that change the
+ * page (viewport resizes, screenshots, forced states) on their own around
+ * them, and combines results
  */
 
 import extractColors from './colors.js';
-import extractTypography from './typography.js';
+import extractTypography, { typographySampler } from './typography.js';
 import extractSpacing from './spacing.js';
 import extractBorders from './borders.js';
 import extractShadows from './shadows.js';
 import extractComponents from './components.js';
 import detectFrameworks from './frameworks.js';
 import extractBreakpoints from './breakpoints.js';
+import extractMotion from './motion.js';
+import extractContrast from './contrast.js';
+import extractVariables from './variables.js';
+import extractFonts from './fonts.js';
+import extractLayout, { layoutSampler } from './layout.js';
+import { sampleViewports } from './viewports.js';
+import { collectStylesheets, emptyModel } from './stylesheets.js';
+import { collectImagery, emptyImagery } from './imagery.js';
 
 /**
  * Run all extractors on a page
@@ -23,27 +33,54 @@ import extractBreakpoints from './breakpoints.js';
 export async function runAllExtractors(page, options = {}) {
   const startTime = Date.now();
 
-  // Run all extractors in parallel
+  // Collect every stylesheet once (cross-origin included) and share the parsed model
+  const css = await collectStylesheets(page).catch(() => emptyModel());
+
+  // Resizing the viewport would disturb the other extractors, so sample first,
+  // typography and layout in one pass over the widths
+  const [typographySamples, layout] = await sampleViewports(page, [
+    await typographySampler(page, css).catch(() => null),
+    layoutSampler(page, css),
+  ]).catch(err => [null, { error: err.message }]);
+  const viewports = typographySamples?.error ? null : typographySamples;
+
+  // Screenshot the imagery before the extractors start changing element states
+  const imagery = await collectImagery(page).catch(() => emptyImagery());
+
+  // Read the font files first: typography reports variable fonts from them
+  const fonts = await extractFonts(page, css, { saveDir: options.saveFonts })
+    .catch(err => ({ error: err.message }));
+
+  // Component anatomy measures element geometry, so spacing runs on its own
+  const spacing = await extractSpacing(page, css).catch(err => ({ error: err.message }));
+
+  // Run the extractors that only read the page in parallel
   const [
     colors,
     typography,
-    spacing,
     bordersAndRadii,
     shadows,
-    components,
     frameworksAndIcons,
     breakpoints,
+    motion,
+    contrast,
+    variables,
   ] = await Promise.all([
-    extractColors(page).catch(err => ({ error: err.message })),
-    extractTypography(page).catch(err => ({ error: err.message })),
-    extractSpacing(page).catch(err => ({ error: err.message })),
+    extractColors(page, css, imagery).catch(err => ({ error: err.message })),
+    extractTypography(page, css, viewports, fonts).catch(err => ({ error: err.message })),
     extractBorders(page).catch(err => ({ error: err.message })),
     extractShadows(page).catch(err => ({ error: err.message })),
-    extractComponents(page).catch(err => ({ error: err.message })),
     detectFrameworks(page).catch(err => ({ error: err.message })),
-    extractBreakpoints(page).catch(err => ({ error: err.message })),
+    extractBreakpoints(page, css).catch(err => ({ error: err.message })),
+    extractMotion(page, css).catch(err => ({ error: err.message })),
+    extractContrast(page).catch(err => ({ error: err.message })),
+    extractVariables(page, css).catch(err => ({ error: err.message })),
   ]);
 
+  // Forcing hover/focus/active states changes colors, padding and transitions
+  // under the other readers, so states are captured once they are done
+  const components = await extractComponents(page, css).catch(err => ({ error: err.message }));
+
   const extractionTime = Date.now() - startTime;
 
   return {
@@ -54,12 +91,18 @@ export async function runAllExtractors(page, options = {}) {
     borders: bordersAndRadii.borders,
     shadows,
     breakpoints,
+    layout,
+    motion,
     components,
+    contrast,
+    variables,
+    fonts,
     frameworks: frameworksAndIcons.frameworks,
     iconSystems: frameworksAndIcons.iconSystems,
     cssMethodology: frameworksAndIcons.cssMethodology,
     _meta: {
       extractionTimeMs: extractionTime,
+      stylesheets: css.sheets,
     },
   };
 }
@@ -73,6 +116,11 @@ export {
   extractComponents,
   detectFrameworks,
   extractBreakpoints,
+  extractMotion,
+  extractContrast,
+  extractVariables,
+  extractFonts,
+  extractLayout,
 };
 
 export default runAllExtractors;
@@ -0,0 +1,354 @@
+/**
+ * layout.js - Page layout detection
+ *
+ * Extracts, at each breakpoint:
+ * - Max-width containers: width, max-width and horizontal padding
+ * - Column grids: CSS grid templates, flex rows of equal children and
+ *   Bootstrap/Tailwind column classes, with column count and gutter
+ * - The page's main container and grid, summarized per breakpoint
+ *
+ * The page is resized to a width in every media query range, so this
+ * runs before the other extractors; the viewport is restored afterwards.
+ */
+
+import { countToConfidence } from '../utils/confidence.js';
+import { mostCommon, round } from '../utils/stats.js';
+import { elementLabel } from '../utils/selectors.js';
+import { breakpointWidths } from './breakpoints.js';
+import { sampleViewports } from './viewports.js';
+
+/**
+ * Narrowest width sampled (px)
+ */
+const MOBILE_WIDTH = 375;
+
+/**
+ * Max widths sampled, and the distance (px) within which breakpoints
+ * count as one (max-width: 767px and min-width: 768px)
+ */
+const MAX_WIDTHS = 7;
+const BREAKPOINT_MERGE_DISTANCE = 48;
+
+/**
+ * Min max-width (px) for a container, and min width (px) for a grid
+ */
+const MIN_CONTAINER_WIDTH = 320;
+const MIN_GRID_WIDTH = 200;
+
+/**
+ * Max difference (px) between children of an equal-width flex row, and
+ * min share of the row's width they fill
+ */
+const EQUAL_WIDTH_TOLERANCE = 2;
+const MIN_ROW_FILL = 0.9;
+
+/**
+ * Max containers and grids reported
+ */
+const MAX_CONTAINERS = 5;
+const MAX_GRIDS = 10;
+
+/**
+ * Detect containers and column grids at each breakpoint
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js)
+ * @returns {Promise<Object|null>} {containers, grids, breakpoints}, null without a fixed viewport
+ */
+export async function extractLayout(page, css) {
+  const [layout] = await sampleViewports(page, [layoutSampler(page, css)]);
+  return layout;
+}
+
+/**
+ * Viewport sampler for containers and grids (see viewports.js)
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js)
+ * @returns {Object|null} Sampler, null without a fixed viewport
+ */
+export function layoutSampler(page, css) {
+  const viewport = page.viewportSize();
+  if (!viewport) return null;
+
+  const widths = sampleWidths(breakpointWidths(css), viewport.width);
+  const samples = {};
+
+  return {
+    widths,
+    read: async (width) => {
+      samples[width] = await readLayout(page);
+    },
+    result: () => processLayout(samples, widths),
+  };
+}
+
+/**
+ * Widths to sample: a phone, each breakpoint (where its min-width rules
+ * start) and the page's own viewport
+ *
+ * @param {number[]} breakpoints - Media query widths (px), ascending
+ * @param {number} viewportWidth - Current viewport width (px)
+ * @returns {number[]} Ascending widths
+ */
+function sampleWidths(breakpoints, viewportWidth) {
+  const merged = [];
+  for (const width of breakpoints.filter(w => w > MOBILE_WIDTH)) {
+    if (merged.length > 0 && width - merged[merged.length - 1] <= BREAKPOINT_MERGE_DISTANCE) {
+      merged[merged.length - 1] = width;
+    } else {
+      merged.push(width);
+    }
+  }
+
+  // Keep an even spread when there are many breakpoints
+  let kept = merged;
+  const room = MAX_WIDTHS - 2;
+  if (merged.length > room) {
+    kept = Array.from({ length: room }, (_, i) => merged[Math.round(i * (merged.length - 1) / (room - 1))]);
+  }
+
+  return [...new Set([MOBILE_WIDTH, ...kept, viewportWidth])].sort((a, b) => a - b);
+}
+
+/**
+ * Read containers and grids at the current viewport width
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{containers: Array, grids: Array}>}
+ */
+async function readLayout(page) {
+  const layout = await page.evaluate(({ minContainerWidth, minGridWidth, equalWidthTolerance, minRowFill }) => {
+    const px = value => parseFloat(value) || 0;
+
+    // Labelled outside the page (see utils/selectors.js)
+    const identify = el => ({ tag: el.tagName, id: el.id, className: typeof el.className === 'string' ? el.className : '' });
+
+    const classList = el => (typeof el.className === 'string' ? el.className.split(/\s+/) : []);
+
+    // Box inside the padding and border, where children are laid out
+    const contentBox = (el, rect, style) => ({
+      left: rect.left + px(style.borderLeftWidth) + px(style.paddingLeft),
+      right: rect.right - px(style.borderRightWidth) - px(style.paddingRight),
+    });
+
+    const containers = [];
+    const grids = [];
+
+    for (const el of document.body.querySelectorAll('*')) {
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.display === 'contents' || style.display === 'inline') continue;
+      if (style.visibility === 'hidden') continue;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width < minGridWidth || rect.height === 0) continue;
+
+      // Containers: an explicit max-width, centered in the parent
+      if (style.maxWidth.endsWith('px') && px(style.maxWidth) >= minContainerWidth && el.parentElement) {
+        const parent = el.parentElement;
+        const box = contentBox(parent, parent.getBoundingClientRect(), window.getComputedStyle(parent));
+        if (Math.abs((rect.left - box.left) - (box.right - rect.right)) <= 2) {
+          containers.push({
+            element: identify(el),
+            maxWidth: px(style.maxWidth),
+            width: rect.width,
+            paddingLeft: px(style.paddingLeft),
+            paddingRight: px(style.paddingRight),
+          });
+        }
+      }
+
+      const children = Array.from(el.children)
+        .filter((child) => {
+          const childStyle = window.getComputedStyle(child);
+          return childStyle.display !== 'none' && !['absolute', 'fixed'].includes(childStyle.position);
+        })
+        .map(child => ({ el: child, rect: child.getBoundingClientRect() }))
+        .filter(child => child.rect.width > 0);
+      if (children.length < 2) continue;
+
+      const classes = classList(el);
+      const childClasses = children.flatMap(child => classList(child.el));
+
+      // CSS grid: one column per resolved track
+      if (style.display === 'grid' || style.display === 'inline-grid') {
+        const tracks = style.gridTemplateColumns.split(/\s+/).filter(track => track.endsWith('px'));
+        if (tracks.length === 0) continue;
+
+        grids.push({
+          element: identify(el),
+          type: 'grid',
+          framework: classes.some(c => /(^|:)grid-cols-\d+$/.test(c)) ? 'tailwind' : null,
+          columns: tracks.length,
+          gutter: px(style.columnGap),
+          width: rect.width,
+        });
+        continue;
+      }
+
+      // Flex rows whose children share one width and fill the row
+      if ((style.display === 'flex' || style.display === 'inline-flex') && style.flexDirection.startsWith('row')) {
+        const widths = children.map(child => child.rect.width);
+        if (Math.max(...widths) - Math.min(...widths) > equalWidthTolerance) continue;
+
+        // First row, left to right (row-reverse included)
+        const row = children
+          .filter(child => Math.abs(child.rect.top - children[0].rect.top) <= 2)
+          .sort((a, b) => a.rect.left - b.rect.left);
+        const box = contentBox(el, rect, style);
+        const span = row[row.length - 1].rect.right - row[0].rect.left;
+        if (span < (box.right - box.left) * minRowFill) continue;
+
+        const bootstrap = childClasses.some(c => /^col(-(sm|md|lg|xl|xxl))?(-(\d+|auto))?$/.test(c));
+        const tailwind = childClasses.some(c => /(^|:)(w|basis)-\d+\/\d+$/.test(c));
+
+        // Bootstrap gutters are column padding, not space between the boxes
+        let gutter = row.length > 1 ? row[1].rect.left - row[0].rect.right : px(style.columnGap);
+        if (bootstrap) {
+          const first = window.getComputedStyle(row[0].el);
+          gutter += px(first.paddingLeft) + px(first.paddingRight);
+        }
+
+        grids.push({
+          element: identify(el),
+          type: 'flex',
+          framework: bootstrap ? 'bootstrap' : tailwind ? 'tailwind' : null,
+          columns: row.length,
+          gutter: Math.max(0, gutter),
+          width: rect.width,
+        });
+      }
+    }
+
+    return { containers, grids };
+  }, {
+    minContainerWidth: MIN_CONTAINER_WIDTH,
+    minGridWidth: MIN_GRID_WIDTH,
+    equalWidthTolerance: EQUAL_WIDTH_TOLERANCE,
+    minRowFill: MIN_ROW_FILL,
+  });
+
+  const label = items => items.map(({ element, ...item }) => ({ ...item, selector: elementLabel(element) }));
+  return { containers: label(layout.containers), grids: label(layout.grids) };
+}
+
+/**
+ * Group containers and grids by selector across widths, and summarize
+ * the main ones per breakpoint
+ *
+ * @param {Object} samples - Width => {containers, grids}
+ * @param {number[]} widths - Sampled widths, ascending
+ * @returns {Object} {containers, grids, breakpoints}
+ */
+function processLayout(samples, widths) {
+  const containers = groupBySelector(widths, samples, 'containers', items => ({
+    maxWidth: `${round(mostCommon(items.map(i => i.maxWidth)))}px`,
+    width: `${round(mostCommon(items.map(i => i.width)))}px`,
+    padding: formatPadding(mostCommon(items.map(i => `${round(i.paddingLeft)}|${round(i.paddingRight)}`))),
+  }));
+
+  // Grids that never show more than one column are just stacks
+  const grids = groupBySelector(widths, samples, 'grids', items => ({
+    columns: mostCommon(items.map(i => i.columns)),
+    gutter: `${round(mostCommon(items.map(i => i.gutter)))}px`,
+  }), group => Object.values(group.breakpoints).some(bp => bp.columns > 1));
+
+  // The container spanning most of the viewport holds the page, and the
+  // widest grid is its grid
+  const [mainContainer] = containers;
+  const [mainGrid] = grids;
+
+  const breakpoints = {};
+  for (const width of widths) {
+    const key = `${width}px`;
+    const container = mainContainer?.breakpoints[key];
+    const grid = mainGrid?.breakpoints[key];
+    if (!container && !grid) continue;
+
+    breakpoints[key] = {
+      ...(container && {
+        containerWidth: container.width,
+        containerMaxWidth: container.maxWidth,
+        containerPadding: container.padding,
+      }),
+      ...(grid && { columns: grid.columns, gutter: grid.gutter }),
+    };
+  }
+
+  const widest = `${widths[widths.length - 1]}px`;
+
+  return {
+    containers: Object.fromEntries(containers.slice(0, MAX_CONTAINERS).map(container => [container.selector, {
+      maxWidth: (container.breakpoints[widest] || Object.values(container.breakpoints).pop()).maxWidth,
+      breakpoints: container.breakpoints,
+      count: container.count,
+      confidence: countToConfidence(container.count),
+    }])),
+    grids: Object.fromEntries(grids.slice(0, MAX_GRIDS).map((grid) => {
+      const items = widths.flatMap(w => samples[w].grids.filter(g => g.selector === grid.selector));
+      const framework = mostCommon(items.map(i => i.framework));
+
+      return [grid.selector, {
+        type: mostCommon(items.map(i => i.type)),
+        ...(framework && { framework }),
+        breakpoints: grid.breakpoints,
+        count: grid.count,
+        confidence: countToConfidence(grid.count),
+      }];
+    })),
+    breakpoints,
+  };
+}
+
+/**
+ * Group items found at each width by selector, describing each width's
+ * items, ranked by the share of the viewport they span (so a page-wide
+ * wrapper beats a row of repeated cards), then by how many elements share
+ * the selector
+ *
+ * @param {number[]} widths - Sampled widths
+ * @param {Object} samples - Width => {containers, grids}
+ * @param {string} list - 'containers' or 'grids'
+ * @param {Function} describeItems - Items at one width => description
+ * @param {Function} keep - Group => whether to report it
+ * @returns {Array<{selector, count, breakpoints}>}
+ */
+function groupBySelector(widths, samples, list, describeItems, keep = () => true) {
+  const bySelector = new Map();
+
+  for (const width of widths) {
+    const atWidth = new Map();
+    for (const item of samples[width][list]) {
+      if (!atWidth.has(item.selector)) atWidth.set(item.selector, []);
+      atWidth.get(item.selector).push(item);
+    }
+
+    for (const [selector, items] of atWidth) {
+      if (!bySelector.has(selector)) bySelector.set(selector, { selector, count: 0, spans: [], breakpoints: {} });
+      const group = bySelector.get(selector);
+      group.count = Math.max(group.count, items.length);
+      group.spans.push(Math.max(...items.map(i => i.width)) / width);
+      group.breakpoints[`${width}px`] = describeItems(items);
+    }
+  }
+
+  const span = group => round(group.spans.reduce((sum, s) => sum + s, 0) / widths.length);
+
+  return Array.from(bySelector.values())
+    .filter(keep)
+    .sort((a, b) => span(b) - span(a) || b.count - a.count)
+    .map(({ spans, ...group }) => group);
+}
+
+/**
+ * Horizontal padding as a CSS value
+ *
+ * @param {string} key - "left|right" (px)
+ * @returns {string}
+ */
+function formatPadding(key) {
+  const [left, right] = key.split('|');
+  return left === right ? `${left}px` : `${left}px ${right}px`;
+}
+
+export default extractLayout;
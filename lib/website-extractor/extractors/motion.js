@@ -0,0 +1,872 @@
+/**
+ * motion.js - Motion token extraction from web pages
+ *
+ * Extracts:
+ * - Durations from computed transition-* and animation-* values (clustered into a scale)
+ * - Easing curves (keywords normalized to cubic-bezier, clustered)
+ * - Transition patterns per component type
+ * - @keyframes animations and running animations (document.getAnimations())
+ * - Continuous micro-interactions (spinners, pulses)
+ *
+ * Output matches references/motion-system-schema.md.
+ */
+
+import { collectStylesheets } from './stylesheets.js';
+import { countToConfidence } from '../utils/confidence.js';
+import { splitTopLevel } from '../utils/css-values.js';
+
+/**
+ * Keyword easings expressed as cubic-bezier control points
+ */
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+/**
+ * Duration scale: upper bound (ms) of each named step
+ */
+const DURATION_BANDS = [
+  { name: 'instant', max: 75 },
+  { name: 'fast', max: 175 },
+  { name: 'normal', max: 350 },
+  { name: 'slow', max: 600 },
+  { name: 'slower', max: Infinity },
+];
+
+/**
+ * Durations within this distance (ms, or fraction of the value) share a cluster
+ */
+const DURATION_TOLERANCE_MS = 20;
+const DURATION_TOLERANCE_RATIO = 0.15;
+
+/**
+ * Max difference per control point for easings to share a cluster
+ */
+const EASING_TOLERANCE = 0.05;
+
+/**
+ * Keywords in the animation shorthand that are not an animation name
+ */
+const ANIMATION_KEYWORDS = new Set([
+  'none', 'normal', 'reverse', 'alternate', 'alternate-reverse',
+  'forwards', 'backwards', 'both', 'running', 'paused', 'infinite',
+]);
+
+/**
+ * Labels used in usage strings per component context
+ */
+const CONTEXT_LABELS = {
+  button: 'buttons',
+  link: 'links',
+  input: 'inputs',
+  card: 'cards',
+  modal: 'modals',
+  dropdown: 'dropdowns',
+  nav: 'navigation',
+  loader: 'loaders',
+};
+
+/**
+ * Extract motion tokens from a page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed CSS model from collectStylesheets() (collected if omitted)
+ * @returns {Promise<Object>} Motion section (durations, easings, transitions, microInteractions, keyframes)
+ */
+export async function extractMotion(page, css = null) {
+  const model = css || await collectStylesheets(page);
+
+  const raw = await page.evaluate(() => {
+    // Split a computed list on top-level commas (cubic-bezier() contains commas)
+    const splitList = (value) => {
+      const parts = [];
+      let depth = 0;
+      let current = '';
+      for (const ch of value || '') {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+          parts.push(current.trim());
+          current = '';
+        } else {
+          current += ch;
+        }
+      }
+      if (current.trim()) parts.push(current.trim());
+      return parts;
+    };
+
+    const describe = (el) => ({
+      tagName: el.tagName.toLowerCase(),
+      classes: typeof el.className === 'string' ? el.className.toLowerCase() : '',
+      role: el.getAttribute('role') || '',
+      inNav: !!el.closest('nav'),
+    });
+
+    const usages = [];
+
+    // Hidden elements are kept: closed menus and modals carry their transitions too
+    for (const el of document.querySelectorAll('*')) {
+      const style = window.getComputedStyle(el);
+
+      const durations = splitList(style.transitionDuration);
+      if (durations.some(d => parseFloat(d) > 0)) {
+        const properties = splitList(style.transitionProperty);
+        const easings = splitList(style.transitionTimingFunction);
+        const element = describe(el);
+
+        properties.forEach((property, i) => {
+          usages.push({
+            kind: 'transition',
+            property,
+            duration: durations[i % durations.length],
+            easing: easings[i % easings.length],
+            element,
+          });
+        });
+      }
+
+      const names = splitList(style.animationName);
+      if (names.some(n => n !== 'none')) {
+        const animDurations = splitList(style.animationDuration);
+        const easings = splitList(style.animationTimingFunction);
+        const iterations = splitList(style.animationIterationCount);
+        const element = describe(el);
+
+        names.forEach((name, i) => {
+          if (name === 'none') return;
+          usages.push({
+            kind: 'animation',
+            name,
+            duration: animDurations[i % animDurations.length],
+            easing: easings[i % easings.length],
+            iterations: iterations[i % iterations.length],
+            element,
+          });
+        });
+      }
+    }
+
+    // Running animations, including Web Animations API ones started by scripts
+    const running = (document.getAnimations ? document.getAnimations() : []).map((animation) => {
+      const effect = animation.effect;
+      const timing = effect?.getTiming ? effect.getTiming() : {};
+      const target = effect?.target;
+      const keyframes = effect?.getKeyframes ? effect.getKeyframes() : [];
+      const properties = new Set();
+      for (const frame of keyframes) {
+        for (const key of Object.keys(frame)) {
+          if (!['offset', 'computedOffset', 'easing', 'composite'].includes(key)) properties.add(key);
+        }
+      }
+
+      let kind = 'script';
+      if (animation.animationName) kind = 'css-animation';
+      else if (animation.transitionProperty) kind = 'css-transition';
+
+      return {
+        kind,
+        name: animation.animationName || animation.transitionProperty || animation.id || null,
+        duration: typeof timing.duration === 'number' ? timing.duration : null,
+        easing: timing.easing || null,
+        iterations: timing.iterations === Infinity ? 'infinite' : timing.iterations,
+        properties: Array.from(properties),
+        playState: animation.playState,
+        element: target ? describe(target) : null,
+      };
+    });
+
+    return { usages, running };
+  });
+
+  // Declared values catch state-only transitions and components not on the page;
+  // rules matching an element were already counted from its computed style
+  const unmatched = await unmatchedSelectors(page, model.rules.filter(hasMotion).map(rule => rule.selector));
+  const declared = collectDeclaredUsages(model.rules.filter(rule => unmatched.has(rule.selector)));
+
+  // Script animations are not visible in computed styles
+  const scripted = raw.running
+    .filter(a => a.kind === 'script' && a.duration > 0)
+    .map(a => ({
+      kind: 'animation',
+      name: a.name || 'web-animation',
+      duration: `${a.duration}ms`,
+      easing: a.easing,
+      iterations: a.iterations,
+      properties: a.properties,
+      element: a.element,
+    }));
+
+  const usages = [...raw.usages, ...declared, ...scripted]
+    .map(normalizeUsage)
+    .filter(Boolean);
+
+  return processMotion(usages, model.keyframes, raw.running);
+}
+
+/**
+ * Whether a rule declares a transition or an animation
+ *
+ * @param {Object} rule - Rule from the parsed CSS model
+ * @returns {boolean}
+ */
+function hasMotion(rule) {
+  return Object.keys(rule.declarations).some(p => p.startsWith('transition') || p.startsWith('animation'));
+}
+
+/**
+ * Selectors that match no element on the page right now
+ * State selectors (:hover) and pseudo-elements, which computed styles of
+ * the elements don't show, count as unmatched.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string[]} selectors
+ * @returns {Promise<Set<string>>}
+ */
+async function unmatchedSelectors(page, selectors) {
+  const unmatched = await page.evaluate((selectors) => selectors.filter((selector) => {
+    try {
+      return !document.querySelector(selector);
+    } catch (e) {
+      return true;
+    }
+  }), [...new Set(selectors)]);
+
+  return new Set(unmatched);
+}
+
+/**
+ * Collect transition and animation usages declared in CSS rules
+ *
+ * @param {Array} rules - Rules from the parsed CSS model
+ * @returns {Array} Usages in the same shape as computed ones
+ */
+function collectDeclaredUsages(rules) {
+  const usages = [];
+
+  for (const rule of rules) {
+    const d = rule.declarations;
+    const hasTransition = Object.keys(d).some(p => p.startsWith('transition'));
+    const hasAnimation = Object.keys(d).some(p => p.startsWith('animation'));
+    if (!hasTransition && !hasAnimation) continue;
+
+    const element = elementFromSelector(rule.selector);
+
+    if (hasTransition) {
+      for (const layer of declaredLayers(d, 'transition')) {
+        usages.push({ kind: 'transition', ...layer, element, selector: rule.selector });
+      }
+    }
+    if (hasAnimation) {
+      for (const layer of declaredLayers(d, 'animation')) {
+        usages.push({ kind: 'animation', ...layer, element, selector: rule.selector });
+      }
+    }
+  }
+
+  return usages;
+}
+
+/**
+ * Resolve transition/animation layers from shorthand and longhand declarations
+ *
+ * @param {Object} declarations - Rule declarations
+ * @param {'transition'|'animation'} kind
+ * @returns {Array<Object>} Layers ({property|name, duration, easing, iterations})
+ */
+function declaredLayers(declarations, kind) {
+  const clean = (value) => (value || '').replace(/\s*!important$/, '').trim();
+  const layers = declarations[kind] ? parseShorthand(clean(declarations[kind]), kind) : [];
+
+  // Longhands override the shorthand per layer
+  const longhands = kind === 'transition'
+    ? { property: 'transition-property', duration: 'transition-duration', easing: 'transition-timing-function' }
+    : { name: 'animation-name', duration: 'animation-duration', easing: 'animation-timing-function', iterations: 'animation-iteration-count' };
+
+  for (const [field, prop] of Object.entries(longhands)) {
+    if (!declarations[prop]) continue;
+    const values = splitTopLevel(clean(declarations[prop]), ',');
+    const count = Math.max(layers.length, values.length);
+    for (let i = 0; i < count; i++) {
+      if (!layers[i]) layers[i] = {};
+      layers[i][field] = values[i % values.length];
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Parse a transition or animation shorthand into layers
+ *
+ * @param {string} value - Shorthand value
+ * @param {'transition'|'animation'} kind
+ * @returns {Array<Object>}
+ */
+function parseShorthand(value, kind) {
+  if (!value || value === 'none') return [];
+
+  return splitTopLevel(value, ',').map((layerText) => {
+    const layer = {};
+    let timeCount = 0;
+
+    for (const token of splitTopLevel(layerText, ' ')) {
+      if (/^-?[\d.]+m?s$/i.test(token)) {
+        // The first time is the duration, the second the delay
+        if (timeCount === 0) layer.duration = token;
+        timeCount++;
+      } else if (isEasingValue(token)) {
+        layer.easing = token;
+      } else if (kind === 'animation' && (token === 'infinite' || /^[\d.]+$/.test(token))) {
+        layer.iterations = token;
+      } else if (kind === 'transition' && !token.includes('(')) {
+        layer.property = token;
+      } else if (kind === 'animation' && !ANIMATION_KEYWORDS.has(token) && !token.includes('(')) {
+        layer.name = token;
+      }
+    }
+
+    if (kind === 'transition' && !layer.property) layer.property = 'all';
+    return layer;
+  });
+}
+
+/**
+ * Check whether a token is a timing function
+ *
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isEasingValue(token) {
+  return token in EASING_KEYWORDS ||
+    /^(cubic-bezier|steps|linear)\(/i.test(token) ||
+    ['step-start', 'step-end'].includes(token);
+}
+
+/**
+ * Guess element info from a selector so declared rules get a context
+ *
+ * @param {string} selector
+ * @returns {Object} Element info in the shape produced in the page
+ */
+function elementFromSelector(selector) {
+  const lower = selector.toLowerCase();
+  const tagMatch = lower.match(/(?:^|[\s>+~])(button|a|input|select|textarea|nav|dialog)(?=$|[\s.#:[>+~,])/);
+  const roleMatch = lower.match(/\[role=["']?([a-z]+)/);
+
+  return {
+    tagName: tagMatch ? tagMatch[1] : '',
+    classes: lower,
+    role: roleMatch ? roleMatch[1] : '',
+    inNav: /\bnav\b|navbar|navigation/.test(lower),
+  };
+}
+
+/**
+ * Classify the component context of an element
+ *
+ * @param {Object|null} element - Element info
+ * @returns {string} button, link, input, card, modal, dropdown, nav, loader or element
+ */
+function classifyContext(element) {
+  if (!element) return 'element';
+  const { tagName, classes, role, inNav } = element;
+
+  if (/spinner|loader|loading|skeleton/.test(classes) || role === 'progressbar') return 'loader';
+  if (tagName === 'button' || role === 'button' || /\bbtn\b|button/.test(classes)) return 'button';
+  if (['input', 'select', 'textarea'].includes(tagName) || /\binput\b|form-control/.test(classes)) return 'input';
+  if (tagName === 'dialog' || role === 'dialog' || /modal|dialog|drawer/.test(classes)) return 'modal';
+  if (role === 'menu' || role === 'listbox' || /dropdown|popover|menu|tooltip/.test(classes)) return 'dropdown';
+  if (tagName === 'a' || role === 'link') return 'link';
+  if (/card/.test(classes)) return 'card';
+  if (tagName === 'nav' || inNav) return 'nav';
+  return 'element';
+}
+
+/**
+ * Normalize a usage: parse the duration, canonicalize the easing, add context
+ *
+ * @param {Object} usage - Raw usage
+ * @returns {Object|null} Normalized usage, or null if it does not animate
+ */
+function normalizeUsage(usage) {
+  const durationMs = parseTime(usage.duration);
+  if (!durationMs) return null;
+  if (usage.kind === 'transition' && (!usage.property || usage.property === 'none')) return null;
+  if (usage.kind === 'animation' && (!usage.name || usage.name === 'none')) return null;
+
+  const easing = parseEasing(usage.easing || 'ease');
+
+  return {
+    kind: usage.kind,
+    property: usage.property,
+    name: usage.name,
+    durationMs,
+    easing,
+    iterations: usage.iterations ? String(usage.iterations) : '1',
+    properties: usage.properties,
+    context: classifyContext(usage.element),
+    where: usage.selector || describeElement(usage.element),
+  };
+}
+
+/**
+ * Parse a CSS time into milliseconds
+ *
+ * @param {string|number} value - e.g. "0.3s", "150ms", 150
+ * @returns {number|null}
+ */
+function parseTime(value) {
+  if (typeof value === 'number') return Math.round(value);
+  if (!value || value.includes('var(')) return null;
+
+  const match = value.trim().match(/^(-?[\d.]+)(m?s)$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const ms = match[2].toLowerCase() === 's' ? number * 1000 : number;
+  return ms > 0 ? Math.round(ms) : null;
+}
+
+/**
+ * Parse an easing into control points and a canonical CSS value
+ *
+ * @param {string} value - Keyword, cubic-bezier(), steps() or linear()
+ * @returns {{cssValue: string, points: number[]|null, keyword: string|null}}
+ */
+function parseEasing(value) {
+  const trimmed = value.trim().toLowerCase();
+
+  if (EASING_KEYWORDS[trimmed]) {
+    const points = EASING_KEYWORDS[trimmed];
+    return { cssValue: formatCubicBezier(points), points, keyword: trimmed };
+  }
+
+  const match = trimmed.match(/^cubic-bezier\(([^)]+)\)$/);
+  if (match) {
+    const points = match[1].split(',').map(n => parseFloat(n));
+    if (points.length === 4 && points.every(n => !Number.isNaN(n))) {
+      const keyword = Object.keys(EASING_KEYWORDS)
+        .find(k => EASING_KEYWORDS[k].every((p, i) => Math.abs(p - points[i]) < 0.001)) || null;
+      return { cssValue: formatCubicBezier(points), points, keyword };
+    }
+  }
+
+  // steps(), linear() with stops: kept as authored
+  return { cssValue: trimmed, points: null, keyword: null };
+}
+
+/**
+ * Format control points as cubic-bezier()
+ *
+ * @param {number[]} points
+ * @returns {string}
+ */
+function formatCubicBezier(points) {
+  return `cubic-bezier(${points.map(n => Math.round(n * 1000) / 1000).join(', ')})`;
+}
+
+/**
+ * Short description of an element for detectedIn
+ *
+ * @param {Object|null} element
+ * @returns {string|null}
+ */
+function describeElement(element) {
+  if (!element) return null;
+  const firstClass = element.classes.split(/\s+/).filter(Boolean)[0];
+  return firstClass ? `${element.tagName}.${firstClass}` : element.tagName;
+}
+
+/**
+ * Process usages into the motion section
+ *
+ * @param {Array} usages - Normalized usages
+ * @param {Array} keyframes - @keyframes from the parsed CSS model
+ * @param {Array} running - Animations from document.getAnimations()
+ * @returns {Object} Motion section
+ */
+function processMotion(usages, keyframes, running) {
+  const keyframeInfo = buildKeyframeInfo(keyframes, running);
+
+  return {
+    durations: buildDurations(usages),
+    easings: buildEasings(usages),
+    transitions: buildTransitions(usages, keyframeInfo),
+    microInteractions: buildMicroInteractions(usages, keyframeInfo),
+    keyframes: Object.values(keyframeInfo).map(k => ({
+      name: k.name,
+      type: k.type,
+      properties: k.properties,
+      usedBy: usages.filter(u => u.kind === 'animation' && u.name === k.name).length,
+    })),
+  };
+}
+
+/**
+ * Cluster durations and map the clusters onto the named scale
+ *
+ * @param {Array} usages
+ * @returns {Object} Duration tokens (instant, fast, normal, slow, slower)
+ */
+function buildDurations(usages) {
+  const counts = new Map();
+  for (const usage of usages) {
+    const entry = counts.get(usage.durationMs) || { value: usage.durationMs, count: 0, contexts: new Set() };
+    entry.count++;
+    entry.contexts.add(usage.context);
+    counts.set(usage.durationMs, entry);
+  }
+
+  // Greedy clustering over sorted values; the most used value represents its cluster
+  const clusters = [];
+  for (const entry of [...counts.values()].sort((a, b) => a.value - b.value)) {
+    const last = clusters[clusters.length - 1];
+    const tolerance = Math.max(DURATION_TOLERANCE_MS, entry.value * DURATION_TOLERANCE_RATIO);
+
+    if (last && entry.value - last.max <= tolerance) {
+      last.members.push(entry);
+      last.max = entry.value;
+    } else {
+      clusters.push({ members: [entry], max: entry.value });
+    }
+  }
+
+  const scored = clusters.map((cluster) => {
+    const representative = cluster.members.reduce((a, b) => (b.count > a.count ? b : a));
+    return {
+      value: representative.value,
+      count: cluster.members.reduce((sum, m) => sum + m.count, 0),
+      contexts: new Set(cluster.members.flatMap(m => Array.from(m.contexts))),
+      members: cluster.members.map(m => m.value),
+    };
+  });
+
+  // One token per band: the most used cluster wins, others become alternatives
+  const result = {};
+  for (const band of DURATION_BANDS) {
+    const min = DURATION_BANDS[DURATION_BANDS.indexOf(band) - 1]?.max ?? 0;
+    const inBand = scored
+      .filter(c => c.value > min && c.value <= band.max)
+      .sort((a, b) => b.count - a.count);
+    if (inBand.length === 0) continue;
+
+    const [winner, ...others] = inBand;
+    const token = {
+      value: `${winner.value}ms`,
+      usage: formatUsage(winner.contexts),
+      confidence: countToConfidence(winner.count),
+      count: winner.count,
+    };
+    if (others.length > 0) {
+      token.alternatives = others.map(o => `${o.value}ms`);
+    }
+    result[band.name] = token;
+  }
+
+  return result;
+}
+
+/**
+ * Cluster easings and assign default, enter, exit and emphasized
+ *
+ * @param {Array} usages
+ * @returns {Object} Easing tokens
+ */
+function buildEasings(usages) {
+  const clusters = [];
+
+  for (const usage of usages) {
+    const { easing } = usage;
+    const cluster = clusters.find(c => sameEasing(c.easing, easing));
+    if (cluster) {
+      cluster.count++;
+      cluster.contexts.add(usage.context);
+    } else {
+      clusters.push({ easing, count: 1, contexts: new Set([usage.context]), shape: easingShape(easing) });
+    }
+  }
+
+  clusters.sort((a, b) => b.count - a.count);
+
+  const pick = (predicate) => clusters.find(predicate);
+  const roles = {
+    default: pick(() => true),
+    enter: pick(c => c.shape === 'ease-out'),
+    exit: pick(c => c.shape === 'ease-in'),
+    emphasized: pick(c => c.shape === 'overshoot') || pick(c => c.shape === 'ease-in-out' && c.easing.keyword !== 'ease'),
+  };
+
+  const result = {};
+  for (const [role, cluster] of Object.entries(roles)) {
+    if (!cluster) continue;
+    result[role] = {
+      value: cluster.easing.keyword || cluster.shape,
+      cssValue: cluster.easing.cssValue,
+      usage: formatUsage(cluster.contexts),
+      confidence: countToConfidence(cluster.count),
+      count: cluster.count,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Check whether two easings fall in the same cluster
+ *
+ * @param {Object} a - Parsed easing
+ * @param {Object} b - Parsed easing
+ * @returns {boolean}
+ */
+function sameEasing(a, b) {
+  if (!a.points || !b.points) return a.cssValue === b.cssValue;
+  return a.points.every((p, i) => Math.abs(p - b.points[i]) <= EASING_TOLERANCE);
+}
+
+/**
+ * Classify an easing curve by its start and end slopes
+ *
+ * @param {Object} easing - Parsed easing
+ * @returns {string} linear, ease-in, ease-out, ease-in-out, overshoot, steps or custom
+ */
+function easingShape(easing) {
+  if (!easing.points) return easing.cssValue.startsWith('step') ? 'steps' : 'custom';
+
+  const [x1, y1, x2, y2] = easing.points;
+  if (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1) return 'overshoot';
+
+  // Slope of the curve at t=0 and t=1 (falls back to the other control point)
+  const startSlope = x1 > 0 ? y1 / x1 : (y1 > 0 ? Infinity : (x2 > 0 ? y2 / x2 : Infinity));
+  const endSlope = x2 < 1 ? (1 - y2) / (1 - x2) : (y2 < 1 ? Infinity : (x1 < 1 ? (1 - y1) / (1 - x1) : Infinity));
+
+  const slowStart = startSlope < 0.8;
+  const slowEnd = endSlope < 0.8;
+
+  if (slowStart && slowEnd) return 'ease-in-out';
+  if (!slowStart && slowEnd) return 'ease-out';
+  if (slowStart && !slowEnd) return 'ease-in';
+  if (startSlope <= 1.25 && endSlope <= 1.25) return 'linear';
+  return 'custom';
+}
+
+/**
+ * Describe @keyframes: animated properties and movement type
+ *
+ * @param {Array} keyframes - @keyframes from the parsed CSS model
+ * @param {Array} running - Running animations (fallback for unreadable CSS)
+ * @returns {Object} Map of name -> { name, properties, type, rotates }
+ */
+function buildKeyframeInfo(keyframes, running) {
+  const info = {};
+
+  for (const rule of keyframes) {
+    const declarations = rule.frames.map(f => f.declarations);
+    const properties = [...new Set(declarations.flatMap(d => Object.keys(d)))];
+    const transforms = declarations.map(d => d.transform || '').join(' ');
+
+    info[rule.name] = {
+      name: rule.name,
+      properties,
+      type: keyframeType(rule.frames, properties.includes('opacity')),
+      rotates: /rotate/.test(transforms),
+    };
+  }
+
+  for (const animation of running) {
+    if (animation.kind !== 'css-animation' || !animation.name || info[animation.name]) continue;
+    info[animation.name] = {
+      name: animation.name,
+      properties: animation.properties,
+      type: animation.properties.length === 1 && animation.properties[0] === 'opacity' ? 'fade' : 'custom',
+      rotates: false,
+    };
+  }
+
+  return info;
+}
+
+/**
+ * Classify a keyframe animation as fade, slide-*, scale, scale-fade or custom
+ *
+ * @param {Array} frames - Keyframe frames ({offset, declarations})
+ * @param {boolean} fades - Whether opacity changes
+ * @returns {string}
+ */
+function keyframeType(frames, fades) {
+  const first = frames.find(f => /from|^0%/.test(f.offset)) || frames[0];
+  const transform = first?.declarations.transform || '';
+
+  const translate = transform.match(/translate(X|Y|3d)?\(\s*(-?[\d.]+)[a-z%]*(?:\s*,\s*(-?[\d.]+))?/i);
+  if (translate) {
+    const axis = (translate[1] || '').toUpperCase();
+    const x = axis === 'Y' ? 0 : parseFloat(translate[2]);
+    const y = axis === 'Y' ? parseFloat(translate[2]) : parseFloat(translate[3] || 0);
+
+    // Movement direction: starting below slides up, starting right slides left
+    if (Math.abs(y) >= Math.abs(x) && y !== 0) return y > 0 ? 'slide-up' : 'slide-down';
+    if (x !== 0) return x > 0 ? 'slide-left' : 'slide-right';
+  }
+
+  const allTransforms = frames.map(f => f.declarations.transform || '').join(' ');
+  if (/scale/.test(allTransforms)) return fades ? 'scale-fade' : 'scale';
+  if (fades && !allTransforms) return 'fade';
+  return 'custom';
+}
+
+/**
+ * Build named transition patterns per component context and keyframe animation
+ *
+ * @param {Array} usages
+ * @param {Object} keyframeInfo
+ * @returns {Object} Transition tokens
+ */
+function buildTransitions(usages, keyframeInfo) {
+  const result = {};
+
+  // CSS transitions: the most common duration/easing per context
+  const byContext = groupBy(usages.filter(u => u.kind === 'transition'), u => u.context);
+  for (const [context, items] of Object.entries(byContext)) {
+    const patterns = groupBy(items, u => `${u.durationMs}|${u.easing.cssValue}`);
+    const [, top] = Object.entries(patterns).sort((a, b) => b[1].length - a[1].length)[0];
+    const properties = [...new Set(top.map(u => u.property))];
+
+    result[`${context}-transition`] = {
+      duration: `${top[0].durationMs}ms`,
+      easing: top[0].easing.keyword || top[0].easing.cssValue,
+      type: transitionType(properties),
+      properties,
+      detectedIn: topValues(top.map(u => u.where)),
+      confidence: countToConfidence(top.length),
+    };
+  }
+
+  // Keyframe animations that run once
+  const byName = groupBy(usages.filter(u => u.kind === 'animation' && u.iterations !== 'infinite'), u => u.name);
+  for (const [name, items] of Object.entries(byName)) {
+    const info = keyframeInfo[name];
+    const first = items[0];
+
+    result[name] = {
+      duration: `${first.durationMs}ms`,
+      easing: first.easing.keyword || first.easing.cssValue,
+      type: info?.type || 'custom',
+      properties: info?.properties || first.properties || [],
+      detectedIn: topValues(items.map(u => u.where)),
+      confidence: countToConfidence(items.length),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Transition type from the transitioned properties
+ *
+ * @param {string[]} properties
+ * @returns {string}
+ */
+function transitionType(properties) {
+  if (properties.length === 1 && properties[0] === 'opacity') return 'fade';
+  return 'custom';
+}
+
+/**
+ * Build micro-interactions: looping animations and interactive feedback transitions
+ *
+ * @param {Array} usages
+ * @param {Object} keyframeInfo
+ * @returns {Array} Micro-interaction tokens
+ */
+function buildMicroInteractions(usages, keyframeInfo) {
+  const interactions = [];
+
+  // Looping keyframe animations (spinners, pulses, skeletons)
+  const loops = groupBy(usages.filter(u => u.kind === 'animation' && u.iterations === 'infinite'), u => u.name);
+  for (const [name, items] of Object.entries(loops)) {
+    const info = keyframeInfo[name];
+    const properties = info?.properties || items[0].properties || [];
+
+    let description = `Continuous animation of ${properties.join(', ') || 'unknown properties'}`;
+    if (info?.rotates) description = 'Continuous rotation animation';
+    else if (info?.type === 'fade') description = 'Pulsing opacity animation';
+    else if (info?.type === 'scale' || info?.type === 'scale-fade') description = 'Pulsing scale animation';
+
+    interactions.push({
+      name,
+      trigger: items.some(u => u.context === 'loader') ? 'async operation' : 'continuous',
+      duration: `${items[0].durationMs}ms`,
+      description,
+      confidence: countToConfidence(items.length),
+    });
+  }
+
+  // Feedback transitions on interactive elements
+  const interactive = usages.filter(u => u.kind === 'transition' && ['button', 'link', 'input'].includes(u.context));
+  for (const [context, items] of Object.entries(groupBy(interactive, u => u.context))) {
+    const properties = [...new Set(items.map(u => u.property))].slice(0, 4);
+    const durations = groupBy(items, u => u.durationMs);
+    const [duration] = Object.entries(durations).sort((a, b) => b[1].length - a[1].length)[0];
+
+    interactions.push({
+      name: `${context}-feedback`,
+      trigger: context === 'input' ? 'hover/focus' : 'hover/focus/press',
+      duration: `${duration}ms`,
+      description: `Transitions ${properties.join(', ')} on ${CONTEXT_LABELS[context]}`,
+      confidence: countToConfidence(items.length),
+    });
+  }
+
+  return interactions;
+}
+
+/**
+ * Group items by key
+ *
+ * @param {Array} items
+ * @param {Function} keyFn
+ * @returns {Object} Map of key -> items
+ */
+function groupBy(items, keyFn) {
+  const groups = {};
+  for (const item of items) {
+    const key = keyFn(item);
+    (groups[key] ||= []).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Most frequent non-empty values
+ *
+ * @param {Array<string|null>} values
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function topValues(values, limit = 5) {
+  const counts = {};
+  for (const value of values) {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value]) => value);
+}
+
+/**
+ * Format the contexts a token was found in
+ *
+ * @param {Set<string>} contexts
+ * @returns {string|undefined}
+ */
+function formatUsage(contexts) {
+  const labels = Array.from(contexts).map(c => CONTEXT_LABELS[c]).filter(Boolean);
+  return labels.length > 0 ? labels.join(', ') : undefined;
+}
+
+export default extractMotion;
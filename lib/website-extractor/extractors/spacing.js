@@ -5,10 +5,19 @@
  * - Margin values
  * - Padding values
  * - Gap values (flexbox/grid)
- * - Spacing scale detection (4px, 8px increments)
+ * - Spacing variables (--space-*, --spacing-*, --gap-*), used as the scale
+ *   when the site declares them
+ * - Base unit (any whole px, or a quarter/half rem) and root font size
+ * - Scale values in rem when the stylesheets author spacing in rem
+ * - Component anatomy (buttons, inputs, cards, modals) measured from the
+ *   DOM: padding, content inset, icon-label gap, gap between stacked
+ *   children, min-height and line box
  */
 
+import { collectStylesheets, isUnconditional, isRootSelector } from './stylesheets.js';
 import { countToConfidence } from '../utils/confidence.js';
+import { mostCommon, round } from '../utils/stats.js';
+import { elementLabel } from '../utils/selectors.js';
 
 /**
  * Spacing properties to extract
@@ -32,134 +41,364 @@ const SPACING_PROPERTIES = [
  */
 const SCALE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl'];
 
+/**
+ * Spacing custom properties: group (space, spacing, gap) and step
+ */
+const SPACING_VARIABLE = /^--(space|spacing|gap)(?:-([\w-]+))?$/i;
+
+/**
+ * Steps that name the base unit rather than a scale value (--spacing, --space-unit)
+ */
+const BASE_STEPS = [undefined, 'unit', 'base'];
+
+/**
+ * Declarations whose lengths count towards the authored unit
+ */
+const SPACING_DECLARATION = /^(margin|padding)(-|$)|(^|-)gap$/;
+
+/**
+ * Whole-px base unit candidates; the largest one the values fit wins
+ */
+const MIN_BASE = 2;
+const MAX_BASE = 12;
+
+/**
+ * Share of spacing values (weighted by use) that must sit on a base unit,
+ * and how far off a multiple a value may be (px)
+ */
+const MIN_BASE_SHARE = 0.8;
+const BASE_TOLERANCE = 0.5;
+
+/**
+ * Spacing variables needed before they replace the detected scale
+ */
+const MIN_VARIABLE_STEPS = 3;
+
+/**
+ * Distinct multiples a base unit needs before it counts as a grid
+ */
+const MIN_BASE_STEPS = 3;
+
+/**
+ * Most common values used when no base unit covers the page (GCD fallback)
+ */
+const GCD_SAMPLE = 5;
+
+/**
+ * Components measured for their anatomy
+ */
+const ANATOMY_COMPONENTS = ['button', 'input', 'card', 'modal'];
+
+/**
+ * Instances measured per component, and largest box read as an icon (px)
+ */
+const MAX_ANATOMY_SAMPLES = 100;
+const MAX_ICON_SIZE = 48;
+
+/**
+ * Instances a variant needs to be listed next to the main one, and how many are listed
+ */
+const MIN_VARIANT_COUNT = 2;
+const MAX_VARIANTS = 3;
+
 /**
  * Extract spacing information from a page
  *
  * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed CSS model from collectStylesheets() (collected if omitted)
  * @returns {Promise<Object>} Extracted spacing
  */
-export async function extractSpacing(page) {
-  // Extract spacing values from DOM
-  const rawSpacing = await page.evaluate((props) => {
+export async function extractSpacing(page, css = null) {
+  const model = css || await collectStylesheets(page);
+
+  // Extract spacing values and component anatomy from DOM
+  const rawSpacing = await readSpacing(page, spacingVariableNames(model));
+
+  // Process spacing data
+  const processed = processSpacing({
+    ...rawSpacing,
+    anatomy: Object.fromEntries(Object.entries(rawSpacing.anatomy).map(([component, samples]) => [
+      component,
+      samples.map(({ element, ...sample }) => ({ ...sample, selector: elementLabel(element) })),
+    ])),
+  }, model);
+
+  return processed;
+}
+
+/**
+ * Names of spacing custom properties declared unconditionally on :root/html
+ *
+ * @param {Object} css - Parsed CSS model
+ * @returns {string[]}
+ */
+function spacingVariableNames(css) {
+  const names = new Set();
+
+  for (const property of css.customProperties) {
+    if (!isUnconditional(property) || !isRootSelector(property.selector)) continue;
+    if (SPACING_VARIABLE.test(property.name)) names.add(property.name);
+  }
+
+  return Array.from(names);
+}
+
+/**
+ * Read spacing values of every visible element, and measure visible
+ * buttons, inputs, cards and modals in the same walk
+ * Anatomy padding and border come from computed styles; the rest is read
+ * from the geometry of the element's children and text.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string[]} variableNames - Spacing custom properties to resolve
+ * @returns {Promise<Object>} {values, rootFontSize, variables, anatomy: component => samples}
+ */
+async function readSpacing(page, variableNames) {
+  return page.evaluate(({ props, variableNames, components, maxSamples, maxIconSize }) => {
+    const px = value => parseFloat(value) || 0;
+    const round = value => Math.round(value * 10) / 10;
     const values = [];
-    const componentPadding = {
-      button: [],
-      input: [],
-      card: [],
-      modal: [],
+
+    const root = document.documentElement;
+    const rootStyles = getComputedStyle(root);
+    const rootFontSize = parseFloat(rootStyles.fontSize) || 16;
+
+    // Resolve spacing variables to px through a probe element
+    // (handles calc(), rem, and var() chains)
+    const variables = {};
+    const probe = document.createElement('div');
+    probe.style.cssText = 'position:absolute;visibility:hidden;pointer-events:none';
+    root.appendChild(probe);
+    for (const name of variableNames) {
+      const value = rootStyles.getPropertyValue(name).trim();
+      if (!value) continue;
+      probe.style.setProperty('padding-left', `var(${name})`);
+      const resolved = px(getComputedStyle(probe).paddingLeft);
+      if (resolved > 0) variables[name] = { value, px: resolved };
+    }
+    probe.remove();
+
+    const classTokens = el => (typeof el.className === 'string'
+      ? el.className.toLowerCase().split(/\s+/).filter(Boolean)
+      : []);
+
+    // A class naming the component itself (btn, btn--lg, product-card), not one of its parts (card-body)
+    const namedAs = (tokens, names) => tokens.some(token => names.some(name =>
+      token === name || token.startsWith(`${name}--`) || token.endsWith(`-${name}`)));
+
+    const componentOf = (el) => {
+      const tag = el.tagName.toLowerCase();
+      const role = el.getAttribute('role');
+      const tokens = classTokens(el);
+
+      if (tag === 'dialog' || role === 'dialog' || role === 'alertdialog' ||
+        el.getAttribute('aria-modal') === 'true' || namedAs(tokens, ['modal', 'dialog'])) return 'modal';
+      if (tag === 'button' || role === 'button' || (tag === 'input' && /^(button|submit|reset)$/.test(el.type)) ||
+        namedAs(tokens, ['btn', 'button'])) return 'button';
+      if (tag === 'textarea' || tag === 'select' ||
+        (tag === 'input' && /^(text|email|password|search|tel|url|number|date|datetime-local|month|time|week)$/.test(el.type))) return 'input';
+      if (role === 'article' || namedAs(tokens, ['card', 'panel', 'tile'])) return 'card';
+      return null;
+    };
+
+    const isRendered = (el, style = getComputedStyle(el)) => {
+      const rect = el.getBoundingClientRect();
+      return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+
+    const textRects = (node) => {
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      return Array.from(range.getClientRects()).filter(r => r.width > 0 && r.height > 0);
     };
 
-    const elements = document.querySelectorAll('*');
+    // Children laid out in the element's flow (absolutely positioned badges and overlays are not)
+    const flowChildren = el => Array.from(el.children).filter((child) => {
+      const style = getComputedStyle(child);
+      return style.position !== 'absolute' && style.position !== 'fixed' && isRendered(child, style);
+    });
+
+    // Small svg/img/i/*icon* boxes; the selector is checked before any style is read
+    const icons = new Map();
+    const isIcon = (el) => {
+      if (!el.matches('svg, img, i, [class*="icon"]')) return false;
+      if (!icons.has(el)) {
+        const r = el.getBoundingClientRect();
+        icons.set(el, isRendered(el) && r.width <= maxIconSize && r.height <= maxIconSize);
+      }
+      return icons.get(el);
+    };
+
+    // Label text, leaving out icon font glyphs (<i>, .material-icons)
+    const textNodes = (el) => {
+      const nodes = [];
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode() && nodes.length < 20) {
+        const node = walker.currentNode;
+        if (!node.textContent.trim()) continue;
+        let inIcon = false;
+        for (let parent = node.parentElement; parent && parent !== el && !inIcon; parent = parent.parentElement) {
+          inIcon = isIcon(parent);
+        }
+        if (!inIcon) nodes.push(node);
+      }
+      return nodes;
+    };
+
+    // Distance from the inner border edge to what the element holds, per side
+    const contentInset = (el, rect, style) => {
+      const rects = flowChildren(el).map(child => child.getBoundingClientRect());
+      for (const node of el.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) rects.push(...textRects(node));
+      }
+      if (rects.length === 0) return null;
+
+      return [
+        Math.min(...rects.map(r => r.top)) - rect.top - px(style.borderTopWidth),
+        rect.right - px(style.borderRightWidth) - Math.max(...rects.map(r => r.right)),
+        rect.bottom - px(style.borderBottomWidth) - Math.max(...rects.map(r => r.bottom)),
+        Math.min(...rects.map(r => r.left)) - rect.left - px(style.borderLeftWidth),
+      ].map(round);
+    };
+
+    // Horizontal space between an icon and the text next to it
+    const iconGap = (el, texts) => {
+      const icon = Array.from(el.querySelectorAll('svg, img, i, [class*="icon"]'))
+        .find(candidate => isIcon(candidate) && !texts.some(node => candidate.contains(node)));
+      if (!icon) return null;
+
+      const i = icon.getBoundingClientRect();
+      const gaps = texts.flatMap(textRects)
+        .filter(t => t.top < i.bottom && t.bottom > i.top)
+        .map(t => (t.left >= i.right - 1 ? t.left - i.right : i.left >= t.right - 1 ? i.left - t.right : null))
+        .filter(gap => gap !== null);
+      return gaps.length > 0 ? round(Math.max(0, Math.min(...gaps))) : null;
+    };
 
-    for (const el of elements) {
+    // Most common vertical space between children stacked on top of each other
+    const stackGap = (el) => {
+      const rects = flowChildren(el).map(child => child.getBoundingClientRect()).sort((a, b) => a.top - b.top);
+      const gaps = {};
+      for (let i = 1; i < rects.length; i++) {
+        if (rects[i].top < rects[i - 1].bottom - 1) continue;
+        const gap = round(rects[i].top - rects[i - 1].bottom);
+        gaps[gap] = (gaps[gap] || 0) + 1;
+      }
+      const [top] = Object.entries(gaps).sort((a, b) => b[1] - a[1]);
+      return top ? Number(top[0]) : null;
+    };
+
+    // Line height and where the first line box starts, from the first text
+    const lineBox = (rect, texts) => {
+      const [node] = texts;
+      const [first] = node ? textRects(node) : [];
+      if (!first) return null;
+
+      // The glyph box sits in the middle of the line box (half-leading above and below)
+      const lineHeight = getComputedStyle(node.parentElement).lineHeight;
+      const height = lineHeight === 'normal' ? first.height : px(lineHeight);
+      return { height: round(height), top: round(first.top - (height - first.height) / 2 - rect.top) };
+    };
+
+    const measure = (el, component, style) => {
+      const rect = el.getBoundingClientRect();
+      const isInput = component === 'input';
+      const texts = isInput ? [] : textNodes(el);
+      const line = isInput ? { height: round(px(style.lineHeight) || 0), top: null } : lineBox(rect, texts);
+
+      return {
+        element: { tag: el.tagName, id: el.id, className: typeof el.className === 'string' ? el.className : '' },
+        padding: [style.paddingTop, style.paddingRight, style.paddingBottom, style.paddingLeft].map(v => round(px(v))),
+        border: [style.borderTopWidth, style.borderRightWidth, style.borderBottomWidth, style.borderLeftWidth].map(v => round(px(v))),
+        content: isInput ? null : contentInset(el, rect, style),
+        iconGap: isInput ? null : iconGap(el, texts),
+        stackGap: isInput ? null : stackGap(el),
+        minHeight: style.minHeight.endsWith('px') && px(style.minHeight) > 0 ? round(px(style.minHeight)) : null,
+        height: round(rect.height),
+        fontSize: round(px(style.fontSize)),
+        lineHeight: line?.height || null,
+        lineBoxTop: line?.top ?? null,
+      };
+    };
+
+    const anatomy = Object.fromEntries(components.map(name => [name, []]));
+
+    for (const el of document.querySelectorAll('*')) {
       const style = window.getComputedStyle(el);
 
       // Skip hidden elements
       if (style.display === 'none' || style.visibility === 'hidden') continue;
 
-      const tagName = el.tagName.toLowerCase();
-      const classes = Array.from(el.classList).join(' ').toLowerCase();
-      const role = el.getAttribute('role') || '';
-
       // Collect all spacing values
       for (const prop of props) {
         const value = style.getPropertyValue(prop.replace(/([A-Z])/g, '-$1').toLowerCase());
         if (value && value !== '0px' && value !== 'auto' && value !== 'normal') {
-          const px = parseFloat(value);
-          if (!isNaN(px) && px > 0 && px < 500) {
-            values.push(px);
+          const length = parseFloat(value);
+          if (!isNaN(length) && length > 0 && length < 500) {
+            values.push(length);
           }
         }
       }
 
-      // Track component-specific padding
-      const padding = {
-        top: parseFloat(style.paddingTop) || 0,
-        right: parseFloat(style.paddingRight) || 0,
-        bottom: parseFloat(style.paddingBottom) || 0,
-        left: parseFloat(style.paddingLeft) || 0,
-      };
-
-      // Button padding
-      if (tagName === 'button' || role === 'button' || classes.includes('btn') || classes.includes('button')) {
-        if (padding.top > 0 || padding.left > 0) {
-          componentPadding.button.push(padding);
-        }
-      }
-
-      // Input padding
-      if (['input', 'textarea', 'select'].includes(tagName) || classes.includes('input')) {
-        if (padding.top > 0 || padding.left > 0) {
-          componentPadding.input.push(padding);
-        }
-      }
-
-      // Card padding
-      if (classes.includes('card') || classes.includes('panel') || role === 'article') {
-        if (padding.top > 0) {
-          componentPadding.card.push(padding);
-        }
-      }
-
-      // Modal padding
-      if (classes.includes('modal') || classes.includes('dialog') || role === 'dialog') {
-        if (padding.top > 0) {
-          componentPadding.modal.push(padding);
-        }
+      const component = componentOf(el);
+      if (component && anatomy[component].length < maxSamples && isRendered(el, style)) {
+        anatomy[component].push(measure(el, component, style));
       }
     }
 
-    return { values, componentPadding };
-  }, SPACING_PROPERTIES);
-
-  // Process spacing data
-  const processed = processSpacing(rawSpacing);
-
-  return processed;
+    return { values, rootFontSize, variables, anatomy };
+  }, {
+    props: SPACING_PROPERTIES,
+    variableNames,
+    components: ANATOMY_COMPONENTS,
+    maxSamples: MAX_ANATOMY_SAMPLES,
+    maxIconSize: MAX_ICON_SIZE,
+  });
 }
 
 /**
  * Process raw spacing into schema format
  *
  * @param {Object} raw - Raw spacing data
+ * @param {Object} css - Parsed CSS model, for the authored units
  * @returns {Object} Processed spacing
  */
-function processSpacing(raw) {
-  const { values, componentPadding } = raw;
+function processSpacing(raw, css) {
+  const { values, anatomy, rootFontSize, variables } = raw;
 
   // Count occurrences of each value
   const counts = {};
   for (const value of values) {
-    // Round to nearest pixel
-    const rounded = Math.round(value);
+    // Round to a tenth of a pixel (keeps fractional rem values apart)
+    const rounded = round(value, 1);
     counts[rounded] = (counts[rounded] || 0) + 1;
   }
 
   // Sort by frequency
   const sorted = Object.entries(counts)
     .sort((a, b) => b[1] - a[1])
-    .map(([value, count]) => ({ value: parseInt(value), count }));
+    .map(([value, count]) => ({ value: parseFloat(value), count }));
 
-  // Detect spacing scale
-  const scale = detectSpacingScale(sorted);
+  const units = authoredUnits(css, rootFontSize);
+  const format = px => formatLength(px, units, rootFontSize);
 
-  // Map to scale names
-  const mappedScale = mapToScaleNames(scale);
+  // Declared spacing variables are the scale; otherwise detect it from use
+  const tokens = spacingTokens(variables);
+  const declared = tokens.steps.length >= MIN_VARIABLE_STEPS;
+  const base = tokens.base || (declared
+    ? { ...detectBaseUnit(tokens.steps.map(step => ({ value: step.px, count: 1 })), rootFontSize), source: 'variables' }
+    : detectBaseUnit(sorted, rootFontSize));
 
-  // Process component padding
-  const processedComponentPadding = {};
+  const mappedScale = declared
+    ? mapVariablesToScale(tokens.steps, counts, rootFontSize)
+    : mapToScaleNames(detectSpacingScale(sorted, base.px), format);
 
-  for (const [component, paddings] of Object.entries(componentPadding)) {
-    if (paddings.length === 0) continue;
+  // Component anatomy; padding alone is kept as componentPadding
+  const components = processAnatomy(anatomy);
+  const processedComponentPadding = {};
 
-    // Get most common padding
-    const mostCommon = getMostCommonPadding(paddings);
-    if (mostCommon) {
-      processedComponentPadding[component] = {
-        value: formatPadding(mostCommon),
-        confidence: countToConfidence(paddings.length),
-      };
-    }
+  for (const [component, { padding, confidence }] of Object.entries(components)) {
+    processedComponentPadding[component] = { value: padding, confidence };
   }
 
   // Detect page margin and section gap
@@ -168,9 +407,19 @@ function processSpacing(raw) {
   const sectionGap = largeValues.find(s => s.value >= 32 && s.count >= 2);
 
   return {
-    unit: scale.unit || '4px',
+    unit: `${base.px}px`,
+    base: {
+      value: isLength(base.value) ? base.value : format(base.px),
+      px: base.px,
+      source: base.source,
+      ...(base.variable && { variable: base.variable }),
+      ...(base.share !== undefined && { share: base.share }),
+    },
+    rootFontSize: `${rootFontSize}px`,
+    authoredUnit: units.preferred,
     scale: mappedScale,
     componentPadding: Object.keys(processedComponentPadding).length > 0 ? processedComponentPadding : undefined,
+    anatomy: Object.keys(components).length > 0 ? components : undefined,
     pageMargin: pageMargin ? {
       value: `${pageMargin.value}px`,
       confidence: countToConfidence(pageMargin.count),
@@ -183,48 +432,119 @@ function processSpacing(raw) {
 }
 
 /**
- * Detect the spacing scale pattern
+ * Split resolved spacing variables into the base unit and scale steps
  *
- * @param {Array} sorted - Sorted spacing values with counts
- * @returns {Object} Detected scale
+ * @param {Object} variables - name => {value, px} from the page
+ * @returns {Object} {base, steps: [{name, group, step, value, px}]}
  */
-function detectSpacingScale(sorted) {
-  // Check for 4px base
-  const fourPxMultiples = sorted.filter(s => s.value % 4 === 0);
-  const fourPxRatio = fourPxMultiples.length / sorted.length;
+function spacingTokens(variables) {
+  let base = null;
+  const steps = [];
 
-  // Check for 8px base
-  const eightPxMultiples = sorted.filter(s => s.value % 8 === 0);
-  const eightPxRatio = eightPxMultiples.length / sorted.length;
+  for (const [name, { value, px }] of Object.entries(variables)) {
+    const [, group, step] = name.match(SPACING_VARIABLE);
 
-  let unit = '4px';
-  let baseValue = 4;
+    if (BASE_STEPS.includes(step?.toLowerCase())) {
+      if (!base) base = { px: round(px, 1), source: 'variable', variable: name, value };
+      continue;
+    }
 
-  if (eightPxRatio > 0.7) {
-    unit = '8px';
-    baseValue = 8;
+    steps.push({ name, group: group.toLowerCase(), step, value, px: round(px, 1) });
   }
 
+  return { base, steps: steps.sort((a, b) => a.px - b.px) };
+}
+
+/**
+ * Scale from declared spacing variables, keyed by their step names
+ * The largest group (--space-*, --spacing-* or --gap-*) keeps bare step
+ * names; the others are prefixed with their group.
+ *
+ * @param {Array} steps - From spacingTokens()
+ * @param {Object} counts - Rounded px value => uses on the page
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {Object} Named scale
+ */
+function mapVariablesToScale(steps, counts, rootFontSize) {
+  const sizes = {};
+  for (const { group } of steps) sizes[group] = (sizes[group] || 0) + 1;
+  const main = Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a])[0];
+
+  const result = {};
+  for (const { name, group, step, value, px } of steps) {
+    const key = group === main ? step : `${group}-${step}`;
+    result[key] = {
+      value: isLength(value) ? value : value.includes('rem') ? toRem(px, rootFontSize) : `${px}px`,
+      px: `${px}px`,
+      variable: name,
+      confidence: counts[px] ? 'high' : 'medium',
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Detect the base unit: the largest unit most spacing values are
+ * multiples of, else the GCD of the most common values
+ *
+ * @param {Array} sorted - Spacing values with counts, most common first
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {Object} {px, source, share}
+ */
+function detectBaseUnit(sorted, rootFontSize) {
+  const total = sorted.reduce((sum, s) => sum + s.count, 0);
+  if (total === 0) return { px: 4, source: 'default' };
+
+  const candidates = new Set([rootFontSize / 4, rootFontSize / 2]);
+  for (let px = MIN_BASE; px <= MAX_BASE; px++) candidates.add(px);
+
+  let best = null;
+  for (const unit of [...candidates].sort((a, b) => b - a)) {
+    const on = sorted.filter(s => s.value >= unit && isMultiple(s.value, unit));
+    const share = on.reduce((sum, s) => sum + s.count, 0) / total;
+    const steps = new Set(on.map(s => Math.round(s.value / unit))).size;
+
+    if (share >= MIN_BASE_SHARE && steps >= MIN_BASE_STEPS) {
+      best = { px: round(unit, 1), source: 'multiples', share: round(share) };
+      break;
+    }
+  }
+  if (best) return best;
+
+  const common = sorted.slice(0, GCD_SAMPLE).map(s => Math.round(s.value));
+  const divisor = common.reduce(gcd);
+  return divisor >= MIN_BASE ? { px: divisor, source: 'gcd' } : { px: 4, source: 'default' };
+}
+
+/**
+ * Detect the spacing scale pattern
+ *
+ * @param {Array} sorted - Sorted spacing values with counts
+ * @param {number} baseValue - Base unit (px)
+ * @returns {Object} Detected scale
+ */
+function detectSpacingScale(sorted, baseValue) {
   // Extract scale values (common multiples of base)
   const scaleValues = [];
   const commonMultipliers = [1, 2, 3, 4, 6, 8, 12, 16];
 
   for (const mult of commonMultipliers) {
     const target = baseValue * mult;
-    const found = sorted.find(s => s.value === target);
+    const found = sorted
+      .filter(s => Math.abs(s.value - target) <= BASE_TOLERANCE)
+      .sort((a, b) => b.count - a.count)[0];
     if (found && found.count >= 2) {
       scaleValues.push({
-        value: target,
+        value: found.value,
         count: found.count,
       });
     }
   }
 
   return {
-    unit,
     baseValue,
     values: scaleValues,
-    type: fourPxRatio > 0.6 ? '4px grid' : eightPxRatio > 0.6 ? '8px grid' : 'custom',
   };
 }
 
@@ -232,28 +552,23 @@ function detectSpacingScale(sorted) {
  * Map detected scale to named scale (xs, sm, md, lg, xl, 2xl, 3xl)
  *
  * @param {Object} scale - Detected scale
+ * @param {Function} format - px => authored length
  * @returns {Object} Named scale
  */
-function mapToScaleNames(scale) {
+function mapToScaleNames(scale, format) {
   const result = {};
   const { values, baseValue } = scale;
 
   // Standard scale mapping
-  const standardScale = {
-    xs: baseValue,
-    sm: baseValue * 2,
-    md: baseValue * 4,
-    lg: baseValue * 6,
-    xl: baseValue * 8,
-    '2xl': baseValue * 12,
-    '3xl': baseValue * 16,
-  };
+  const multipliers = [1, 2, 4, 6, 8, 12, 16];
+  const standardScale = Object.fromEntries(SCALE_NAMES.map((name, i) => [name, baseValue * multipliers[i]]));
 
   for (const [name, expectedValue] of Object.entries(standardScale)) {
     const found = values.find(v => Math.abs(v.value - expectedValue) <= baseValue / 2);
     if (found) {
       result[name] = {
-        value: `${found.value}px`,
+        value: format(found.value),
+        px: `${found.value}px`,
         confidence: countToConfidence(found.count),
       };
     }
@@ -263,28 +578,163 @@ function mapToScaleNames(scale) {
 }
 
 /**
- * Get most common padding from samples
+ * Unit the stylesheets write each spacing length in (px or rem),
+ * from spacing declarations and spacing variables
  *
- * @param {Array} paddings - Array of padding objects
- * @returns {Object|null} Most common padding
+ * @param {Object} css - Parsed CSS model
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {Object} {byValue: Map(px => {px, rem}), preferred: 'px'|'rem'}
  */
-function getMostCommonPadding(paddings) {
-  if (paddings.length === 0) return null;
+function authoredUnits(css, rootFontSize) {
+  const byValue = new Map();
+  const totals = { px: 0, rem: 0 };
+
+  const declarations = [
+    ...css.rules.flatMap(rule => Object.entries(rule.declarations)
+      .filter(([prop]) => SPACING_DECLARATION.test(prop))
+      .map(([, value]) => value)),
+    ...css.customProperties
+      .filter(property => SPACING_VARIABLE.test(property.name))
+      .map(property => property.value),
+  ];
+
+  for (const value of declarations) {
+    for (const [, number, unit] of value.matchAll(/(?<![\w.])-?(\d*\.?\d+)(px|rem)\b/g)) {
+      const px = round(unit === 'rem' ? number * rootFontSize : Number(number), 1);
+      if (px === 0) continue;
+      const tally = byValue.get(px) || { px: 0, rem: 0 };
+      tally[unit]++;
+      totals[unit]++;
+      byValue.set(px, tally);
+    }
+  }
 
-  const counts = {};
-  for (const p of paddings) {
-    // Simplify to vertical/horizontal
-    const vert = Math.round(p.top);
-    const horiz = Math.round(p.left);
-    const key = `${vert}|${horiz}`;
-    counts[key] = (counts[key] || 0) + 1;
+  return { byValue, preferred: totals.rem > totals.px ? 'rem' : 'px' };
+}
+
+/**
+ * Write a px length in the unit the site authored it in
+ * Values never written in the stylesheets follow the site's preferred unit.
+ *
+ * @param {number} px
+ * @param {Object} units - From authoredUnits()
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {string}
+ */
+function formatLength(px, units, rootFontSize) {
+  const tally = units.byValue.get(px);
+  const unit = tally ? (tally.rem > tally.px ? 'rem' : 'px') : units.preferred;
+  return unit === 'rem' ? toRem(px, rootFontSize) : `${px}px`;
+}
+
+/**
+ * Write a px length in rem
+ *
+ * @param {number} px
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {string}
+ */
+function toRem(px, rootFontSize) {
+  return `${Math.round(px / rootFontSize * 10000) / 10000}rem`;
+}
+
+/**
+ * Whether a value is a single px or rem length
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isLength(value) {
+  return typeof value === 'string' && /^[\d.]+(px|rem)$/.test(value);
+}
+
+/**
+ * Whether a value is a multiple of a unit (within tolerance)
+ *
+ * @param {number} value
+ * @param {number} unit
+ * @returns {boolean}
+ */
+function isMultiple(value, unit) {
+  return Math.abs(value - Math.round(value / unit) * unit) <= BASE_TOLERANCE;
+}
+
+/**
+ * Greatest common divisor of two integers
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Anatomy of each component: instances are grouped by padding, border,
+ * min-height and type size, and the largest group describes the component
+ *
+ * @param {Object} anatomy - component => samples, from readSpacing()
+ * @returns {Object} component => anatomy (with up to 3 other variants)
+ */
+function processAnatomy(anatomy) {
+  const result = {};
+
+  for (const [component, samples] of Object.entries(anatomy)) {
+    if (samples.length === 0) continue;
+
+    const groups = new Map();
+    for (const sample of samples) {
+      const key = [...sample.padding, ...sample.border, sample.minHeight, sample.fontSize, sample.lineHeight].join('|');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(sample);
+    }
+
+    const [main, ...others] = [...groups.values()].sort((a, b) => b.length - a.length);
+    const variants = others
+      .filter(group => group.length >= MIN_VARIANT_COUNT)
+      .slice(0, MAX_VARIANTS)
+      .map(describeAnatomy);
+
+    result[component] = {
+      ...describeAnatomy(main),
+      sampleCount: samples.length,
+      ...(variants.length > 0 && { variants }),
+    };
   }
 
-  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-  if (sorted.length === 0) return null;
+  return result;
+}
 
-  const [vert, horiz] = sorted[0][0].split('|').map(Number);
-  return { top: vert, right: horiz, bottom: vert, left: horiz };
+/**
+ * Describe a group of instances that share a box
+ * Measured distances (content inset, gaps, height) are the most common
+ * among the instances, since they vary with content.
+ *
+ * @param {Array} group - Samples from readSpacing()
+ * @returns {Object}
+ */
+function describeAnatomy(group) {
+  const [sample] = group;
+  const content = mostCommon(group.map(s => s.content && s.content.join('|')));
+  const length = value => (value === null ? undefined : `${value}px`);
+  const sides = values => formatPadding({ top: values[0], right: values[1], bottom: values[2], left: values[3] });
+
+  return {
+    padding: sides(sample.padding),
+    border: sides(sample.border),
+    contentInset: content ? sides(content.split('|').map(Number)) : undefined,
+    iconGap: length(mostCommon(group.map(s => s.iconGap))),
+    stackGap: length(mostCommon(group.map(s => s.stackGap))),
+    minHeight: length(sample.minHeight),
+    height: length(mostCommon(group.map(s => s.height))),
+    fontSize: length(sample.fontSize),
+    lineHeight: length(sample.lineHeight),
+    lineBoxTop: length(mostCommon(group.map(s => s.lineBoxTop))),
+    sample: sample.selector,
+    count: group.length,
+    confidence: countToConfidence(group.length),
+  };
 }
 
 /**
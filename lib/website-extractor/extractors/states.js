@@ -0,0 +1,387 @@
+/**
+ * states.js - Interactive state capture for component samples
+ *
+ * Puts sampled elements into :hover, :focus-visible, :active and disabled
+ * states and diffs their computed styles against the default state.
+ *
+ * Extracts:
+ * - Hover, focus-visible, active and disabled style changes per element
+ *
+ * How states are applied:
+ * - Chromium: CDP CSS.forcePseudoState (no real input events)
+ * - Firefox: real mouse and keyboard input
+ * - disabled: the disabled property (native controls) or aria-disabled
+ *
+ * Elements are addressed by a temporary SAMPLE_ATTRIBUTE set by the caller
+ * and removed with clearSampleMarks().
+ */
+
+import { normalizeToHex, isTransparent } from '../utils/color-convert.js';
+
+/**
+ * Attribute used to mark sampled elements during extraction
+ */
+export const SAMPLE_ATTRIBUTE = 'data-ui-extractor-sample';
+
+/**
+ * States captured by default
+ */
+export const DEFAULT_STATES = ['hover', 'focusVisible', 'active', 'disabled'];
+
+/**
+ * Computed style properties compared between states
+ */
+const STATE_PROPERTIES = [
+  'backgroundColor',
+  'backgroundImage',
+  'color',
+  'borderColor',
+  'borderWidth',
+  'boxShadow',
+  'outlineColor',
+  'outlineStyle',
+  'outlineWidth',
+  'outlineOffset',
+  'textDecorationLine',
+  'transform',
+  'opacity',
+  'filter',
+  'cursor',
+];
+
+const COLOR_PROPERTIES = ['backgroundColor', 'color', 'borderColor', 'outlineColor'];
+
+/**
+ * Pseudo-classes forced per state
+ * Keyboard focus matches both :focus and :focus-visible; a press also hovers.
+ */
+const FORCED_PSEUDO_CLASSES = {
+  hover: ['hover'],
+  focusVisible: ['focus', 'focus-visible'],
+  active: ['hover', 'active'],
+};
+
+/**
+ * Capture interactive states for marked elements
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string[]} sampleIds - Values of SAMPLE_ATTRIBUTE to capture
+ * @param {string[]} states - States to capture (default: DEFAULT_STATES)
+ * @returns {Promise<Object>} Map of sampleId -> { state: changedStyles|null } (null entry if capture failed)
+ */
+export async function captureStates(page, sampleIds, states = DEFAULT_STATES) {
+  const results = {};
+  if (sampleIds.length === 0) return results;
+
+  const forcer = await createForcer(page);
+
+  try {
+    for (const id of sampleIds) {
+      results[id] = await captureElementStates(page, sampleSelector(id), states, forcer)
+        .catch(() => null);
+    }
+  } finally {
+    await forcer.dispose();
+  }
+
+  return results;
+}
+
+/**
+ * Remove sample marks left by extraction
+ *
+ * @param {import('playwright').Page} page
+ */
+export async function clearSampleMarks(page) {
+  await page.evaluate((attr) => {
+    for (const el of document.querySelectorAll(`[${attr}]`)) {
+      el.removeAttribute(attr);
+    }
+  }, SAMPLE_ATTRIBUTE);
+}
+
+/**
+ * CSS selector for a marked element
+ *
+ * @param {string} id - Sample id
+ * @returns {string}
+ */
+export function sampleSelector(id) {
+  return `[${SAMPLE_ATTRIBUTE}="${id}"]`;
+}
+
+/**
+ * Capture all states of one element
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} selector - Element selector
+ * @param {string[]} states - States to capture
+ * @param {Object} forcer - State forcer for the browser engine
+ * @returns {Promise<Object|null>}
+ */
+async function captureElementStates(page, selector, states, forcer) {
+  // Disable transitions so computed styles show the end state immediately
+  await setTransitions(page, selector, false);
+
+  try {
+    const base = await readStyles(page, selector);
+    if (!base) return null;
+
+    const captured = {};
+
+    for (const state of states) {
+      let styles;
+
+      if (state === 'disabled') {
+        styles = await readDisabledStyles(page, selector);
+      } else {
+        await forcer.apply(selector, state);
+        try {
+          styles = await readStyles(page, selector);
+        } finally {
+          await forcer.reset(selector, state);
+        }
+      }
+
+      captured[state] = styles ? diffStyles(base, styles) : null;
+    }
+
+    return captured;
+  } finally {
+    await setTransitions(page, selector, true);
+  }
+}
+
+/**
+ * Create a state forcer: CDP on Chromium, real input elsewhere
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{apply: Function, reset: Function, dispose: Function}>}
+ */
+async function createForcer(page) {
+  const engine = page.context().browser()?.browserType().name();
+
+  if (engine === 'chromium') {
+    try {
+      return await createCdpForcer(page);
+    } catch (e) {
+      // CDP unavailable, fall back to real input
+    }
+  }
+
+  return createInputForcer(page);
+}
+
+/**
+ * Force pseudo-classes through the DevTools protocol
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Object>}
+ */
+async function createCdpForcer(page) {
+  const client = await page.context().newCDPSession(page);
+  await client.send('DOM.enable');
+  await client.send('CSS.enable');
+
+  const { root } = await client.send('DOM.getDocument', { depth: 0 });
+  const nodeIds = new Map();
+
+  const nodeIdFor = async (selector) => {
+    if (!nodeIds.has(selector)) {
+      const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+      if (!nodeId) throw new Error(`Element not found: ${selector}`);
+      nodeIds.set(selector, nodeId);
+    }
+    return nodeIds.get(selector);
+  };
+
+  const force = async (selector, forcedPseudoClasses) => {
+    await client.send('CSS.forcePseudoState', {
+      nodeId: await nodeIdFor(selector),
+      forcedPseudoClasses,
+    });
+  };
+
+  return {
+    apply: (selector, state) => force(selector, FORCED_PSEUDO_CLASSES[state]),
+    reset: (selector) => force(selector, []),
+    dispose: () => client.detach().catch(() => {}),
+  };
+}
+
+/**
+ * Put elements into states with real mouse and keyboard input
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Object}
+ */
+function createInputForcer(page) {
+  const locate = (selector) => page.locator(selector).first();
+
+  return {
+    async apply(selector, state) {
+      const element = locate(selector);
+
+      if (state === 'hover') {
+        await element.hover({ timeout: 2000, force: true });
+      } else if (state === 'focusVisible') {
+        // A key press first makes the browser treat the focus as keyboard focus
+        await page.keyboard.press('Shift');
+        await element.focus({ timeout: 2000 });
+      } else if (state === 'active') {
+        await element.hover({ timeout: 2000, force: true });
+        await page.mouse.down();
+      }
+    },
+
+    async reset(selector, state) {
+      if (state === 'focusVisible') {
+        await locate(selector).blur({ timeout: 2000 }).catch(() => {});
+        return;
+      }
+
+      // Release off the element so the press does not click it
+      await page.mouse.move(0, 0);
+      if (state === 'active') {
+        await page.mouse.up();
+      }
+    },
+
+    async dispose() {},
+  };
+}
+
+/**
+ * Read compared computed styles of an element
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} selector
+ * @returns {Promise<Object|null>}
+ */
+async function readStyles(page, selector) {
+  return await page.evaluate(({ selector, properties }) => {
+    const el = document.querySelector(selector);
+    if (!el) return null;
+
+    const style = window.getComputedStyle(el);
+    const result = {};
+    for (const prop of properties) {
+      result[prop] = style[prop];
+    }
+    return result;
+  }, { selector, properties: STATE_PROPERTIES });
+}
+
+/**
+ * Read styles with the element temporarily disabled
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} selector
+ * @returns {Promise<Object|null>}
+ */
+async function readDisabledStyles(page, selector) {
+  return await page.evaluate(({ selector, properties }) => {
+    const el = document.querySelector(selector);
+    if (!el) return null;
+
+    const read = () => {
+      const style = window.getComputedStyle(el);
+      const result = {};
+      for (const prop of properties) {
+        result[prop] = style[prop];
+      }
+      return result;
+    };
+
+    // Native controls: the disabled property drives :disabled
+    if ('disabled' in el && ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'FIELDSET'].includes(el.tagName)) {
+      const wasDisabled = el.disabled;
+      el.disabled = true;
+      const result = read();
+      el.disabled = wasDisabled;
+      return result;
+    }
+
+    // Custom controls: aria-disabled
+    const previous = el.getAttribute('aria-disabled');
+    el.setAttribute('aria-disabled', 'true');
+    const result = read();
+    if (previous === null) {
+      el.removeAttribute('aria-disabled');
+    } else {
+      el.setAttribute('aria-disabled', previous);
+    }
+    return result;
+  }, { selector, properties: STATE_PROPERTIES });
+}
+
+/**
+ * Turn transitions off (or restore them) on an element
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} selector
+ * @param {boolean} enabled - false to disable, true to restore
+ */
+async function setTransitions(page, selector, enabled) {
+  await page.evaluate(({ selector, enabled }) => {
+    const el = document.querySelector(selector);
+    if (!el) return;
+
+    if (!enabled) {
+      el.__uiExtractorTransition = [
+        el.style.getPropertyValue('transition'),
+        el.style.getPropertyPriority('transition'),
+      ];
+      el.style.setProperty('transition', 'none', 'important');
+      return;
+    }
+
+    const [value, priority] = el.__uiExtractorTransition || ['', ''];
+    if (value) {
+      el.style.setProperty('transition', value, priority);
+    } else {
+      el.style.removeProperty('transition');
+    }
+    delete el.__uiExtractorTransition;
+  }, { selector, enabled });
+}
+
+/**
+ * Diff two computed style snapshots
+ *
+ * @param {Object} base - Default state styles
+ * @param {Object} styles - Styles in the forced state
+ * @returns {Object|null} Changed properties (colors as hex), or null if nothing changed
+ */
+function diffStyles(base, styles) {
+  const changes = {};
+
+  for (const prop of STATE_PROPERTIES) {
+    if (base[prop] === styles[prop]) continue;
+    changes[prop] = COLOR_PROPERTIES.includes(prop)
+      ? formatStateColor(styles[prop])
+      : styles[prop];
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Format a state color as hex (or 'transparent')
+ *
+ * @param {string} value - Computed color
+ * @returns {string}
+ */
+function formatStateColor(value) {
+  const hex = normalizeToHex(value);
+  if (!hex) return value;
+  return isTransparent(value) ? 'transparent' : hex;
+}
+
+export default {
+  captureStates,
+  clearSampleMarks,
+  sampleSelector,
+  SAMPLE_ATTRIBUTE,
+  DEFAULT_STATES,
+};
@@ -0,0 +1,463 @@
+/**
+ * stylesheets.js - Stylesheet collection and parsing
+ *
+ * In-page CSSOM access fails for cross-origin stylesheets (CDN CSS), so
+ * the CSS text is collected from outside the page and parsed in Node into
+ * one model shared by all extractors.
+ *
+ * Collects:
+ * - Chromium: every author stylesheet via CDP CSS.getStyleSheetText
+ *   (linked, inline, constructed)
+ * - Other engines: readable sheets through the CSSOM, unreadable ones
+ *   fetched with the page's request context (cookies included)
+ * - @import targets, fetched recursively
+ *
+ * Model:
+ * - rules: style rules with their @media/@supports/@layer context
+ * - customProperties: --* declarations with selector and context
+ * - fontFaces, keyframes, mediaQueries, registered @property rules
+ */
+
+import postcss from 'postcss';
+import { splitTopLevel } from '../utils/css-values.js';
+
+// Max depth when following @import chains
+const MAX_IMPORT_DEPTH = 3;
+
+// Per-request timeout for fetched stylesheets
+const FETCH_TIMEOUT = 15000;
+
+// At-rules whose children are regular rules under a condition
+const CONDITION_AT_RULES = ['media', 'supports', 'layer', 'container', 'scope', 'document', '-moz-document'];
+
+// Framework-specific custom property prefixes (internals, not design tokens)
+const FRAMEWORK_PREFIXES = [
+  '--wp-',           // WordPress
+  '--tw-',           // Tailwind internal
+  '--chakra-',       // Chakra UI internal
+  '--mui-',          // MUI internal
+  '--bs-',           // Bootstrap
+  '--spectrum-',     // Adobe Spectrum
+];
+
+/**
+ * Collect and parse all stylesheets on a page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Object>} Parsed CSS model
+ */
+export async function collectStylesheets(page) {
+  let sheets = null;
+
+  if (page.context().browser()?.browserType().name() === 'chromium') {
+    sheets = await collectWithCdp(page).catch(() => null);
+  }
+
+  if (!sheets) {
+    sheets = await collectWithCssom(page);
+  }
+
+  await followImports(page, sheets);
+
+  return parseStylesheets(sheets);
+}
+
+/**
+ * Read every author stylesheet through the DevTools protocol
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array<{url: string|null, inline: boolean, source: string, text: string}>>}
+ */
+async function collectWithCdp(page) {
+  const client = await page.context().newCDPSession(page);
+  const headers = [];
+
+  try {
+    // CSS.enable reports every existing stylesheet through styleSheetAdded
+    client.on('CSS.styleSheetAdded', ({ header }) => headers.push(header));
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+
+    const sheets = [];
+    for (const header of headers) {
+      if (header.origin !== 'regular' || header.disabled) continue;
+
+      try {
+        const { text } = await client.send('CSS.getStyleSheetText', { styleSheetId: header.styleSheetId });
+        sheets.push({
+          url: header.isInline || header.isConstructed ? null : header.sourceURL || null,
+          inline: Boolean(header.isInline || header.isConstructed),
+          source: 'cdp',
+          text,
+        });
+      } catch (e) {
+        sheets.push({ url: header.sourceURL || null, inline: Boolean(header.isInline), source: 'cdp', text: '', error: e.message });
+      }
+    }
+
+    return sheets;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Read stylesheets through the CSSOM, fetching the cross-origin ones
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array>}
+ */
+async function collectWithCssom(page) {
+  const found = await page.evaluate(() => {
+    const results = [];
+    const sheets = [
+      ...Array.from(document.styleSheets),
+      ...Array.from(document.adoptedStyleSheets || []),
+    ];
+
+    for (const sheet of sheets) {
+      if (sheet.disabled) continue;
+
+      try {
+        results.push({
+          url: sheet.href || null,
+          inline: !sheet.href,
+          text: Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n'),
+          readable: true,
+        });
+      } catch (e) {
+        // CORS - fetched from Node instead
+        results.push({ url: sheet.href, inline: false, text: '', readable: false });
+      }
+    }
+
+    return results;
+  });
+
+  const sheets = [];
+  for (const sheet of found) {
+    if (sheet.readable) {
+      sheets.push({ url: sheet.url, inline: sheet.inline, source: 'cssom', text: sheet.text });
+    } else if (sheet.url) {
+      sheets.push(await fetchStylesheet(page, sheet.url));
+    }
+  }
+
+  return sheets;
+}
+
+/**
+ * Fetch a stylesheet with the page's cookies, outside of CORS
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} url - Stylesheet URL
+ * @returns {Promise<Object>} Collected sheet (with error on failure)
+ */
+async function fetchStylesheet(page, url) {
+  try {
+    const response = await page.context().request.get(url, {
+      timeout: FETCH_TIMEOUT,
+      headers: { Referer: page.url(), Accept: 'text/css,*/*;q=0.1' },
+    });
+
+    if (!response.ok()) {
+      return { url, inline: false, source: 'fetch', text: '', error: `HTTP ${response.status()}` };
+    }
+
+    return { url, inline: false, source: 'fetch', text: await response.text() };
+  } catch (e) {
+    return { url, inline: false, source: 'fetch', text: '', error: e.message };
+  }
+}
+
+/**
+ * Fetch @import targets that were not collected yet
+ *
+ * @param {import('playwright').Page} page
+ * @param {Array} sheets - Collected sheets (appended to)
+ */
+async function followImports(page, sheets) {
+  const seen = new Set(sheets.map(s => s.url).filter(Boolean));
+  let queue = sheets.map(sheet => ({ sheet, depth: 0 }));
+
+  while (queue.length > 0) {
+    const next = [];
+
+    for (const { sheet, depth } of queue) {
+      if (depth >= MAX_IMPORT_DEPTH || !sheet.text.includes('@import')) continue;
+
+      for (const { url, media } of findImports(sheet.text, sheet.url || page.url())) {
+        if (seen.has(url)) continue;
+        seen.add(url);
+
+        const imported = await fetchStylesheet(page, url);
+        imported.importedFrom = sheet.url;
+        if (media) imported.media = media;
+
+        sheets.push(imported);
+        next.push({ sheet: imported, depth: depth + 1 });
+      }
+    }
+
+    queue = next;
+  }
+}
+
+/**
+ * Find @import URLs in a stylesheet
+ *
+ * @param {string} text - CSS text
+ * @param {string} baseUrl - URL relative imports resolve against
+ * @returns {Array<{url: string, media: string|null}>}
+ */
+function findImports(text, baseUrl) {
+  const imports = [];
+  const pattern = /@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)['"]?\s*\)?\s*([^;]*);/g;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    try {
+      imports.push({
+        url: new URL(match[1], baseUrl).href,
+        media: match[2].replace(/^layer(\([^)]*\))?/, '').trim() || null,
+      });
+    } catch (e) {
+      // Unresolvable URL
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * Parse collected stylesheets into the shared model
+ *
+ * @param {Array<{url: string|null, text: string}>} sheets - Collected sheets
+ * @returns {Object} Parsed CSS model
+ */
+export function parseStylesheets(sheets) {
+  const model = {
+    sheets: [],
+    rules: [],
+    customProperties: [],
+    fontFaces: [],
+    keyframes: [],
+    mediaQueries: [],
+    registeredProperties: [],
+  };
+
+  const mediaQueries = new Set();
+
+  for (const sheet of sheets) {
+    const summary = {
+      url: sheet.url,
+      inline: sheet.inline,
+      source: sheet.source,
+      size: sheet.text.length,
+    };
+    if (sheet.importedFrom) summary.importedFrom = sheet.importedFrom;
+    model.sheets.push(summary);
+
+    if (sheet.error) {
+      summary.error = sheet.error;
+      continue;
+    }
+
+    let root;
+    try {
+      root = postcss.parse(sheet.text, { from: sheet.url || undefined });
+    } catch (e) {
+      summary.error = `Parse error: ${e.reason || e.message}`;
+      continue;
+    }
+
+    const context = {
+      sheet: sheet.url,
+      media: sheet.media ? [sheet.media] : [],
+      supports: [],
+      layer: null,
+    };
+    if (sheet.media) mediaQueries.add(sheet.media);
+
+    walkNodes(root.nodes, context, model, mediaQueries);
+  }
+
+  model.mediaQueries = Array.from(mediaQueries);
+
+  return model;
+}
+
+/**
+ * Walk parsed nodes, flattening rules with their context
+ *
+ * @param {Array} nodes - postcss nodes
+ * @param {Object} context - Enclosing sheet/media/supports/layer
+ * @param {Object} model - Model being built (mutated)
+ * @param {Set<string>} mediaQueries - Collected media conditions (mutated)
+ * @param {string} parentSelector - Selector of the enclosing rule (CSS nesting)
+ */
+function walkNodes(nodes, context, model, mediaQueries, parentSelector = null) {
+  for (const node of nodes || []) {
+    if (node.type === 'rule') {
+      const selector = parentSelector ? resolveNestedSelector(node.selector, parentSelector) : node.selector;
+      addRule(node, selector, context, model);
+      walkNodes(node.nodes, context, model, mediaQueries, selector);
+      continue;
+    }
+
+    if (node.type !== 'atrule') continue;
+
+    const name = node.name.toLowerCase();
+    const params = node.params.trim();
+
+    if (CONDITION_AT_RULES.includes(name)) {
+      const inner = { ...context };
+      if (name === 'media') {
+        inner.media = [...context.media, params];
+        mediaQueries.add(params);
+      } else if (name === 'supports') {
+        inner.supports = [...context.supports, params];
+      } else if (name === 'layer') {
+        inner.layer = context.layer && params ? `${context.layer}.${params}` : params || context.layer;
+      }
+      walkNodes(node.nodes, inner, model, mediaQueries, parentSelector);
+    } else if (name === 'font-face') {
+      model.fontFaces.push({
+        ...declarationsOf(node),
+        sheet: context.sheet,
+      });
+    } else if (name.endsWith('keyframes')) {
+      model.keyframes.push({
+        name: params.replace(/['"]/g, ''),
+        frames: (node.nodes || [])
+          .filter(frame => frame.type === 'rule')
+          .map(frame => ({ offset: frame.selector, declarations: declarationsOf(frame) })),
+        media: context.media,
+        sheet: context.sheet,
+      });
+    } else if (name === 'property') {
+      model.registeredProperties.push({
+        name: params,
+        ...declarationsOf(node),
+        sheet: context.sheet,
+      });
+    }
+  }
+}
+
+/**
+ * Add a style rule and its custom properties to the model
+ *
+ * @param {Object} node - postcss rule
+ * @param {string} selector - Resolved selector
+ * @param {Object} context - Enclosing context
+ * @param {Object} model - Model being built (mutated)
+ */
+function addRule(node, selector, context, model) {
+  const declarations = declarationsOf(node);
+  if (Object.keys(declarations).length === 0) return;
+
+  const rule = {
+    selector,
+    declarations,
+    media: context.media,
+    supports: context.supports,
+    layer: context.layer,
+    sheet: context.sheet,
+  };
+  model.rules.push(rule);
+
+  for (const [name, value] of Object.entries(declarations)) {
+    if (!name.startsWith('--')) continue;
+    model.customProperties.push({
+      name,
+      value,
+      selector,
+      media: context.media,
+      supports: context.supports,
+      sheet: context.sheet,
+    });
+  }
+}
+
+/**
+ * Declarations of a node as an object (later declarations win)
+ * Property names are lowercased except custom properties.
+ *
+ * @param {Object} node - postcss container
+ * @returns {Object}
+ */
+function declarationsOf(node) {
+  const declarations = {};
+
+  for (const child of node.nodes || []) {
+    if (child.type !== 'decl') continue;
+    const prop = child.prop.startsWith('--') ? child.prop : child.prop.toLowerCase();
+    declarations[prop] = child.important ? `${child.value} !important` : child.value;
+  }
+
+  return declarations;
+}
+
+/**
+ * Resolve a nested selector against its parent
+ *
+ * @param {string} selector - Nested selector (may contain &)
+ * @param {string} parent - Parent selector
+ * @returns {string}
+ */
+function resolveNestedSelector(selector, parent) {
+  const parents = splitTopLevel(parent, ',');
+
+  return splitTopLevel(selector, ',')
+    .flatMap(part => parents.map(p => (part.includes('&') ? part.replace(/&/g, p) : `${p} ${part}`)))
+    .join(', ');
+}
+
+/**
+ * Check whether a rule applies unconditionally (no @media/@supports)
+ *
+ * @param {Object} rule - Model rule or custom property
+ * @returns {boolean}
+ */
+export function isUnconditional(rule) {
+  return rule.media.length === 0 && rule.supports.length === 0;
+}
+
+/**
+ * Check whether a selector list targets the document root
+ *
+ * @param {string} selector
+ * @returns {boolean}
+ */
+export function isRootSelector(selector) {
+  return splitTopLevel(selector, ',').some(part => [':root', 'html'].includes(part));
+}
+
+/**
+ * Check whether a custom property belongs to a framework's internals
+ *
+ * @param {string} name - Custom property name (--*)
+ * @returns {boolean}
+ */
+export function isFrameworkInternal(name) {
+  return FRAMEWORK_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * An empty model, used when collection fails
+ *
+ * @returns {Object}
+ */
+export function emptyModel() {
+  return parseStylesheets([]);
+}
+
+export default {
+  collectStylesheets,
+  parseStylesheets,
+  isUnconditional,
+  isRootSelector,
+  isFrameworkInternal,
+  emptyModel,
+};
@@ -0,0 +1,56 @@
+/**
+ * stylesheets.test.js - Tests for the shared CSS model
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStylesheets, isUnconditional, isRootSelector } from './stylesheets.js';
+
+/**
+ * Model of one stylesheet
+ *
+ * @param {string} text - CSS
+ * @returns {Object}
+ */
+function parse(text) {
+  return parseStylesheets([{ url: 'https://example.com/site.css', text }]);
+}
+
+test('flattens rules with their @media and @supports context', () => {
+  const { rules, mediaQueries } = parse(`
+    .a { color: red }
+    @media (min-width: 768px) { @supports (display: grid) { .b { display: grid } } }
+  `);
+
+  assert.deepEqual(rules.map(r => r.selector), ['.a', '.b']);
+  assert.equal(isUnconditional(rules[0]), true);
+  assert.deepEqual(rules[1].media, ['(min-width: 768px)']);
+  assert.deepEqual(rules[1].supports, ['(display: grid)']);
+  assert.deepEqual(mediaQueries, ['(min-width: 768px)']);
+});
+
+test('resolves nested selectors against every parent', () => {
+  const { rules } = parse('.card, .panel { color: red; & .title, .body { color: blue } }');
+
+  assert.equal(rules.at(-1).selector, '.card .title, .panel .title, .card .body, .panel .body');
+});
+
+test('keeps selector lists inside :is(), :where() and :not() whole', () => {
+  const { rules } = parse(':is(.a, .b) { .c, &:not(.d, .e) { color: red } }');
+
+  assert.equal(rules.at(-1).selector, ':is(.a, .b) .c, :is(.a, .b):not(.d, .e)');
+});
+
+test('records sheets that fail to parse', () => {
+  const { sheets, rules } = parse('.a { color: red');
+
+  assert.match(sheets[0].error, /^Parse error/);
+  assert.deepEqual(rules, []);
+});
+
+test('recognizes root selectors', () => {
+  assert.equal(isRootSelector(':root'), true);
+  assert.equal(isRootSelector('html, body'), true);
+  assert.equal(isRootSelector(':where(:root, .theme)'), false);
+  assert.equal(isRootSelector('.root'), false);
+});
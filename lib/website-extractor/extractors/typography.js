@@ -9,9 +9,50 @@
  * - Letter spacing
  * - Text transforms
  * - Font sources (Google Fonts, Adobe Fonts)
+ * - Every distinct font size with its usage, and the type scale behind
+ *   them (modular ratio or linear step, with its fit error)
+ * - Fluid sizes: each style sampled at several viewport widths, fitted
+ *   to clamp(), and matched with the authored clamp()/vw declaration
+ * - The font that rendered each style (CDP platform fonts on Chromium,
+ *   font loading status elsewhere), and styles whose font fell back
  */
 
 import { countToConfidence } from '../utils/confidence.js';
+import { detectTypeScale } from '../utils/type-scale.js';
+import { fitFluidSize } from '../utils/fluid-type.js';
+import { collectStylesheets } from './stylesheets.js';
+import { sampleViewports } from './viewports.js';
+
+/**
+ * Max text elements inspected for font sizes
+ */
+const MAX_ELEMENTS = 5000;
+
+/**
+ * Viewport widths styles are sampled at (px)
+ */
+const SAMPLE_WIDTHS = [320, 375, 480, 640, 768, 1024, 1280, 1440, 1680, 1920];
+
+/**
+ * Font sizes that depend on the viewport, or may (var() can hold a clamp())
+ */
+const FLUID_VALUE = /clamp\(|min\(|max\(|calc\(|var\(|\d(vw|vh|vi|vb|vmin|vmax|svw|lvw|dvw|cqw|cqi)\b/i;
+
+/**
+ * Max authored font-size declarations tried per style
+ */
+const MAX_CANDIDATES = 10;
+
+/**
+ * Generic families: always render, with whatever font the browser maps them to
+ */
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'math', 'emoji', 'fangsong'];
+
+/**
+ * Font stack entry statuses that render: a loaded web font, an installed
+ * local font or a generic family
+ */
+const RENDERING_STATUSES = ['loaded', 'installed', 'generic'];
 
 /**
  * Typography selectors for semantic elements
@@ -34,9 +75,12 @@ const TYPOGRAPHY_SELECTORS = {
  * Extract typography information from a page
  *
  * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js); collected if omitted
+ * @param {Object} viewports - Style font sizes per viewport width (sampleTypographyViewports())
+ * @param {Object} fonts - Font files the page loaded (extractFonts())
  * @returns {Promise<Object>} Extracted typography
  */
-export async function extractTypography(page) {
+export async function extractTypography(page, css = null, viewports = null, fonts = null) {
   // Extract font data from DOM elements
   const rawTypography = await page.evaluate((selectors) => {
     const results = {
@@ -80,23 +124,415 @@ export async function extractTypography(page) {
     return results;
   }, TYPOGRAPHY_SELECTORS);
 
+  const fontSizes = await collectFontSizes(page);
+
+  // The font each style rendered with, which may be further down its stack
+  const renderedFonts = await detectRenderedFonts(page, rawTypography.styles, fonts?.files || [])
+    .catch(() => ({}));
+
   // Extract font sources
-  const fontSources = await extractFontSources(page);
+  const fontSources = await extractFontSources(page, css || await collectStylesheets(page), fonts?.files || []);
 
   // Process into schema format
-  const processed = processTypography(rawTypography, fontSources);
+  const processed = processTypography(rawTypography, fontSources, fontSizes, viewports, renderedFonts);
 
   return processed;
 }
 
+/**
+ * Sample the font size of each style at several viewport widths
+ * Resizes the page, so this runs before the other extractors; the
+ * viewport is restored afterwards.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js)
+ * @returns {Promise<Object|null>} {rootFontSize, styles: {context: {samples, authored}}}, null without a fixed viewport
+ */
+export async function sampleTypographyViewports(page, css) {
+  const [viewports] = await sampleViewports(page, [await typographySampler(page, css)]);
+  return viewports;
+}
+
+/**
+ * Viewport sampler for style font sizes (see viewports.js)
+ * The fluid font-size declarations matching each style are found first,
+ * then each style's size and what those declarations compute to are read
+ * at every width.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed stylesheets (see stylesheets.js)
+ * @returns {Promise<Object|null>} Sampler, null without a fixed viewport
+ */
+export async function typographySampler(page, css) {
+  if (!page.viewportSize()) return null;
+
+  // Authored font sizes that may be fluid, in source order
+  const declarations = [];
+  const seen = new Set();
+  for (const rule of css.rules) {
+    const value = (rule.declarations['font-size'] || '').replace(/\s*!important$/, '').trim();
+    if (!FLUID_VALUE.test(value) || seen.has(`${rule.selector}|${value}`)) continue;
+    seen.add(`${rule.selector}|${value}`);
+    declarations.push({ selector: rule.selector, value });
+  }
+
+  const candidates = await page.evaluate(({ selectors, declarations, fluidValue, maxCandidates }) => {
+    const isFluid = new RegExp(fluidValue, 'i');
+    const candidates = {};
+
+    for (const [context, selector] of Object.entries(selectors)) {
+      const elements = Array.from(document.querySelectorAll(selector)).slice(0, 20);
+      const found = new Map();
+
+      for (const el of elements) {
+        const inline = el.style?.fontSize;
+        if (inline && isFluid.test(inline)) found.set(`style|${inline}`, { selector: 'style attribute', value: inline });
+
+        for (const declaration of declarations) {
+          try {
+            if (el.matches(declaration.selector)) {
+              found.set(`${declaration.selector}|${declaration.value}`, declaration);
+            }
+          } catch (e) {
+            // Selectors the engine can't match (::before, vendor pseudo-classes)
+          }
+        }
+      }
+
+      // Later declarations are more likely to win the cascade
+      if (found.size > 0) candidates[context] = Array.from(found.values()).slice(-maxCandidates);
+    }
+
+    return candidates;
+  }, { selectors: TYPOGRAPHY_SELECTORS, declarations, fluidValue: FLUID_VALUE.source, maxCandidates: MAX_CANDIDATES });
+
+  const samples = {};
+
+  return {
+    widths: SAMPLE_WIDTHS,
+    read: async (width) => {
+      samples[width] = await readStyleSizes(page, candidates);
+    },
+    result: () => groupStyleSamples(samples, candidates),
+  };
+}
+
+/**
+ * Read each style's font size at the current width, with what its
+ * authored fluid declarations compute to
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} candidates - Context => authored declarations
+ * @returns {Promise<Object>} {rootFontSize, styles: {context: {size, authored}}}
+ */
+async function readStyleSizes(page, candidates) {
+  return page.evaluate(({ selectors, candidates }) => {
+    const isVisible = (el) => {
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') return false;
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    };
+
+    // Size an authored value computes to where the element sits
+    const probe = (parent, value) => {
+      const span = document.createElement('span');
+      span.style.setProperty('position', 'absolute', 'important');
+      span.style.setProperty('visibility', 'hidden', 'important');
+      span.style.setProperty('font-size', value, 'important');
+      parent.appendChild(span);
+      const size = parseFloat(window.getComputedStyle(span).fontSize);
+      span.remove();
+      return size;
+    };
+
+    const result = { rootFontSize: parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16, styles: {} };
+
+    for (const [context, selector] of Object.entries(selectors)) {
+      const elements = Array.from(document.querySelectorAll(selector)).filter(isVisible);
+      if (elements.length === 0) continue;
+
+      // Most common size, as for the style itself
+      const counts = new Map();
+      for (const el of elements) {
+        const size = parseFloat(window.getComputedStyle(el).fontSize);
+        counts.set(size, (counts.get(size) || 0) + 1);
+      }
+      const [size] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+      const sample = elements.find(el => parseFloat(window.getComputedStyle(el).fontSize) === size);
+      const parent = sample.parentElement || document.body;
+
+      result.styles[context] = {
+        size,
+        authored: (candidates[context] || []).map(c => probe(parent, c.value)),
+      };
+    }
+
+    return result;
+  }, { selectors: TYPOGRAPHY_SELECTORS, candidates });
+}
+
+/**
+ * Regroup the samples of each width by style
+ *
+ * @param {Object} samples - Width => readStyleSizes() result
+ * @param {Object} candidates - Context => authored declarations
+ * @returns {Object} {rootFontSize, styles: {context: {samples, authored}}}
+ */
+function groupStyleSamples(samples, candidates) {
+  const styles = {};
+  for (const context of Object.keys(TYPOGRAPHY_SELECTORS)) {
+    const points = SAMPLE_WIDTHS
+      .filter(width => samples[width]?.styles[context])
+      .map(width => ({ width, ...samples[width].styles[context] }));
+    if (points.length === 0) continue;
+
+    styles[context] = {
+      samples: points.map(p => ({ width: p.width, size: p.size })),
+      authored: (candidates[context] || []).map((candidate, i) => ({
+        ...candidate,
+        samples: points.map(p => ({ width: p.width, size: p.authored[i] })),
+      })),
+    };
+  }
+
+  return {
+    rootFontSize: samples[SAMPLE_WIDTHS[0]]?.rootFontSize || 16,
+    styles,
+  };
+}
+
+/**
+ * Collect every distinct font size used by visible text
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array<{size: number, count: number, chars: number}>>} Sizes (px) with element and character counts
+ */
+async function collectFontSizes(page) {
+  return page.evaluate((maxElements) => {
+    const sizes = new Map();
+    let inspected = 0;
+
+    for (const el of document.body.querySelectorAll('*')) {
+      if (inspected >= maxElements) break;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+      if (el.closest('svg')) continue;
+
+      // Text directly inside the element, not in its children
+      const text = Array.from(el.childNodes)
+        .filter(n => n.nodeType === Node.TEXT_NODE)
+        .map(n => n.textContent.trim())
+        .join('');
+      if (!text) continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      inspected++;
+
+      const size = Math.round(parseFloat(style.fontSize) * 100) / 100;
+      if (!(size > 0)) continue;
+
+      const entry = sizes.get(size) || { size, count: 0, chars: 0 };
+      entry.count++;
+      entry.chars += text.length;
+      sizes.set(size, entry);
+    }
+
+    return Array.from(sizes.values()).sort((a, b) => a.size - b.size);
+  }, MAX_ELEMENTS);
+}
+
+/**
+ * Find the font that rendered each style
+ * One element per style (the first visible one with its own text and the
+ * style's font-family) is checked. Each family of its stack gets a status:
+ * web fonts from document.fonts (loaded, failed, not-loaded), local fonts
+ * by measuring text with and without them (installed, not-installed). On
+ * Chromium the platform fonts used for the element's text are read
+ * through the DevTools protocol and matched back to the stack.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} styles - Most common computed values per style
+ * @param {Object[]} fontFiles - Font files read by extractFonts(), to match web fonts by their own names
+ * @returns {Promise<Object>} Style => rendered font
+ */
+async function detectRenderedFonts(page, styles, fontFiles) {
+  const families = {};
+  for (const [context, data] of Object.entries(styles)) {
+    if (data?.fontFamily) families[context] = data.fontFamily;
+  }
+
+  const picks = await page.evaluate(({ selectors, families, generics }) => {
+    const unquote = name => name.trim().replace(/^["']|["']$/g, '');
+    const faces = Array.from(document.fonts);
+
+    // A local font changes the width of a specimen set in a generic family
+    const canvas = document.createElement('canvas').getContext('2d');
+    const widthOf = (font) => {
+      canvas.font = `72px ${font}`;
+      return canvas.measureText('mmmmmmmmmmlliWW@#0').width;
+    };
+    const isInstalled = (family) => {
+      const name = /^[-\w]+$/.test(family) ? family : `"${family}"`;
+      return ['monospace', 'serif', 'sans-serif'].some(generic => widthOf(`${name}, ${generic}`) !== widthOf(generic));
+    };
+
+    const statusOf = (family) => {
+      if (generics.includes(family.toLowerCase())) return 'generic';
+
+      const own = faces.filter(face => unquote(face.family).toLowerCase() === family.toLowerCase());
+      if (own.length === 0) return isInstalled(family) ? 'installed' : 'not-installed';
+      if (own.some(face => face.status === 'loaded')) return 'loaded';
+      return own.some(face => face.status === 'error') ? 'failed' : 'not-loaded';
+    };
+
+    const results = {};
+    for (const [context, family] of Object.entries(families)) {
+      const selector = selectors[context];
+      const index = Array.from(document.querySelectorAll(selector)).findIndex((el) => {
+        const style = window.getComputedStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden' || style.fontFamily !== family) return false;
+        return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      });
+      if (index === -1) continue;
+
+      results[context] = {
+        selector,
+        index,
+        stack: family.split(',').map(unquote).filter(Boolean).map(name => ({ family: name, status: statusOf(name) })),
+      };
+    }
+
+    return results;
+  }, { selectors: TYPOGRAPHY_SELECTORS, families, generics: GENERIC_FAMILIES });
+
+  const platformFonts = await readPlatformFonts(page, picks).catch(() => null);
+
+  const rendered = {};
+  for (const [context, { stack }] of Object.entries(picks)) {
+    rendered[context] = describeRenderedFont(stack, platformFonts?.[context], fontFiles, Boolean(platformFonts));
+  }
+
+  return rendered;
+}
+
+/**
+ * Read the platform fonts Chromium used for each picked element's text
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} picks - Style => {selector, index}
+ * @returns {Promise<Object|null>} Style => [{familyName, postScriptName, isCustomFont, glyphCount}], null off Chromium
+ */
+async function readPlatformFonts(page, picks) {
+  if (page.context().browser()?.browserType().name() !== 'chromium') return null;
+
+  const client = await page.context().newCDPSession(page);
+
+  try {
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+    await client.send('DOM.getDocument', { depth: 0 });
+
+    const fonts = {};
+    for (const [context, { selector, index }] of Object.entries(picks)) {
+      try {
+        const { result } = await client.send('Runtime.evaluate', {
+          expression: `document.querySelectorAll(${JSON.stringify(selector)})[${index}]`,
+        });
+        if (!result.objectId) continue;
+
+        const { nodeId } = await client.send('DOM.requestNode', { objectId: result.objectId });
+        ({ fonts: fonts[context] } = await client.send('CSS.getPlatformFontsForNode', { nodeId }));
+      } catch (e) {
+        // Element gone since it was picked
+      }
+    }
+
+    return fonts;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Describe the font a style rendered with
+ *
+ * @param {Array<{family: string, status: string}>} stack - Font stack with a status per family
+ * @param {Array<Object>} platformFonts - Platform fonts for the element's text (Chromium)
+ * @param {Object[]} fontFiles - Font files read by extractFonts()
+ * @param {boolean} fromCdp - Whether platform fonts were read
+ * @returns {Object} {family, font?, webFont, fallback, reason?, fonts?, source}
+ */
+function describeRenderedFont(stack, platformFonts = [], fontFiles, fromCdp) {
+  // No preferred font when the stack is all system and generic families
+  const preferredName = parseFontFamily(stack.map(entry => entry.family).join(', '));
+  const preferred = stack.find(entry => entry.family === preferredName);
+
+  // The platform font that set most glyphs, matched to a stack family by
+  // name, else to the first family of its kind (web or local) that renders
+  // (a generic family, or a system alias like -apple-system)
+  const [main] = [...platformFonts].sort((a, b) => b.glyphCount - a.glyphCount);
+  const renders = entry => RENDERING_STATUSES.includes(entry.status) &&
+    (!main || (entry.status === 'loaded') === main.isCustomFont);
+  const rendered = (main && stack.find(entry => isPlatformFont(entry, main, fontFiles))) ||
+    stack.find(renders);
+
+  const fallback = Boolean(preferred) && rendered?.family !== preferred.family;
+
+  return {
+    family: rendered?.family || null,
+    ...(main && { font: main.familyName }),
+    ...(main?.postScriptName && { postScriptName: main.postScriptName }),
+    webFont: main ? main.isCustomFont : rendered?.status === 'loaded',
+    fallback,
+    // A preferred font that loaded but did not render lacks the text's glyphs
+    ...(fallback && { reason: RENDERING_STATUSES.includes(preferred.status) ? 'missing-glyphs' : preferred.status }),
+    ...(platformFonts.length > 1 && {
+      fonts: platformFonts.map(font => ({ font: font.familyName, webFont: font.isCustomFont, glyphs: font.glyphCount })),
+    }),
+    source: fromCdp ? 'cdp' : 'document.fonts',
+  };
+}
+
+/**
+ * Whether a platform font is a font stack family
+ * Web fonts are matched through the @font-face rule of a file with the
+ * platform font's name, or by being a loaded web font when no file was read
+ *
+ * @param {{family: string, status: string}} entry - Font stack family
+ * @param {Object} font - Platform font {familyName, postScriptName, isCustomFont}
+ * @param {Object[]} fontFiles - Font files read by extractFonts()
+ * @returns {boolean}
+ */
+function isPlatformFont(entry, font, fontFiles) {
+  const family = entry.family.toLowerCase();
+
+  if (!font.isCustomFont) return font.familyName.toLowerCase() === family;
+  if (!['loaded', 'failed', 'not-loaded'].includes(entry.status)) return false;
+
+  const files = fontFiles.filter(file => !file.error && file.declared?.family?.toLowerCase() === family);
+  if (files.length === 0) return entry.status === 'loaded';
+
+  return files.some(file =>
+    [file.family, file.fullName].includes(font.familyName) ||
+    (font.postScriptName && file.postScriptName === font.postScriptName)
+  );
+}
+
 /**
  * Extract font sources (Google Fonts, Adobe Fonts, etc.)
  *
  * @param {import('playwright').Page} page
+ * @param {Object} css - Parsed stylesheets
+ * @param {Object[]} fontFiles - Font files read by extractFonts()
  * @returns {Promise<Object>}
  */
-async function extractFontSources(page) {
-  return await page.evaluate(() => {
+async function extractFontSources(page, css, fontFiles = []) {
+  const sources = await page.evaluate(() => {
     const sources = {
       googleFonts: [],
       adobeFonts: null,
@@ -121,34 +557,46 @@ async function extractFontSources(page) {
       sources.adobeFonts = 'Detected (Typekit)';
     }
 
-    // Check for variable fonts in @font-face rules
-    for (const sheet of document.styleSheets) {
-      try {
-        for (const rule of sheet.cssRules) {
-          if (rule instanceof CSSFontFaceRule) {
-            const fontFamily = rule.style.getPropertyValue('font-family').replace(/['"]/g, '');
-            const fontDisplay = rule.style.getPropertyValue('font-display');
-            const src = rule.style.getPropertyValue('src');
-
-            if (src.includes('wght') || src.includes('ital')) {
-              sources.variableFonts.push(fontFamily);
-            } else if (!sources.googleFonts.includes(fontFamily)) {
-              sources.customFonts.push(fontFamily);
-            }
-          }
-        }
-      } catch (e) {
-        // CORS - can't access external stylesheets
-      }
+    return sources;
+  });
+
+  // Families whose files were read: variable when a file has axes
+  const readFiles = fontFiles.filter(file => !file.error && file.declared?.family);
+  const readFamilies = new Set(readFiles.map(file => file.declared.family));
+  const variableFamilies = new Set(readFiles.filter(file => file.axes.length > 0).map(file => file.declared.family));
+
+  // Check for variable fonts in @font-face rules (all stylesheets, cross-origin included)
+  for (const fontFace of css.fontFaces) {
+    const fontFamily = (fontFace['font-family'] || '').replace(/['"]/g, '').trim();
+    const src = fontFace.src || '';
+    if (!fontFamily) continue;
+
+    // A weight range ("100 900") also marks a variable font
+    const weightRange = /^\d+\s+\d+$/.test((fontFace['font-weight'] || '').trim());
+
+    // Faces served by Google Fonts (now readable) belong to the Google list
+    if (src.includes('fonts.gstatic.com')) {
+      sources.googleFonts.push(fontFamily);
     }
 
-    // Deduplicate
-    sources.googleFonts = [...new Set(sources.googleFonts)];
-    sources.variableFonts = [...new Set(sources.variableFonts)];
-    sources.customFonts = [...new Set(sources.customFonts)];
+    // Without a read file, guess from the rule
+    const variable = readFamilies.has(fontFamily)
+      ? variableFamilies.has(fontFamily)
+      : src.includes('wght') || src.includes('ital') || weightRange;
 
-    return sources;
-  });
+    if (variable) {
+      sources.variableFonts.push(fontFamily);
+    } else if (!sources.googleFonts.includes(fontFamily)) {
+      sources.customFonts.push(fontFamily);
+    }
+  }
+
+  // Deduplicate
+  sources.googleFonts = [...new Set(sources.googleFonts)];
+  sources.variableFonts = [...new Set(sources.variableFonts)];
+  sources.customFonts = [...new Set(sources.customFonts)];
+
+  return sources;
 }
 
 /**
@@ -185,9 +633,12 @@ function getMostCommon(samples) {
  *
  * @param {Object} raw - Raw typography data
  * @param {Object} fontSources - Font sources
+ * @param {Array<{size: number, count: number, chars: number}>} fontSizes - Every font size used by text
+ * @param {Object} viewports - Style font sizes per viewport width (sampleTypographyViewports())
+ * @param {Object} renderedFonts - Font each style rendered with (detectRenderedFonts())
  * @returns {Object} Processed typography
  */
-function processTypography(raw, fontSources) {
+function processTypography(raw, fontSources, fontSizes, viewports, renderedFonts = {}) {
   const result = {
     fontFamilies: {
       heading: null,
@@ -241,9 +692,16 @@ function processTypography(raw, fontSources) {
       letterSpacing: data.letterSpacing !== 'normal' ? data.letterSpacing : null,
       fontFamily: data.fontFamily ? parseFontFamily(data.fontFamily) : null,
       textTransform: data.textTransform !== 'none' ? data.textTransform : null,
+      rendered: renderedFonts[context] || null,
       confidence,
     };
 
+    // Sizes that follow the viewport; fontSize stays the px size at the
+    // current viewport, which exports read as a dimension
+    const sampled = viewports?.styles[context];
+    const responsive = sampled && fitFluidSize(sampled.samples, viewports.rootFontSize, sampled.authored);
+    if (responsive) result.styles[context].responsive = responsive;
+
     // Remove null values
     Object.keys(result.styles[context]).forEach(key => {
       if (result.styles[context][key] === null) {
@@ -252,6 +710,11 @@ function processTypography(raw, fontSources) {
     });
   }
 
+  // Font sizes and the scale they follow
+  result.sizes = fontSizes.map(s => ({ value: `${s.size}px`, count: s.count, chars: s.chars }));
+  const scale = detectTypeScale(fontSizes);
+  if (scale) result.scale = scale;
+
   // Add font sources
   result.sources = fontSources;
 
@@ -0,0 +1,288 @@
+/**
+ * variables.js - CSS custom property dependency graph
+ *
+ * Extracts:
+ * - Every --* declaration across all selectors and @media/@supports blocks
+ *   (:root, [data-theme="dark"], .dark, component scopes, ...)
+ * - var() references between variables, aliases (a value that is one var())
+ * - Values resolved per context, with unresolved references and cycles
+ * - Primitive (raw values, scale steps) vs semantic (aliases, role names) tiers
+ * - A value type for DTCG export (color, dimension, duration, ...)
+ */
+
+import { collectStylesheets, isRootSelector, isFrameworkInternal } from './stylesheets.js';
+import { parseColor } from '../utils/color-convert.js';
+
+/**
+ * Context of declarations on :root/html outside any condition
+ */
+const DEFAULT_CONTEXT = 'default';
+
+/**
+ * Names that describe a role rather than a raw value
+ */
+const SEMANTIC_NAME = /(primary|secondary|accent|brand|background|\bbg\b|-bg|foreground|\bfg\b|text|border|surface|muted|success|warning|error|danger|destructive|info|ring|focus|button|btn|card|input|popover|link|heading|body|overlay|shadow-color)/i;
+
+/**
+ * Names that are one step of a scale (--blue-500, --space-4, --radius-lg)
+ */
+const SCALE_STEP_NAME = /-(\d+|[2-9]?x[sl]|sm|md|lg)$/i;
+
+/**
+ * Max depth when resolving var() chains
+ */
+const MAX_DEPTH = 20;
+
+/**
+ * Build the custom property graph of a page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed CSS model from collectStylesheets() (collected if omitted)
+ * @returns {Promise<Object>} Variable graph (contexts, variables, summary)
+ */
+export async function extractVariables(page, css = null) {
+  const model = css || await collectStylesheets(page);
+  return buildVariableGraph(model.customProperties);
+}
+
+/**
+ * Build the variable graph from declared custom properties
+ *
+ * @param {Array} customProperties - Declarations from the CSS model
+ * @returns {Object} Variable graph
+ */
+function buildVariableGraph(customProperties) {
+  // Raw values per variable and context (later declarations win)
+  const declared = new Map();
+  const contexts = new Set();
+
+  for (const property of customProperties) {
+    if (isFrameworkInternal(property.name)) continue;
+
+    const context = contextOf(property);
+    contexts.add(context);
+
+    if (!declared.has(property.name)) declared.set(property.name, {});
+    declared.get(property.name)[context] = property.value.replace(/\s*!important$/, '').trim();
+  }
+
+  const unresolved = new Set();
+  const cycles = new Set();
+
+  const resolve = (name, context, stack = []) => {
+    if (stack.includes(name) || stack.length > MAX_DEPTH) {
+      if (stack.includes(name)) cycles.add(cycleLabel(stack.slice(stack.indexOf(name))));
+      return null;
+    }
+
+    const values = declared.get(name);
+    const raw = values?.[context] ?? values?.[DEFAULT_CONTEXT];
+    if (raw === undefined) return null;
+
+    const replaceRef = (ref, fallback) => {
+      const value = declared.has(ref) ? resolve(ref, context, [...stack, name]) : null;
+      if (value !== null) return value;
+      if (fallback !== null) return substitute(fallback, replaceRef);
+      if (!declared.has(ref)) unresolved.add(ref);
+      return null;
+    };
+
+    return substitute(raw, replaceRef);
+  };
+
+  const variables = {};
+
+  for (const [name, values] of declared) {
+    const defaultContext = values[DEFAULT_CONTEXT] !== undefined ? DEFAULT_CONTEXT : Object.keys(values)[0];
+    const value = values[defaultContext];
+    const references = [...new Set(Object.values(values).flatMap(referencesOf))];
+    const resolved = resolve(name, defaultContext);
+
+    const entry = {
+      tier: tierOf(name, references),
+      type: resolved !== null ? typeOf(name, resolved) : null,
+      value,
+      resolved,
+    };
+
+    const alias = aliasOf(value);
+    if (alias) entry.alias = alias;
+    if (defaultContext !== DEFAULT_CONTEXT) entry.scope = defaultContext;
+    if (references.length > 0) entry.references = references;
+
+    const overrides = Object.entries(values).filter(([context]) => context !== defaultContext);
+    if (overrides.length > 0) {
+      entry.contexts = Object.fromEntries(overrides.map(([context, raw]) => [context, {
+        value: raw,
+        resolved: resolve(name, context),
+        ...(aliasOf(raw) && { alias: aliasOf(raw) }),
+      }]));
+    }
+
+    variables[name] = entry;
+  }
+
+  // Reverse edges
+  for (const [name, entry] of Object.entries(variables)) {
+    for (const ref of entry.references || []) {
+      if (!variables[ref]) continue;
+      variables[ref].referencedBy = [...(variables[ref].referencedBy || []), name];
+    }
+  }
+
+  const entries = Object.values(variables);
+
+  return {
+    contexts: [DEFAULT_CONTEXT, ...[...contexts].filter(c => c !== DEFAULT_CONTEXT).sort()],
+    variables,
+    summary: {
+      total: entries.length,
+      primitive: entries.filter(e => e.tier === 'primitive').length,
+      semantic: entries.filter(e => e.tier === 'semantic').length,
+      aliases: entries.filter(e => e.alias).length,
+      unresolved: [...unresolved].sort(),
+      cycles: [...cycles],
+    },
+  };
+}
+
+/**
+ * Context label of a declaration: "default" for unconditional :root/html,
+ * otherwise its selector and @media/@supports conditions
+ *
+ * @param {Object} property - Custom property from the CSS model
+ * @returns {string}
+ */
+function contextOf(property) {
+  const root = isRootSelector(property.selector);
+  const conditions = [
+    ...property.media.map(m => `@media ${m}`),
+    ...property.supports.map(s => `@supports ${s}`),
+  ];
+
+  if (root && conditions.length === 0) return DEFAULT_CONTEXT;
+
+  return [root ? null : property.selector.replace(/\s+/g, ' ').trim(), ...conditions]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Label of a reference cycle, starting from its first name alphabetically
+ * so the same cycle found from any member reads the same
+ *
+ * @param {string[]} members - Variables in the cycle, in reference order
+ * @returns {string} e.g. "--a -> --b -> --a"
+ */
+function cycleLabel(members) {
+  const start = members.indexOf([...members].sort()[0]);
+  const rotated = [...members.slice(start), ...members.slice(0, start)];
+  return [...rotated, rotated[0]].join(' -> ');
+}
+
+/**
+ * Replace var() references in a value
+ *
+ * @param {string} value - CSS value
+ * @param {Function} replace - (name, fallback|null) => string|null
+ * @returns {string|null} Substituted value, null if a reference can't be resolved
+ */
+function substitute(value, replace) {
+  let result = '';
+  let index = 0;
+
+  while (index < value.length) {
+    const start = value.indexOf('var(', index);
+    if (start === -1) {
+      result += value.slice(index);
+      break;
+    }
+
+    result += value.slice(index, start);
+
+    const end = closingParen(value, start + 3);
+    const inner = value.slice(start + 4, end);
+    const comma = inner.indexOf(',');
+    const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+    const fallback = comma === -1 ? null : inner.slice(comma + 1).trim();
+
+    const replacement = replace(name, fallback);
+    if (replacement === null) return null;
+
+    result += replacement;
+    index = end + 1;
+  }
+
+  return result.trim();
+}
+
+/**
+ * Variables referenced by a value (fallbacks included)
+ *
+ * @param {string} value - CSS value
+ * @returns {string[]}
+ */
+function referencesOf(value) {
+  return [...value.matchAll(/var\(\s*(--[\w-]+)/g)].map(match => match[1]);
+}
+
+/**
+ * Variable a value aliases, when the value is a single var()
+ *
+ * @param {string} value - CSS value
+ * @returns {string|null}
+ */
+function aliasOf(value) {
+  if (!value.startsWith('var(') || closingParen(value, 3) !== value.length - 1) return null;
+  return referencesOf(value)[0] || null;
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`
+ *
+ * @param {string} value
+ * @param {number} open - Index of "("
+ * @returns {number} Index of the matching ")" (value.length if unbalanced)
+ */
+function closingParen(value, open) {
+  let depth = 0;
+  for (let i = open; i < value.length; i++) {
+    if (value[i] === '(') depth++;
+    if (value[i] === ')' && --depth === 0) return i;
+  }
+  return value.length;
+}
+
+/**
+ * Primitive or semantic: aliases and role names are semantic, raw values
+ * and scale steps are primitive
+ *
+ * @param {string} name - Variable name
+ * @param {string[]} references - Referenced variables
+ * @returns {'primitive'|'semantic'}
+ */
+function tierOf(name, references) {
+  if (references.length > 0) return 'semantic';
+  if (SCALE_STEP_NAME.test(name)) return 'primitive';
+  return SEMANTIC_NAME.test(name) ? 'semantic' : 'primitive';
+}
+
+/**
+ * Value type of a resolved variable (DTCG type names)
+ *
+ * @param {string} name - Variable name
+ * @param {string} value - Resolved value
+ * @returns {string|null}
+ */
+function typeOf(name, value) {
+  if (/^-?[\d.]+(px|rem|em|%|vw|vh)$/.test(value)) return 'dimension';
+  if (/^-?[\d.]+m?s$/.test(value)) return 'duration';
+  if (/^cubic-bezier\(/.test(value) || /^(ease|ease-in|ease-out|ease-in-out|linear)$/.test(value)) return 'cubicBezier';
+  if (/weight/i.test(name) && /^\d{3}$/.test(value)) return 'fontWeight';
+  if (/^-?[\d.]+$/.test(value)) return 'number';
+  if (parseColor(value)) return 'color';
+  if (/font|family/i.test(name) && /[a-z]/i.test(value)) return 'fontFamily';
+  return null;
+}
+
+export default extractVariables;
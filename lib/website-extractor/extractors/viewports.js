@@ -0,0 +1,57 @@
+/**
+ * viewports.js - One viewport sweep for the extractors that sample widths
+ *
+ * Typography (font sizes per width) and layout (containers and grids per
+ * breakpoint) both read the page at several widths. Resizing and waiting
+ * for reflow is the slow part, so their widths are merged and the page is
+ * resized once per width. The viewport is restored afterwards.
+ *
+ * A sampler is {widths, read(width), result()}: read() is called at each
+ * of its widths, result() once the sweep is done.
+ */
+
+/**
+ * Wait for reflow after a resize (ms)
+ */
+const RESIZE_WAIT = 300;
+
+/**
+ * Resize the page through every width the samplers ask for
+ * A sampler that fails gives {error} without stopping the others.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Array<Object|null>} samplers - Samplers (null ones are skipped)
+ * @returns {Promise<Array>} Each sampler's result, in order (null for null samplers)
+ */
+export async function sampleViewports(page, samplers) {
+  const viewport = page.viewportSize();
+  const active = viewport ? samplers.filter(Boolean) : [];
+  const errors = new Map();
+
+  const widths = [...new Set(active.flatMap(sampler => sampler.widths))].sort((a, b) => a - b);
+
+  if (widths.length > 0) {
+    try {
+      for (const width of widths) {
+        await page.setViewportSize({ width, height: viewport.height });
+        await page.waitForTimeout(RESIZE_WAIT);
+
+        for (const sampler of active) {
+          if (errors.has(sampler) || !sampler.widths.includes(width)) continue;
+          await sampler.read(width).catch(err => errors.set(sampler, err));
+        }
+      }
+    } finally {
+      await page.setViewportSize(viewport);
+      await page.waitForTimeout(RESIZE_WAIT);
+    }
+  }
+
+  return samplers.map((sampler) => {
+    if (!sampler || !viewport) return null;
+    if (errors.has(sampler)) return { error: errors.get(sampler).message };
+    return sampler.result();
+  });
+}
+
+export default sampleViewports;
@@ -12,24 +12,37 @@
  * Options:
  *   --output <file>      Save to file (default: stdout)
  *   --dark-mode          Extract dark mode variant
+ *   --themes <list>      Extract several themes (light,dark) into one design system with modes
  *   --mobile             Use mobile viewport (390x844)
  *   --slow               3x timeouts for JS-heavy SPAs
  *   --browser <type>     chromium (default) or firefox
  *   --dtcg               Output W3C Design Tokens format
  *   --json-only          Output raw JSON without formatting
+ *   --storage-state <f>  Sign in with a saved Playwright storage state (see login.js)
+ *   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
+ *   --crawl              Follow same-origin links and merge all pages
+ *   --depth <n>          Max crawl link depth (default: 2)
+ *   --max-pages <n>      Max pages to crawl (default: 10)
+ *   --include <glob...>  Only crawl paths matching these globs
+ *   --exclude <glob...>  Skip paths matching these globs
+ *   --save-fonts <dir>   Save the web font files the page loaded
  */
 
 import { program } from 'commander';
 import {
   launchBrowser,
+  validateUrl,
   navigateToUrl,
-  enableDarkMode,
   switchToMobile,
   closeBrowser,
   isCanvasOnlySite,
 } from './browser.js';
+import { crawlSite } from './crawler.js';
+import { parseThemes, extractThemes, switchTheme } from './themes.js';
 import runAllExtractors from './extractors/index.js';
 import { mapToSchema, toDTCGFormat } from './output/schema-mapper.js';
+import { mergeDesignSystems } from './output/merge.js';
+import { mergeThemes } from './output/modes.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -44,6 +57,7 @@ program
   .argument('<url>', 'URL to extract from')
   .option('-o, --output <file>', 'Output file path')
   .option('--dark-mode', 'Extract dark mode variant')
+  .option('--themes <list>', 'Extract these themes into one design system with modes (e.g. light,dark)')
   .option('--mobile', 'Use mobile viewport')
   .option('--slow', 'Extended timeouts for JS-heavy sites')
   .option('--browser <type>', 'Browser to use (chromium or firefox)', 'chromium')
@@ -51,28 +65,19 @@ program
   .option('--json-only', 'Output JSON only (no status messages)')
   .option('--headless', 'Run in headless mode (default)', true)
   .option('--no-headless', 'Run with visible browser')
+  .option('--storage-state <file>', 'Playwright storage state file (from login.js)')
+  .option('--cookies <file>', 'Cookie file to import (Netscape cookies.txt or JSON)')
+  .option('--crawl', 'Follow same-origin links and merge tokens across pages')
+  .option('--depth <n>', 'Max crawl link depth', '2')
+  .option('--max-pages <n>', 'Max pages to crawl', '10')
+  .option('--include <glob...>', 'Only crawl paths matching these globs')
+  .option('--exclude <glob...>', 'Skip paths matching these globs')
+  .option('--save-fonts <dir>', 'Save the web font files the page loaded to this directory')
   .parse();
 
 const options = program.opts();
 const url = program.args[0];
 
-// Validate URL
-function validateUrl(urlString) {
-  try {
-    const parsed = new URL(urlString);
-    if (!['http:', 'https:'].includes(parsed.protocol)) {
-      throw new Error('URL must use http or https protocol');
-    }
-    return parsed.href;
-  } catch (e) {
-    // Try adding https://
-    if (!urlString.includes('://')) {
-      return validateUrl(`https://${urlString}`);
-    }
-    throw new Error(`Invalid URL: ${urlString}`);
-  }
-}
-
 // Log to stderr (so stdout is clean JSON)
 function log(message) {
   if (!options.jsonOnly) {
@@ -87,6 +92,11 @@ async function main() {
   try {
     // Validate URL
     const validUrl = validateUrl(url);
+
+    if (options.themes && options.darkMode) {
+      throw new Error('Use either --dark-mode or --themes, not both');
+    }
+    const themes = options.themes ? parseThemes(options.themes) : null;
     log(`Extracting design system from: ${validUrl}`);
 
     // Launch browser
@@ -97,49 +107,17 @@ async function main() {
       mobile: options.mobile,
       slow: options.slow,
       darkMode: options.darkMode,
+      storageState: options.storageState,
+      cookies: options.cookies,
+      trackFonts: true,
     });
     browser = browserResult.browser;
     const page = browserResult.page;
 
-    // Navigate to URL
-    log('Navigating to page...');
-    const navResult = await navigateToUrl(page, validUrl, {
-      slow: options.slow,
-    });
-
-    if (!navResult.success) {
-      throw new Error(`Navigation failed: ${navResult.error}`);
-    }
-
-    log(`Page loaded: ${navResult.finalUrl}`);
-
-    // Check for canvas-only sites
-    if (await isCanvasOnlySite(page)) {
-      log('Warning: This appears to be a WebGL/Canvas-heavy site. Extraction may be limited.');
-    }
-
-    // Enable dark mode if requested
-    if (options.darkMode) {
-      log('Enabling dark mode...');
-      await enableDarkMode(page);
-    }
-
-    // Switch to mobile if requested
-    if (options.mobile) {
-      log('Switching to mobile viewport...');
-      await switchToMobile(page);
-    }
-
-    // Run extractors
-    log('Running extractors...');
-    const extraction = await runAllExtractors(page, options);
-    log(`Extraction complete in ${extraction._meta.extractionTimeMs}ms`);
-
-    // Map to schema
-    const designSystem = mapToSchema(extraction, {
-      url: validUrl,
-      name: `Design System from ${new URL(validUrl).hostname}`,
-    });
+    const name = `Design System from ${new URL(validUrl).hostname}`;
+    const designSystem = options.crawl
+      ? await extractSite(page, validUrl, name, themes)
+      : await extractSinglePage(page, validUrl, name, themes);
 
     // Convert to DTCG if requested
     let output = options.dtcg ? toDTCGFormat(designSystem) : designSystem;
@@ -183,6 +161,91 @@ async function main() {
   }
 }
 
+// Extract the design system from one URL
+async function extractSinglePage(page, validUrl, name, themes) {
+  // Navigate to URL
+  log('Navigating to page...');
+  const navResult = await navigateToUrl(page, validUrl, {
+    slow: options.slow,
+  });
+
+  if (!navResult.success) {
+    throw new Error(`Navigation failed: ${navResult.error}`);
+  }
+
+  log(`Page loaded: ${navResult.finalUrl}`);
+
+  return extractLoadedPage(page, { url: validUrl, name }, themes);
+}
+
+// Crawl same-origin pages and merge their design systems
+async function extractSite(page, validUrl, name, themes) {
+  const depth = parseInt(options.depth, 10);
+  const maxPages = parseInt(options.maxPages, 10);
+  log(`Crawling up to ${maxPages} pages (depth ${depth})...`);
+
+  const { pages, failed } = await crawlSite(page, validUrl, {
+    depth,
+    maxPages,
+    include: options.include || [],
+    exclude: options.exclude || [],
+    slow: options.slow,
+    log,
+    onPage: async (crawledPage, navResult) => ({
+      designSystem: await extractLoadedPage(crawledPage, { url: navResult.finalUrl, name }, themes),
+    }),
+  });
+
+  for (const failure of failed) {
+    log(`Skipped ${failure.url}: ${failure.error}`);
+  }
+
+  if (pages.length === 0) {
+    throw new Error(`Crawl failed: no pages could be loaded from ${validUrl}`);
+  }
+
+  return mergeDesignSystems(pages, { url: validUrl, name, failed });
+}
+
+// Prepare the loaded page (dark mode, viewport) and map its design system,
+// one extraction per theme merged into modes when themes are given
+async function extractLoadedPage(page, source, themes) {
+  // Check for canvas-only sites
+  if (await isCanvasOnlySite(page)) {
+    log('Warning: This appears to be a WebGL/Canvas-heavy site. Extraction may be limited.');
+  }
+
+  // Enable dark mode if requested, through the site's own theme mechanism
+  let activation = null;
+  if (options.darkMode) {
+    log('Enabling dark mode...');
+    activation = await switchTheme(page, 'dark', { slow: options.slow });
+    log(`Dark mode: ${activation.mechanism}${activation.verified ? '' : ' (not verified)'}`);
+  }
+
+  // Switch to mobile if requested
+  if (options.mobile) {
+    log('Switching to mobile viewport...');
+    await switchToMobile(page);
+  }
+
+  const extract = async () => {
+    log('Running extractors...');
+    const extraction = await runAllExtractors(page, options);
+    log(`Extraction complete in ${extraction._meta.extractionTimeMs}ms`);
+    return mapToSchema(extraction, source);
+  };
+
+  if (!themes) {
+    const designSystem = await extract();
+    if (activation) designSystem.metadata.theme = activation;
+    return designSystem;
+  }
+
+  const { discovery, results } = await extractThemes(page, themes, { extract, log, slow: options.slow });
+  return mergeThemes(results, { discovery });
+}
+
 // Generate extraction summary
 function generateSummary(designSystem) {
   const summary = {
@@ -193,8 +256,58 @@ function generateSummary(designSystem) {
     'Border Radii': Object.keys(designSystem.radii || {}).length,
     'Shadows': Object.keys(designSystem.shadows || {}).length,
     'Breakpoints': Object.keys(designSystem.breakpoints || {}).length,
+    'Motion Tokens': Object.keys(designSystem.motion?.durations || {}).length +
+      Object.keys(designSystem.motion?.easings || {}).length,
   };
 
+  // Type scale
+  const typeScale = designSystem.typography?.scale;
+  if (typeScale) {
+    const label = typeScale.type === 'modular'
+      ? `${typeScale.ratioName} (${typeScale.ratio}) from ${typeScale.base}`
+      : `${typeScale.step} steps from ${typeScale.base}`;
+    summary['Type Scale'] = typeScale.matches ? label : `none (closest: ${label})`;
+  }
+
+  // Layout per breakpoint
+  const layout = Object.entries(designSystem.layout?.breakpoints || {});
+  const widestContainer = layout.filter(([, bp]) => bp.containerMaxWidth).pop();
+  if (widestContainer) {
+    summary['Container'] = widestContainer[1].containerMaxWidth;
+  }
+  if (layout.some(([, bp]) => bp.columns)) {
+    summary['Grid Columns'] = layout
+      .filter(([, bp]) => bp.columns)
+      .map(([width, bp]) => `${bp.columns} at ${width}`)
+      .join(', ');
+  }
+
+  // Fluid typography
+  const fluidStyles = Object.values(designSystem.typography?.styles || {})
+    .filter(style => style.responsive?.type === 'fluid').length;
+  if (fluidStyles > 0) {
+    summary['Fluid Type Styles'] = fluidStyles;
+  }
+
+  // Fonts that fell back
+  const fallbacks = Object.entries(designSystem.typography?.styles || {})
+    .filter(([, style]) => style.rendered?.fallback)
+    .map(([context, style]) => `${context} (${style.rendered.family || 'unknown'})`);
+  if (fallbacks.length > 0) {
+    summary['Font Fallbacks'] = fallbacks.join(', ');
+  }
+
+  // Theme mode
+  if (designSystem.metadata?.themes) {
+    summary['Themes'] = designSystem.metadata.themes.join(', ');
+    summary['Tokens With Modes'] = designSystem.cssExtraction?.themes?.themed ?? 0;
+  }
+
+  // Crawl mode
+  if (designSystem.metadata?.pageCount) {
+    summary['Pages Crawled'] = designSystem.metadata.pageCount;
+  }
+
   // Framework detection
   if (designSystem.cssExtraction?.detectedFramework) {
     summary['Framework'] = designSystem.cssExtraction.detectedFramework.name;
@@ -206,6 +319,19 @@ function generateSummary(designSystem) {
     summary['CSS Variables'] = cssVarCount;
   }
 
+  // Font files
+  const fontFiles = designSystem.cssExtraction?.fontFiles?.summary;
+  if (fontFiles?.files > 0) {
+    summary['Font Files'] = `${fontFiles.files} (${Math.round(fontFiles.totalSize / 1024)} KB)`;
+    if (fontFiles.variable.length > 0) summary['Variable Fonts'] = fontFiles.variable.join(', ');
+  }
+
+  // Contrast audit
+  const contrast = designSystem.cssExtraction?.contrast?.summary;
+  if (contrast) {
+    summary['Contrast Failures (AA)'] = contrast.failAA;
+  }
+
   return summary;
 }
 
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * login.js - Save a signed-in browser session for later extraction
+ *
+ * Opens a visible browser at the given URL so you can sign in by hand,
+ * then saves the Playwright storage state (cookies + localStorage).
+ * Pass the saved file to extract-website, batch.js or recorder.js with
+ * --storage-state to extract pages behind the login.
+ *
+ * Usage:
+ *   node login.js <url> [options]
+ *
+ * Options:
+ *   --output <file>      Storage state path (default: ./.auth/<hostname>.json)
+ *   --cookies <file>     Start from cookies exported from another browser
+ *   --mobile             Use mobile viewport (390x844)
+ *   --browser <type>     chromium (default) or firefox
+ *   --json               Output JSON result only
+ */
+
+import { program } from 'commander';
+import { launchBrowser, closeBrowser } from './browser.js';
+import { createInterface } from 'readline';
+import { dirname, resolve } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+
+program
+  .name('login')
+  .description('Sign in manually and save the session for authenticated extraction')
+  .argument('<url>', 'Login page URL')
+  .option('-o, --output <path>', 'Storage state output path')
+  .option('--cookies <file>', 'Netscape or JSON cookie file to start from')
+  .option('--mobile', 'Use mobile viewport (390x844)')
+  .option('--browser <type>', 'Browser engine: chromium or firefox', 'chromium')
+  .option('--json', 'Output JSON result only')
+  .parse();
+
+const options = program.opts();
+const url = program.args[0];
+
+// Ensure URL has protocol
+let normalizedUrl = url;
+if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
+  normalizedUrl = 'https://' + normalizedUrl;
+}
+
+// Resolve output path
+const outputPath = resolve(options.output || `./.auth/${new URL(normalizedUrl).hostname}.json`);
+const outputDir = dirname(outputPath);
+
+// Ensure output directory exists
+if (!existsSync(outputDir)) {
+  mkdirSync(outputDir, { recursive: true });
+}
+
+// Log status (unless JSON mode)
+function log(message) {
+  if (!options.json) {
+    console.error(`[INFO] ${message}`);
+  }
+}
+
+// Resolve when the user presses Enter in the terminal
+function waitForEnter() {
+  return new Promise((resolvePromise) => {
+    const rl = createInterface({ input: process.stdin, output: process.stderr });
+    rl.question('', () => {
+      rl.close();
+      resolvePromise('enter');
+    });
+  });
+}
+
+async function main() {
+  const { browser, context, page } = await launchBrowser({
+    browser: options.browser,
+    headless: false,
+    mobile: options.mobile,
+    cookies: options.cookies,
+  });
+
+  try {
+    log(`Opening: ${normalizedUrl}`);
+    await page.goto(normalizedUrl, { waitUntil: 'domcontentloaded' });
+
+    log('Sign in in the browser window.');
+    log('Press Enter here when you are signed in (or close the browser tab) to save the session.');
+
+    await Promise.race([
+      waitForEnter(),
+      page.waitForEvent('close', { timeout: 0 }),
+    ]);
+
+    const state = await context.storageState({ path: outputPath });
+    log(`Session saved: ${outputPath}`);
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        success: true,
+        storageState: outputPath,
+        url: page.isClosed() ? normalizedUrl : page.url(),
+        cookieCount: state.cookies.length,
+      }, null, 2));
+    } else {
+      console.log(outputPath);
+    }
+  } finally {
+    await closeBrowser(browser);
+  }
+
+  // stdin may still be open if the tab was closed instead of pressing Enter
+  process.exit(0);
+}
+
+main().catch((error) => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+  } else {
+    console.error('Fatal error:', error.message);
+  }
+  process.exit(1);
+});
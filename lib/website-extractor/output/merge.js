@@ -0,0 +1,455 @@
+/**
+ * merge.js - Merge per-page design systems into one
+ *
+ * Used by crawl mode. Every token keeps provenance:
+ * - pageCount: number of pages where the winning value was found
+ * - pages: URLs of those pages
+ * - alternatives: other values seen for the same token, with their pages
+ *
+ * The winning value for a token is the one found on the most pages,
+ * with confidence as the tie-breaker.
+ */
+
+import { calculateOverallConfidence, mergeConfidence } from '../utils/confidence.js';
+import { collectTokens } from './schema-mapper.js';
+import { detectTypeScale } from '../utils/type-scale.js';
+import { summarizeFonts } from '../extractors/fonts.js';
+import { mostCommon } from '../utils/stats.js';
+
+/**
+ * Token fields that describe provenance rather than the token value
+ */
+const META_FIELDS = ['confidence', 'usage', 'count', 'coverage', 'sampleCount', 'sources', 'elements', 'pages', 'pageCount', 'alternatives', 'rendered'];
+
+/**
+ * Max palette entries kept after merging
+ */
+const MAX_PALETTE = 20;
+
+const CONFIDENCE_ORDER = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Merge mapped design systems from several pages
+ *
+ * @param {Array<{url: string, designSystem: Object}>} pages - One entry per crawled page
+ * @param {Object} options - Merge options
+ * @param {string} options.url - Crawl start URL
+ * @param {string} options.name - Design system name
+ * @param {Array} options.failed - Pages that could not be loaded
+ * @returns {Object} Merged design system
+ */
+export function mergeDesignSystems(pages, options = {}) {
+  const { url = pages[0]?.url || null, name = 'Extracted Design System', failed = [] } = options;
+
+  const entries = pages.map(p => ({ url: p.url, node: stripMetadata(p.designSystem) }));
+  const merged = mergeNodes(entries, []);
+
+  // Every page is extracted with the same --themes
+  const { themes, defaultTheme } = pages[0]?.designSystem.metadata || {};
+
+  const designSystem = {
+    metadata: {
+      name,
+      source: url,
+      extractedAt: new Date().toISOString(),
+      extractionType: 'website-crawl',
+      pageCount: pages.length,
+      pages: pages.map(p => ({
+        url: p.url,
+        finalUrl: p.finalUrl,
+        depth: p.depth,
+        overallConfidence: p.designSystem.metadata?.overallConfidence,
+      })),
+      ...(themes && { themes, defaultTheme }),
+      overallConfidence: 'low',
+    },
+    ...merged,
+  };
+
+  // Fit the type scale to the sizes of every page, not one page's scale
+  if (designSystem.typography?.sizes) {
+    const scale = detectTypeScale(designSystem.typography.sizes.map(s => ({ ...s, size: parseFloat(s.value) })));
+    if (scale) designSystem.typography.scale = scale;
+    else delete designSystem.typography.scale;
+  }
+
+  // Re-pick the framework from the merged list: the most widely used one
+  if (designSystem.cssExtraction?.frameworks) {
+    designSystem.cssExtraction.frameworks.sort((a, b) => b.pageCount - a.pageCount);
+    designSystem.cssExtraction.detectedFramework = designSystem.cssExtraction.frameworks[0] || null;
+  }
+
+  designSystem.metadata.overallConfidence = calculateOverallConfidence(collectTokens(designSystem));
+  if (failed.length > 0) {
+    designSystem.metadata.failedPages = failed;
+  }
+
+  return designSystem;
+}
+
+/**
+ * Drop per-page metadata before merging
+ *
+ * @param {Object} designSystem
+ * @returns {Object}
+ */
+function stripMetadata(designSystem) {
+  const { metadata, ...rest } = designSystem || {};
+  return rest;
+}
+
+/**
+ * Merge the same node from every page
+ *
+ * @param {Array<{url: string, node: *}>} entries - Node per page
+ * @param {string[]} path - Key path (for special-cased sections)
+ * @returns {*} Merged node
+ */
+function mergeNodes(entries, path) {
+  const present = entries.filter(e => e.node !== null && e.node !== undefined);
+  if (present.length === 0) return entries.some(e => e.node === null) ? null : undefined;
+
+  const sample = present[0].node;
+
+  if (path.join('.') === 'cssExtraction.contrast') {
+    return mergeContrast(present);
+  }
+
+  if (path.join('.') === 'cssExtraction.fontFiles') {
+    return mergeFontFiles(present);
+  }
+
+  if (Array.isArray(sample)) {
+    const key = path.join('.');
+    if (key === 'colors.palette') return mergePalette(present);
+    if (key === 'colors.gradients') return mergeGradients(present);
+    if (key === 'typography.sizes') return mergeFontSizes(present);
+    return mergeArrays(present);
+  }
+
+  if (typeof sample !== 'object') {
+    return mostCommon(present.map(e => e.node));
+  }
+
+  if (isToken(sample)) {
+    return mergeTokens(present);
+  }
+
+  const keys = new Set(present.flatMap(e => Object.keys(e.node || {})));
+  const result = {};
+
+  for (const key of keys) {
+    const value = mergeNodes(
+      present.map(e => ({ url: e.url, node: e.node?.[key] })),
+      [...path, key],
+    );
+    if (value !== undefined) result[key] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a node is a design token (has a confidence level)
+ *
+ * @param {*} node
+ * @returns {boolean}
+ */
+function isToken(node) {
+  return node && typeof node === 'object' && typeof node.confidence === 'string';
+}
+
+/**
+ * Key that identifies a token's value
+ *
+ * @param {Object} token
+ * @returns {string}
+ */
+function tokenKey(token) {
+  if (token.hex) return token.hex.toUpperCase();
+  if (typeof token.value === 'string') return token.value;
+
+  const value = {};
+  for (const [key, field] of Object.entries(token)) {
+    if (!META_FIELDS.includes(key)) value[key] = field;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Merge one token across pages
+ *
+ * @param {Array<{url: string, node: Object}>} entries
+ * @returns {Object} Winning token with provenance
+ */
+function mergeTokens(entries) {
+  const groups = new Map();
+
+  for (const { url, node } of entries) {
+    if (!isToken(node)) continue;
+
+    const key = tokenKey(node);
+    if (!groups.has(key)) {
+      groups.set(key, { token: node, pages: new Set(), confidence: node.confidence });
+    }
+
+    const group = groups.get(key);
+    group.pages.add(url);
+    group.confidence = mergeConfidence(group.confidence, node.confidence);
+  }
+
+  const ranked = Array.from(groups.values()).sort((a, b) => {
+    if (b.pages.size !== a.pages.size) return b.pages.size - a.pages.size;
+    return (CONFIDENCE_ORDER[b.confidence] || 0) - (CONFIDENCE_ORDER[a.confidence] || 0);
+  });
+
+  const [winner, ...others] = ranked;
+  const token = {
+    ...winner.token,
+    confidence: winner.confidence,
+    pageCount: winner.pages.size,
+    pages: Array.from(winner.pages),
+  };
+
+  if (others.length > 0) {
+    token.alternatives = others.map(g => ({
+      ...withoutMeta(g.token),
+      pageCount: g.pages.size,
+      pages: Array.from(g.pages),
+    }));
+  }
+
+  return token;
+}
+
+/**
+ * Copy a token without provenance fields
+ *
+ * @param {Object} token
+ * @returns {Object}
+ */
+function withoutMeta(token) {
+  const result = {};
+  for (const [key, value] of Object.entries(token)) {
+    if (!META_FIELDS.includes(key) || key === 'usage') result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Merge palettes by hex, summing usage counts and averaging coverage
+ *
+ * @param {Array<{url: string, node: Array}>} entries
+ * @returns {Array}
+ */
+function mergePalette(entries) {
+  const byHex = new Map();
+
+  for (const { url, node } of entries) {
+    for (const color of node) {
+      if (!color?.hex) continue;
+
+      const hex = color.hex.toUpperCase();
+      if (!byHex.has(hex)) {
+        byHex.set(hex, { ...color, count: 0, coverage: 0, sources: [], pages: new Set() });
+      }
+
+      const existing = byHex.get(hex);
+      existing.count += color.count || 1;
+      existing.coverage += color.coverage || 0;
+      existing.sources = [...new Set([...existing.sources, ...(color.sources || [])])];
+      existing.confidence = mergeConfidence(existing.confidence, color.confidence);
+      existing.pages.add(url);
+    }
+  }
+
+  return Array.from(byHex.values())
+    .map(c => ({
+      ...c,
+      // Average share of the page painted, over the pages using the color
+      coverage: Math.round((c.coverage / c.pages.size) * 1000) / 1000,
+      pageCount: c.pages.size,
+      pages: Array.from(c.pages),
+    }))
+    .sort((a, b) => {
+      if (b.pageCount !== a.pageCount) return b.pageCount - a.pageCount;
+      return b.coverage - a.coverage || b.count - a.count;
+    })
+    .slice(0, MAX_PALETTE);
+}
+
+/**
+ * Merge gradients by CSS value, summing usage counts
+ *
+ * @param {Array<{url: string, node: Array}>} entries
+ * @returns {Array}
+ */
+function mergeGradients(entries) {
+  const byValue = new Map();
+
+  for (const { url, node } of entries) {
+    for (const gradient of node) {
+      if (!gradient?.value) continue;
+
+      if (!byValue.has(gradient.value)) {
+        byValue.set(gradient.value, { ...gradient, count: 0, usedOn: new Set(), pages: new Set() });
+      }
+
+      const existing = byValue.get(gradient.value);
+      existing.count += gradient.count || 1;
+      (gradient.usage || '').split(', ').filter(Boolean).forEach(u => existing.usedOn.add(u));
+      existing.confidence = mergeConfidence(existing.confidence, gradient.confidence);
+      existing.pages.add(url);
+    }
+  }
+
+  return Array.from(byValue.values())
+    .map(({ usedOn, ...g }) => ({
+      ...g,
+      usage: Array.from(usedOn).join(', ') || undefined,
+      pageCount: g.pages.size,
+      pages: Array.from(g.pages),
+    }))
+    .sort((a, b) => {
+      if (b.pageCount !== a.pageCount) return b.pageCount - a.pageCount;
+      return b.count - a.count;
+    });
+}
+
+/**
+ * Merge contrast reports: counts are summed, pairs and failures are
+ * merged by colors (and selector) with the pages they were found on
+ *
+ * @param {Array<{url: string, node: Object}>} entries
+ * @returns {Object} Merged contrast report
+ */
+function mergeContrast(entries) {
+  const summary = {};
+  const lists = { pairs: new Map(), failures: new Map(), unverified: new Map() };
+  const keyOf = {
+    pairs: item => `${item.foreground}|${item.background}`,
+    failures: item => `${item.selector}|${item.foreground}|${item.background}|${item.fontSize}|${item.fontWeight}`,
+    unverified: item => item.selector,
+  };
+
+  for (const { url, node } of entries) {
+    for (const [key, value] of Object.entries(node.summary || {})) {
+      summary[key] = (summary[key] || 0) + value;
+    }
+
+    for (const [list, byKey] of Object.entries(lists)) {
+      for (const item of node[list] || []) {
+        const key = keyOf[list](item);
+        if (!byKey.has(key)) byKey.set(key, { ...item, count: 0, pages: new Set() });
+
+        const existing = byKey.get(key);
+        existing.count += item.count || 1;
+        existing.pages.add(url);
+      }
+    }
+  }
+
+  const finish = (byKey) => Array.from(byKey.values())
+    .map(item => ({ ...item, pageCount: item.pages.size, pages: Array.from(item.pages) }))
+    .sort((a, b) => b.pageCount - a.pageCount || b.count - a.count);
+
+  // Distinct pairs across the site, not the sum of per-page counts
+  summary.pairs = lists.pairs.size;
+
+  return {
+    summary,
+    pairs: finish(lists.pairs),
+    failures: finish(lists.failures),
+    unverified: finish(lists.unverified),
+  };
+}
+
+/**
+ * Merge font files by URL with the pages that loaded them, and summarize
+ * the merged list
+ *
+ * @param {Array<{url: string, node: Object}>} entries
+ * @returns {Object} Merged font files
+ */
+function mergeFontFiles(entries) {
+  const byUrl = new Map();
+
+  for (const { url, node } of entries) {
+    for (const file of node.files || []) {
+      // A file read on one page wins over a failed attempt on another
+      const existing = byUrl.get(file.url);
+      if (!existing || (existing.file.error && !file.error)) {
+        byUrl.set(file.url, { file, pages: existing?.pages || new Set() });
+      }
+      byUrl.get(file.url).pages.add(url);
+    }
+  }
+
+  const files = Array.from(byUrl.values())
+    .map(({ file, pages }) => ({ ...file, pageCount: pages.size, pages: Array.from(pages) }))
+    .sort((a, b) => b.pageCount - a.pageCount);
+
+  return { files, summary: summarizeFonts(files) };
+}
+
+/**
+ * Merge font sizes by value, summing element and character counts
+ *
+ * @param {Array<{url: string, node: Array}>} entries
+ * @returns {Array}
+ */
+function mergeFontSizes(entries) {
+  const byValue = new Map();
+
+  for (const { url, node } of entries) {
+    for (const size of node) {
+      if (!size?.value) continue;
+
+      if (!byValue.has(size.value)) {
+        byValue.set(size.value, { value: size.value, count: 0, chars: 0, pages: new Set() });
+      }
+
+      const existing = byValue.get(size.value);
+      existing.count += size.count || 0;
+      existing.chars += size.chars || 0;
+      existing.pages.add(url);
+    }
+  }
+
+  return Array.from(byValue.values())
+    .map(s => ({ ...s, pageCount: s.pages.size, pages: Array.from(s.pages) }))
+    .sort((a, b) => parseFloat(a.value) - parseFloat(b.value));
+}
+
+/**
+ * Merge generic arrays, de-duplicating entries
+ * Entries with a name (frameworks, icon systems) are merged by name
+ *
+ * @param {Array<{url: string, node: Array}>} entries
+ * @returns {Array}
+ */
+function mergeArrays(entries) {
+  const byKey = new Map();
+
+  for (const { url, node } of entries) {
+    for (const item of node) {
+      const key = item && typeof item === 'object' && item.name
+        ? `name:${item.name}`
+        : JSON.stringify(item);
+
+      if (!byKey.has(key)) {
+        byKey.set(key, { item, pages: new Set() });
+      }
+      byKey.get(key).pages.add(url);
+    }
+  }
+
+  return Array.from(byKey.values()).map(({ item, pages }) => {
+    if (!item || typeof item !== 'object') return item;
+    return { ...item, pageCount: pages.size };
+  });
+}
+
+export default {
+  mergeDesignSystems,
+};
@@ -0,0 +1,66 @@
+/**
+ * merge.test.js - Tests for merging per-page design systems
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDesignSystems } from './merge.js';
+
+/**
+ * Design system of one page
+ *
+ * @param {string} hex - Primary color
+ * @param {string} confidence - Primary color confidence
+ * @param {string} base - Spacing base unit
+ * @returns {Object}
+ */
+function page(hex, confidence, base) {
+  return {
+    metadata: { overallConfidence: 'high' },
+    colors: { primary: { hex, confidence } },
+    spacing: { base: { value: base, confidence: 'high' } },
+  };
+}
+
+const PAGES = [
+  { url: 'https://example.com/', designSystem: page('#ff0000', 'high', '4px') },
+  { url: 'https://example.com/about', designSystem: page('#FF0000', 'medium', '8px') },
+  { url: 'https://example.com/blog', designSystem: page('#0000ff', 'high', '8px') },
+];
+
+test('keeps the value found on the most pages, with its pages', () => {
+  const { colors, spacing } = mergeDesignSystems(PAGES);
+
+  assert.equal(colors.primary.hex, '#ff0000');
+  assert.equal(colors.primary.pageCount, 2);
+  assert.deepEqual(colors.primary.pages, ['https://example.com/', 'https://example.com/about']);
+  assert.equal(spacing.base.value, '8px');
+  assert.equal(spacing.base.pageCount, 2);
+});
+
+test('lists the other values as alternatives', () => {
+  const { colors } = mergeDesignSystems(PAGES);
+
+  assert.deepEqual(colors.primary.alternatives, [
+    { hex: '#0000ff', pageCount: 1, pages: ['https://example.com/blog'] },
+  ]);
+});
+
+test('breaks page count ties by confidence', () => {
+  const { colors } = mergeDesignSystems([
+    { url: 'a', designSystem: page('#00ff00', 'low', '4px') },
+    { url: 'b', designSystem: page('#0000ff', 'high', '4px') },
+  ]);
+
+  assert.equal(colors.primary.hex, '#0000ff');
+});
+
+test('describes the crawl in metadata', () => {
+  const failed = [{ url: 'https://example.com/404', error: 'Not found' }];
+  const { metadata } = mergeDesignSystems(PAGES, { failed });
+
+  assert.equal(metadata.extractionType, 'website-crawl');
+  assert.equal(metadata.source, 'https://example.com/');
+  assert.equal(metadata.pageCount, 3);
+  assert.deepEqual(metadata.failedPages, failed);
+});
@@ -0,0 +1,253 @@
+/**
+ * modes.js - Merge per-theme design systems into one with modes
+ *
+ * Used by --themes. The default (first) theme's design system is kept and
+ * every token whose value changes in another theme gets a `modes` map
+ * with its value per theme. Counterparts are matched by:
+ * - variable: the CSS variable holding the color, read in the other theme
+ * - element: the color the same elements paint in the other theme
+ * - role: the token at the same path (colors.background.default, ...)
+ */
+
+import { normalizeToHex } from '../utils/color-convert.js';
+
+/**
+ * Design system sections whose tokens get modes
+ */
+const MODE_SECTIONS = ['colors', 'typography', 'spacing', 'radii', 'shadows', 'motion'];
+
+/**
+ * Token fields that describe provenance rather than the token value
+ */
+const META_FIELDS = ['confidence', 'usage', 'count', 'coverage', 'areas', 'sampleCount', 'sources', 'elements', 'contexts', 'modes', 'rendered'];
+
+/**
+ * Min share of an element color's uses that must agree on one counterpart
+ */
+const MIN_ELEMENT_AGREEMENT = 0.5;
+
+/**
+ * Merge the design systems extracted for each theme
+ *
+ * @param {Array<{theme: string, designSystem: Object, elements: Map, activation: Object}>} results - From extractThemes(), default theme first
+ * @param {Object} options - Merge options
+ * @param {Object} options.discovery - Theme mechanisms found on the page (discoverThemes())
+ * @returns {Object} Default theme design system with per-theme modes
+ */
+export function mergeThemes(results, options = {}) {
+  const { discovery = null } = options;
+  const [base, ...others] = results;
+  const designSystem = structuredClone(base.designSystem);
+
+  const baseVariables = base.designSystem.cssExtraction?.cssVariables || {};
+  const counterparts = others.map(other => ({
+    theme: other.theme,
+    designSystem: other.designSystem,
+    variables: other.designSystem.cssExtraction?.cssVariables || {},
+    elementColors: pairElementColors(base.elements, other.elements),
+  }));
+
+  const stats = { tokens: 0, themed: 0, matchedBy: { variable: 0, element: 0, role: 0 } };
+
+  for (const section of MODE_SECTIONS) {
+    walkTokens(designSystem[section], [section], (token, path, listed) => {
+      stats.tokens++;
+
+      const modes = { [base.theme]: modeValue(token) };
+      let changed = false;
+
+      for (const other of counterparts) {
+        // Tokens in lists (palette, gradients) have no role to match by
+        const found = (token.hex && matchColor(token, baseVariables, other)) ||
+          (listed ? null : matchRole(path, other.designSystem));
+        if (!found) continue;
+
+        modes[other.theme] = found;
+        stats.matchedBy[found.matchedBy]++;
+        if (valueKey(found) !== valueKey(modes[base.theme])) changed = true;
+      }
+
+      if (changed) {
+        token.modes = modes;
+        stats.themed++;
+      }
+    });
+  }
+
+  designSystem.metadata = {
+    ...designSystem.metadata,
+    themes: results.map(r => r.theme),
+    defaultTheme: base.theme,
+  };
+
+  if (designSystem.cssExtraction) {
+    designSystem.cssExtraction.themes = {
+      ...stats,
+      activation: Object.fromEntries(results
+        .filter(r => r.activation)
+        .map(r => [r.theme, r.activation])),
+      ...(discovery && { discovery }),
+      variables: themeVariables(results),
+      contrast: Object.fromEntries(results
+        .filter(r => r.designSystem.cssExtraction?.contrast?.summary)
+        .map(r => [r.theme, r.designSystem.cssExtraction.contrast.summary])),
+    };
+  }
+
+  return designSystem;
+}
+
+/**
+ * Call a function on every token (object with a confidence level)
+ *
+ * @param {*} node - Design system node
+ * @param {string[]} path - Key path of the node
+ * @param {Function} visit - (token, path, listed) => void, listed for tokens in arrays
+ * @param {boolean} listed - Whether the node is inside an array
+ * @returns {void}
+ */
+function walkTokens(node, path, visit, listed = false) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => walkTokens(item, [...path, String(index)], visit, true));
+    return;
+  }
+
+  if (typeof node.confidence === 'string') {
+    visit(node, path, listed);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    walkTokens(value, [...path, key], visit, listed);
+  }
+}
+
+/**
+ * Find a color token's value in another theme by variable or element
+ *
+ * @param {Object} token - Color token of the default theme
+ * @param {Object} baseVariables - CSS variables of the default theme
+ * @param {Object} other - Other theme ({designSystem, variables, elementColors})
+ * @returns {Object|null} {hex, matchedBy}
+ */
+function matchColor(token, baseVariables, other) {
+  const hex = token.hex.toUpperCase();
+
+  // The variable the token came from, or every variable holding its color
+  const names = token.variable
+    ? [token.variable]
+    : Object.keys(baseVariables).filter(name => normalizeToHex(baseVariables[name])?.toUpperCase() === hex);
+  const values = new Set(names
+    .map(name => other.variables[name] && normalizeToHex(other.variables[name])?.toUpperCase())
+    .filter(Boolean));
+
+  // Variables that share a color in one theme can split in another (--white, --background)
+  if (values.size === 1) {
+    return { hex: [...values][0], matchedBy: 'variable' };
+  }
+
+  const counts = other.elementColors.get(hex);
+  if (counts) {
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const [best, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (count / total >= MIN_ELEMENT_AGREEMENT) {
+      return { hex: best, matchedBy: 'element' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the token at the same path in another theme
+ *
+ * @param {string[]} path - Token path
+ * @param {Object} designSystem - Other theme's design system
+ * @returns {Object|null} Token value with matchedBy: 'role'
+ */
+function matchRole(path, designSystem) {
+  const token = path.reduce((node, key) => node?.[key], designSystem);
+  if (!token || typeof token.confidence !== 'string') return null;
+
+  return { ...modeValue(token), matchedBy: 'role' };
+}
+
+/**
+ * Count which color each default-theme color becomes on the same elements
+ *
+ * @param {Map<string, Object>} baseElements - Element colors in the default theme
+ * @param {Map<string, Object>} otherElements - Element colors in the other theme
+ * @returns {Map<string, Map<string, number>>} Default hex => (other hex => uses)
+ */
+function pairElementColors(baseElements, otherElements) {
+  const pairs = new Map();
+
+  for (const [key, colors] of baseElements || []) {
+    const counterpart = otherElements?.get(key);
+    if (!counterpart) continue;
+
+    for (const [property, hex] of Object.entries(colors)) {
+      if (!counterpart[property]) continue;
+
+      if (!pairs.has(hex)) pairs.set(hex, new Map());
+      const counts = pairs.get(hex);
+      counts.set(counterpart[property], (counts.get(counterpart[property]) || 0) + 1);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * CSS variables whose value differs between themes
+ *
+ * @param {Array<{theme: string, designSystem: Object}>} results
+ * @returns {Object<string, Object<string, string>>} Value per theme by variable name
+ */
+function themeVariables(results) {
+  const names = new Set(results.flatMap(r => Object.keys(r.designSystem.cssExtraction?.cssVariables || {})));
+  const variables = {};
+
+  for (const name of [...names].sort()) {
+    const values = Object.fromEntries(results.map(r => [r.theme, r.designSystem.cssExtraction?.cssVariables?.[name] ?? null]));
+    if (new Set(Object.values(values)).size > 1) variables[name] = values;
+  }
+
+  return variables;
+}
+
+/**
+ * Value of a token in a mode: the hex for colors, the token without
+ * provenance fields otherwise
+ *
+ * @param {Object} token
+ * @returns {Object}
+ */
+function modeValue(token) {
+  if (token.hex) return { hex: token.hex.toUpperCase() };
+
+  const result = {};
+  for (const [key, value] of Object.entries(token)) {
+    if (!META_FIELDS.includes(key)) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Key that identifies a mode value
+ *
+ * @param {Object} value - Mode value
+ * @returns {string}
+ */
+function valueKey(value) {
+  if (value.hex) return value.hex.toUpperCase();
+
+  const { matchedBy, ...rest } = value;
+  return JSON.stringify(rest);
+}
+
+export default {
+  mergeThemes,
+};
@@ -0,0 +1,742 @@
+/**
+ * schema-mapper.js - Map extractor output to the design system schema
+ *
+ * Converts:
+ * - runAllExtractors() results to the design-system-schema.md structure
+ * - Design systems to W3C Design Tokens (DTCG) format
+ *
+ * The website-specific data (CSS variables and their graph, frameworks,
+ * component styles, contrast audit, font files) is kept in a separate
+ * cssExtraction section so the top-level structure stays compatible with
+ * figma-export.sh and video-based extraction.
+ */
+
+import { calculateOverallConfidence } from '../utils/confidence.js';
+import { normalizeToHex } from '../utils/color-convert.js';
+import { splitTopLevel } from '../utils/css-values.js';
+
+/**
+ * $extensions namespace for extractor-specific token metadata
+ */
+const EXTENSION_KEY = 'ui-extractor';
+
+/**
+ * Extraction sections that map one-to-one onto the schema
+ */
+const SCHEMA_SECTIONS = ['colors', 'typography', 'spacing', 'radii', 'shadows', 'breakpoints', 'layout', 'motion'];
+
+/**
+ * Keyword easings expressed as cubic-bezier control points
+ */
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+/**
+ * Map raw extraction results to the design system schema
+ *
+ * @param {Object} extraction - Result of runAllExtractors()
+ * @param {Object} options - Mapping options
+ * @param {string} options.url - Source URL
+ * @param {string} options.name - Design system name
+ * @returns {Object} Design system matching design-system-schema.md
+ */
+export function mapToSchema(extraction, options = {}) {
+  const { url = null, name = 'Extracted Design System' } = options;
+
+  const designSystem = {
+    metadata: {
+      name,
+      source: url,
+      extractedAt: new Date().toISOString(),
+      extractionType: 'website',
+      overallConfidence: 'low',
+    },
+  };
+
+  const errors = {};
+
+  for (const section of SCHEMA_SECTIONS) {
+    const value = extraction[section];
+    if (!value) continue;
+
+    if (value.error) {
+      errors[section] = value.error;
+      continue;
+    }
+
+    designSystem[section] = section === 'colors' ? mapColors(value) : value;
+  }
+
+  designSystem.cssExtraction = mapCssExtraction(extraction, errors);
+
+  designSystem.metadata.overallConfidence = calculateOverallConfidence(collectTokens(designSystem));
+  if (extraction._meta?.extractionTimeMs !== undefined) {
+    designSystem.metadata.extractionTimeMs = extraction._meta.extractionTimeMs;
+  }
+  if (Object.keys(errors).length > 0) {
+    designSystem.metadata.extractionErrors = errors;
+  }
+
+  return designSystem;
+}
+
+/**
+ * Strip website-only data from the colors section
+ *
+ * @param {Object} colors - Extracted colors
+ * @returns {Object} Schema colors
+ */
+function mapColors(colors) {
+  const { cssVariables, ...schemaColors } = colors;
+  return schemaColors;
+}
+
+/**
+ * Build the cssExtraction section from website-only extractor output
+ *
+ * @param {Object} extraction - Result of runAllExtractors()
+ * @param {Object} errors - Collected extractor errors (mutated)
+ * @returns {Object} cssExtraction section
+ */
+function mapCssExtraction(extraction, errors) {
+  const frameworks = Array.isArray(extraction.frameworks) ? extraction.frameworks : [];
+
+  let componentStyles;
+  if (extraction.components?.error) {
+    errors.components = extraction.components.error;
+  } else if (extraction.components) {
+    componentStyles = extraction.components;
+  }
+
+  let contrast;
+  if (extraction.contrast?.error) {
+    errors.contrast = extraction.contrast.error;
+  } else if (extraction.contrast) {
+    contrast = extraction.contrast;
+  }
+
+  let variableGraph;
+  if (extraction.variables?.error) {
+    errors.variables = extraction.variables.error;
+  } else if (extraction.variables) {
+    variableGraph = extraction.variables;
+  }
+
+  let fontFiles;
+  if (extraction.fonts?.error) {
+    errors.fonts = extraction.fonts.error;
+  } else if (extraction.fonts) {
+    fontFiles = extraction.fonts;
+  }
+
+  return {
+    cssVariables: extraction.colors?.cssVariables || {},
+    variableGraph,
+    detectedFramework: frameworks[0] || null,
+    frameworks,
+    iconSystems: extraction.iconSystems || [],
+    cssMethodology: extraction.cssMethodology || null,
+    componentStyles,
+    contrast,
+    borderCombinations: extraction.borders?.combinations || [],
+    fontSources: extraction.typography?.sources,
+    fontFiles,
+    stylesheets: extraction._meta?.stylesheets || [],
+  };
+}
+
+/**
+ * Collect every token carrying a confidence level
+ *
+ * @param {Object} designSystem - Mapped design system
+ * @returns {Array<{confidence: string}>}
+ */
+export function collectTokens(designSystem) {
+  const tokens = [];
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+
+    if (typeof node.confidence === 'string') {
+      tokens.push(node);
+      return;
+    }
+
+    Object.values(node).forEach(walk);
+  };
+
+  for (const section of SCHEMA_SECTIONS) {
+    // The palette and scales repeat the named colors, so leave them out of the ratio
+    if (section === 'colors' && designSystem.colors) {
+      const { palette, scales, ...named } = designSystem.colors;
+      walk(named);
+    } else if (section === 'typography' && designSystem.typography) {
+      // Type scale steps repeat the style sizes, and include generated ones
+      const { scale, ...styles } = designSystem.typography;
+      walk(styles);
+    } else {
+      walk(designSystem[section]);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a design system to W3C Design Tokens (DTCG) format
+ *
+ * @param {Object} designSystem - Output of mapToSchema()
+ * @returns {Object} DTCG token tree
+ */
+export function toDTCGFormat(designSystem) {
+  const tokens = {
+    $description: designSystem.metadata?.name || 'Extracted Design System',
+    $extensions: {
+      [EXTENSION_KEY]: { metadata: designSystem.metadata },
+    },
+  };
+
+  const color = convertColors(designSystem.colors);
+  if (color) tokens.color = color;
+
+  const gradient = convertGradients(designSystem.colors?.gradients);
+  if (gradient) tokens.gradient = gradient;
+
+  const font = convertFonts(designSystem.typography);
+  if (font) tokens.font = font;
+
+  const typography = convertTypography(designSystem.typography);
+  if (typography) tokens.typography = typography;
+
+  // Only a scale the sizes follow is worth naming
+  const fontSize = designSystem.typography?.scale?.matches
+    ? convertDimensionScale(designSystem.typography.scale.steps)
+    : null;
+  if (fontSize) tokens.fontSize = fontSize;
+
+  const spacing = convertDimensionScale(designSystem.spacing?.scale);
+  if (spacing) tokens.spacing = spacing;
+
+  const radius = convertDimensionScale(designSystem.radii);
+  if (radius) tokens.radius = radius;
+
+  const shadow = convertShadows(designSystem.shadows);
+  if (shadow) tokens.shadow = shadow;
+
+  const breakpoint = convertDimensionScale(designSystem.breakpoints);
+  if (breakpoint) tokens.breakpoint = breakpoint;
+
+  const motion = convertMotion(designSystem.motion);
+  if (motion) Object.assign(tokens, motion);
+
+  const variable = convertVariables(designSystem.cssExtraction?.variableGraph);
+  if (variable) tokens.variable = variable;
+
+  return tokens;
+}
+
+/**
+ * Convert color groups to DTCG color tokens
+ *
+ * @param {Object} colors - Schema colors
+ * @returns {Object|null}
+ */
+function convertColors(colors) {
+  if (!colors) return null;
+
+  const convert = (node) => {
+    if (!node || typeof node !== 'object') return null;
+
+    if (node.hex) {
+      return createColorToken(node);
+    }
+
+    const group = {};
+    for (const [key, value] of Object.entries(node)) {
+      // Gradients are a separate token type
+      if (key === 'gradients') continue;
+
+      const converted = Array.isArray(value)
+        ? convertPalette(value)
+        : convert(value);
+      if (converted) group[key] = converted;
+    }
+
+    return Object.keys(group).length > 0 ? group : null;
+  };
+
+  return convert(colors);
+}
+
+/**
+ * Convert the unnamed palette array to numbered color tokens
+ *
+ * @param {Array} palette - Palette color tokens
+ * @returns {Object|null}
+ */
+function convertPalette(palette) {
+  const group = {};
+
+  palette.forEach((entry, index) => {
+    if (entry?.hex) {
+      group[`${index + 1}`] = createColorToken(entry);
+    }
+  });
+
+  return Object.keys(group).length > 0 ? group : null;
+}
+
+/**
+ * Create a DTCG color token, keeping a wide-gamut original value, the
+ * scale step origin (observed or generated) and the hex per theme mode
+ * in $extensions
+ *
+ * @param {Object} entry - Schema color token
+ * @returns {Object} DTCG token
+ */
+function createColorToken(entry) {
+  const token = createToken('color', entry.hex, entry);
+
+  const extensions = {
+    original: entry.original,
+    origin: entry.origin,
+    variable: entry.variable,
+    modes: entry.modes && Object.fromEntries(Object.entries(entry.modes).map(([theme, mode]) => [theme, mode.hex])),
+  };
+
+  for (const [key, value] of Object.entries(extensions)) {
+    if (!value) continue;
+    token.$extensions = token.$extensions || { [EXTENSION_KEY]: {} };
+    token.$extensions[EXTENSION_KEY][key] = value;
+  }
+
+  return token;
+}
+
+/**
+ * Convert gradient tokens to numbered DTCG gradient tokens
+ * DTCG gradients are stop lists; direction and shape stay in the description.
+ *
+ * @param {Array} gradients - Gradient tokens from the colors section
+ * @returns {Object|null}
+ */
+function convertGradients(gradients) {
+  if (!Array.isArray(gradients)) return null;
+
+  const group = {};
+
+  gradients.forEach((entry, index) => {
+    const stops = entry?.stops || [];
+    if (stops.length < 2) return;
+
+    const value = stops.map((stop, i) => {
+      const percent = parseFloat(stop.position);
+      const alpha = stop.alpha !== undefined
+        ? Math.round(stop.alpha * 255).toString(16).padStart(2, '0').toUpperCase()
+        : '';
+
+      return {
+        color: `${stop.hex}${alpha}`,
+        position: stop.position?.endsWith('%') && !isNaN(percent)
+          ? percent / 100
+          : i / (stops.length - 1),
+      };
+    });
+
+    const description = [entry.type, entry.direction, entry.usage].filter(Boolean).join(', ');
+    group[`${index + 1}`] = createToken('gradient', value, { ...entry, usage: description });
+  });
+
+  return Object.keys(group).length > 0 ? group : null;
+}
+
+/**
+ * Convert font families and weights to DTCG tokens
+ *
+ * @param {Object} typography - Schema typography
+ * @returns {Object|null}
+ */
+function convertFonts(typography) {
+  if (!typography) return null;
+
+  const family = {};
+  for (const [role, value] of Object.entries(typography.fontFamilies || {})) {
+    if (value) family[role] = createToken('fontFamily', toFontFamilyValue(value));
+  }
+
+  const weight = {};
+  for (const [context, style] of Object.entries(typography.styles || {})) {
+    const numeric = parseInt(style.fontWeight, 10);
+    if (!isNaN(numeric)) {
+      weight[context] = createToken('fontWeight', numeric, style);
+    }
+  }
+
+  const result = {};
+  if (Object.keys(family).length > 0) result.family = family;
+  if (Object.keys(weight).length > 0) result.weight = weight;
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert typography styles to DTCG typography composites
+ *
+ * @param {Object} typography - Schema typography
+ * @returns {Object|null}
+ */
+function convertTypography(typography) {
+  if (!typography?.styles) return null;
+
+  const result = {};
+
+  for (const [context, style] of Object.entries(typography.styles)) {
+    if (!style.fontSize) continue;
+
+    const value = {
+      fontFamily: toFontFamilyValue(style.fontFamily || typography.fontFamilies?.body || 'sans-serif'),
+      fontSize: style.fontSize,
+      fontWeight: parseInt(style.fontWeight, 10) || 400,
+      lineHeight: parseLineHeight(style.lineHeight, style.fontSize),
+      letterSpacing: style.letterSpacing || '0px',
+    };
+
+    result[context] = createToken('typography', value, style);
+
+    // fontSize is a dimension: the fluid value and its bounds go alongside
+    if (style.responsive?.type === 'fluid') {
+      const { value: fluidValue, authored, min, max, minViewport, maxViewport } = style.responsive;
+      result[context].$extensions = result[context].$extensions || { [EXTENSION_KEY]: {} };
+      result[context].$extensions[EXTENSION_KEY].fluid = {
+        value: authored && !authored.includes('var(') ? authored : fluidValue,
+        min,
+        max,
+        minViewport,
+        maxViewport,
+      };
+    }
+
+    // The site showed another font than the one the token names
+    if (style.rendered?.fallback) {
+      const { family, reason } = style.rendered;
+      result[context].$extensions = result[context].$extensions || { [EXTENSION_KEY]: {} };
+      result[context].$extensions[EXTENSION_KEY].renderedFont = { family, reason };
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert a flat scale of dimension values ("16px" or {value}) to tokens
+ *
+ * @param {Object} scale - Scale keyed by token name
+ * @returns {Object|null}
+ */
+function convertDimensionScale(scale) {
+  if (!scale) return null;
+
+  const result = {};
+
+  for (const [name, entry] of Object.entries(scale)) {
+    const value = typeof entry === 'string' ? entry : entry?.value;
+    if (!isDimension(value)) continue;
+
+    result[name] = createToken('dimension', value, typeof entry === 'object' ? entry : undefined);
+
+    // The site's own custom property for this step
+    if (entry?.variable) {
+      result[name].$extensions = result[name].$extensions || { [EXTENSION_KEY]: {} };
+      result[name].$extensions[EXTENSION_KEY].variable = entry.variable;
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert box-shadow tokens to DTCG shadow tokens
+ *
+ * @param {Object} shadows - Schema shadows
+ * @returns {Object|null}
+ */
+function convertShadows(shadows) {
+  if (!shadows) return null;
+
+  const result = {};
+
+  for (const [name, entry] of Object.entries(shadows)) {
+    if (!entry?.value) continue;
+
+    const layers = parseBoxShadow(entry.value);
+    if (layers.length === 0) continue;
+
+    result[name] = createToken('shadow', layers.length === 1 ? layers[0] : layers, entry);
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert motion durations and easings to DTCG tokens
+ *
+ * @param {Object} motion - Schema motion section
+ * @returns {Object|null} Top-level duration/easing groups
+ */
+function convertMotion(motion) {
+  if (!motion) return null;
+
+  const duration = {};
+  for (const [name, entry] of Object.entries(motion.durations || {})) {
+    if (entry?.value && /^[\d.]+m?s$/.test(entry.value)) {
+      duration[name] = createToken('duration', entry.value, entry);
+    }
+  }
+
+  const easing = {};
+  for (const [name, entry] of Object.entries(motion.easings || {})) {
+    const points = parseCubicBezier(entry?.cssValue || entry?.value);
+    if (points) {
+      easing[name] = createToken('cubicBezier', points, entry);
+    }
+  }
+
+  const result = {};
+  if (Object.keys(duration).length > 0) result.duration = duration;
+  if (Object.keys(easing).length > 0) result.easing = easing;
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert the CSS variable graph to DTCG tokens
+ * Aliases become references ({variable.name}) when their target is exported;
+ * other variables carry their resolved value. Values in other contexts
+ * (themes, media queries) go to $extensions as modes.
+ *
+ * @param {Object} graph - Variable graph from variables.js
+ * @returns {Object|null} Tokens by variable name (without --)
+ */
+function convertVariables(graph) {
+  if (!graph?.variables) return null;
+
+  const { variables } = graph;
+  const exported = new Map();
+
+  const tokenName = (name) => name.replace(/^--/, '');
+
+  // DTCG value of a CSS value, or a reference when it is an exported alias
+  const toValue = (type, resolved, alias, stack = []) => {
+    if (alias && variables[alias] && !stack.includes(alias) && convert(alias, [...stack, alias])) {
+      return `{variable.${tokenName(alias)}}`;
+    }
+    return resolved === null ? null : toDTCGValue(type, resolved);
+  };
+
+  const convert = (name, stack = [name]) => {
+    if (exported.has(name)) return exported.get(name);
+
+    const entry = variables[name];
+    const value = entry.type ? toValue(entry.type, entry.resolved, entry.alias, stack) : null;
+    if (value === null) {
+      exported.set(name, null);
+      return null;
+    }
+
+    const token = {
+      $type: entry.type,
+      $value: value,
+      $extensions: {
+        [EXTENSION_KEY]: { variable: name, tier: entry.tier },
+      },
+    };
+
+    const modes = Object.entries(entry.contexts || {})
+      .map(([context, override]) => [context, toValue(entry.type, override.resolved, override.alias, stack)])
+      .filter(([, mode]) => mode !== null);
+    if (modes.length > 0) {
+      token.$extensions[EXTENSION_KEY].modes = Object.fromEntries(modes);
+    }
+
+    exported.set(name, token);
+    return token;
+  };
+
+  const result = {};
+  for (const name of Object.keys(variables)) {
+    const token = convert(name);
+    if (token) result[tokenName(name)] = token;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert a resolved CSS value to a DTCG value of a type
+ *
+ * @param {string} type - DTCG $type
+ * @param {string} value - Resolved CSS value
+ * @returns {*} DTCG value, null if it can't be expressed
+ */
+function toDTCGValue(type, value) {
+  switch (type) {
+    case 'color':
+      return normalizeToHex(value);
+    case 'dimension':
+      return isDimension(value) ? value : null;
+    case 'duration':
+      return value;
+    case 'cubicBezier':
+      return parseCubicBezier(value);
+    case 'fontWeight':
+    case 'number':
+      return Number(value);
+    case 'fontFamily':
+      return toFontFamilyValue(value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a DTCG token, carrying usage and confidence along
+ *
+ * @param {string} type - DTCG $type
+ * @param {*} value - DTCG $value
+ * @param {Object} source - Schema token with usage/confidence
+ * @returns {Object} DTCG token
+ */
+function createToken(type, value, source) {
+  const token = {
+    $type: type,
+    $value: value,
+  };
+
+  if (source?.usage) {
+    token.$description = source.usage;
+  }
+
+  if (source?.confidence) {
+    token.$extensions = {
+      [EXTENSION_KEY]: { confidence: source.confidence },
+    };
+  }
+
+  return token;
+}
+
+/**
+ * Split a font-family string into a DTCG fontFamily value
+ *
+ * @param {string} fontFamily - CSS font-family value
+ * @returns {string|string[]}
+ */
+function toFontFamilyValue(fontFamily) {
+  const families = fontFamily
+    .split(',')
+    .map(f => f.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+
+  return families.length === 1 ? families[0] : families;
+}
+
+/**
+ * Convert a schema line height to a DTCG number or dimension
+ *
+ * @param {string} lineHeight - Unitless ratio or CSS length
+ * @param {string} fontSize - CSS font-size
+ * @returns {number|string}
+ */
+function parseLineHeight(lineHeight, fontSize) {
+  if (!lineHeight) return 1.5;
+
+  if (/^[\d.]+$/.test(lineHeight)) return parseFloat(lineHeight);
+
+  if (lineHeight.endsWith('px') && fontSize?.endsWith('px')) {
+    const fsPx = parseFloat(fontSize);
+    if (fsPx > 0) return parseFloat((parseFloat(lineHeight) / fsPx).toFixed(2));
+  }
+
+  return lineHeight;
+}
+
+/**
+ * Check whether a value is a px/rem dimension
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDimension(value) {
+  return typeof value === 'string' && /^-?[\d.]+(px|rem)$/.test(value);
+}
+
+/**
+ * Parse a CSS box-shadow into DTCG shadow values
+ *
+ * @param {string} boxShadow - CSS box-shadow value
+ * @returns {Array<Object>} One entry per shadow layer
+ */
+function parseBoxShadow(boxShadow) {
+  const layers = [];
+
+  for (const layer of splitTopLevel(boxShadow, ',')) {
+    const colorMatch = layer.match(/(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-f]{3,8}\b)/i);
+    const color = colorMatch ? colorMatch[1] : '#000000';
+    const rest = colorMatch ? layer.replace(colorMatch[1], ' ') : layer;
+
+    const lengths = rest.match(/-?[\d.]+(px|rem|em)?/g) || [];
+    if (lengths.length < 2) continue;
+
+    const toDimension = (length) => (length && /[a-z]$/.test(length) ? length : `${parseFloat(length || 0)}px`);
+
+    const shadow = {
+      color,
+      offsetX: toDimension(lengths[0]),
+      offsetY: toDimension(lengths[1]),
+      blur: toDimension(lengths[2]),
+      spread: toDimension(lengths[3]),
+    };
+
+    if (/\binset\b/.test(rest)) {
+      shadow.inset = true;
+    }
+
+    layers.push(shadow);
+  }
+
+  return layers;
+}
+
+/**
+ * Parse an easing keyword or cubic-bezier() into control points
+ *
+ * @param {string} easing - CSS timing function
+ * @returns {number[]|null}
+ */
+function parseCubicBezier(easing) {
+  if (!easing) return null;
+
+  const str = easing.trim().toLowerCase();
+  if (EASING_KEYWORDS[str]) return EASING_KEYWORDS[str];
+
+  const match = str.match(/^cubic-bezier\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)$/);
+  if (!match) return null;
+
+  return match.slice(1, 5).map(Number);
+}
+
+export default {
+  mapToSchema,
+  toDTCGFormat,
+  collectTokens,
+};
@@ -3,6 +3,7 @@
  * recorder.js - CLI for recording websites with Playwright
  *
  * Usage: node recorder.js <url> [options]
+ *        node recorder.js --scenario <file> [url] [options]
  * Options:
  *   --output <file>      Output video path (default: ./recordings/recording.webm)
  *   --mobile             Use mobile viewport
@@ -10,31 +11,55 @@
  *   --duration <secs>    Max recording duration (default: 30)
  *   --scroll-steps <n>   Number of scroll steps (default: 5)
  *   --click-buttons      Click interactive elements (careful!)
+ *   --scenario <file>    Run scripted steps from a JSON/YAML scenario instead
+ *                        of the default scroll-and-hover sweep (see scenario.js)
+ *   --screenshot-dir <d> Where scenario screenshots go (default: <video>-screenshots)
+ *   --no-timeline        Skip the <video>.timeline.json interaction sidecar
  *   --browser <type>     chromium (default) or firefox
+ *   --storage-state <f>  Sign in with a saved Playwright storage state (see login.js)
+ *   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
  *   --json               Output JSON result only
  */
 
 import { program } from 'commander';
 import { recordWebsite } from './browser.js';
-import { dirname, resolve, basename } from 'path';
+import { loadScenario } from './scenario.js';
+import { dirname, resolve, basename, extname, join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
 
 program
   .name('recorder')
   .description('Record website interactions with Playwright')
-  .argument('<url>', 'URL to record')
+  .argument('[url]', 'URL to record (optional when the scenario sets one)')
   .option('-o, --output <path>', 'Output video path', './recordings/recording.webm')
   .option('--mobile', 'Use mobile viewport (390x844)')
   .option('--dark-mode', 'Enable dark mode')
   .option('--duration <seconds>', 'Max recording duration', '60')
   .option('--scroll-delay <ms>', 'Delay at each scroll position', '1200')
   .option('--click-buttons', 'Click toggle elements like tabs and accordions')
+  .option('--scenario <file>', 'JSON or YAML scenario of scripted steps')
+  .option('--screenshot-dir <dir>', 'Directory for scenario screenshots')
+  .option('--no-timeline', 'Do not write the interaction timeline sidecar')
   .option('--browser <type>', 'Browser engine: chromium or firefox', 'chromium')
+  .option('--storage-state <file>', 'Playwright storage state file (from login.js)')
+  .option('--cookies <file>', 'Cookie file to import (Netscape cookies.txt or JSON)')
   .option('--json', 'Output JSON result only')
   .parse();
 
 const options = program.opts();
-const url = program.args[0];
+
+// Load scenario (if any) before validating the URL, which it may provide
+let scenario = null;
+if (options.scenario) {
+  try {
+    scenario = await loadScenario(resolve(options.scenario));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const url = program.args[0] || scenario?.url;
 
 // Validate URL
 if (!url) {
@@ -52,6 +77,11 @@ if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://'
 const outputPath = resolve(options.output);
 const outputDir = dirname(outputPath);
 
+// Scenario screenshots go next to the video by default
+const screenshotDir = options.screenshotDir
+  ? resolve(options.screenshotDir)
+  : join(outputDir, `${basename(outputPath, extname(outputPath))}-screenshots`);
+
 // Ensure output directory exists
 if (!existsSync(outputDir)) {
   mkdirSync(outputDir, { recursive: true });
@@ -70,6 +100,9 @@ async function main() {
   log(`Mobile: ${options.mobile || false}`);
   log(`Dark mode: ${options.darkMode || false}`);
   log(`Browser: ${options.browser}`);
+  if (scenario) {
+    log(`Scenario: ${options.scenario} (${scenario.steps.length} steps)`);
+  }
 
   const result = await recordWebsite(normalizedUrl, {
     outputPath,
@@ -77,6 +110,11 @@ async function main() {
     darkMode: options.darkMode,
     duration: parseInt(options.duration, 10),
     browser: options.browser,
+    storageState: options.storageState,
+    cookies: options.cookies,
+    scenario,
+    screenshotDir,
+    timeline: options.timeline,
     interactions: {
       scrollDelay: parseInt(options.scrollDelay, 10),
       hoverElements: true,
@@ -86,12 +124,21 @@ async function main() {
 
   if (result.success) {
     log(`Recording saved: ${result.videoPath}`);
+    if (result.timelinePath) {
+      log(`Timeline saved: ${result.timelinePath}`);
+    }
 
     if (options.json) {
       console.log(JSON.stringify({
         success: true,
         videoPath: result.videoPath,
+        timelinePath: result.timelinePath,
         url: result.url,
+        ...(result.scenario && {
+          marks: result.scenario.marks,
+          screenshots: result.scenario.screenshots,
+          steps: result.scenario.steps,
+        }),
       }, null, 2));
     } else {
       console.log(result.videoPath);
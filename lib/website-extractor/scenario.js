@@ -0,0 +1,337 @@
+/**
+ * scenario.js - Declarative interaction scenarios for recordings
+ *
+ * A scenario is a JSON or YAML file with a list of steps that replaces
+ * the generic scroll-and-hover sweep, so specific flows (open a modal,
+ * fill a form, switch tabs) can be recorded.
+ *
+ * Example (YAML):
+ *
+ *   url: https://example.com
+ *   stepDelay: 800
+ *   steps:
+ *     - mark: Open pricing
+ *     - click: "a[href='/pricing']"
+ *     - wait: ".pricing-table"
+ *     - hover: ".plan--pro .btn"
+ *     - fill: "#email"
+ *       value: me@example.com
+ *     - press: Enter
+ *     - scroll-to: "#faq"
+ *     - screenshot: faq
+ *
+ * Each step is either { <action>: <target>, ...options } or
+ * { action: <action>, ...options }.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname, join } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+import { parse as parseYaml } from 'yaml';
+import { describeElement } from './timeline.js';
+
+/**
+ * Supported step actions and the option their shorthand value maps to
+ */
+const STEP_ACTIONS = {
+  goto: 'url',
+  click: 'selector',
+  fill: 'selector',
+  hover: 'selector',
+  press: 'key',
+  wait: 'target',
+  'scroll-to': 'target',
+  screenshot: 'name',
+  mark: 'label',
+};
+
+/**
+ * Timeline event type per step action
+ */
+const TIMELINE_EVENTS = {
+  goto: 'navigation',
+  'scroll-to': 'scroll',
+};
+
+// Default scenario timing
+const DEFAULT_SCENARIO = {
+  stepDelay: 800,    // Pause after each step so the result is visible in the video
+  typingDelay: 60,   // Per-character delay for fill steps
+  stepTimeout: 10000,
+  describeTimeout: 100, // Max wait to describe a step's target once it ran
+};
+
+/**
+ * Load and validate a scenario file
+ *
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Normalized scenario
+ */
+export async function loadScenario(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  const ext = extname(filePath).toLowerCase();
+
+  let data;
+  try {
+    data = ext === '.json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(`Invalid scenario file ${filePath}: ${error.message}`);
+  }
+
+  return normalizeScenario(data);
+}
+
+/**
+ * Normalize a parsed scenario
+ * Accepts a bare list of steps or an object with a steps array
+ *
+ * @param {Object|Array} data - Parsed scenario
+ * @returns {Object} Normalized scenario
+ */
+export function normalizeScenario(data) {
+  const scenario = Array.isArray(data) ? { steps: data } : { ...data };
+
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error('Scenario must contain a non-empty "steps" list');
+  }
+
+  scenario.steps = scenario.steps.map((step, index) => normalizeStep(step, index));
+
+  return scenario;
+}
+
+/**
+ * Normalize one step to { action, ...options }
+ *
+ * @param {Object|string} step - Raw step
+ * @param {number} index - Step index (for error messages)
+ * @returns {Object} Normalized step
+ */
+function normalizeStep(step, index) {
+  if (!step || typeof step !== 'object') {
+    throw new Error(`Scenario step ${index + 1} must be an object`);
+  }
+
+  if (step.action) {
+    if (!STEP_ACTIONS[step.action]) {
+      throw new Error(`Scenario step ${index + 1}: unknown action "${step.action}"`);
+    }
+    return { ...step };
+  }
+
+  const actions = Object.keys(step).filter(key => STEP_ACTIONS[key]);
+  if (actions.length !== 1) {
+    throw new Error(`Scenario step ${index + 1} must have exactly one action (${Object.keys(STEP_ACTIONS).join(', ')})`);
+  }
+
+  const [action] = actions;
+  const { [action]: value, ...options } = step;
+
+  return {
+    action,
+    [STEP_ACTIONS[action]]: value,
+    ...options,
+  };
+}
+
+/**
+ * Run a scenario on a page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} scenario - Normalized scenario
+ * @param {Object} options - Run options
+ * @param {string} options.screenshotDir - Directory for screenshot steps
+ * @param {Object} options.timeline - Timeline to record step events on (see timeline.js);
+ *   when given, step, mark and screenshot times are relative to the recording start
+ * @returns {Promise<{steps: Array, marks: Array, screenshots: Array}>}
+ */
+export async function runScenario(page, scenario, options = {}) {
+  const { screenshotDir = '.', timeline = null } = options;
+  const stepDelay = scenario.stepDelay ?? DEFAULT_SCENARIO.stepDelay;
+  const startTime = Date.now();
+  const elapsedMs = timeline ? () => timeline.elapsedMs() : () => Date.now() - startTime;
+
+  const result = {
+    steps: [],
+    marks: [],
+    screenshots: [],
+  };
+
+  for (let i = 0; i < scenario.steps.length; i++) {
+    const step = scenario.steps[i];
+    const stepStart = Date.now();
+    const entry = {
+      index: i + 1,
+      action: step.action,
+      startMs: elapsedMs(),
+    };
+
+    try {
+      const event = timeline && !['mark', 'screenshot'].includes(step.action)
+        ? recordStep(step, timeline)
+        : null;
+
+      await runStep(page, step, {
+        screenshotDir,
+        result,
+        elapsedMs,
+        timeline,
+      });
+      entry.ok = true;
+
+      if (event?.selector) await describeTarget(page, step, event);
+    } catch (error) {
+      entry.ok = false;
+      entry.error = error.message;
+
+      if (!step.optional) {
+        result.steps.push(entry);
+        throw new Error(`Scenario step ${i + 1} (${step.action}) failed: ${error.message}`);
+      }
+    }
+
+    entry.durationMs = Date.now() - stepStart;
+    result.steps.push(entry);
+
+    // Marks and waits carry their own timing
+    if (!['mark', 'wait'].includes(step.action)) {
+      await page.waitForTimeout(step.delay ?? stepDelay);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add a timeline event for a step, at the time the step starts
+ *
+ * @param {Object} step - Normalized step
+ * @param {Object} timeline - Timeline from createTimeline
+ * @returns {Object} The added event
+ */
+function recordStep(step, timeline) {
+  const data = { step: step.action };
+
+  if (step.selector) data.selector = step.selector;
+  if (step.action === 'goto') data.url = step.url;
+  if (step.action === 'press') data.key = step.key;
+  if (step.action === 'wait' || step.action === 'scroll-to') data.target = step.target;
+
+  return timeline.add(TIMELINE_EVENTS[step.action] || step.action, data);
+}
+
+/**
+ * Add the text and box of a step's target element to its event
+ * Runs after the step, so waiting for the element doesn't delay the action.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} step - Normalized step
+ * @param {Object} event - Event from recordStep
+ */
+async function describeTarget(page, step, event) {
+  const element = await describeElement(page.locator(step.selector).nth(step.nth ?? 0), {
+    timeout: DEFAULT_SCENARIO.describeTimeout,
+  });
+
+  if (element) Object.assign(event, { text: element.text, box: element.box });
+}
+
+/**
+ * Execute a single step
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} step - Normalized step
+ * @param {Object} context - Run context (screenshot dir, result, clock, timeline)
+ */
+async function runStep(page, step, context) {
+  const timeout = step.timeout ?? DEFAULT_SCENARIO.stepTimeout;
+  const locate = () => page.locator(step.selector).nth(step.nth ?? 0);
+
+  switch (step.action) {
+    case 'goto': {
+      const target = new URL(step.url, page.url()).href;
+      await page.goto(target, { waitUntil: 'domcontentloaded', timeout: Math.max(timeout, 30000) });
+      await page.waitForLoadState('networkidle', { timeout }).catch(() => {
+        // Network idle timeout is acceptable for SPAs
+      });
+      break;
+    }
+
+    case 'click':
+      await locate().click({
+        timeout,
+        button: step.button,
+        clickCount: step.clickCount,
+        force: step.force,
+      });
+      break;
+
+    case 'fill': {
+      const element = locate();
+      await element.fill('', { timeout });
+      // Type character by character so the input is visible in the recording
+      await element.pressSequentially(String(step.value ?? ''), {
+        delay: step.typingDelay ?? DEFAULT_SCENARIO.typingDelay,
+        timeout,
+      });
+      break;
+    }
+
+    case 'hover':
+      await locate().hover({ timeout, force: step.force });
+      break;
+
+    case 'press':
+      if (step.selector) {
+        await locate().press(step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+
+    case 'wait':
+      if (typeof step.target === 'number') {
+        await page.waitForTimeout(step.target);
+      } else {
+        await page.locator(step.target).first().waitFor({ state: step.state || 'visible', timeout });
+      }
+      break;
+
+    case 'scroll-to':
+      if (typeof step.target === 'number') {
+        await page.evaluate((y) => window.scrollTo({ top: y, behavior: 'smooth' }), step.target);
+      } else {
+        await page.locator(step.target).first().evaluate((el) => {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, null, { timeout });
+      }
+      break;
+
+    case 'screenshot': {
+      if (!existsSync(context.screenshotDir)) {
+        mkdirSync(context.screenshotDir, { recursive: true });
+      }
+      const name = String(step.name || `step-${context.result.steps.length + 1}`).replace(/[^a-z0-9-_]+/gi, '-');
+      const path = join(context.screenshotDir, `${name}.png`);
+      await page.screenshot({ path, fullPage: Boolean(step.fullPage) });
+      context.result.screenshots.push({ name, path, timeMs: context.elapsedMs() });
+      context.timeline?.add('screenshot', { name, path });
+      break;
+    }
+
+    case 'mark':
+      context.result.marks.push({ label: String(step.label), timeMs: context.elapsedMs() });
+      context.timeline?.add('mark', { label: String(step.label) });
+      break;
+
+    default:
+      throw new Error(`Unknown action "${step.action}"`);
+  }
+}
+
+export default {
+  loadScenario,
+  normalizeScenario,
+  runScenario,
+  DEFAULT_SCENARIO,
+};
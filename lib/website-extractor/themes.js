@@ -0,0 +1,649 @@
+/**
+ * themes.js - Discover, switch and extract the themes of a page
+ *
+ * Sites switch themes in different ways: prefers-color-scheme media
+ * rules, a class or data attribute on <html>, a value in localStorage
+ * read on load, or a toggle button that does any of these from script.
+ * Each theme is activated through the mechanism that actually works on
+ * the page, checked against the colors it renders.
+ *
+ * Handles:
+ * - Discovery: theme media rules, class/attribute hooks in the CSS,
+ *   localStorage keys and theme toggles (labels, sun/moon icons)
+ * - Activation of a theme, trying each discovered mechanism in turn
+ * - Extracting several themes of a page in one session, with the colors
+ *   each element paints so tokens can be paired across themes
+ */
+
+import { applyTheme, navigateToUrl } from './browser.js';
+import { collectStylesheets } from './extractors/stylesheets.js';
+import { normalizeToHex, parseColor } from './utils/color-convert.js';
+import { relativeLuminance } from './utils/contrast.js';
+
+/**
+ * Max elements whose colors are sampled per theme
+ */
+const MAX_ELEMENTS = 5000;
+
+/**
+ * Max toggles tried, and clicks per toggle (toggles can cycle light/dark/system)
+ */
+const MAX_TOGGLES = 5;
+const MAX_TOGGLE_CLICKS = 3;
+
+/**
+ * Page background luminance under which a page counts as dark
+ */
+const DARK_LUMINANCE = 0.2;
+
+/**
+ * Wait after switching a theme, for transitions to finish
+ */
+const SETTLE_MS = 500;
+
+/**
+ * Labels, class names and icons of theme toggles
+ */
+const TOGGLE_HINT = 'theme|colou?r[\\s_-]?(mode|scheme)|appearance|\\b(dark|light|night|moon|sun)\\b';
+
+/**
+ * localStorage keys that hold a theme
+ */
+const STORAGE_KEY_HINT = /theme|scheme|appearance|dark|colou?r-?mode/i;
+
+/**
+ * Key tried when nothing is stored yet (next-themes, many hand-written scripts)
+ */
+const DEFAULT_STORAGE_KEY = 'theme';
+
+/**
+ * Elements of an opened theme menu that pick a theme
+ */
+const MENU_OPTIONS = '[role="menuitem"], [role="menuitemradio"], [role="option"], [role="radio"], button, li, label';
+
+/**
+ * Parse a --themes value ("light,dark")
+ *
+ * @param {string} value - Comma-separated theme names
+ * @returns {string[]} Theme names, default theme first
+ * @throws {Error} If a name is not a plain identifier, or fewer than two themes are given
+ */
+export function parseThemes(value) {
+  const themes = [...new Set(String(value).split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+
+  const invalid = themes.find(theme => !/^[a-z][\w-]*$/.test(theme));
+  if (invalid) {
+    throw new Error(`Invalid theme name: ${invalid}`);
+  }
+  if (themes.length < 2) {
+    throw new Error('--themes needs at least two themes (e.g. light,dark)');
+  }
+
+  return themes;
+}
+
+/**
+ * Find the ways the page can switch themes
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} css - Parsed CSS model from collectStylesheets() (collected if omitted)
+ * @returns {Promise<Object>} { media, hooks, storage, toggles }
+ */
+export async function discoverThemes(page, css = null) {
+  const model = css || await collectStylesheets(page).catch(() => null);
+
+  const [storage, toggles] = await Promise.all([
+    page.evaluate(() => Object.keys(localStorage).map(key => ({ key, value: localStorage.getItem(key) })))
+      .catch(() => []),
+    findToggles(page),
+  ]);
+
+  return {
+    media: mediaSchemes(model),
+    hooks: cssHooks(model),
+    storage: storage
+      .filter(item => STORAGE_KEY_HINT.test(item.key) && item.value.length <= 500)
+      .map(item => ({ key: item.key, value: item.value })),
+    toggles,
+  };
+}
+
+/**
+ * Switch the page to a theme, trying each discovered mechanism until the
+ * page renders it: prefers-color-scheme, localStorage (with a reload),
+ * toggles (and the menus they open), class/attribute hooks from the CSS.
+ * Falls back to applyTheme()'s common classes and attributes.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string} theme - Theme to activate
+ * @param {Object} options - Activation options
+ * @param {Object} options.discovery - Result of discoverThemes()
+ * @param {string[]} options.themes - All theme names (for undoing the others)
+ * @param {Object} options.baseline - Theme state before any switch (readThemeState())
+ * @param {boolean} options.slow - Use extended timeouts when reloading
+ * @returns {Promise<{theme: string, mechanism: string, target?: string, verified: boolean}>}
+ */
+export async function activateTheme(page, theme, options = {}) {
+  const {
+    discovery = { media: [], hooks: [], storage: [], toggles: [] },
+    themes = [theme],
+    baseline = null,
+    slow = false,
+  } = options;
+
+  const others = themes.filter(t => t !== theme);
+  const scheme = schemeOf(theme);
+  const matches = async () => matchesTheme(await readThemeState(page), theme, baseline);
+  const result = (mechanism, target) => ({ theme, mechanism, ...(target && { target }), verified: true });
+
+  if (scheme !== 'custom' && await matches()) return result('initial');
+
+  // prefers-color-scheme (also what toggles in "system" mode follow)
+  await page.emulateMedia({ colorScheme: scheme === 'dark' ? 'dark' : 'light' });
+  await page.waitForTimeout(SETTLE_MS);
+  if (await matches()) return result('media', `prefers-color-scheme: ${scheme}`);
+
+  // localStorage read on load
+  const storage = discovery.storage.length > 0
+    ? discovery.storage
+    : [{ key: DEFAULT_STORAGE_KEY, value: null }];
+
+  for (const item of storage) {
+    await setStorage(page, item.key, storageValue(item.value, theme, others));
+    await navigateToUrl(page, page.url(), { slow });
+    if (await matches()) return result('storage', item.key);
+    await setStorage(page, item.key, item.value);
+  }
+
+  // Theme toggles
+  for (const toggle of discovery.toggles) {
+    if (await clickToggle(page, toggle, theme, matches)) {
+      return result('toggle', toggle.label ? `${toggle.selector} (${toggle.label})` : toggle.selector);
+    }
+  }
+
+  // Class and attribute hooks found in the CSS
+  for (const hook of discovery.hooks.filter(h => h.theme === theme)) {
+    await setHook(page, hook, discovery.hooks.filter(h => h.theme !== theme));
+    if (await matches()) return result(hook.type, describeHook(hook));
+  }
+
+  await applyTheme(page, theme, others);
+  return { theme, mechanism: 'forced', verified: await matches() };
+}
+
+/**
+ * Discover the page's theme mechanisms and switch to one theme
+ * Used by --dark-mode, which extracts a single theme.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string} theme - Theme to activate
+ * @param {Object} options - Activation options
+ * @param {boolean} options.slow - Use extended timeouts when reloading
+ * @returns {Promise<Object>} Activation result with a summary of the discovered mechanisms
+ */
+export async function switchTheme(page, theme, options = {}) {
+  const { slow = false } = options;
+
+  const discovery = await discoverThemes(page);
+  const baseline = await readThemeState(page);
+  const themes = [...new Set(['light', 'dark', theme])];
+
+  return {
+    ...(await activateTheme(page, theme, { discovery, themes, baseline, slow })),
+    discovered: describeDiscovery(discovery),
+  };
+}
+
+/**
+ * Run an extraction once per theme on the loaded page
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string[]} themes - Theme names, default theme first
+ * @param {Object} options - Theme options
+ * @param {Function} options.extract - async (page, theme) => design system for the current theme
+ * @param {Function} options.log - Status logger
+ * @param {boolean} options.slow - Use extended timeouts when reloading
+ * @returns {Promise<{discovery: Object, results: Array<{theme: string, designSystem: Object, elements: Map, activation: Object}>}>}
+ */
+export async function extractThemes(page, themes, options = {}) {
+  const { extract = async () => ({}), log = () => {}, slow = false } = options;
+
+  const discovery = await discoverThemes(page);
+  log(`Theme mechanisms: ${describeDiscovery(discovery)}`);
+
+  const baseline = await readThemeState(page);
+  const results = [];
+
+  for (const theme of themes) {
+    log(`Switching to ${theme} theme...`);
+    const activation = await activateTheme(page, theme, { discovery, themes, baseline, slow });
+    log(`${theme} theme: ${activation.mechanism}${activation.verified ? '' : ' (not verified)'}`);
+
+    const designSystem = await extract(page, theme);
+    const elements = await sampleElementColors(page);
+    results.push({ theme, designSystem, elements, activation });
+  }
+
+  return { discovery, results };
+}
+
+/**
+ * Summarize discovered mechanisms for logs and reports
+ *
+ * @param {Object} discovery - Result of discoverThemes()
+ * @returns {string}
+ */
+export function describeDiscovery(discovery) {
+  const parts = [];
+  if (discovery.media.length > 0) parts.push(`prefers-color-scheme (${discovery.media.join(', ')})`);
+  if (discovery.hooks.length > 0) parts.push(`CSS hooks (${discovery.hooks.slice(0, 3).map(describeHook).join(', ')})`);
+  if (discovery.storage.length > 0) parts.push(`localStorage (${discovery.storage.map(s => s.key).join(', ')})`);
+  if (discovery.toggles.length > 0) parts.push(`toggles (${discovery.toggles.length})`);
+  return parts.join(', ') || 'none found';
+}
+
+/**
+ * Read what the page currently renders: page background and text color,
+ * color-scheme, and the classes/data attributes on <html> and <body>
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Object>} { background, color, colorScheme, markers }
+ */
+export async function readThemeState(page) {
+  return page.evaluate(() => {
+    const html = document.documentElement;
+    const body = document.body || html;
+    const isTransparent = (value) => value === 'transparent' || value === 'rgba(0, 0, 0, 0)';
+
+    const bodyBackground = getComputedStyle(body).backgroundColor;
+    const htmlBackground = getComputedStyle(html).backgroundColor;
+
+    const markers = [html, body].flatMap(el => [
+      ...el.classList,
+      ...Array.from(el.attributes)
+        .filter(attr => attr.name.startsWith('data-') || attr.name === 'style')
+        .map(attr => `${attr.name}=${attr.value}`),
+    ]);
+
+    return {
+      background: !isTransparent(bodyBackground) ? bodyBackground
+        : !isTransparent(htmlBackground) ? htmlBackground
+          : 'rgb(255, 255, 255)',
+      color: getComputedStyle(body).color,
+      colorScheme: getComputedStyle(html).colorScheme,
+      markers: markers.join(' '),
+    };
+  });
+}
+
+/**
+ * Check whether the page renders a theme
+ * Light and dark themes are told apart by the page background; other
+ * themes must change the page and name themselves in a class or attribute.
+ *
+ * @param {Object} state - Result of readThemeState()
+ * @param {string} theme - Theme name
+ * @param {Object} baseline - State before any switch
+ * @returns {boolean}
+ */
+function matchesTheme(state, theme, baseline) {
+  const scheme = schemeOf(theme);
+
+  if (scheme !== 'custom') {
+    const rgb = parseColor(state.background);
+    const dark = rgb ? relativeLuminance(rgb) < DARK_LUMINANCE : false;
+    return scheme === 'dark' ? dark : !dark;
+  }
+
+  const changed = !baseline || JSON.stringify(state) !== JSON.stringify(baseline);
+  return changed && new RegExp(`(^|[^\\w-])${theme}([^\\w-]|$)`, 'i').test(state.markers);
+}
+
+/**
+ * Color scheme a theme name implies
+ *
+ * @param {string} theme
+ * @returns {'light'|'dark'|'custom'}
+ */
+function schemeOf(theme) {
+  if (/dark/i.test(theme)) return 'dark';
+  if (/light/i.test(theme)) return 'light';
+  return 'custom';
+}
+
+/**
+ * prefers-color-scheme values the CSS reacts to
+ *
+ * @param {Object|null} css - Parsed CSS model
+ * @returns {string[]}
+ */
+function mediaSchemes(css) {
+  const schemes = new Set();
+  for (const query of css?.mediaQueries || []) {
+    for (const match of query.matchAll(/prefers-color-scheme\s*:\s*(light|dark)/gi)) {
+      schemes.add(match[1].toLowerCase());
+    }
+  }
+  return [...schemes];
+}
+
+/**
+ * Class and data attribute hooks that theme rules are written against
+ * (.dark, html.theme-dim, [data-theme="dark"], body[data-mode=light], ...),
+ * most used first
+ *
+ * @param {Object|null} css - Parsed CSS model
+ * @returns {Array<{type: 'class'|'attribute', name: string, value?: string, element: string, theme: string, rules: number}>}
+ */
+function cssHooks(css) {
+  const hooks = new Map();
+
+  const add = (hook) => {
+    const key = `${hook.type}|${hook.element}|${hook.name}|${hook.value ?? ''}`;
+    if (!hooks.has(key)) hooks.set(key, { ...hook, rules: 0 });
+    hooks.get(key).rules++;
+  };
+
+  for (const rule of css?.rules || []) {
+    for (const part of rule.selector.split(',')) {
+      const selector = part.trim();
+
+      const attribute = selector.match(/^(:root|html|body)?\[(data-[\w-]*(?:theme|mode|scheme|appearance)[\w-]*)\s*=\s*["']?([\w-]+)["']?\s*\]/i);
+      if (attribute) {
+        add({
+          type: 'attribute',
+          name: attribute[2].toLowerCase(),
+          value: attribute[3],
+          element: attribute[1] === 'body' ? 'body' : 'html',
+          theme: attribute[3].toLowerCase(),
+        });
+        continue;
+      }
+
+      const className = selector.match(/^(:root|html|body)?\.(dark|light|theme-[\w-]+|[\w-]+-theme|[\w-]+-mode)(?=$|[\s.:[>+~])/i);
+      if (className) {
+        add({
+          type: 'class',
+          name: className[2],
+          element: className[1] === 'body' ? 'body' : 'html',
+          theme: className[2].toLowerCase().replace(/^theme-|-theme$|-mode$/g, ''),
+        });
+      }
+    }
+  }
+
+  return [...hooks.values()].sort((a, b) => b.rules - a.rules).slice(0, 20);
+}
+
+/**
+ * Label of a hook for reports (html.dark, [data-theme="dark"])
+ *
+ * @param {Object} hook
+ * @returns {string}
+ */
+function describeHook(hook) {
+  return hook.type === 'class'
+    ? `${hook.element}.${hook.name}`
+    : `${hook.element}[${hook.name}="${hook.value}"]`;
+}
+
+/**
+ * Set a hook on the page, removing the hooks of other themes
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} hook - Hook to set
+ * @param {Object[]} others - Hooks of other themes
+ * @returns {Promise<void>}
+ */
+async function setHook(page, hook, others) {
+  await page.evaluate(({ hook, others }) => {
+    const elementOf = (h) => (h.element === 'body' ? document.body : document.documentElement);
+
+    for (const other of others) {
+      if (other.type === 'class') elementOf(other).classList.remove(other.name);
+      else if (elementOf(other).getAttribute(other.name) === other.value) elementOf(other).removeAttribute(other.name);
+    }
+
+    if (hook.type === 'class') elementOf(hook).classList.add(hook.name);
+    else elementOf(hook).setAttribute(hook.name, hook.value);
+  }, { hook, others });
+
+  await page.waitForTimeout(SETTLE_MS);
+}
+
+/**
+ * Write (or remove) a localStorage value
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {string} key
+ * @param {string|null} value - null removes the key
+ * @returns {Promise<void>}
+ */
+async function setStorage(page, key, value) {
+  await page.evaluate(({ key, value }) => {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  }, { key, value }).catch(() => {});
+}
+
+/**
+ * Stored value for a theme, in the format of the value already stored:
+ * a plain string, a JSON string, or a JSON object whose theme fields are
+ * replaced
+ *
+ * @param {string|null} stored - Current value (null if none)
+ * @param {string} theme - Theme to store
+ * @param {string[]} others - Other theme names
+ * @returns {string}
+ */
+function storageValue(stored, theme, others) {
+  if (stored === null) return theme;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (e) {
+    return theme;
+  }
+
+  if (typeof parsed === 'string') return JSON.stringify(theme);
+  if (!parsed || typeof parsed !== 'object') return theme;
+
+  const names = [...others, 'system', 'auto'];
+  const replace = (node) => {
+    if (typeof node === 'string') return names.includes(node.toLowerCase()) ? theme : node;
+    if (typeof node === 'boolean') return node;
+    if (!node || typeof node !== 'object') return node;
+    return Array.isArray(node)
+      ? node.map(replace)
+      : Object.fromEntries(Object.entries(node).map(([key, value]) => [
+        key,
+        // { dark: true } / { isDarkMode: false }
+        typeof value === 'boolean' && /dark/i.test(key) ? schemeOf(theme) === 'dark' : replace(value),
+      ]));
+  };
+
+  return JSON.stringify(replace(parsed));
+}
+
+/**
+ * Find visible controls that look like theme toggles, best first
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Array<{selector: string, label: string, tag: string}>>}
+ */
+async function findToggles(page) {
+  return page.evaluate(({ pattern, maxToggles }) => {
+    const hint = new RegExp(pattern, 'i');
+
+    const unique = (selector) => document.querySelectorAll(selector).length === 1;
+    const selectorOf = (el) => {
+      const parts = [];
+      for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+        if (node.id && unique(`#${CSS.escape(node.id)}`)) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        const tag = node.tagName.toLowerCase();
+        const siblings = Array.from(node.parentElement?.children || []).filter(c => c.tagName === node.tagName);
+        parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      }
+      return parts.join(' > ');
+    };
+
+    const classOf = (el) => (typeof el.className === 'string' ? el.className : el.className?.baseVal || '');
+
+    const candidates = [];
+    const controls = document.querySelectorAll('button, [role="button"], [role="switch"], a, input[type="checkbox"], select');
+
+    for (const el of controls) {
+      const tag = el.tagName.toLowerCase();
+      const href = el.getAttribute('href');
+      if (tag === 'a' && href && !href.startsWith('#') && !href.startsWith('javascript:')) continue;
+
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden') continue;
+
+      const label = el.getAttribute('aria-label') || el.getAttribute('title') || '';
+      const text = (el.textContent || '').trim();
+      const icons = Array.from(el.querySelectorAll('svg, i, img, use, span')).flatMap(icon => [
+        classOf(icon),
+        icon.getAttribute('aria-label'),
+        icon.getAttribute('alt'),
+        icon.getAttribute('data-icon'),
+        icon.getAttribute('href') || icon.getAttribute('xlink:href'),
+      ]);
+      const attributes = Array.from(el.attributes)
+        .filter(attr => attr.name.startsWith('data-') || ['id', 'name'].includes(attr.name))
+        .map(attr => `${attr.name} ${attr.value}`);
+      const options = tag === 'select' ? Array.from(el.options).map(o => `${o.value} ${o.text}`) : [];
+
+      let score = 0;
+      if (hint.test(label)) score += 3;
+      if (text.length <= 30 && hint.test(text)) score += 2;
+      if (hint.test([classOf(el), ...attributes, ...options].join(' '))) score += 1;
+      if (hint.test(icons.filter(Boolean).join(' '))) score += 1;
+      if (score === 0) continue;
+
+      candidates.push({ selector: selectorOf(el), label: label || (text.length <= 30 ? text : ''), tag, score });
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxToggles)
+      .map(({ score, ...toggle }) => toggle);
+  }, { pattern: TOGGLE_HINT, maxToggles: MAX_TOGGLES }).catch(() => []);
+}
+
+/**
+ * Use a toggle to reach a theme: pick the option of a <select>, or click
+ * up to MAX_TOGGLE_CLICKS times, choosing the theme in any menu it opens
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} toggle - Toggle from findToggles()
+ * @param {string} theme - Theme to reach
+ * @param {Function} matches - async () => whether the page renders the theme
+ * @returns {Promise<boolean>} Whether the theme was reached
+ */
+async function clickToggle(page, toggle, theme, matches) {
+  const control = page.locator(toggle.selector).first();
+  const themeLabel = new RegExp(`^\\s*${theme}(\\s+(mode|theme))?\\s*$`, 'i');
+
+  try {
+    if (toggle.tag === 'select') {
+      const options = await control.evaluate(el => Array.from(el.options).map(o => ({ value: o.value, text: o.text })));
+      const option = options.find(o => themeLabel.test(o.text) || themeLabel.test(o.value));
+      if (!option) return false;
+      await control.selectOption(option.value, { timeout: 2000 });
+      await page.waitForTimeout(SETTLE_MS);
+      return await matches();
+    }
+
+    const url = page.url();
+
+    for (let click = 0; click < MAX_TOGGLE_CLICKS; click++) {
+      await control.click({ timeout: 2000 });
+      await page.waitForTimeout(SETTLE_MS);
+      if (page.url() !== url) return false;
+      if (await matches()) return true;
+
+      // Toggles that open a Light / Dark / System menu
+      const option = page.locator(MENU_OPTIONS).filter({ hasText: themeLabel, visible: true }).first();
+      if (await option.count() > 0) {
+        await option.click({ timeout: 2000 });
+        await page.waitForTimeout(SETTLE_MS);
+        if (await matches()) return true;
+        await page.keyboard.press('Escape');
+      }
+    }
+  } catch (e) {
+    // Detached, covered or disabled toggles are skipped
+  }
+
+  return false;
+}
+
+/**
+ * Sample the colors each visible element paints
+ * Elements are keyed by document order and tag, which stays stable while
+ * only classes and attributes change between themes.
+ *
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @returns {Promise<Map<string, Object>>} Colors by element key ({backgroundColor, color, borderColor} as hex)
+ */
+export async function sampleElementColors(page) {
+  const sampled = await page.evaluate((maxElements) => {
+    const result = [];
+    const elements = document.querySelectorAll('body, body *');
+
+    for (let index = 0; index < elements.length && result.length < maxElements; index++) {
+      const el = elements[index];
+      if (el.closest('svg') && el.tagName.toLowerCase() !== 'svg') continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const hasText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+      const hasBorder = parseFloat(style.borderTopWidth) > 0 || parseFloat(style.borderBottomWidth) > 0;
+
+      result.push({
+        key: `${index}:${el.tagName.toLowerCase()}`,
+        backgroundColor: style.backgroundColor,
+        color: hasText ? style.color : null,
+        borderColor: hasBorder ? style.borderTopColor : null,
+      });
+    }
+
+    return result;
+  }, MAX_ELEMENTS);
+
+  const elements = new Map();
+
+  for (const { key, ...colors } of sampled) {
+    const hexes = {};
+    for (const [property, value] of Object.entries(colors)) {
+      if (!value || /^(transparent|rgba\(0, 0, 0, 0\))$/.test(value)) continue;
+      const hex = normalizeToHex(value);
+      if (hex) hexes[property] = hex.toUpperCase();
+    }
+    if (Object.keys(hexes).length > 0) elements.set(key, hexes);
+  }
+
+  return elements;
+}
+
+export default {
+  parseThemes,
+  discoverThemes,
+  describeDiscovery,
+  activateTheme,
+  switchTheme,
+  readThemeState,
+  extractThemes,
+  sampleElementColors,
+};
@@ -0,0 +1,171 @@
+/**
+ * timeline.js - Interaction timeline for recordings
+ *
+ * Records what happened at which point of a recording so frame and motion
+ * analysis can tie an animation to the interaction that triggered it.
+ * Written as a JSON sidecar next to the video (recording.webm ->
+ * recording.timeline.json).
+ *
+ * Event types:
+ * - navigation: page load started / finished
+ * - scroll: scroll target and resulting scroll position
+ * - hover / click / fill / press: target selector, bounding box, text
+ * - page-height: document height changed (lazy-loaded content)
+ * - phase: start of a stage of the interaction sweep
+ * - mark / screenshot: scenario marks and screenshots
+ *
+ * Times are milliseconds from the start of the video. Bounding boxes are
+ * viewport coordinates, i.e. pixel positions in the video frame.
+ */
+
+import { writeFile } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+
+// Longest text snippet kept per element
+const MAX_TEXT_LENGTH = 80;
+
+/**
+ * Create a timeline whose clock starts now
+ * Call this right after the recording page is created.
+ *
+ * @param {number} startTime - Epoch ms the video started at (default: now)
+ * @returns {{events: Array, elapsedMs: Function, add: Function}}
+ */
+export function createTimeline(startTime = Date.now()) {
+  const events = [];
+
+  return {
+    startTime,
+    events,
+
+    /**
+     * Milliseconds since the start of the recording
+     * @returns {number}
+     */
+    elapsedMs() {
+      return Date.now() - startTime;
+    },
+
+    /**
+     * Add an event at the current time
+     * @param {string} type - Event type
+     * @param {Object} data - Event details
+     * @returns {Object} The added event
+     */
+    add(type, data = {}) {
+      const event = { timeMs: Date.now() - startTime, type, ...data };
+      events.push(event);
+      return event;
+    },
+  };
+}
+
+/**
+ * Describe an element for the timeline: selector, bounding box and text
+ *
+ * @param {import('playwright').Locator} element - Playwright locator
+ * @param {Object} options
+ * @param {number} options.timeout - Max wait for the element in ms (default: 1000)
+ * @returns {Promise<{selector: string, box: Object|null, text: string}|null>}
+ */
+export async function describeElement(element, options = {}) {
+  const { timeout = 1000 } = options;
+
+  try {
+    const [info, box] = await Promise.all([
+      element.evaluate((el, maxLength) => {
+        // Short CSS path: id if present, else up to 3 levels of tag.class:nth-of-type
+        const segment = (node) => {
+          if (node.id) return `#${CSS.escape(node.id)}`;
+
+          let part = node.tagName.toLowerCase();
+          const classes = Array.from(node.classList).slice(0, 2);
+          if (classes.length > 0) {
+            part += classes.map(c => `.${CSS.escape(c)}`).join('');
+          }
+
+          const parent = node.parentElement;
+          if (parent) {
+            const siblings = Array.from(parent.children).filter(c => c.tagName === node.tagName);
+            if (siblings.length > 1) {
+              part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+          }
+          return part;
+        };
+
+        const parts = [];
+        let node = el;
+        while (node && node !== document.body && parts.length < 3) {
+          parts.unshift(segment(node));
+          if (node.id) break;
+          node = node.parentElement;
+        }
+
+        const text = (el.getAttribute('aria-label') || el.innerText || el.textContent || '')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, maxLength);
+
+        return { selector: parts.join(' > '), text };
+      }, MAX_TEXT_LENGTH, { timeout }),
+      element.boundingBox({ timeout }),
+    ]);
+
+    return {
+      ...info,
+      box: box && {
+        x: Math.round(box.x),
+        y: Math.round(box.y),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+    };
+  } catch (e) {
+    // Element detached or not rendered
+    return null;
+  }
+}
+
+/**
+ * Sidecar path for a video
+ *
+ * @param {string} videoPath - Video file path
+ * @returns {string} e.g. recording.webm -> recording.timeline.json
+ */
+export function timelinePathFor(videoPath) {
+  return join(dirname(videoPath), `${basename(videoPath, extname(videoPath))}.timeline.json`);
+}
+
+/**
+ * Write the timeline sidecar next to a video
+ *
+ * @param {string} videoPath - Video file path
+ * @param {Object} timeline - Timeline from createTimeline
+ * @param {Object} metadata - Recording details (url, viewport, ...)
+ * @returns {Promise<string>} Sidecar path
+ */
+export async function writeTimeline(videoPath, timeline, metadata = {}) {
+  const outputPath = timelinePathFor(videoPath);
+  const events = [...timeline.events].sort((a, b) => a.timeMs - b.timeMs);
+
+  const sidecar = {
+    version: '1.0',
+    video: basename(videoPath),
+    recordedAt: new Date(timeline.startTime).toISOString(),
+    durationMs: timeline.elapsedMs(),
+    ...metadata,
+    eventCount: events.length,
+    events,
+  };
+
+  await writeFile(outputPath, JSON.stringify(sidecar, null, 2));
+  return outputPath;
+}
+
+export default {
+  createTimeline,
+  describeElement,
+  timelinePathFor,
+  writeTimeline,
+};
@@ -7,8 +7,15 @@
  * - LAB (L*, a*, b*)
  * - LCH (Lightness, Chroma, Hue)
  * - OKLCH (perceptually uniform)
+ *
+ * parseColor() accepts every CSS Color 4/5 syntax; wide-gamut colors are
+ * mapped into sRGB (see color-spaces.js).
  */
 
+import { COLOR_SPACES, convertCoords, gamutMapToSrgb, mixColors } from './color-spaces.js';
+import { NAMED_COLORS } from './named-colors.js';
+import { splitTopLevel } from './css-values.js';
+
 // D65 illuminant reference white point
 const REF_X = 95.047;
 const REF_Y = 100.0;
@@ -17,47 +24,242 @@ const REF_Z = 108.883;
 /**
  * Parse any color string to RGB object
  *
- * @param {string} colorStr - Color in hex, rgb(), or rgba() format
- * @returns {{r: number, g: number, b: number, a: number} | null}
+ * Understands CSS Color 4/5 syntax: hex (3/4/6/8 digits), named colors,
+ * rgb()/hsl() in comma and space syntax (with "/ alpha"), hwb(), lab(),
+ * lch(), oklab(), oklch(), color(<space> ...) and color-mix().
+ *
+ * Colors outside sRGB are gamut-mapped (CSS Color 4 algorithm). Colors
+ * not written in sRGB carry `space` (e.g. "oklch", "display-p3") and
+ * `gamutMapped` (true when the color had to be mapped into sRGB).
+ *
+ * @param {string} colorStr - CSS color
+ * @returns {{r: number, g: number, b: number, a: number, space?: string, gamutMapped?: boolean} | null}
  */
 export function parseColor(colorStr) {
   if (!colorStr || colorStr === 'transparent') return null;
 
-  const str = colorStr.trim().toLowerCase();
+  const color = parseCssColor(colorStr.trim().toLowerCase());
+  if (!color) return null;
+
+  const alpha = Math.round(color.alpha * 1000) / 1000;
+
+  if (color.space === 'srgb') {
+    const [r, g, b] = color.coords.map(v => Math.round(Math.max(0, Math.min(1, v)) * 255));
+    return { r, g, b, a: alpha };
+  }
+
+  const { rgb, mapped } = gamutMapToSrgb(COLOR_SPACES[color.space].toXyz(color.coords));
+  const [r, g, b] = rgb.map(v => Math.round(v * 255));
+
+  return { r, g, b, a: alpha, space: color.space, gamutMapped: mapped };
+}
+
+/**
+ * Check whether a color is written outside plain sRGB syntax
+ * (lab/lch/oklab/oklch/color()/color-mix()), i.e. worth keeping verbatim
+ *
+ * @param {string} colorStr - CSS color
+ * @returns {boolean}
+ */
+export function isWideGamutSyntax(colorStr) {
+  return Boolean(parseColor(colorStr)?.space);
+}
+
+/**
+ * Parse a CSS color into coords in its own color space
+ *
+ * @param {string} str - Lowercased, trimmed CSS color
+ * @returns {{space: string, coords: number[], alpha: number} | null}
+ */
+function parseCssColor(str) {
+  if (str === 'transparent') return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
 
-  // HEX format
   if (str.startsWith('#')) {
-    return hexToRgb(str);
+    const rgb = hexToRgb(str);
+    return rgb && { space: 'srgb', coords: [rgb.r / 255, rgb.g / 255, rgb.b / 255], alpha: rgb.a };
   }
 
-  // RGB/RGBA format
-  const rgbMatch = str.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+))?\s*\)/);
-  if (rgbMatch) {
-    return {
-      r: parseInt(rgbMatch[1], 10),
-      g: parseInt(rgbMatch[2], 10),
-      b: parseInt(rgbMatch[3], 10),
-      a: rgbMatch[4] ? parseFloat(rgbMatch[4]) : 1,
-    };
+  if (NAMED_COLORS[str]) {
+    return parseCssColor(NAMED_COLORS[str]);
   }
 
-  // HSL format (convert to RGB)
-  const hslMatch = str.match(/hsla?\(\s*(\d+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*([\d.]+))?\s*\)/);
-  if (hslMatch) {
-    const h = parseInt(hslMatch[1], 10);
-    const s = parseFloat(hslMatch[2]) / 100;
-    const l = parseFloat(hslMatch[3]) / 100;
-    const a = hslMatch[4] ? parseFloat(hslMatch[4]) : 1;
-    return { ...hslToRgb(h, s, l), a };
+  const fn = str.match(/^([a-z-]+)\((.*)\)$/s);
+  if (!fn) return null;
+
+  const [, name, body] = fn;
+
+  // Relative color syntax and math functions need a browser to resolve
+  if (/^\s*from\s/.test(body) || /\b(calc|var|env)\(/.test(body)) return null;
+
+  if (name === 'color-mix') return parseColorMix(body);
+
+  const parsed = parseArguments(body);
+  if (!parsed) return null;
+  const { args, alpha } = parsed;
+
+  switch (name) {
+    case 'rgb':
+    case 'rgba':
+      return withAlpha('srgb', args.map(v => parseComponent(v, 255) / 255), alpha);
+    case 'hsl':
+    case 'hsla':
+      return withAlpha('hsl', [parseHue(args[0]), parseComponent(args[1], 100), parseComponent(args[2], 100)], alpha, 'srgb');
+    case 'hwb':
+      return withAlpha('hwb', [parseHue(args[0]), parseComponent(args[1], 100), parseComponent(args[2], 100)], alpha, 'srgb');
+    case 'lab':
+      return withAlpha('lab', [parseComponent(args[0], 100), parseComponent(args[1], 125), parseComponent(args[2], 125)], alpha);
+    case 'lch':
+      return withAlpha('lch', [parseComponent(args[0], 100), parseComponent(args[1], 150), parseHue(args[2])], alpha);
+    case 'oklab':
+      return withAlpha('oklab', [parseComponent(args[0], 1), parseComponent(args[1], 0.4), parseComponent(args[2], 0.4)], alpha);
+    case 'oklch':
+      return withAlpha('oklch', [parseComponent(args[0], 1), parseComponent(args[1], 0.4), parseHue(args[2])], alpha);
+    case 'color': {
+      const [space, ...components] = args;
+      if (!COLOR_SPACES[space] || ['lab', 'lch', 'oklab', 'oklch', 'hsl', 'hwb'].includes(space)) return null;
+      const normalized = space === 'xyz' ? 'xyz-d65' : space;
+      return withAlpha(normalized, components.map(v => parseComponent(v, 1)), alpha);
+    }
+    default:
+      return null;
   }
+}
 
-  return null;
+/**
+ * Split function arguments (comma or space syntax) and the alpha
+ *
+ * @param {string} body - Text between the parentheses
+ * @returns {{args: string[], alpha: number} | null}
+ */
+function parseArguments(body) {
+  let args;
+  let alpha = '1';
+
+  if (body.includes(',')) {
+    // Legacy syntax: rgba(1, 2, 3, 0.5)
+    args = splitTopLevel(body, ',');
+    if (args.length === 4) alpha = args.pop();
+  } else {
+    const [components, alphaPart] = splitTopLevel(body, '/');
+    args = splitTopLevel(components || '', ' ');
+    if (alphaPart) alpha = alphaPart.trim();
+  }
+
+  const firstIsSpace = /^[a-z]/.test(args[0] || '') && args[0] !== 'none';
+  if (args.length !== (firstIsSpace ? 4 : 3)) return null;
+
+  const parsedAlpha = parseComponent(alpha, 1);
+  if (Number.isNaN(parsedAlpha)) return null;
+
+  return { args, alpha: Math.max(0, Math.min(1, parsedAlpha)) };
+}
+
+/**
+ * Build a parsed color, converting sRGB-based spaces (hsl, hwb) to srgb
+ *
+ * @param {string} space - Space of the coords
+ * @param {number[]} coords
+ * @param {number} alpha
+ * @param {string} target - Space to convert to (optional)
+ * @returns {{space: string, coords: number[], alpha: number} | null}
+ */
+function withAlpha(space, coords, alpha, target = space) {
+  if (coords.length !== 3 || coords.some(v => Number.isNaN(v))) return null;
+
+  return {
+    space: target,
+    coords: target === space ? coords : convertCoords(space, target, coords),
+    alpha,
+  };
+}
+
+/**
+ * Parse a number or percentage component ("none" is 0)
+ *
+ * @param {string} value
+ * @param {number} percentReference - Value 100% stands for
+ * @returns {number} NaN if invalid
+ */
+function parseComponent(value, percentReference) {
+  if (value === undefined) return NaN;
+  if (value === 'none') return 0;
+  if (value.endsWith('%')) return (parseFloat(value) / 100) * percentReference;
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(value) ? parseFloat(value) : NaN;
+}
+
+/**
+ * Parse a hue in degrees (deg, rad, grad, turn or a bare number)
+ *
+ * @param {string} value
+ * @returns {number} NaN if invalid
+ */
+function parseHue(value) {
+  if (value === undefined) return NaN;
+  if (value === 'none') return 0;
+
+  const match = value.match(/^([-+]?[\d.]+(?:e[-+]?\d+)?)(deg|rad|grad|turn)?$/);
+  if (!match) return NaN;
+
+  const number = parseFloat(match[1]);
+  const factor = { rad: 180 / Math.PI, grad: 0.9, turn: 360 }[match[2]] || 1;
+  return number * factor;
+}
+
+/**
+ * Parse color-mix(in <space> [<hue> hue], <color> [<p>], <color> [<p>])
+ *
+ * @param {string} body - Text between the parentheses
+ * @returns {{space: string, coords: number[], alpha: number} | null}
+ */
+function parseColorMix(body) {
+  const [method, first, second] = splitTopLevel(body, ',');
+  if (!method || !first || !second) return null;
+
+  const methodMatch = method.match(/^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+  if (!methodMatch) return null;
+
+  const space = methodMatch[1] === 'xyz' ? 'xyz-d65' : methodMatch[1];
+  if (!COLOR_SPACES[space]) return null;
+
+  const parseStop = (text) => {
+    const parts = splitTopLevel(text, ' ');
+    const percentIndex = parts.findIndex(p => /^[\d.]+%$/.test(p));
+    const percent = percentIndex >= 0 ? parseFloat(parts.splice(percentIndex, 1)[0]) / 100 : null;
+    const color = parseCssColor(parts.join(' '));
+    return color && { color, percent };
+  };
+
+  const a = parseStop(first);
+  const b = parseStop(second);
+  if (!a || !b) return null;
+
+  // Normalize percentages; a sum under 100% makes the result translucent
+  let p1 = a.percent;
+  let p2 = b.percent;
+  if (p1 === null && p2 === null) [p1, p2] = [0.5, 0.5];
+  else if (p1 === null) p1 = 1 - p2;
+  else if (p2 === null) p2 = 1 - p1;
+
+  const sum = p1 + p2;
+  if (sum <= 0) return null;
+
+  const toXyz = c => ({ coords: COLOR_SPACES[c.space].toXyz(c.coords), alpha: c.alpha });
+  const mixed = mixColors(space, toXyz(a.color), toXyz(b.color), p2 / sum, methodMatch[2]);
+
+  const srgbBased = ['hsl', 'hwb'].includes(space);
+  const resultSpace = srgbBased ? 'srgb' : space;
+
+  return {
+    space: resultSpace,
+    coords: COLOR_SPACES[resultSpace].fromXyz(mixed.coords),
+    alpha: mixed.alpha * Math.min(1, sum),
+  };
 }
 
 /**
  * Convert HEX to RGB
  *
- * @param {string} hex - Hex color (#RGB, #RRGGBB, or #RRGGBBAA)
+ * @param {string} hex - Hex color (#RGB, #RGBA, #RRGGBB, or #RRGGBBAA)
  * @returns {{r: number, g: number, b: number, a: number} | null}
  */
 export function hexToRgb(hex) {
@@ -66,11 +268,13 @@ export function hexToRgb(hex) {
   // Remove # prefix
   let h = hex.replace(/^#/, '');
 
-  // Expand shorthand (#RGB to #RRGGBB)
-  if (h.length === 3) {
+  // Expand shorthand (#RGB to #RRGGBB, #RGBA to #RRGGBBAA)
+  if (h.length === 3 || h.length === 4) {
     h = h.split('').map(c => c + c).join('');
   }
 
+  if (!/^[0-9a-f]+$/i.test(h)) return null;
+
   // Handle 8-character hex with alpha
   if (h.length === 8) {
     return {
@@ -395,6 +599,7 @@ export function formatOklch(oklch) {
 
 export default {
   parseColor,
+  isWideGamutSyntax,
   hexToRgb,
   rgbToHex,
   hslToRgb,
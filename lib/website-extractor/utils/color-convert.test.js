@@ -0,0 +1,67 @@
+/**
+ * color-convert.test.js - Tests for CSS color parsing
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, isWideGamutSyntax, normalizeToHex } from './color-convert.js';
+
+const RED = { r: 255, g: 0, b: 0, a: 1 };
+
+test('parses hex and named colors', () => {
+  assert.deepEqual(parseColor('#f00'), RED);
+  assert.deepEqual(parseColor('#FF0000'), RED);
+  assert.deepEqual(parseColor('#ff000080'), { ...RED, a: 0.502 });
+  assert.deepEqual(parseColor('rebeccapurple'), { r: 102, g: 51, b: 153, a: 1 });
+});
+
+test('parses rgb() and hsl() in comma and space syntax', () => {
+  assert.deepEqual(parseColor('rgb(255, 0, 0)'), RED);
+  assert.deepEqual(parseColor('rgba(0, 128, 255, 0.5)'), { r: 0, g: 128, b: 255, a: 0.5 });
+  assert.deepEqual(parseColor('rgb(255 0 0 / 50%)'), { ...RED, a: 0.5 });
+  assert.deepEqual(parseColor('rgb(100% 0% 0%)'), RED);
+  assert.deepEqual(parseColor('rgb(none 0 0)'), { r: 0, g: 0, b: 0, a: 1 });
+  assert.deepEqual(parseColor('hsl(120deg 100% 50%)'), { r: 0, g: 255, b: 0, a: 1 });
+  assert.deepEqual(parseColor('hsla(0, 100%, 50%, 1)'), RED);
+  assert.deepEqual(parseColor('hsl(0.5turn 100% 50%)'), { r: 0, g: 255, b: 255, a: 1 });
+  assert.deepEqual(parseColor('hwb(0 0% 0%)'), RED);
+});
+
+test('parses lab(), lch(), oklab() and oklch()', () => {
+  const gray = { r: 119, g: 119, b: 119, a: 1, gamutMapped: false };
+
+  assert.deepEqual(parseColor('lab(50% 0 0)'), { ...gray, space: 'lab' });
+  assert.deepEqual(parseColor('lch(50% 0 0)'), { ...gray, space: 'lch' });
+  assert.deepEqual(parseColor('oklab(0.628 0.2249 0.1258)'), { ...RED, space: 'oklab', gamutMapped: false });
+  assert.deepEqual(parseColor('oklch(62.8% 0.2577 29.23)'), { ...RED, space: 'oklch', gamutMapped: false });
+  assert.deepEqual(parseColor('oklch(62.8% 0.2577 29.23 / 0.25)').a, 0.25);
+});
+
+test('parses color() and gamut-maps colors outside sRGB', () => {
+  assert.deepEqual(parseColor('color(srgb 0 0.5 1)'), { r: 0, g: 128, b: 255, a: 1 });
+  assert.deepEqual(parseColor('color(display-p3 1 0 0)'), { r: 255, g: 11, b: 12, a: 1, space: 'display-p3', gamutMapped: true });
+  assert.equal(parseColor('oklch(70% 0.4 150)').gamutMapped, true);
+  assert.equal(parseColor('color(lab 50 0 0)'), null);
+});
+
+test('parses color-mix()', () => {
+  assert.deepEqual(parseColor('color-mix(in srgb, red, blue)'), { r: 128, g: 0, b: 128, a: 1 });
+  assert.deepEqual(parseColor('color-mix(in srgb, red 30%, blue 30%)'), { r: 128, g: 0, b: 128, a: 0.6 });
+  assert.equal(parseColor('color-mix(in oklch, red, blue)').space, 'oklch');
+});
+
+test('returns null for what needs a browser or is not a color', () => {
+  assert.equal(parseColor('rgb(from red r g b)'), null);
+  assert.equal(parseColor('rgb(calc(255) 0 0)'), null);
+  assert.equal(parseColor('var(--brand)'), null);
+  assert.equal(parseColor('transparent'), null);
+  assert.equal(parseColor('nope'), null);
+  assert.equal(parseColor('rgb(255 0)'), null);
+  assert.equal(parseColor(''), null);
+});
+
+test('tells wide-gamut syntax apart from sRGB', () => {
+  assert.equal(isWideGamutSyntax('oklch(62.8% 0.2577 29.23)'), true);
+  assert.equal(isWideGamutSyntax('hsl(0 100% 50%)'), false);
+  assert.equal(normalizeToHex('rgb(59 130 246)'), '#3B82F6');
+});
@@ -0,0 +1,517 @@
+/**
+ * color-spaces.js - CSS Color 4 color spaces and gamut mapping
+ *
+ * Converts between the color spaces of CSS Color 4 through CIE XYZ (D65):
+ * - srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb, rec2020
+ * - xyz-d65 (xyz), xyz-d50
+ * - lab, lch (CIE, D50), oklab, oklch
+ * - hsl, hwb (sRGB based, used for color-mix())
+ *
+ * Matrices and transfer functions follow the CSS Color 4 sample code.
+ * Wide-gamut colors are mapped into sRGB with the CSS Color 4 algorithm
+ * (OKLCH chroma reduction with a deltaEOK just-noticeable difference).
+ */
+
+// Chromatic adaptation (Bradford)
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+const D65_TO_D50 = [
+  [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+  [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+  [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371],
+];
+
+// D50 reference white for CIE Lab
+const WHITE_D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// RGB spaces: linear RGB -> XYZ (D65, ProPhoto: D50)
+const SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+const XYZ_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+const A98_TO_XYZ = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+];
+const PROPHOTO_TO_XYZ_D50 = [
+  [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+  [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+  [0, 0, 0.8251046025104602],
+];
+const REC2020_TO_XYZ = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791],
+];
+
+// OKLab
+const XYZ_TO_LMS = [
+  [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309],
+];
+const LMS_TO_OKLAB = [
+  [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+  [0.0259040424655478, 0.7827717124575296, -0.8086757549230774],
+];
+const OKLAB_TO_LMS = [
+  [1.0000000000000000, 0.3963377773761749, 0.2158037573099136],
+  [1.0000000000000000, -0.1055613458156586, -0.0638541728258133],
+  [1.0000000000000000, -0.0894841775298119, -1.2914855480194092],
+];
+const LMS_TO_XYZ = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816],
+];
+
+// Gamut mapping (CSS Color 4)
+const JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+/**
+ * Color spaces: coords <-> XYZ (D65)
+ * polar: index of the hue component (for hue interpolation)
+ */
+export const COLOR_SPACES = {
+  srgb: rgbSpace(SRGB_TO_XYZ, srgbToLinear, linearToSrgb),
+  'srgb-linear': rgbSpace(SRGB_TO_XYZ, v => v, v => v),
+  'display-p3': rgbSpace(P3_TO_XYZ, srgbToLinear, linearToSrgb),
+  'a98-rgb': rgbSpace(A98_TO_XYZ, a98ToLinear, linearToA98),
+  'prophoto-rgb': rgbSpace(PROPHOTO_TO_XYZ_D50, prophotoToLinear, linearToProphoto, true),
+  rec2020: rgbSpace(REC2020_TO_XYZ, rec2020ToLinear, linearToRec2020),
+  'xyz-d65': { toXyz: c => [...c], fromXyz: xyz => [...xyz] },
+  'xyz-d50': {
+    toXyz: c => multiply(D50_TO_D65, c),
+    fromXyz: xyz => multiply(D65_TO_D50, xyz),
+  },
+  lab: {
+    toXyz: c => multiply(D50_TO_D65, labToXyzD50(c)),
+    fromXyz: xyz => xyzD50ToLab(multiply(D65_TO_D50, xyz)),
+  },
+  lch: {
+    polar: 2,
+    toXyz: c => multiply(D50_TO_D65, labToXyzD50(lchToLab(c))),
+    fromXyz: xyz => labToLchCoords(xyzD50ToLab(multiply(D65_TO_D50, xyz))),
+  },
+  oklab: { toXyz: oklabToXyz, fromXyz: xyzToOklab },
+  oklch: {
+    polar: 2,
+    toXyz: c => oklabToXyz(lchToLab(c)),
+    fromXyz: xyz => labToLchCoords(xyzToOklab(xyz)),
+  },
+  hsl: {
+    polar: 0,
+    toXyz: c => COLOR_SPACES.srgb.toXyz(hslToSrgb(c)),
+    fromXyz: xyz => srgbToHsl(COLOR_SPACES.srgb.fromXyz(xyz)),
+  },
+  hwb: {
+    polar: 0,
+    toXyz: c => COLOR_SPACES.srgb.toXyz(hwbToSrgb(c)),
+    fromXyz: xyz => srgbToHwb(COLOR_SPACES.srgb.fromXyz(xyz)),
+  },
+};
+COLOR_SPACES.xyz = COLOR_SPACES['xyz-d65'];
+
+/**
+ * Convert coords from one space to another
+ *
+ * @param {string} from - Source space
+ * @param {string} to - Target space
+ * @param {number[]} coords
+ * @returns {number[]}
+ */
+export function convertCoords(from, to, coords) {
+  if (from === to) return [...coords];
+  return COLOR_SPACES[to].fromXyz(COLOR_SPACES[from].toXyz(coords));
+}
+
+/**
+ * Check whether sRGB coords (0-1) are inside the gamut
+ *
+ * @param {number[]} rgb
+ * @returns {boolean}
+ */
+export function inSrgbGamut(rgb) {
+  return rgb.every(v => v >= -GAMUT_EPSILON && v <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Map XYZ (D65) into the sRGB gamut (CSS Color 4 algorithm)
+ *
+ * @param {number[]} xyz - XYZ D65
+ * @returns {{rgb: number[], mapped: boolean}} sRGB coords 0-1, and whether mapping was needed
+ */
+export function gamutMapToSrgb(xyz) {
+  const rgb = COLOR_SPACES.srgb.fromXyz(xyz);
+  if (inSrgbGamut(rgb)) return { rgb: clip(rgb), mapped: false };
+
+  const origin = COLOR_SPACES.oklch.fromXyz(xyz);
+  if (origin[0] >= 1) return { rgb: [1, 1, 1], mapped: true };
+  if (origin[0] <= 0) return { rgb: [0, 0, 0], mapped: true };
+
+  const toRgb = oklch => COLOR_SPACES.srgb.fromXyz(COLOR_SPACES.oklch.toXyz(oklch));
+
+  let current = [...origin];
+  let clipped = clip(toRgb(current));
+  if (deltaEOK(clipped, current) < JND) return { rgb: clipped, mapped: true };
+
+  // Binary search on chroma for the closest in-gamut color within a JND of its clip
+  let min = 0;
+  let max = origin[1];
+  let minInGamut = true;
+
+  while (max - min > GAMUT_EPSILON) {
+    const chroma = (min + max) / 2;
+    current = [origin[0], chroma, origin[2]];
+    const candidate = toRgb(current);
+
+    if (minInGamut && inSrgbGamut(candidate)) {
+      min = chroma;
+      continue;
+    }
+
+    clipped = clip(candidate);
+    const e = deltaEOK(clipped, current);
+    if (e < JND) {
+      if (JND - e < GAMUT_EPSILON) break;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+
+  return { rgb: clipped, mapped: true };
+}
+
+/**
+ * Interpolate two colors (CSS color-mix() semantics)
+ *
+ * @param {string} space - Interpolation space
+ * @param {{coords: number[], alpha: number}} a - Color in XYZ D65
+ * @param {{coords: number[], alpha: number}} b - Color in XYZ D65
+ * @param {number} t - Amount of b (0-1)
+ * @param {string} hueMethod - shorter, longer, increasing, decreasing
+ * @returns {{coords: number[], alpha: number}} Mixed color in XYZ D65
+ */
+export function mixColors(space, a, b, t, hueMethod = 'shorter') {
+  const target = COLOR_SPACES[space];
+  const ca = target.fromXyz(a.coords);
+  const cb = target.fromXyz(b.coords);
+  const polar = target.polar;
+
+  // Powerless hues (grays) take the other color's hue
+  if (polar !== undefined) {
+    const powerless = c => Number.isNaN(c[polar]) ||
+      (space === 'hwb' ? c[1] + c[2] >= 100 : Math.abs(c[1]) < 1e-4);
+    const aPowerless = powerless(ca);
+    const bPowerless = powerless(cb);
+    if (aPowerless) ca[polar] = bPowerless ? 0 : cb[polar];
+    if (bPowerless) cb[polar] = ca[polar];
+    adjustHues(ca, cb, polar, hueMethod);
+  }
+
+  // Premultiplied alpha interpolation
+  const alpha = a.alpha + (b.alpha - a.alpha) * t;
+  const coords = ca.map((value, i) => {
+    if (i === polar) return value + (cb[i] - value) * t;
+    const premultiplied = value * a.alpha + (cb[i] * b.alpha - value * a.alpha) * t;
+    return alpha === 0 ? premultiplied : premultiplied / alpha;
+  });
+
+  if (polar !== undefined) coords[polar] = ((coords[polar] % 360) + 360) % 360;
+
+  return { coords: target.toXyz(coords), alpha };
+}
+
+/**
+ * Adjust two hues for the chosen interpolation method (mutates)
+ *
+ * @param {number[]} ca
+ * @param {number[]} cb
+ * @param {number} index - Hue index
+ * @param {string} method
+ */
+function adjustHues(ca, cb, index, method) {
+  let h1 = ((ca[index] % 360) + 360) % 360;
+  let h2 = ((cb[index] % 360) + 360) % 360;
+  const diff = h2 - h1;
+
+  if (method === 'shorter') {
+    if (diff > 180) h1 += 360;
+    else if (diff < -180) h2 += 360;
+  } else if (method === 'longer') {
+    if (diff > 0 && diff < 180) h1 += 360;
+    else if (diff > -180 && diff <= 0) h2 += 360;
+  } else if (method === 'increasing') {
+    if (diff < 0) h2 += 360;
+  } else if (method === 'decreasing') {
+    if (diff > 0) h1 += 360;
+  }
+
+  ca[index] = h1;
+  cb[index] = h2;
+}
+
+/**
+ * Build an RGB space from its matrix and transfer functions
+ *
+ * @param {number[][]} matrix - Linear RGB -> XYZ
+ * @param {Function} toLinear - Transfer function (encoded -> linear)
+ * @param {Function} fromLinear - Inverse transfer function
+ * @param {boolean} d50 - Matrix targets XYZ D50
+ * @returns {{toXyz: Function, fromXyz: Function}}
+ */
+function rgbSpace(matrix, toLinear, fromLinear, d50 = false) {
+  const inverse = matrix === SRGB_TO_XYZ ? XYZ_TO_SRGB : invert(matrix);
+
+  return {
+    toXyz: (c) => {
+      const xyz = multiply(matrix, c.map(toLinear));
+      return d50 ? multiply(D50_TO_D65, xyz) : xyz;
+    },
+    fromXyz: (xyz) => {
+      const source = d50 ? multiply(D65_TO_D50, xyz) : xyz;
+      return multiply(inverse, source).map(fromLinear);
+    },
+  };
+}
+
+/**
+ * sRGB transfer functions (also used by display-p3)
+ */
+function srgbToLinear(v) {
+  const abs = Math.abs(v);
+  return abs <= 0.04045 ? v / 12.92 : Math.sign(v) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+  const abs = Math.abs(v);
+  return abs <= 0.0031308 ? v * 12.92 : Math.sign(v) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+function a98ToLinear(v) {
+  return Math.sign(v) * Math.pow(Math.abs(v), 563 / 256);
+}
+
+function linearToA98(v) {
+  return Math.sign(v) * Math.pow(Math.abs(v), 256 / 563);
+}
+
+function prophotoToLinear(v) {
+  const abs = Math.abs(v);
+  return abs <= 16 / 512 ? v / 16 : Math.sign(v) * Math.pow(abs, 1.8);
+}
+
+function linearToProphoto(v) {
+  const abs = Math.abs(v);
+  return abs >= 1 / 512 ? Math.sign(v) * Math.pow(abs, 1 / 1.8) : 16 * v;
+}
+
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+function rec2020ToLinear(v) {
+  const abs = Math.abs(v);
+  return abs < REC2020_BETA * 4.5
+    ? v / 4.5
+    : Math.sign(v) * Math.pow((abs + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45);
+}
+
+function linearToRec2020(v) {
+  const abs = Math.abs(v);
+  return abs > REC2020_BETA
+    ? Math.sign(v) * (REC2020_ALPHA * Math.pow(abs, 0.45) - (REC2020_ALPHA - 1))
+    : 4.5 * v;
+}
+
+/**
+ * CIE Lab (D50) <-> XYZ (D50)
+ */
+function labToXyzD50([l, a, b]) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+
+  const f1 = (l + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+
+  const x = Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa;
+  const y = l > kappa * epsilon ? Math.pow(f1, 3) : l / kappa;
+  const z = Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa;
+
+  return [x * WHITE_D50[0], y * WHITE_D50[1], z * WHITE_D50[2]];
+}
+
+function xyzD50ToLab(xyz) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+
+  const f = xyz
+    .map((v, i) => v / WHITE_D50[i])
+    .map(v => (v > epsilon ? Math.cbrt(v) : (kappa * v + 16) / 116));
+
+  return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+}
+
+/**
+ * OKLab <-> XYZ (D65)
+ */
+function oklabToXyz(lab) {
+  const lms = multiply(OKLAB_TO_LMS, lab).map(v => v * v * v);
+  return multiply(LMS_TO_XYZ, lms);
+}
+
+function xyzToOklab(xyz) {
+  const lms = multiply(XYZ_TO_LMS, xyz).map(v => Math.cbrt(v));
+  return multiply(LMS_TO_OKLAB, lms);
+}
+
+/**
+ * Rectangular <-> polar (Lab <-> LCH, OKLab <-> OKLCH)
+ */
+function lchToLab([l, c, h]) {
+  const hue = Number.isNaN(h) ? 0 : (h * Math.PI) / 180;
+  return [l, c * Math.cos(hue), c * Math.sin(hue)];
+}
+
+function labToLchCoords([l, a, b]) {
+  const c = Math.sqrt(a * a + b * b);
+  let h = (Math.atan2(b, a) * 180) / Math.PI;
+  if (h < 0) h += 360;
+  return [l, c, h];
+}
+
+/**
+ * HSL / HWB <-> sRGB (coords: hue in degrees, others 0-100)
+ */
+function hslToSrgb([h, s, l]) {
+  const hue = (((h % 360) + 360) % 360);
+  const sat = s / 100;
+  const light = l / 100;
+
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    return light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+
+  return [f(0), f(8), f(4)];
+}
+
+function srgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (min + max) / 2;
+  const d = max - min;
+  let h = NaN;
+  let s = 0;
+
+  if (d !== 0) {
+    s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+  }
+
+  return [h, s * 100, l * 100];
+}
+
+function hwbToSrgb([h, w, b]) {
+  const white = w / 100;
+  const black = b / 100;
+
+  if (white + black >= 1) {
+    const gray = white / (white + black);
+    return [gray, gray, gray];
+  }
+
+  return hslToSrgb([h, 100, 50]).map(v => v * (1 - white - black) + white);
+}
+
+function srgbToHwb(rgb) {
+  const [h] = srgbToHsl(rgb);
+  const white = Math.min(...rgb);
+  const black = 1 - Math.max(...rgb);
+  return [h, white * 100, black * 100];
+}
+
+/**
+ * deltaE in OKLab between sRGB coords and OKLCH coords
+ *
+ * @param {number[]} rgb - sRGB 0-1
+ * @param {number[]} oklch
+ * @returns {number}
+ */
+function deltaEOK(rgb, oklch) {
+  const [l1, a1, b1] = xyzToOklab(COLOR_SPACES.srgb.toXyz(rgb));
+  const [l2, a2, b2] = lchToLab(oklch);
+  return Math.sqrt((l1 - l2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * Clamp sRGB coords into 0-1
+ *
+ * @param {number[]} rgb
+ * @returns {number[]}
+ */
+function clip(rgb) {
+  return rgb.map(v => Math.max(0, Math.min(1, v)));
+}
+
+/**
+ * Multiply a 3x3 matrix with a vector
+ *
+ * @param {number[][]} m
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+function multiply(m, v) {
+  return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * Invert a 3x3 matrix
+ *
+ * @param {number[][]} m
+ * @returns {number[][]}
+ */
+function invert(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
+}
+
+export default {
+  COLOR_SPACES,
+  convertCoords,
+  inSrgbGamut,
+  gamutMapToSrgb,
+  mixColors,
+};
@@ -0,0 +1,62 @@
+/**
+ * color-spaces.test.js - Tests for color space conversion, gamut mapping
+ * and interpolation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { COLOR_SPACES, convertCoords, inSrgbGamut, gamutMapToSrgb, mixColors } from './color-spaces.js';
+
+/**
+ * Assert two coordinate lists match within a tolerance
+ *
+ * @param {number[]} actual
+ * @param {number[]} expected
+ * @param {number} tolerance
+ */
+function assertCoords(actual, expected, tolerance = 1e-4) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) <= tolerance, `${actual} is not ${expected}`);
+  });
+}
+
+test('converts sRGB red to OKLCH', () => {
+  assertCoords(convertCoords('srgb', 'oklch', [1, 0, 0]), [0.62796, 0.25768, 29.2339]);
+});
+
+test('round-trips through every space', () => {
+  const color = [0.2, 0.4, 0.6];
+  for (const space of Object.keys(COLOR_SPACES)) {
+    assertCoords(convertCoords(space, 'srgb', convertCoords('srgb', space, color)), color);
+  }
+});
+
+test('keeps in-gamut colors and maps out-of-gamut ones', () => {
+  const gray = gamutMapToSrgb(COLOR_SPACES.srgb.toXyz([0.5, 0.5, 0.5]));
+  assert.equal(gray.mapped, false);
+  assertCoords(gray.rgb, [0.5, 0.5, 0.5]);
+
+  const p3Green = gamutMapToSrgb(COLOR_SPACES['display-p3'].toXyz([0, 1, 0]));
+  assert.equal(p3Green.mapped, true);
+  assert.ok(inSrgbGamut(p3Green.rgb));
+  assert.ok(p3Green.rgb[1] > 0.98);
+
+  assert.deepEqual(gamutMapToSrgb(COLOR_SPACES.oklch.toXyz([1.2, 0.1, 0])).rgb, [1, 1, 1]);
+});
+
+test('mixes colors like color-mix()', () => {
+  const xyz = rgb => ({ coords: COLOR_SPACES.srgb.toXyz(rgb), alpha: 1 });
+  const red = xyz([1, 0, 0]);
+  const blue = xyz([0, 0, 1]);
+
+  assertCoords(COLOR_SPACES.srgb.fromXyz(mixColors('srgb', red, blue, 0.5).coords), [0.5, 0, 0.5]);
+
+  const shorter = COLOR_SPACES.oklch.fromXyz(mixColors('oklch', red, blue, 0.5).coords);
+  const longer = COLOR_SPACES.oklch.fromXyz(mixColors('oklch', red, blue, 0.5, 'longer').coords);
+  assertCoords([shorter[2], longer[2]], [326.643, 146.643], 1e-3);
+
+  const translucent = mixColors('srgb', red, { ...blue, alpha: 0 }, 0.5);
+  assert.equal(translucent.alpha, 0.5);
+  assertCoords(COLOR_SPACES.srgb.fromXyz(translucent.coords), [1, 0, 0]);
+});
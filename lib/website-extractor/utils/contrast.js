@@ -0,0 +1,191 @@
+/**
+ * contrast.js - Text contrast metrics
+ *
+ * Handles:
+ * - Alpha compositing of translucent colors
+ * - WCAG 2.x contrast ratio and AA/AAA thresholds
+ * - APCA lightness contrast (Lc, 0.0.98G-4g constants)
+ * - Suggesting the nearest color (OKLCH lightness) that passes a ratio
+ */
+
+import { rgbToHex } from './color-convert.js';
+import { convertCoords, gamutMapToSrgb, COLOR_SPACES } from './color-spaces.js';
+
+/**
+ * WCAG 2.x minimum ratios
+ */
+export const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+// APCA 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1,
+};
+
+/**
+ * Composite a translucent color over an opaque one
+ *
+ * @param {{r: number, g: number, b: number, a: number}} top
+ * @param {{r: number, g: number, b: number}} bottom - Opaque color
+ * @returns {{r: number, g: number, b: number, a: number}} Opaque result
+ */
+export function composite(top, bottom) {
+  const a = top.a ?? 1;
+  return {
+    r: Math.round(top.r * a + bottom.r * (1 - a)),
+    g: Math.round(top.g * a + bottom.g * (1 - a)),
+    b: Math.round(top.b * a + bottom.b * (1 - a)),
+    a: 1,
+  };
+}
+
+/**
+ * WCAG 2.x relative luminance
+ *
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {number} 0-1
+ */
+export function relativeLuminance(rgb) {
+  const channel = (v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(rgb.r) + 0.7152 * channel(rgb.g) + 0.0722 * channel(rgb.b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two opaque colors
+ *
+ * @param {{r: number, g: number, b: number}} fg
+ * @param {{r: number, g: number, b: number}} bg
+ * @returns {number} 1-21
+ */
+export function contrastRatio(fg, bg) {
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(bg);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Check whether text counts as large for WCAG (24px, or 18.66px bold)
+ *
+ * @param {number} fontSize - px
+ * @param {number} fontWeight
+ * @returns {boolean}
+ */
+export function isLargeText(fontSize, fontWeight) {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+/**
+ * APCA lightness contrast of text on a background
+ * Positive for dark text on light backgrounds, negative for light on dark.
+ *
+ * @param {{r: number, g: number, b: number}} text - Opaque text color
+ * @param {{r: number, g: number, b: number}} background - Opaque background
+ * @returns {number} Lc (about -108 to 106)
+ */
+export function apcaContrast(text, background) {
+  const luminance = (rgb) => {
+    const y = [rgb.r, rgb.g, rgb.b]
+      .reduce((sum, v, i) => sum + APCA.coefficients[i] * Math.pow(v / 255, APCA.mainTRC), 0);
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+  };
+
+  const yText = luminance(text);
+  const yBg = luminance(background);
+  if (Math.abs(yBg - yText) < APCA.deltaYmin) return 0;
+
+  let output;
+  if (yBg > yText) {
+    const sapc = (Math.pow(yBg, APCA.normBG) - Math.pow(yText, APCA.normTXT)) * APCA.scale;
+    output = sapc < APCA.loClip ? 0 : sapc - APCA.loOffset;
+  } else {
+    const sapc = (Math.pow(yBg, APCA.revBG) - Math.pow(yText, APCA.revTXT)) * APCA.scale;
+    output = sapc > -APCA.loClip ? 0 : sapc + APCA.loOffset;
+  }
+
+  return output * 100;
+}
+
+/**
+ * Minimum APCA |Lc| for text of a size and weight (simplified bronze level)
+ *
+ * @param {number} fontSize - px
+ * @param {number} fontWeight
+ * @returns {number} 45, 60 or 75
+ */
+export function apcaMinimum(fontSize, fontWeight) {
+  const bold = fontWeight >= 700;
+  if (fontSize >= 36 || (fontSize >= 24 && bold)) return 45;
+  if (fontSize >= 24 || (fontSize >= 16 && bold)) return 60;
+  return 75;
+}
+
+/**
+ * Find the closest color to `fg` (changing OKLCH lightness only) that
+ * reaches a contrast ratio against `bg`
+ *
+ * @param {{r: number, g: number, b: number}} fg - Opaque text color
+ * @param {{r: number, g: number, b: number}} bg - Opaque background
+ * @param {number} target - Required ratio
+ * @returns {{hex: string, ratio: number}|null} null if no lightness reaches the target
+ */
+export function suggestPassingColor(fg, bg, target) {
+  const [l, c, h] = convertCoords('srgb', 'oklch', [fg.r / 255, fg.g / 255, fg.b / 255]);
+
+  const toRgb = (lightness) => {
+    const { rgb } = gamutMapToSrgb(COLOR_SPACES.oklch.toXyz([lightness, c, h]));
+    const [r, g, b] = rgb.map(v => Math.round(v * 255));
+    return { r, g, b };
+  };
+
+  // Search each direction for the smallest lightness change that passes
+  const candidates = [];
+  for (const end of [0, 1]) {
+    if (contrastRatio(toRgb(end), bg) < target) continue;
+
+    let near = l;
+    let far = end;
+    for (let i = 0; i < 20; i++) {
+      const mid = (near + far) / 2;
+      if (contrastRatio(toRgb(mid), bg) >= target) far = mid;
+      else near = mid;
+    }
+
+    const rgb = toRgb(far);
+    candidates.push({ delta: Math.abs(far - l), rgb });
+  }
+
+  if (candidates.length === 0) return null;
+
+  const best = candidates.sort((a, b) => a.delta - b.delta)[0];
+  return {
+    hex: rgbToHex(best.rgb),
+    ratio: Math.round(contrastRatio(best.rgb, bg) * 100) / 100,
+  };
+}
+
+export default {
+  WCAG_THRESHOLDS,
+  composite,
+  relativeLuminance,
+  contrastRatio,
+  isLargeText,
+  apcaContrast,
+  apcaMinimum,
+  suggestPassingColor,
+};
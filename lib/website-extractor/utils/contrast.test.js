@@ -0,0 +1,56 @@
+/**
+ * contrast.test.js - Tests for WCAG and APCA contrast
+ * Expected values are the published reference results.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { contrastRatio, apcaContrast, apcaMinimum, composite, isLargeText, suggestPassingColor } from './contrast.js';
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+const gray = v => ({ r: v, g: v, b: v });
+
+test('WCAG 2.x contrast ratio', () => {
+  assert.equal(contrastRatio(BLACK, WHITE), 21);
+  assert.equal(contrastRatio(WHITE, BLACK), 21);
+  assert.equal(contrastRatio(WHITE, WHITE), 1);
+  assert.equal(contrastRatio(gray(0x77), WHITE).toFixed(2), '4.48');
+  assert.equal(contrastRatio(gray(0x76), WHITE).toFixed(2), '4.54');
+  assert.equal(contrastRatio({ r: 0, g: 0, b: 255 }, WHITE).toFixed(2), '8.59');
+});
+
+test('APCA lightness contrast', () => {
+  assert.equal(apcaContrast(BLACK, WHITE).toFixed(2), '106.04');
+  assert.equal(apcaContrast(WHITE, BLACK).toFixed(2), '-107.88');
+  assert.equal(apcaContrast(gray(0x88), WHITE).toFixed(2), '63.06');
+  assert.equal(apcaContrast(WHITE, gray(0x88)).toFixed(2), '-68.54');
+  assert.equal(apcaContrast(gray(0x88), gray(0x88)), 0);
+});
+
+test('APCA minimum by size and weight', () => {
+  assert.equal(apcaMinimum(16, 400), 75);
+  assert.equal(apcaMinimum(16, 700), 60);
+  assert.equal(apcaMinimum(24, 400), 60);
+  assert.equal(apcaMinimum(24, 700), 45);
+  assert.equal(apcaMinimum(36, 400), 45);
+});
+
+test('large text thresholds', () => {
+  assert.equal(isLargeText(24, 400), true);
+  assert.equal(isLargeText(18.66, 700), true);
+  assert.equal(isLargeText(18.66, 400), false);
+});
+
+test('composites translucent colors', () => {
+  assert.deepEqual(composite({ ...BLACK, a: 0.5 }, WHITE), { r: 128, g: 128, b: 128, a: 1 });
+  assert.deepEqual(composite({ ...BLACK, a: 1 }, WHITE), { ...BLACK, a: 1 });
+});
+
+test('suggests the nearest passing color', () => {
+  const suggestion = suggestPassingColor(gray(0x88), WHITE, 4.5);
+
+  assert.ok(suggestion.ratio >= 4.5);
+  assert.ok(suggestion.ratio < 4.7);
+  assert.equal(suggestPassingColor(gray(0x88), gray(0x88), 22), null);
+});
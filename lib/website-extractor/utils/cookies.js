@@ -0,0 +1,135 @@
+/**
+ * cookies.js - Cookie file parsing for authenticated sessions
+ *
+ * Reads cookies exported from a real browser session into Playwright's
+ * cookie format. Supported inputs:
+ * - Netscape cookies.txt (curl, wget, "Get cookies.txt" extensions)
+ * - JSON array of cookies (Playwright, Puppeteer, EditThisCookie)
+ * - Playwright storage state JSON ({ cookies: [...] })
+ */
+
+import { readFile } from 'fs/promises';
+
+/**
+ * Prefix Netscape files use to mark HttpOnly cookies
+ */
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Browser-extension sameSite values mapped to Playwright's
+ */
+const SAME_SITE_MAP = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None',
+  unspecified: 'Lax',
+};
+
+/**
+ * Load cookies from a Netscape or JSON cookie file
+ *
+ * @param {string} filePath - Path to the cookie file
+ * @returns {Promise<Array<Object>>} Playwright cookies
+ */
+export async function loadCookies(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return parseJsonCookies(trimmed);
+  }
+
+  return parseNetscapeCookies(text);
+}
+
+/**
+ * Parse a Netscape cookies.txt file
+ *
+ * Each line: domain, includeSubdomains, path, secure, expires, name, value
+ * separated by tabs.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Playwright cookies
+ */
+export function parseNetscapeCookies(text) {
+  const cookies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+
+    if (line.startsWith(HTTP_ONLY_PREFIX)) {
+      httpOnly = true;
+      line = line.slice(HTTP_ONLY_PREFIX.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+
+    const [domain, includeSubdomains, path, secure, expires, name, ...valueParts] = fields;
+    const expiresAt = parseInt(expires, 10);
+
+    cookies.push({
+      name,
+      value: valueParts.join('\t'),
+      domain: includeSubdomains.toUpperCase() === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+      path: path || '/',
+      expires: expiresAt > 0 ? expiresAt : -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+      sameSite: 'Lax',
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * Parse a JSON cookie export
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Playwright cookies
+ */
+export function parseJsonCookies(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.cookies;
+
+  if (!Array.isArray(list)) {
+    throw new Error('Cookie JSON must be an array or an object with a "cookies" array');
+  }
+
+  return list
+    .filter(cookie => cookie && cookie.name && cookie.domain)
+    .map(normalizeCookie);
+}
+
+/**
+ * Normalize one exported cookie to Playwright's shape
+ *
+ * @param {Object} cookie - Cookie from any supported exporter
+ * @returns {Object} Playwright cookie
+ */
+function normalizeCookie(cookie) {
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite = SAME_SITE_MAP[String(cookie.sameSite || 'unspecified').toLowerCase()] || 'Lax';
+
+  return {
+    name: cookie.name,
+    value: String(cookie.value ?? ''),
+    domain: cookie.hostOnly === false && !cookie.domain.startsWith('.') ? `.${cookie.domain}` : cookie.domain,
+    path: cookie.path || '/',
+    expires: cookie.session || !(expires > 0) ? -1 : Math.floor(expires),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure) || sameSite === 'None',
+    sameSite,
+  };
+}
+
+export default {
+  loadCookies,
+  parseNetscapeCookies,
+  parseJsonCookies,
+};
@@ -0,0 +1,39 @@
+/**
+ * css-values.js - Helpers for computed and declared CSS values
+ *
+ * Handles:
+ * - Splitting comma/space separated lists without breaking functions
+ *   (`:is()` selector lists, cubic-bezier(), rgb(), gradients)
+ */
+
+/**
+ * Split a value on a separator outside parentheses
+ *
+ * @param {string} value - CSS value
+ * @param {string} separator - ',', '/' or ' ' (any whitespace)
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+export function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of value || '') {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    const isSeparator = separator === ' ' ? /\s/.test(ch) : ch === separator;
+    if (isSeparator && depth === 0) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return parts;
+}
+
+export default {
+  splitTopLevel,
+};
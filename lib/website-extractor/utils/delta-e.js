@@ -147,9 +147,9 @@ export function isSimilarColor(color1, color2, threshold = 15) {
 /**
  * Deduplicate colors by perceptual similarity
  *
- * @param {Array<{hex: string, count?: number, confidence?: string, [key: string]: any}>} colors
+ * @param {Array<{hex: string, count?: number, area?: number, confidence?: string, [key: string]: any}>} colors
  * @param {number} threshold - Delta-E threshold for similarity (default 15)
- * @returns {Array} Deduplicated colors with merged counts
+ * @returns {Array} Deduplicated colors with merged counts and areas
  */
 export function deduplicateColors(colors, threshold = 15) {
   if (!colors || colors.length === 0) return [];
@@ -177,6 +177,16 @@ export function deduplicateColors(colors, threshold = 15) {
         // Merge: keep the one with higher count/confidence
         existing.count = (existing.count || 1) + (color.count || 1);
 
+        // Merge painted area (total and per property) if present
+        if (color.area !== undefined && existing.area !== undefined) {
+          existing.area += color.area;
+          existing.coverage = (existing.coverage || 0) + (color.coverage || 0);
+          existing.areas = { ...existing.areas };
+          for (const [property, area] of Object.entries(color.areas || {})) {
+            existing.areas[property] = (existing.areas[property] || 0) + area;
+          }
+        }
+
         // Merge sources if present
         if (color.sources && existing.sources) {
           existing.sources = [...new Set([...existing.sources, ...color.sources])];
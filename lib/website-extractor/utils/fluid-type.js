@@ -0,0 +1,170 @@
+/**
+ * fluid-type.js - Fluid font size fitting
+ *
+ * Handles:
+ * - Classifying font sizes sampled at several viewport widths as fixed,
+ *   fluid (a linear ramp in vw, clamped or not) or stepped (changes at
+ *   media query breakpoints)
+ * - Fitting min, preferred (rem + vw) and max of a fluid size and writing
+ *   it as clamp()
+ * - Picking the authored declaration that reproduces the samples
+ */
+
+import { round } from './stats.js';
+
+/**
+ * Max distance (px) between a sample and the fitted size
+ */
+const TOLERANCE = 0.5;
+
+/**
+ * Min samples on the ramp (between min and max) to call a size fluid
+ */
+const MIN_RAMP_SAMPLES = 2;
+
+/**
+ * Fit font sizes sampled at several viewport widths
+ *
+ * @param {Array<{width: number, size: number}>} samples - Size (px) per viewport width (px)
+ * @param {number} rootFontSize - Root font size (px), for rem values
+ * @param {Array<{selector: string, value: string, samples: Array}>} authored - Declarations that may set the size, in source order, with the size they compute to per width
+ * @returns {Object|null} {type: 'fluid'|'stepped', ...}, null for a fixed size
+ */
+export function fitFluidSize(samples, rootFontSize = 16, authored = []) {
+  const points = samples
+    .filter(s => s.size > 0)
+    .sort((a, b) => a.width - b.width);
+  if (points.length < 2) return null;
+
+  const sizes = points.map(p => p.size);
+  const min = Math.min(...sizes);
+  const max = Math.max(...sizes);
+  if (max - min <= TOLERANCE) return null;
+
+  // The last declaration in source order that computes to every sample
+  const source = [...authored].reverse().find(declaration => points.every(p => {
+    const size = declaration.samples.find(s => s.width === p.width)?.size;
+    return Math.abs(size - p.size) <= TOLERANCE;
+  }));
+  const origin = source ? { authored: source.value, selector: source.selector } : {};
+
+  const fluid = fitRamp(points, min, max);
+  if (fluid) {
+    return {
+      type: 'fluid',
+      ...describeRamp(fluid, rootFontSize),
+      ...origin,
+      samples: samplesOf(points),
+    };
+  }
+
+  return {
+    type: 'stepped',
+    steps: stepsOf(points),
+    ...origin,
+    samples: samplesOf(points),
+  };
+}
+
+/**
+ * Fit a line through the samples between min and max, and check every
+ * sample sits on the line or on a bound
+ *
+ * @param {Array<{width: number, size: number}>} points - Samples by width
+ * @param {number} min - Smallest size
+ * @param {number} max - Largest size
+ * @returns {Object|null} {slope, intercept, min, max, clampsMin, clampsMax}
+ */
+function fitRamp(points, min, max) {
+  const ramp = points.filter(p => p.size > min + TOLERANCE / 2 && p.size < max - TOLERANCE / 2);
+  if (ramp.length < MIN_RAMP_SAMPLES) return null;
+
+  // Least squares through the ramp
+  const meanWidth = ramp.reduce((sum, p) => sum + p.width, 0) / ramp.length;
+  const meanSize = ramp.reduce((sum, p) => sum + p.size, 0) / ramp.length;
+  const spread = ramp.reduce((sum, p) => sum + (p.width - meanWidth) ** 2, 0);
+  if (spread === 0) return null;
+
+  const slope = ramp.reduce((sum, p) => sum + (p.width - meanWidth) * (p.size - meanSize), 0) / spread;
+  const intercept = meanSize - slope * meanWidth;
+  const line = width => intercept + slope * width;
+
+  // A bound only counts when a sample sits on it off the line
+  const clampsMin = points.some(p => Math.abs(p.size - min) <= TOLERANCE && line(p.width) < min - TOLERANCE);
+  const clampsMax = points.some(p => Math.abs(p.size - max) <= TOLERANCE && line(p.width) > max + TOLERANCE);
+
+  const fits = points.every(p => {
+    const expected = Math.min(clampsMax ? max : Infinity, Math.max(clampsMin ? min : -Infinity, line(p.width)));
+    return Math.abs(p.size - expected) <= TOLERANCE;
+  });
+
+  return fits ? { slope, intercept, min, max, clampsMin, clampsMax } : null;
+}
+
+/**
+ * Describe a fitted ramp: bounds, preferred value and the clamp() for it
+ *
+ * @param {Object} ramp - From fitRamp()
+ * @param {number} rootFontSize - Root font size (px)
+ * @returns {Object}
+ */
+function describeRamp(ramp, rootFontSize) {
+  const rem = px => `${round(px / rootFontSize, 3)}rem`;
+  const vw = `${round(ramp.slope * 100)}vw`;
+
+  let preferred = vw;
+  if (Math.abs(ramp.intercept) >= 0.01) {
+    preferred = ramp.intercept > 0
+      ? `${rem(ramp.intercept)} + ${vw}`
+      : `${vw} - ${rem(-ramp.intercept)}`;
+  }
+
+  let value = preferred.includes(' ') ? `calc(${preferred})` : preferred;
+  if (ramp.clampsMin && ramp.clampsMax) value = `clamp(${rem(ramp.min)}, ${preferred}, ${rem(ramp.max)})`;
+  else if (ramp.clampsMin) value = `max(${rem(ramp.min)}, ${preferred})`;
+  else if (ramp.clampsMax) value = `min(${preferred}, ${rem(ramp.max)})`;
+
+  const widthAt = size => Math.round((size - ramp.intercept) / ramp.slope);
+
+  return {
+    value,
+    min: `${round(ramp.min)}px`,
+    max: `${round(ramp.max)}px`,
+    preferred,
+    ...(ramp.clampsMin && { minViewport: `${widthAt(ramp.min)}px` }),
+    ...(ramp.clampsMax && { maxViewport: `${widthAt(ramp.max)}px` }),
+  };
+}
+
+/**
+ * Sizes at the widths where they change, starting from the narrowest
+ *
+ * @param {Array<{width: number, size: number}>} points - Samples by width
+ * @returns {Object<string, string>} Width => size
+ */
+function stepsOf(points) {
+  const steps = {};
+  let previous = null;
+
+  for (const { width, size } of points) {
+    if (previous !== null && Math.abs(size - previous) <= TOLERANCE) continue;
+    steps[`${width}px`] = `${round(size)}px`;
+    previous = size;
+  }
+
+  return steps;
+}
+
+/**
+ * Samples keyed by width
+ *
+ * @param {Array<{width: number, size: number}>} points
+ * @returns {Object<string, string>} Width => size
+ */
+function samplesOf(points) {
+  return Object.fromEntries(points.map(p => [`${p.width}px`, `${round(p.size)}px`]));
+}
+
+export default {
+  fitFluidSize,
+};
@@ -0,0 +1,72 @@
+/**
+ * fluid-type.test.js - Tests for fluid font size fitting
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fitFluidSize } from './fluid-type.js';
+
+const WIDTHS = [320, 480, 768, 1024, 1280, 1920];
+
+/**
+ * Samples of a size function at every width
+ *
+ * @param {Function} sizeAt - Width (px) => size (px)
+ * @returns {Array<{width: number, size: number}>}
+ */
+function sample(sizeAt) {
+  return WIDTHS.map(width => ({ width, size: sizeAt(width) }));
+}
+
+test('fits a clamped ramp', () => {
+  const fit = fitFluidSize(sample(w => Math.min(48, Math.max(24, 16 + w * 0.025))));
+
+  assert.equal(fit.type, 'fluid');
+  assert.equal(fit.preferred, '1rem + 2.5vw');
+  assert.equal(fit.min, '24px');
+  assert.equal(fit.max, '48px');
+  assert.equal(fit.maxViewport, '1280px');
+  assert.equal(fit.value, 'min(1rem + 2.5vw, 3rem)');
+});
+
+test('fits a ramp clamped at both ends', () => {
+  const fit = fitFluidSize(sample(w => Math.min(40, Math.max(20, 8 + w * 0.025))));
+
+  assert.equal(fit.type, 'fluid');
+  assert.equal(fit.value, 'clamp(1.25rem, 0.5rem + 2.5vw, 2.5rem)');
+  assert.equal(fit.minViewport, '480px');
+  assert.equal(fit.maxViewport, '1280px');
+});
+
+test('fits a pure vw size', () => {
+  const fit = fitFluidSize(sample(w => w * 0.02));
+
+  assert.equal(fit.type, 'fluid');
+  assert.equal(fit.value, '2vw');
+  assert.equal(fit.minViewport, undefined);
+  assert.equal(fit.maxViewport, undefined);
+});
+
+test('reports sizes that change at breakpoints as stepped', () => {
+  const fit = fitFluidSize(sample(w => (w < 768 ? 24 : w < 1280 ? 32 : 40)));
+
+  assert.equal(fit.type, 'stepped');
+  assert.deepEqual(fit.steps, { '320px': '24px', '768px': '32px', '1280px': '40px' });
+});
+
+test('returns null for a fixed size', () => {
+  assert.equal(fitFluidSize(sample(() => 16)), null);
+  assert.equal(fitFluidSize([{ width: 1280, size: 16 }]), null);
+});
+
+test('keeps the last authored declaration that reproduces the samples', () => {
+  const samples = sample(w => w * 0.02);
+  const authored = [
+    { selector: 'h1', value: '2rem', samples: sample(() => 32) },
+    { selector: '.title', value: '2vw', samples },
+  ];
+  const fit = fitFluidSize(samples, 16, authored);
+
+  assert.equal(fit.authored, '2vw');
+  assert.equal(fit.selector, '.title');
+});
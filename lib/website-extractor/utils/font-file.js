@@ -0,0 +1,470 @@
+/**
+ * font-file.js - Minimal font file reader for web fonts
+ *
+ * Handles:
+ * - Containers: WOFF2 (Brotli), WOFF (zlib), TrueType/OpenType and the
+ *   first font of a collection; EOT is recognized but not read
+ * - Tables: name (family, foundry, license), OS/2 (weight, width,
+ *   embedding), head, maxp, fvar (variable axes and named instances) and
+ *   cmap (covered Unicode ranges)
+ */
+
+import { brotliDecompressSync, inflateSync } from 'node:zlib';
+
+/**
+ * Tables read from a font
+ */
+const WANTED_TABLES = ['name', 'OS/2', 'head', 'maxp', 'fvar', 'cmap'];
+
+/**
+ * WOFF2 known table tags, by index in the table directory flags
+ */
+const WOFF2_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+  'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+  'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+  'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+  'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill',
+];
+
+/**
+ * name table IDs reported
+ */
+const NAME_IDS = {
+  copyright: 0,
+  family: 1,
+  subfamily: 2,
+  fullName: 4,
+  version: 5,
+  postScriptName: 6,
+  trademark: 7,
+  manufacturer: 8,
+  designer: 9,
+  vendorUrl: 11,
+  designerUrl: 12,
+  license: 13,
+  licenseUrl: 14,
+  typographicFamily: 16,
+  typographicSubfamily: 17,
+};
+
+/**
+ * Max Unicode ranges listed (the codepoint count is always exact)
+ */
+const MAX_RANGES = 100;
+
+/**
+ * Read a web font file
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @returns {Object} {format, names, weight, width, italic, embedding, vendorId, axes, instances, unicodeRanges, codepoints, glyphs}
+ * @throws {Error} If the file is not a font or is truncated
+ */
+export function readFontFile(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) throw new Error('Not a font file');
+  if (format === 'embedded-opentype') return { format };
+
+  let tables;
+  if (format === 'woff2') tables = readWoff2(buffer);
+  else if (format === 'woff') tables = readWoff(buffer);
+  else tables = readSfnt(buffer, format === 'collection' ? buffer.readUInt32BE(12) : 0);
+
+  const names = tables.name ? readNames(tables.name) : {};
+  const os2 = tables['OS/2'] ? readOs2(tables['OS/2']) : {};
+  const macStyle = tables.head ? tables.head.readUInt16BE(44) : 0;
+  const { axes, instances } = tables.fvar ? readFvar(tables.fvar, names) : { axes: [], instances: [] };
+  const coverage = tables.cmap ? readCmap(tables.cmap) : null;
+
+  return {
+    format,
+    names: {
+      ...names.byKey,
+      // Typographic family/subfamily group more than 4 styles; prefer them
+      family: names.byKey.typographicFamily || names.byKey.family,
+      subfamily: names.byKey.typographicSubfamily || names.byKey.subfamily,
+    },
+    weight: os2.weight ?? null,
+    width: os2.width ?? null,
+    italic: Boolean(os2.italic || (macStyle & 0x02)),
+    embedding: os2.embedding ?? null,
+    vendorId: os2.vendorId || null,
+    axes,
+    instances,
+    unicodeRanges: coverage?.ranges || [],
+    codepoints: coverage?.codepoints || 0,
+    glyphs: tables.maxp ? tables.maxp.readUInt16BE(4) : null,
+  };
+}
+
+/**
+ * Container format from the file signature
+ *
+ * @param {Buffer} buffer
+ * @returns {string|null} woff2, woff, truetype, opentype, collection, embedded-opentype
+ */
+export function detectFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  const signature = buffer.toString('latin1', 0, 4);
+  if (signature === 'wOF2') return 'woff2';
+  if (signature === 'wOFF') return 'woff';
+  if (signature === 'OTTO') return 'opentype';
+  if (signature === 'ttcf') return 'collection';
+  if (buffer.readUInt32BE(0) === 0x00010000 || signature === 'true') return 'truetype';
+
+  // EOT: magic number 0x504C at offset 34
+  if (buffer.length > 36 && buffer.readUInt16LE(34) === 0x504c) return 'embedded-opentype';
+
+  return null;
+}
+
+/**
+ * Tables of a plain sfnt (TrueType/OpenType) font
+ *
+ * @param {Buffer} buffer
+ * @param {number} start - Offset of the font's table directory
+ * @returns {Object<string, Buffer>}
+ */
+function readSfnt(buffer, start) {
+  const numTables = buffer.readUInt16BE(start + 4);
+  const tables = {};
+
+  for (let i = 0; i < numTables; i++) {
+    const record = start + 12 + i * 16;
+    const tag = buffer.toString('latin1', record, record + 4);
+    if (!WANTED_TABLES.includes(tag)) continue;
+
+    const offset = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    tables[tag] = buffer.subarray(offset, offset + length);
+  }
+
+  return tables;
+}
+
+/**
+ * Tables of a WOFF 1.0 font (each table zlib-compressed on its own)
+ *
+ * @param {Buffer} buffer
+ * @returns {Object<string, Buffer>}
+ */
+function readWoff(buffer) {
+  const numTables = buffer.readUInt16BE(12);
+  const tables = {};
+
+  for (let i = 0; i < numTables; i++) {
+    const entry = 44 + i * 20;
+    const tag = buffer.toString('latin1', entry, entry + 4);
+    if (!WANTED_TABLES.includes(tag)) continue;
+
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const data = buffer.subarray(offset, offset + compLength);
+    tables[tag] = compLength < origLength ? inflateSync(data) : data;
+  }
+
+  return tables;
+}
+
+/**
+ * Tables of a WOFF2 font (all tables in one Brotli stream)
+ * Only glyf, loca and hmtx can be transformed, and none of them is read.
+ *
+ * @param {Buffer} buffer
+ * @returns {Object<string, Buffer>}
+ */
+function readWoff2(buffer) {
+  if (buffer.toString('latin1', 4, 8) === 'ttcf') {
+    throw new Error('WOFF2 font collections are not supported');
+  }
+
+  const numTables = buffer.readUInt16BE(12);
+  const compressedLength = buffer.readUInt32BE(20);
+  const directory = [];
+  let offset = 48;
+
+  const readBase128 = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = buffer[offset++];
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Invalid WOFF2 table directory');
+  };
+
+  for (let i = 0; i < numTables; i++) {
+    const flags = buffer[offset++];
+    let tag = WOFF2_TAGS[flags & 0x3f];
+    if ((flags & 0x3f) === 0x3f) {
+      tag = buffer.toString('latin1', offset, offset + 4);
+      offset += 4;
+    }
+
+    const version = flags >> 6;
+    const length = readBase128();
+    // glyf/loca are transformed unless version 3; other tables when version is not 0
+    const transformed = ['glyf', 'loca'].includes(tag) ? version !== 3 : version !== 0;
+    const transformLength = transformed ? readBase128() : length;
+
+    directory.push({ tag, length: transformLength });
+  }
+
+  const data = brotliDecompressSync(buffer.subarray(offset, offset + compressedLength));
+  const tables = {};
+  let position = 0;
+
+  for (const { tag, length } of directory) {
+    if (WANTED_TABLES.includes(tag)) tables[tag] = data.subarray(position, position + length);
+    position += length;
+  }
+
+  return tables;
+}
+
+/**
+ * Read the name table, preferring Windows English names
+ *
+ * @param {Buffer} table
+ * @returns {{byKey: Object<string, string>, byId: Map<number, string>}}
+ */
+function readNames(table) {
+  const count = table.readUInt16BE(2);
+  const storage = table.readUInt16BE(4);
+  const byId = new Map();
+  const rank = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    const platform = table.readUInt16BE(record);
+    const encoding = table.readUInt16BE(record + 2);
+    const language = table.readUInt16BE(record + 4);
+    const nameId = table.readUInt16BE(record + 6);
+    const length = table.readUInt16BE(record + 8);
+    const offset = storage + table.readUInt16BE(record + 10);
+    const bytes = table.subarray(offset, offset + length);
+
+    let value = null;
+    let score = 0;
+    if (platform === 3 && (encoding === 1 || encoding === 10)) {
+      value = decodeUtf16be(bytes);
+      score = language === 0x409 ? 3 : 2;
+    } else if (platform === 0) {
+      value = decodeUtf16be(bytes);
+      score = 2;
+    } else if (platform === 1 && encoding === 0) {
+      value = bytes.toString('latin1');
+      score = language === 0 ? 1 : 0;
+    }
+
+    if (value === null || (rank.get(nameId) ?? -1) >= score) continue;
+    byId.set(nameId, value.replace(/\0/g, '').trim());
+    rank.set(nameId, score);
+  }
+
+  const byKey = {};
+  for (const [key, id] of Object.entries(NAME_IDS)) {
+    if (byId.get(id)) byKey[key] = byId.get(id);
+  }
+
+  return { byKey, byId };
+}
+
+/**
+ * Decode UTF-16BE bytes
+ *
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeUtf16be(bytes) {
+  const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  swapped.swap16();
+  return swapped.toString('utf16le');
+}
+
+/**
+ * Read weight, width, style and embedding permissions from OS/2
+ *
+ * @param {Buffer} table
+ * @returns {Object}
+ */
+function readOs2(table) {
+  const fsType = table.readUInt16BE(8);
+
+  let embedding = 'installable';
+  if (fsType & 0x0002) embedding = 'restricted';
+  else if (fsType & 0x0004) embedding = 'preview-and-print';
+  else if (fsType & 0x0008) embedding = 'editable';
+
+  return {
+    weight: table.readUInt16BE(4),
+    width: table.readUInt16BE(6),
+    embedding,
+    vendorId: table.length >= 62 ? table.toString('latin1', 58, 62).replace(/[\0\s]+$/, '') : null,
+    italic: table.length >= 64 ? Boolean(table.readUInt16BE(62) & 0x0201) : false,
+  };
+}
+
+/**
+ * Read variation axes and named instances from fvar
+ *
+ * @param {Buffer} table
+ * @param {{byId: Map<number, string>}} names - From readNames()
+ * @returns {{axes: Array, instances: string[]}}
+ */
+function readFvar(table, names) {
+  const axesOffset = table.readUInt16BE(4);
+  const axisCount = table.readUInt16BE(8);
+  const axisSize = table.readUInt16BE(10);
+  const instanceCount = table.readUInt16BE(12);
+  const instanceSize = table.readUInt16BE(14);
+  const fixed = offset => Math.round((table.readInt32BE(offset) / 65536) * 1000) / 1000;
+
+  const axes = [];
+  for (let i = 0; i < axisCount; i++) {
+    const record = axesOffset + i * axisSize;
+    axes.push({
+      tag: table.toString('latin1', record, record + 4),
+      name: names.byId?.get(table.readUInt16BE(record + 18)) || null,
+      min: fixed(record + 4),
+      default: fixed(record + 8),
+      max: fixed(record + 12),
+    });
+  }
+
+  const instances = [];
+  const instancesOffset = axesOffset + axisCount * axisSize;
+  for (let i = 0; i < instanceCount; i++) {
+    const name = names.byId?.get(table.readUInt16BE(instancesOffset + i * instanceSize));
+    if (name) instances.push(name);
+  }
+
+  return { axes, instances };
+}
+
+/**
+ * Read the Unicode coverage of the best cmap subtable (format 12 or 4)
+ *
+ * @param {Buffer} table
+ * @returns {{ranges: string[], codepoints: number}|null} Ranges as U+XXXX-YYYY
+ */
+function readCmap(table) {
+  const count = table.readUInt16BE(2);
+  let best = null;
+
+  for (let i = 0; i < count; i++) {
+    const record = 4 + i * 8;
+    const platform = table.readUInt16BE(record);
+    const encoding = table.readUInt16BE(record + 2);
+    const offset = table.readUInt32BE(record + 4);
+    const format = table.readUInt16BE(offset);
+
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (!unicode) continue;
+    if (format === 12) {
+      best = { format, offset };
+      break;
+    }
+    if (format === 4 && !best) best = { format, offset };
+  }
+
+  if (!best) return null;
+
+  const codes = best.format === 12 ? cmap12Ranges(table, best.offset) : cmap4Ranges(table, best.offset);
+  const ranges = mergeRanges(codes);
+
+  return {
+    ranges: ranges.slice(0, MAX_RANGES).map(([start, end]) => (start === end
+      ? `U+${hex(start)}`
+      : `U+${hex(start)}-${hex(end)}`)),
+    codepoints: ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0),
+  };
+}
+
+/**
+ * Mapped ranges of a format 12 subtable
+ *
+ * @param {Buffer} table
+ * @param {number} offset
+ * @returns {Array<[number, number]>}
+ */
+function cmap12Ranges(table, offset) {
+  const groups = table.readUInt32BE(offset + 12);
+  const ranges = [];
+  for (let i = 0; i < groups; i++) {
+    const group = offset + 16 + i * 12;
+    ranges.push([table.readUInt32BE(group), table.readUInt32BE(group + 4)]);
+  }
+  return ranges;
+}
+
+/**
+ * Mapped ranges of a format 4 subtable (codes mapped to glyph 0 left out)
+ *
+ * @param {Buffer} table
+ * @param {number} offset
+ * @returns {Array<[number, number]>}
+ */
+function cmap4Ranges(table, offset) {
+  const segCount = table.readUInt16BE(offset + 6) / 2;
+  const endCodes = offset + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+  const ranges = [];
+
+  for (let i = 0; i < segCount; i++) {
+    const start = table.readUInt16BE(startCodes + i * 2);
+    const end = table.readUInt16BE(endCodes + i * 2);
+    const delta = table.readUInt16BE(idDeltas + i * 2);
+    const rangeOffset = table.readUInt16BE(idRangeOffsets + i * 2);
+    if (start === 0xffff) continue;
+
+    for (let code = start; code <= end; code++) {
+      let glyph;
+      if (rangeOffset === 0) {
+        glyph = (code + delta) & 0xffff;
+      } else {
+        const at = idRangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+        glyph = at + 2 <= table.length ? table.readUInt16BE(at) : 0;
+        if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+      }
+      if (glyph !== 0) ranges.push([code, code]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Sort and join touching ranges
+ *
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * Codepoint as at least 4 hex digits
+ *
+ * @param {number} code
+ * @returns {string}
+ */
+function hex(code) {
+  return code.toString(16).toUpperCase().padStart(4, '0');
+}
+
+export default {
+  readFontFile,
+  detectFormat,
+};
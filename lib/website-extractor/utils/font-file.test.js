@@ -0,0 +1,155 @@
+/**
+ * font-file.test.js - Tests for the font file reader
+ * Fonts are built from the few bytes the reader looks at.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { readFontFile, detectFormat } from './font-file.js';
+
+/**
+ * name table with Windows English names
+ *
+ * @param {Object<number, string>} names - Name ID => value
+ * @returns {Buffer}
+ */
+function nameTable(names) {
+  const entries = Object.entries(names);
+  const strings = entries.map(([, value]) => Buffer.from(value, 'utf16le').swap16());
+  const header = Buffer.alloc(6 + entries.length * 12);
+  header.writeUInt16BE(entries.length, 2);
+  header.writeUInt16BE(header.length, 4);
+
+  let offset = 0;
+  entries.forEach(([id], i) => {
+    const record = 6 + i * 12;
+    header.writeUInt16BE(3, record);
+    header.writeUInt16BE(1, record + 2);
+    header.writeUInt16BE(0x409, record + 4);
+    header.writeUInt16BE(Number(id), record + 6);
+    header.writeUInt16BE(strings[i].length, record + 8);
+    header.writeUInt16BE(offset, record + 10);
+    offset += strings[i].length;
+  });
+
+  return Buffer.concat([header, ...strings]);
+}
+
+/**
+ * Tables of a bold, restricted-license font with 42 glyphs
+ *
+ * @returns {Object<string, Buffer>}
+ */
+function fontTables() {
+  const os2 = Buffer.alloc(78);
+  os2.writeUInt16BE(700, 4);
+  os2.writeUInt16BE(5, 6);
+  os2.writeUInt16BE(0x0002, 8);
+  os2.write('TEST', 58, 'latin1');
+
+  const head = Buffer.alloc(54);
+  head.writeUInt16BE(0x02, 44);
+
+  const maxp = Buffer.alloc(6);
+  maxp.writeUInt16BE(42, 4);
+
+  return { name: nameTable({ 1: 'Test Sans', 2: 'Bold Italic' }), 'OS/2': os2, head, maxp };
+}
+
+/**
+ * TrueType font holding the tables
+ *
+ * @param {Object<string, Buffer>} tables
+ * @returns {Buffer}
+ */
+function buildTtf(tables) {
+  const entries = Object.entries(tables);
+  const header = Buffer.alloc(12 + entries.length * 16);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(entries.length, 4);
+
+  let offset = header.length;
+  entries.forEach(([tag, data], i) => {
+    const record = 12 + i * 16;
+    header.write(tag, record, 'latin1');
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    offset += data.length;
+  });
+
+  return Buffer.concat([header, ...entries.map(([, data]) => data)]);
+}
+
+/**
+ * WOFF 1.0 font holding the tables, zlib-compressed unless that makes
+ * them larger
+ *
+ * @param {Object<string, Buffer>} tables
+ * @returns {Buffer}
+ */
+function buildWoff(tables) {
+  const entries = Object.entries(tables).map(([tag, data]) => {
+    const compressed = deflateSync(data);
+    return [tag, data, compressed.length < data.length ? compressed : data];
+  });
+  const header = Buffer.alloc(44 + entries.length * 20);
+  header.write('wOFF', 0, 'latin1');
+  header.writeUInt32BE(0x00010000, 4);
+  header.writeUInt16BE(entries.length, 12);
+
+  let offset = header.length;
+  entries.forEach(([tag, data, compressed], i) => {
+    const entry = 44 + i * 20;
+    header.write(tag, entry, 'latin1');
+    header.writeUInt32BE(offset, entry + 4);
+    header.writeUInt32BE(compressed.length, entry + 8);
+    header.writeUInt32BE(data.length, entry + 12);
+    offset += compressed.length;
+  });
+
+  const font = Buffer.concat([header, ...entries.map(([, , compressed]) => compressed)]);
+  font.writeUInt32BE(font.length, 8);
+  return font;
+}
+
+test('reads a TrueType font', () => {
+  const font = readFontFile(buildTtf(fontTables()));
+
+  assert.equal(font.format, 'truetype');
+  assert.equal(font.names.family, 'Test Sans');
+  assert.equal(font.names.subfamily, 'Bold Italic');
+  assert.equal(font.weight, 700);
+  assert.equal(font.width, 5);
+  assert.equal(font.italic, true);
+  assert.equal(font.embedding, 'restricted');
+  assert.equal(font.vendorId, 'TEST');
+  assert.equal(font.glyphs, 42);
+  assert.deepEqual(font.axes, []);
+  assert.equal(font.codepoints, 0);
+});
+
+test('reads a WOFF font like the TrueType it wraps', () => {
+  const tables = fontTables();
+  const woff = readFontFile(buildWoff(tables));
+
+  assert.equal(woff.format, 'woff');
+  assert.deepEqual({ ...woff, format: 'truetype' }, readFontFile(buildTtf(tables)));
+});
+
+test('detects container formats from the signature', () => {
+  const signed = signature => Buffer.concat([Buffer.from(signature, 'latin1'), Buffer.alloc(12)]);
+
+  assert.equal(detectFormat(signed('wOF2')), 'woff2');
+  assert.equal(detectFormat(signed('OTTO')), 'opentype');
+  assert.equal(detectFormat(signed('ttcf')), 'collection');
+  assert.equal(detectFormat(signed('<svg')), null);
+});
+
+test('throws on truncated input', () => {
+  const ttf = buildTtf(fontTables());
+
+  assert.throws(() => readFontFile(ttf.subarray(0, 40)), RangeError);
+  assert.throws(() => readFontFile(ttf.subarray(0, 8)), /Not a font file/);
+  assert.throws(() => readFontFile(buildWoff(fontTables()).subarray(0, 60)));
+});
@@ -0,0 +1,135 @@
+/**
+ * png.js - Minimal PNG decoder for browser screenshots
+ *
+ * Handles:
+ * - 8-bit truecolor (RGB) and truecolor with alpha (RGBA), non-interlaced:
+ *   the formats Chromium, Firefox and WebKit write for screenshots
+ * - Scanline filters (none, sub, up, average, paeth)
+ */
+
+import { inflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Bytes per pixel by PNG color type
+ */
+const CHANNELS = { 2: 3, 6: 4 };
+
+/**
+ * Decode a PNG into RGBA pixels
+ *
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels, row by row
+ * @throws {Error} If the PNG is not an 8-bit RGB/RGBA non-interlaced image
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  const idat = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG has no header');
+
+  const channels = CHANNELS[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(`Unsupported PNG format (bit depth ${header.bitDepth}, color type ${header.colorType})`);
+  }
+
+  const { width, height } = header;
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const data = new Uint8Array(width * height * 4);
+
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1);
+    unfilter(raw[rowStart], raw.subarray(rowStart + 1, rowStart + 1 + stride), previous, current, channels);
+
+    for (let x = 0; x < width; x++) {
+      const source = x * channels;
+      const target = (y * width + x) * 4;
+      data[target] = current[source];
+      data[target + 1] = current[source + 1];
+      data[target + 2] = current[source + 2];
+      data[target + 3] = channels === 4 ? current[source + 3] : 255;
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Reverse the filter of one scanline
+ *
+ * @param {number} filter - Filter type (0-4)
+ * @param {Uint8Array} line - Filtered bytes
+ * @param {Uint8Array} previous - Previous unfiltered line (zeros for the first)
+ * @param {Uint8Array} out - Unfiltered bytes (written)
+ * @param {number} bpp - Bytes per pixel
+ * @returns {void}
+ */
+function unfilter(filter, line, previous, out, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? out[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+    let predictor = 0;
+    if (filter === 1) predictor = left;
+    else if (filter === 2) predictor = up;
+    else if (filter === 3) predictor = (left + up) >> 1;
+    else if (filter === 4) predictor = paeth(left, up, upLeft);
+
+    out[i] = (line[i] + predictor) & 0xff;
+  }
+}
+
+/**
+ * Paeth predictor
+ *
+ * @param {number} a - Left
+ * @param {number} b - Up
+ * @param {number} c - Upper left
+ * @returns {number}
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+export default {
+  decodePng,
+};
@@ -0,0 +1,154 @@
+/**
+ * quantize.js - Dominant colors of pixel data
+ *
+ * Handles:
+ * - Weighted median cut in OKLab (perceptually even splits)
+ * - Merging clusters closer than a just-noticeable OKLab distance
+ */
+
+import { rgbToHex } from './color-convert.js';
+import { convertCoords } from './color-spaces.js';
+
+/**
+ * OKLab distance under which two clusters are one color
+ */
+const MERGE_DISTANCE = 0.04;
+
+/**
+ * Find the dominant colors of weighted pixels
+ *
+ * @param {Array<{r: number, g: number, b: number, weight: number}>} pixels - sRGB pixels (0-255)
+ * @param {number} maxColors - Max clusters before merging
+ * @returns {Array<{hex: string, rgb: Object, weight: number, share: number}>} Most dominant first
+ */
+export function quantize(pixels, maxColors = 8) {
+  // Identical pixels become one weighted item
+  const unique = new Map();
+  for (const { r, g, b, weight } of pixels) {
+    const key = (r << 16) | (g << 8) | b;
+    unique.set(key, (unique.get(key) || 0) + weight);
+  }
+
+  const items = Array.from(unique.entries()).map(([key, weight]) => {
+    const rgb = { r: key >> 16, g: (key >> 8) & 0xff, b: key & 0xff };
+    return { lab: convertCoords('srgb', 'oklab', [rgb.r / 255, rgb.g / 255, rgb.b / 255]), weight };
+  });
+
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  if (total === 0) return [];
+
+  const boxes = [makeBox(items)];
+
+  while (boxes.length < maxColors) {
+    const splittable = boxes.filter(box => box.items.length > 1 && box.range > 0);
+    if (splittable.length === 0) break;
+
+    const box = splittable.reduce((best, b) => b.weight * b.range > best.weight * best.range ? b : best);
+    boxes.splice(boxes.indexOf(box), 1, ...splitBox(box));
+  }
+
+  const clusters = mergeClusters(boxes.map(box => ({ lab: meanLab(box.items), weight: box.weight })));
+
+  return clusters
+    .sort((a, b) => b.weight - a.weight)
+    .map(cluster => {
+      const [r, g, b] = convertCoords('oklab', 'srgb', cluster.lab)
+        .map(v => Math.round(Math.min(1, Math.max(0, v)) * 255));
+      return {
+        hex: rgbToHex({ r, g, b }),
+        rgb: { r, g, b },
+        weight: cluster.weight,
+        share: cluster.weight / total,
+      };
+    });
+}
+
+/**
+ * Build a median-cut box with its widest axis
+ *
+ * @param {Array<{lab: number[], weight: number}>} items
+ * @returns {{items: Array, weight: number, axis: number, range: number}}
+ */
+function makeBox(items) {
+  let axis = 0;
+  let range = 0;
+
+  for (let i = 0; i < 3; i++) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const item of items) {
+      min = Math.min(min, item.lab[i]);
+      max = Math.max(max, item.lab[i]);
+    }
+    if (max - min > range) {
+      range = max - min;
+      axis = i;
+    }
+  }
+
+  return {
+    items,
+    weight: items.reduce((sum, item) => sum + item.weight, 0),
+    axis,
+    range,
+  };
+}
+
+/**
+ * Split a box at the weighted median of its widest axis
+ *
+ * @param {Object} box - Box from makeBox()
+ * @returns {Object[]} Two boxes
+ */
+function splitBox(box) {
+  const sorted = [...box.items].sort((a, b) => a.lab[box.axis] - b.lab[box.axis]);
+
+  let index = 1;
+  let running = sorted[0].weight;
+  while (index < sorted.length - 1 && running + sorted[index].weight <= box.weight / 2) {
+    running += sorted[index].weight;
+    index++;
+  }
+
+  return [makeBox(sorted.slice(0, index)), makeBox(sorted.slice(index))];
+}
+
+/**
+ * Weighted mean of items in OKLab
+ *
+ * @param {Array<{lab: number[], weight: number}>} items
+ * @returns {number[]}
+ */
+function meanLab(items) {
+  const weight = items.reduce((sum, item) => sum + item.weight, 0);
+  return [0, 1, 2].map(i => items.reduce((sum, item) => sum + item.lab[i] * item.weight, 0) / weight);
+}
+
+/**
+ * Merge clusters that are visually the same color
+ *
+ * @param {Array<{lab: number[], weight: number}>} clusters
+ * @returns {Array<{lab: number[], weight: number}>}
+ */
+function mergeClusters(clusters) {
+  const merged = [];
+
+  for (const cluster of [...clusters].sort((a, b) => b.weight - a.weight)) {
+    const match = merged.find(m => Math.hypot(...m.lab.map((v, i) => v - cluster.lab[i])) < MERGE_DISTANCE);
+
+    if (!match) {
+      merged.push({ ...cluster });
+      continue;
+    }
+
+    const weight = match.weight + cluster.weight;
+    match.lab = match.lab.map((v, i) => (v * match.weight + cluster.lab[i] * cluster.weight) / weight);
+    match.weight = weight;
+  }
+
+  return merged;
+}
+
+export default {
+  quantize,
+};
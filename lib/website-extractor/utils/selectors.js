@@ -0,0 +1,23 @@
+/**
+ * selectors.js - Readable labels for page elements
+ *
+ * Page functions return an element's tag, id and class attribute; the
+ * label is built here so every extractor names elements the same way.
+ */
+
+/**
+ * Label an element as #id, or its tag with its first two classes
+ * (div.card.shadow), which groups repeated instances of one component
+ *
+ * @param {Object} element - {tag, id, className} read in the page
+ * @returns {string}
+ */
+export function elementLabel({ tag, id, className }) {
+  if (id) return `#${id}`;
+  const classes = (className || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+  return tag.toLowerCase() + classes.map(c => `.${c}`).join('');
+}
+
+export default {
+  elementLabel,
+};
@@ -0,0 +1,44 @@
+/**
+ * stats.js - Helpers for summarizing measured values
+ *
+ * Handles:
+ * - The most common value of a list of samples
+ * - Rounding to a number of decimals
+ */
+
+/**
+ * Most common value, ignoring null and undefined (first seen wins ties)
+ *
+ * @param {Array} values
+ * @returns {*} The value, or null when there is none
+ */
+export function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+/**
+ * Round to a number of decimals
+ *
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  mostCommon,
+  round,
+};
@@ -0,0 +1,20 @@
+/**
+ * stats.test.js - Tests for the shared statistics helpers
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mostCommon, round } from './stats.js';
+
+test('mostCommon picks the most frequent value, first seen on ties', () => {
+  assert.equal(mostCommon([8, 4, 8, 16]), 8);
+  assert.equal(mostCommon(['a', 'b', 'b', 'a']), 'a');
+  assert.equal(mostCommon([null, undefined, 4, null]), 4);
+  assert.equal(mostCommon([]), null);
+});
+
+test('round keeps the given decimals', () => {
+  assert.equal(round(1.23456), 1.23);
+  assert.equal(round(1.25, 1), 1.3);
+  assert.equal(round(31.25, 0), 31);
+});
@@ -0,0 +1,170 @@
+/**
+ * tonal-scale.js - Tonal color scales (50-950) in OKLCH
+ *
+ * Handles:
+ * - Lightness targets per step, evenly spaced in OKLCH lightness
+ * - Placing a color on its nearest step
+ * - Filling a scale around one or more anchor colors (gaps between
+ *   anchors are interpolated, steps past them follow the target spacing)
+ */
+
+import { rgbToHex, rgbToOklch } from './color-convert.js';
+import { COLOR_SPACES, gamutMapToSrgb } from './color-spaces.js';
+
+/**
+ * Steps of a tonal scale, lightest first
+ */
+export const SCALE_STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+/**
+ * Target OKLCH lightness per step
+ */
+const STEP_LIGHTNESS = {
+  50: 0.975,
+  100: 0.94,
+  200: 0.88,
+  300: 0.8,
+  400: 0.71,
+  500: 0.62,
+  600: 0.53,
+  700: 0.45,
+  800: 0.37,
+  900: 0.29,
+  950: 0.22,
+};
+
+/**
+ * Share of the anchor chroma dropped at the light and dark ends of a scale
+ */
+const LIGHT_CHROMA_FALLOFF = 0.9;
+const DARK_CHROMA_FALLOFF = 0.6;
+
+/**
+ * Share of the remaining lightness range the end step moves into when an
+ * anchor is already lighter (or darker) than the end step's target
+ */
+const END_MARGIN = 0.25;
+
+/**
+ * Find the step whose target lightness is closest to a color
+ *
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {string} Step ('50'-'950')
+ */
+export function nearestStep(rgb) {
+  const { l } = rgbToOklch(rgb);
+
+  return SCALE_STEPS.reduce((best, step) =>
+    Math.abs(STEP_LIGHTNESS[step] - l) < Math.abs(STEP_LIGHTNESS[best] - l) ? step : best);
+}
+
+/**
+ * Build a full tonal scale around anchor colors
+ *
+ * @param {Object<string, {r: number, g: number, b: number}>} anchors - Known colors by step
+ * @returns {Object<string, string>} Hex per step (anchors keep their own color)
+ */
+export function generateTonalScale(anchors) {
+  const known = SCALE_STEPS
+    .filter(step => anchors[step])
+    .map(step => ({ index: SCALE_STEPS.indexOf(step), step, ...rgbToOklch(anchors[step]) }));
+
+  if (known.length === 0) return {};
+
+  const scale = {};
+
+  SCALE_STEPS.forEach((step, index) => {
+    if (anchors[step]) {
+      scale[step] = rgbToHex(anchors[step]);
+      return;
+    }
+
+    const before = [...known].reverse().find(a => a.index < index);
+    const after = known.find(a => a.index > index);
+
+    const lch = before && after
+      ? interpolate(before, after, (index - before.index) / (after.index - before.index))
+      : extend(before || after, step);
+
+    scale[step] = oklchToHex(lch);
+  });
+
+  return scale;
+}
+
+/**
+ * Interpolate between two anchors in OKLCH
+ *
+ * @param {Object} a - Lighter anchor ({l, c, h})
+ * @param {Object} b - Darker anchor ({l, c, h})
+ * @param {number} t - Position between them (0-1)
+ * @returns {{l: number, c: number, h: number}}
+ */
+function interpolate(a, b, t) {
+  // Grays have no meaningful hue: take the other anchor's
+  const hueA = a.c < 0.01 ? b.h : a.h;
+  const hueB = b.c < 0.01 ? a.h : b.h;
+
+  let delta = hueB - hueA;
+  if (delta > 180) delta -= 360;
+  if (delta < -180) delta += 360;
+
+  return {
+    l: a.l + (b.l - a.l) * t,
+    c: a.c + (b.c - a.c) * t,
+    h: (hueA + delta * t + 360) % 360,
+  };
+}
+
+/**
+ * Extend a scale past its lightest or darkest anchor
+ * Steps keep their relative spacing from the targets, squeezed or stretched
+ * between the anchor and the end of the scale, and chroma falls off as the
+ * color nears white or black.
+ *
+ * @param {Object} anchor - Nearest anchor ({step, l, c, h})
+ * @param {string} step - Step to fill
+ * @returns {{l: number, c: number, h: number}}
+ */
+function extend(anchor, step) {
+  const lighter = SCALE_STEPS.indexOf(step) < SCALE_STEPS.indexOf(anchor.step);
+  const endStep = lighter ? SCALE_STEPS[0] : SCALE_STEPS[SCALE_STEPS.length - 1];
+
+  // Where the end step lands: its target, unless the anchor is already past it
+  const endL = lighter
+    ? Math.max(STEP_LIGHTNESS[endStep], anchor.l + (1 - anchor.l) * END_MARGIN)
+    : Math.min(STEP_LIGHTNESS[endStep], anchor.l * (1 - END_MARGIN));
+
+  const position = (STEP_LIGHTNESS[step] - STEP_LIGHTNESS[anchor.step]) /
+    (STEP_LIGHTNESS[endStep] - STEP_LIGHTNESS[anchor.step]);
+  const l = anchor.l + (endL - anchor.l) * position;
+
+  const progress = lighter
+    ? (l - anchor.l) / Math.max(1 - anchor.l, 0.001)
+    : (anchor.l - l) / Math.max(anchor.l, 0.001);
+  const falloff = lighter ? LIGHT_CHROMA_FALLOFF : DARK_CHROMA_FALLOFF;
+
+  return {
+    l,
+    c: anchor.c * (1 - falloff * progress),
+    h: anchor.h,
+  };
+}
+
+/**
+ * Convert OKLCH to a hex color, gamut-mapped to sRGB
+ *
+ * @param {{l: number, c: number, h: number}} lch
+ * @returns {string}
+ */
+function oklchToHex({ l, c, h }) {
+  const { rgb } = gamutMapToSrgb(COLOR_SPACES.oklch.toXyz([l, c, h]));
+  const [r, g, b] = rgb.map(v => v * 255);
+  return rgbToHex({ r, g, b });
+}
+
+export default {
+  SCALE_STEPS,
+  nearestStep,
+  generateTonalScale,
+};
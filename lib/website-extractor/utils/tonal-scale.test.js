@@ -0,0 +1,40 @@
+/**
+ * tonal-scale.test.js - Tests for OKLCH tonal scales
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SCALE_STEPS, nearestStep, generateTonalScale } from './tonal-scale.js';
+import { hexToRgb, rgbToOklch } from './color-convert.js';
+
+const BLUE_500 = { r: 59, g: 130, b: 246 };
+
+test('places colors on their nearest step', () => {
+  assert.equal(nearestStep(BLUE_500), '500');
+  assert.equal(nearestStep({ r: 255, g: 255, b: 255 }), '50');
+  assert.equal(nearestStep({ r: 0, g: 0, b: 0 }), '950');
+});
+
+test('fills every step around one anchor, lightest first', () => {
+  const scale = generateTonalScale({ 500: BLUE_500 });
+
+  assert.deepEqual(Object.keys(scale), SCALE_STEPS);
+  assert.equal(scale['500'], '#3B82F6');
+
+  const lightness = SCALE_STEPS.map(step => rgbToOklch(hexToRgb(scale[step])).l);
+  lightness.slice(1).forEach((l, i) => assert.ok(l < lightness[i], `${SCALE_STEPS[i + 1]} is not darker`));
+});
+
+test('keeps every anchor and interpolates between them', () => {
+  const scale = generateTonalScale({ 100: { r: 219, g: 234, b: 254 }, 900: { r: 30, g: 58, b: 138 } });
+
+  assert.equal(scale['100'], '#DBEAFE');
+  assert.equal(scale['900'], '#1E3A8A');
+
+  const l = step => rgbToOklch(hexToRgb(scale[step])).l;
+  assert.ok(l('100') > l('500') && l('500') > l('900'));
+});
+
+test('returns an empty scale without anchors', () => {
+  assert.deepEqual(generateTonalScale({}), {});
+});
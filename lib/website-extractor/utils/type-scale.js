@@ -0,0 +1,333 @@
+/**
+ * type-scale.js - Type scale detection
+ *
+ * Handles:
+ * - Fitting font sizes to a modular scale (base × ratio^n) for the named
+ *   ratios (minor second ... golden ratio, octave)
+ * - Fitting font sizes to a linear scale (base + n × step)
+ * - Picking the scale that explains the sizes with the fewest unused
+ *   steps, and naming its steps (xs, sm, base, lg, xl, 2xl, ...)
+ * - Flagging sizes off the scale, and whether the site follows one at all
+ */
+
+import { countToConfidence } from './confidence.js';
+import { round } from './stats.js';
+
+/**
+ * Named modular scale ratios
+ */
+export const MODULAR_RATIOS = {
+  minorSecond: 1.067,
+  majorSecond: 1.125,
+  minorThird: 1.2,
+  majorThird: 1.25,
+  perfectFourth: 1.333,
+  augmentedFourth: 1.414,
+  perfectFifth: 1.5,
+  goldenRatio: 1.618,
+  majorSixth: 1.667,
+  octave: 2,
+};
+
+/**
+ * Linear scale steps tried (px)
+ */
+const LINEAR_STEPS = [2, 4, 6, 8];
+
+/**
+ * Rounding sites apply to scale values (px): 31.25px is usually written as 31px
+ */
+const ROUNDING_TOLERANCE = 0.5;
+
+/**
+ * Max mean distance to the nearest step, as a share of half the gap to
+ * the neighbouring steps (0 = on a step, 1 = halfway between two)
+ */
+const MAX_STEP_DISTANCE = 0.25;
+
+/**
+ * A size is off the scale from this distance, or when it is further than
+ * this share of its own size from the step
+ */
+const OFF_SCALE_DISTANCE = 0.5;
+const OFF_SCALE_ERROR = 0.025;
+
+/**
+ * Max share of distinct sizes off the scale, and max mean distance to the
+ * step as a share of the size (a scale followed on purpose is off by rounding)
+ */
+const MAX_OFF_SCALE = 0.15;
+const MAX_FIT_ERROR = 0.01;
+
+/**
+ * Min share of the steps between the smallest and largest size that are used
+ */
+const MIN_COVERAGE = 0.5;
+
+/**
+ * Min distinct steps for a scale to mean anything
+ */
+const MIN_STEPS = 3;
+
+/**
+ * Base sizes tried: the most used sizes within a body text range (px)
+ */
+const BASE_RANGE = [10, 24];
+const MAX_BASES = 3;
+
+/**
+ * Find the type scale behind a set of font sizes
+ *
+ * @param {Array<{size: number, count: number, chars?: number}>} sizes - Distinct font sizes (px) with usage
+ * @returns {Object|null} Best fit ({type, base, ratio|step, fitError, coverage, steps, ...}), null when the sizes span fewer than 3 steps
+ */
+export function detectTypeScale(sizes) {
+  const usable = sizes.filter(s => s.size > 0);
+  if (usable.length === 0) return null;
+
+  const byText = [...usable].sort((a, b) => (b.chars || b.count) - (a.chars || a.count));
+  const bases = byText.filter(s => s.size >= BASE_RANGE[0] && s.size <= BASE_RANGE[1]).slice(0, MAX_BASES);
+  if (bases.length === 0) bases.push(byText[0]);
+
+  const fits = [];
+  for (const { size: base } of bases) {
+    for (const [name, ratio] of Object.entries(MODULAR_RATIOS)) {
+      fits.push(fitScale(usable, {
+        type: 'modular',
+        base,
+        ratio,
+        ratioName: name,
+        stepOf: size => Math.log(size / base) / Math.log(ratio),
+        valueOf: n => base * Math.pow(ratio, n),
+      }));
+    }
+    for (const step of LINEAR_STEPS) {
+      fits.push(fitScale(usable, {
+        type: 'linear',
+        base,
+        step,
+        stepOf: size => (size - base) / step,
+        valueOf: n => base + n * step,
+      }));
+    }
+  }
+
+  // Scales that fit, fewest unused steps first; otherwise the one with the
+  // fewest sizes off the scale and unused steps
+  const ranked = fits
+    .filter(fit => fit.valid)
+    .sort((a, b) => {
+      if (isFit(a) !== isFit(b)) return isFit(a) ? -1 : 1;
+      if (isFit(a)) return b.coverage - a.coverage || a.fitError - b.fitError;
+      return misfit(a) - misfit(b);
+    });
+
+  if (ranked.length === 0) return null;
+
+  const [best, ...others] = ranked;
+
+  return {
+    ...describeFit(best),
+    matches: isFit(best),
+    alternatives: distinctScales(others.filter(isFit), best)
+      .slice(0, 3)
+      .map(summarizeFit),
+  };
+}
+
+/**
+ * Name of a scale step relative to the base (0)
+ *
+ * @param {number} n - Step index
+ * @returns {string} xs, sm, base, lg, xl, 2xl, ...
+ */
+export function stepName(n) {
+  if (n === 0) return 'base';
+  if (n === -1) return 'sm';
+  if (n === -2) return 'xs';
+  if (n < -2) return `${-n - 1}xs`;
+  if (n === 1) return 'lg';
+  if (n === 2) return 'xl';
+  return `${n - 1}xl`;
+}
+
+/**
+ * Whether a fit is close enough to say the sizes follow the scale
+ *
+ * @param {Object} fit - From fitScale()
+ * @returns {boolean}
+ */
+function isFit(fit) {
+  return fit.distance <= MAX_STEP_DISTANCE &&
+    fit.fitError <= MAX_FIT_ERROR &&
+    fit.coverage >= MIN_COVERAGE &&
+    offScaleShare(fit) <= MAX_OFF_SCALE;
+}
+
+/**
+ * How badly a scale misses: share of sizes off it plus share of unused steps
+ *
+ * @param {Object} fit - From fitScale()
+ * @returns {number} 0 (perfect) to 2
+ */
+function misfit(fit) {
+  return offScaleShare(fit) + (1 - fit.coverage);
+}
+
+/**
+ * Share of distinct sizes off a scale
+ *
+ * @param {Object} fit - From fitScale()
+ * @returns {number}
+ */
+function offScaleShare(fit) {
+  return fit.assignments.filter(isOffScale).length / fit.assignments.length;
+}
+
+/**
+ * Whether two fits are one scale seen from different bases (16px and 20px
+ * on a 1.25 ratio)
+ *
+ * @param {Object} a - From fitScale()
+ * @param {Object} b - From fitScale()
+ * @returns {boolean}
+ */
+function isSameScale(a, b) {
+  if (a.type !== b.type || a.ratio !== b.ratio || a.step !== b.step) return false;
+  return Math.abs(a.valueOf(Math.round(a.stepOf(b.base))) - b.base) <= ROUNDING_TOLERANCE;
+}
+
+/**
+ * Drop fits that repeat the best one or an earlier fit from another base
+ *
+ * @param {Object[]} fits - Ranked fits
+ * @param {Object} best - Best fit
+ * @returns {Object[]}
+ */
+function distinctScales(fits, best) {
+  const kept = [best];
+  for (const fit of fits) {
+    if (!kept.some(other => isSameScale(other, fit))) kept.push(fit);
+  }
+  return kept.slice(1);
+}
+
+/**
+ * Whether a size is too far from its step to be on the scale
+ *
+ * @param {Object} assignment - Size assigned to a step by fitScale()
+ * @returns {boolean}
+ */
+function isOffScale(assignment) {
+  return assignment.distance >= OFF_SCALE_DISTANCE || assignment.off / assignment.size > OFF_SCALE_ERROR;
+}
+
+/**
+ * Fit sizes to one candidate scale
+ * Every distinct size counts once, however often it is used. A step
+ * holds one size: when several land on it, the closest one is on the
+ * scale and the others are off it.
+ *
+ * @param {Array<{size: number, count: number}>} sizes
+ * @param {Object} scale - {type, base, ratio|step, stepOf(size), valueOf(n)}
+ * @returns {Object} Scale with its fit: distance, fitError, coverage, assignments
+ */
+function fitScale(sizes, scale) {
+  const assignments = [];
+
+  for (const { size, count } of sizes) {
+    const n = Math.round(scale.stepOf(size));
+    const value = scale.valueOf(n);
+    if (!(value > 0)) continue;
+
+    const off = Math.max(0, Math.abs(size - value) - ROUNDING_TOLERANCE);
+    const halfGap = (scale.valueOf(n + 1) - scale.valueOf(n - 1)) / 4;
+    assignments.push({ size, count, n, off, distance: Math.min(1, off / halfGap) });
+  }
+
+  // One size per step
+  const byStep = new Map();
+  for (const assignment of assignments) {
+    const current = byStep.get(assignment.n);
+    if (!current || assignment.distance < current.distance) byStep.set(assignment.n, assignment);
+  }
+  for (const assignment of assignments) {
+    if (byStep.get(assignment.n) !== assignment) {
+      assignment.distance = 1;
+      assignment.off = Math.abs(assignment.size - scale.valueOf(assignment.n));
+    }
+  }
+
+  const total = assignments.length || 1;
+  const steps = [...byStep.keys()];
+  const span = steps.length > 0 ? Math.max(...steps) - Math.min(...steps) + 1 : 0;
+
+  return {
+    ...scale,
+    valid: steps.length >= MIN_STEPS,
+    distance: assignments.reduce((sum, a) => sum + a.distance, 0) / total,
+    fitError: assignments.reduce((sum, a) => sum + a.off / a.size, 0) / total,
+    coverage: span > 0 ? steps.length / span : 0,
+    assignments,
+  };
+}
+
+/**
+ * Short description of a fit (for alternatives)
+ *
+ * @param {Object} fit
+ * @returns {Object}
+ */
+function summarizeFit(fit) {
+  return {
+    type: fit.type,
+    base: `${round(fit.base)}px`,
+    ...(fit.type === 'modular'
+      ? { ratio: fit.ratio, ratioName: fit.ratioName }
+      : { step: `${fit.step}px` }),
+    fitError: round(fit.fitError, 3),
+    coverage: round(fit.coverage, 2),
+  };
+}
+
+/**
+ * Full description of a fit, with every step from the smallest to the
+ * largest used one
+ *
+ * @param {Object} fit
+ * @returns {Object}
+ */
+function describeFit(fit) {
+  const used = fit.assignments.map(a => a.n);
+  const steps = {};
+
+  for (let n = Math.min(...used); n <= Math.max(...used); n++) {
+    const observed = fit.assignments.filter(a => a.n === n && !isOffScale(a));
+    const count = observed.reduce((sum, a) => sum + a.count, 0);
+
+    steps[stepName(n)] = {
+      step: n,
+      value: `${round(fit.valueOf(n))}px`,
+      origin: observed.length > 0 ? 'observed' : 'generated',
+      ...(observed.length > 0 && {
+        observed: observed.sort((a, b) => b.count - a.count).map(a => `${round(a.size)}px`),
+        count,
+      }),
+      confidence: countToConfidence(count),
+    };
+  }
+
+  return {
+    ...summarizeFit(fit),
+    steps,
+    offScale: fit.assignments
+      .filter(isOffScale)
+      .map(a => `${round(a.size)}px`),
+  };
+}
+
+export default {
+  MODULAR_RATIOS,
+  detectTypeScale,
+  stepName,
+};
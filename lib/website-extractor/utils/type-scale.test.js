@@ -0,0 +1,50 @@
+/**
+ * type-scale.test.js - Tests for type scale detection
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTypeScale, stepName } from './type-scale.js';
+
+test('detects a major third (1.25) scale from a 16px base', () => {
+  // 31.25px and 39.06px as sites round them
+  const sizes = [12.8, 16, 20, 25, 31, 39].map(size => ({ size, count: size === 16 ? 40 : 5 }));
+  const scale = detectTypeScale(sizes);
+
+  assert.equal(scale.type, 'modular');
+  assert.equal(scale.ratio, 1.25);
+  assert.equal(scale.ratioName, 'majorThird');
+  assert.equal(scale.base, '16px');
+  assert.equal(scale.matches, true);
+  assert.deepEqual(scale.offScale, []);
+  assert.deepEqual(Object.keys(scale.steps), ['sm', 'base', 'lg', 'xl', '2xl', '3xl']);
+  assert.equal(scale.steps['2xl'].value, '31.25px');
+  assert.deepEqual(scale.steps['2xl'].observed, ['31px']);
+});
+
+test('detects a linear scale', () => {
+  const sizes = [12, 16, 20, 24, 28].map(size => ({ size, count: size === 16 ? 20 : 3 }));
+  const scale = detectTypeScale(sizes);
+
+  assert.equal(scale.type, 'linear');
+  assert.equal(scale.step, '4px');
+  assert.equal(scale.matches, true);
+});
+
+test('flags sizes off the scale', () => {
+  const sizes = [12.8, 16, 20, 25, 31.25, 39.06, 48.83, 17].map(size => ({ size, count: size === 16 ? 40 : 5 }));
+  const scale = detectTypeScale(sizes);
+
+  assert.equal(scale.ratio, 1.25);
+  assert.equal(scale.matches, true);
+  assert.deepEqual(scale.offScale, ['17px']);
+});
+
+test('returns null for a single size', () => {
+  assert.equal(detectTypeScale([{ size: 16, count: 10 }]), null);
+  assert.equal(detectTypeScale([]), null);
+});
+
+test('names steps around the base', () => {
+  assert.deepEqual([-3, -2, -1, 0, 1, 2, 3, 4].map(stepName), ['2xs', 'xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl']);
+});
@@ -8,6 +8,8 @@
 #   --scene-threshold <0-1>   Scene change threshold (default: 0.4)
 #   --motion-threshold <0-1>  High motion threshold (default: 0.3)
 #   --sample-rate <fps>       Analysis sample rate (default: 10 for efficiency)
+#   --timeline <file>         Interaction timeline from record-website.sh
+#                             (default: <video>.timeline.json if present)
 #
 # Output: JSON with per-frame motion data, animation sequences, and scene boundaries
 
@@ -20,6 +22,8 @@ MOTION_THRESHOLD=0.3
 SAMPLE_RATE=10
 STATIC_THRESHOLD=0.05
 LOW_MOTION_THRESHOLD=0.3
+TIMELINE_FILE=""
+TRIGGER_WINDOW_MS=2000  # Max gap between an interaction and the animation it triggered
 
 # Colors for stderr output
 RED='\033[0;31m'
@@ -89,6 +93,10 @@ parse_args() {
                 SAMPLE_RATE="$2"
                 shift 2
                 ;;
+            --timeline)
+                TIMELINE_FILE="$2"
+                shift 2
+                ;;
             -h|--help)
                 show_help
                 exit 0
@@ -113,6 +121,16 @@ parse_args() {
         echo '{"success": false, "error": "Input file not found", "path": "'"$INPUT"'"}'
         exit 1
     fi
+
+    # Pick up the timeline sidecar written by recorder.js
+    if [[ -z "$TIMELINE_FILE" ]] && [[ -f "${INPUT%.*}.timeline.json" ]]; then
+        TIMELINE_FILE="${INPUT%.*}.timeline.json"
+    fi
+
+    if [[ -n "$TIMELINE_FILE" ]] && [[ ! -f "$TIMELINE_FILE" ]]; then
+        log_warn "Timeline file not found: $TIMELINE_FILE"
+        TIMELINE_FILE=""
+    fi
 }
 
 show_help() {
@@ -127,6 +145,7 @@ OPTIONS:
     --scene-threshold <0-1>   Scene change threshold (default: 0.4)
     --motion-threshold <0-1>  High motion threshold (default: 0.3)
     --sample-rate <fps>       Analysis sample rate (default: 10)
+    --timeline <file>         Interaction timeline sidecar (default: <video>.timeline.json)
     -h, --help                Show this help message
 
 OUTPUT:
@@ -136,6 +155,10 @@ OUTPUT:
     - scene_boundaries[]: Frame numbers where major UI changes occur
     - summary: Statistics about motion distribution
 
+    With an interaction timeline (written by record-website.sh), each
+    animation sequence gets a "trigger": the scroll, hover, click or page
+    height change that happened up to 2s before it started.
+
 CLASSIFICATION:
     - static:       motion_score < 0.05
     - low_motion:   motion_score 0.05 - 0.3
@@ -151,6 +174,9 @@ EXAMPLES:
 
     # Higher sample rate for detailed analysis
     ./analyze-motion.sh recording.mov --sample-rate 30
+
+    # Label sequences with the interactions that triggered them
+    ./analyze-motion.sh recording.webm --timeline recording.timeline.json
 EOF
 }
 
@@ -307,6 +333,42 @@ detect_animation_sequences() {
     '
 }
 
+# Label animation sequences with the interaction that triggered them
+label_sequence_triggers() {
+    local sequences_json="$1"
+    local timeline_file="$2"
+
+    # Trigger: last interaction at most TRIGGER_WINDOW_MS before the sequence
+    # starts (one sample of tolerance after, for the sample rate)
+    echo "$sequences_json" | jq -c \
+        --slurpfile timeline "$timeline_file" \
+        --argjson window "$TRIGGER_WINDOW_MS" \
+        --argjson tolerance "$((1000 / SAMPLE_RATE))" '
+        ($timeline[0].events // []) as $events |
+        ($events | map(select(.type != "phase"))) as $interactions |
+        map(. as $seq |
+            ($interactions | map(select(
+                .timeMs <= ($seq.start_time_ms + $tolerance) and
+                .timeMs >= ($seq.start_time_ms - $window)
+            )) | last) as $event |
+            ($events | map(select(.type == "phase" and .timeMs <= $seq.start_time_ms)) | last) as $phase |
+            . + {
+                trigger: (if $event then {
+                    type: $event.type,
+                    time_ms: $event.timeMs,
+                    lag_ms: ($seq.start_time_ms - $event.timeMs),
+                    selector: $event.selector,
+                    text: $event.text,
+                    box: $event.box,
+                    scroll_y: ($event.scrollY // $event.targetY),
+                    height_growth: $event.growth
+                } | with_entries(select(.value != null)) else null end),
+                phase: ($phase.name // null)
+            }
+        )
+    '
+}
+
 # Main analysis function
 analyze_motion() {
     local input="$1"
@@ -377,6 +439,11 @@ analyze_motion() {
     # Detect animation sequences
     local sequences_json=$(detect_animation_sequences "$frames_json")
 
+    if [[ -n "$TIMELINE_FILE" ]]; then
+        log_info "Labeling sequences with interaction timeline: $TIMELINE_FILE"
+        sequences_json=$(label_sequence_triggers "$sequences_json" "$TIMELINE_FILE")
+    fi
+
     # Extract scene boundaries
     local boundaries_json=$(echo "$frames_json" | jq '[.[] | select(.is_scene_boundary == true) | .frame_number]')
 
@@ -424,6 +491,7 @@ analyze_motion() {
         --argjson sample_rate "$SAMPLE_RATE" \
         --argjson scene_threshold "$SCENE_THRESHOLD" \
         --argjson motion_threshold "$MOTION_THRESHOLD" \
+        --arg timeline "$TIMELINE_FILE" \
         '{
             success: true,
             version: "1.0",
@@ -443,6 +511,7 @@ analyze_motion() {
             frames: $frames,
             animation_sequences: $sequences,
             scene_boundaries: $boundaries,
+            interaction_timeline: (if $timeline == "" then null else $timeline end),
             summary: $summary
         }')
 
@@ -0,0 +1,156 @@
+#!/bin/bash
+# batch-extract.sh - Extract design systems from a list of websites
+# Reuses one Playwright browser for every URL instead of launching per site
+#
+# Usage: ./batch-extract.sh [urls.txt] [options]
+#        cat urls.txt | ./batch-extract.sh [options]
+# Options:
+#   --output-dir <dir>   Directory for per-site JSON and index.json (default: ./extractions)
+#   --concurrency <n>    Sites extracted in parallel (default: 2)
+#   --dark-mode          Extract dark mode variant
+#   --mobile             Use mobile viewport (390x844)
+#   --slow               3x timeouts for JS-heavy SPAs
+#   --browser <type>     chromium (default) or firefox
+#   --dtcg               Output W3C Design Tokens format
+#   --json-only          Output JSON only (no status messages)
+#   --storage-state <f>  Sign in with a saved session (see login.sh)
+#   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
+#
+# Output: One JSON file per site plus index.json in the output directory
+# Summary JSON: stdout; status messages: stderr
+
+set -e
+
+# Script directory
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+EXTRACTOR_DIR="$SCRIPT_DIR/../lib/website-extractor"
+
+# Colors for stderr output
+RED='\033[0;31m'
+YELLOW='\033[1;33m'
+GREEN='\033[0;32m'
+CYAN='\033[0;36m'
+NC='\033[0m' # No Color
+
+# Log to stderr
+log_info() {
+    echo -e "${GREEN}[INFO]${NC} $1" >&2
+}
+
+log_warn() {
+    echo -e "${YELLOW}[WARN]${NC} $1" >&2
+}
+
+log_error() {
+    echo -e "${RED}[ERROR]${NC} $1" >&2
+}
+
+log_hint() {
+    echo -e "${CYAN}[HINT]${NC} $1" >&2
+}
+
+# Check Node.js version
+check_node() {
+    if ! command -v node &> /dev/null; then
+        log_error "Node.js is required but not installed."
+        log_hint "Install with: brew install node"
+        echo '{"success": false, "error": "Node.js not installed"}'
+        exit 1
+    fi
+
+    # Check version (need 18+)
+    NODE_VERSION=$(node -v | sed 's/v//' | cut -d. -f1)
+    if [ "$NODE_VERSION" -lt 18 ]; then
+        log_error "Node.js 18+ is required. Current version: $(node -v)"
+        log_hint "Update with: brew upgrade node"
+        echo '{"success": false, "error": "Node.js 18+ required"}'
+        exit 1
+    fi
+}
+
+# Check npm
+check_npm() {
+    if ! command -v npm &> /dev/null; then
+        log_error "npm is required but not installed."
+        echo '{"success": false, "error": "npm not installed"}'
+        exit 1
+    fi
+}
+
+# Install dependencies if needed
+install_deps() {
+    if [ ! -d "$EXTRACTOR_DIR/node_modules" ]; then
+        log_info "Installing dependencies (first run)..."
+        cd "$EXTRACTOR_DIR"
+        npm install --silent 2>&1 | while read line; do
+            log_info "$line"
+        done
+        cd - > /dev/null
+        log_info "Dependencies installed."
+    fi
+}
+
+# Show help
+show_help() {
+    cat << 'EOF'
+batch-extract.sh - Extract design systems from a list of websites
+
+USAGE:
+    ./batch-extract.sh [urls.txt] [options]
+    cat urls.txt | ./batch-extract.sh [options]
+
+ARGUMENTS:
+    [urls.txt]      File with one URL per line (# comments allowed).
+                    Reads stdin when omitted or "-".
+
+OPTIONS:
+    --output-dir <dir>  Directory for per-site JSON and index.json (default: ./extractions)
+    --concurrency <n>   Sites extracted in parallel (default: 2)
+    --dark-mode         Extract dark mode variant
+    --mobile            Use mobile viewport (390x844)
+    --slow              Extended timeouts for JS-heavy SPAs (3x)
+    --browser <type>    Browser engine: chromium (default) or firefox
+    --dtcg              Output in W3C Design Tokens Community Group format
+    --json-only         Output raw JSON only (suppress status messages)
+    --storage-state <f> Sign in with a saved session (see login.sh)
+    --cookies <file>    Import cookies (Netscape cookies.txt or JSON)
+    -h, --help          Show this help message
+
+EXAMPLES:
+    # Extract every competitor in a list, 3 at a time
+    ./batch-extract.sh competitors.txt --output-dir ./q3-audit --concurrency 3
+
+    # Pipe URLs in
+    grep -v staging sites.txt | ./batch-extract.sh --dtcg
+
+OUTPUT:
+    <output-dir>/<host>[-<path>].json   One design system per site
+    <output-dir>/index.json             Summary: per-URL status, output file,
+                                        confidence, and the error for failed sites
+
+    Sites that fail to load are recorded in index.json and the batch
+    continues with the next URL.
+
+EOF
+}
+
+# Main
+main() {
+    # Check for help flag
+    for arg in "$@"; do
+        if [ "$arg" = "-h" ] || [ "$arg" = "--help" ]; then
+            show_help
+            exit 0
+        fi
+    done
+
+    # Run checks
+    check_node
+    check_npm
+    install_deps
+
+    # Run the Node.js batch extractor with all arguments
+    node "$EXTRACTOR_DIR/batch.js" "$@"
+}
+
+main "$@"
@@ -6,11 +6,20 @@
 # Options:
 #   --output <file>      Save to file (default: stdout)
 #   --dark-mode          Extract dark mode variant
+#   --themes <list>      Extract several themes (light,dark) into one design system with modes
 #   --mobile             Use mobile viewport (390x844)
 #   --slow               3x timeouts for JS-heavy SPAs
 #   --browser <type>     chromium (default) or firefox
 #   --dtcg               Output W3C Design Tokens format
 #   --json-only          Output JSON only (no status messages)
+#   --storage-state <f>  Sign in with a saved session (see login.sh)
+#   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
+#   --crawl              Follow same-origin links and merge all pages
+#   --depth <n>          Max crawl link depth (default: 2)
+#   --max-pages <n>      Max pages to crawl (default: 10)
+#   --include <glob...>  Only crawl paths matching these globs
+#   --exclude <glob...>  Skip paths matching these globs
+#   --save-fonts <dir>   Save the web font files the page loaded
 #
 # Output: JSON to stdout with design system
 # Status messages: stderr
@@ -100,11 +109,20 @@ ARGUMENTS:
 OPTIONS:
     --output <file>     Save output to file (default: stdout)
     --dark-mode         Extract dark mode variant
+    --themes <list>     Extract themes (e.g. light,dark) into one design system with modes
     --mobile            Use mobile viewport (390x844)
     --slow              Extended timeouts for JS-heavy SPAs (3x)
     --browser <type>    Browser engine: chromium (default) or firefox
     --dtcg              Output in W3C Design Tokens Community Group format
     --json-only         Output raw JSON only (suppress status messages)
+    --storage-state <f> Sign in with a saved session (see login.sh)
+    --cookies <file>    Import cookies (Netscape cookies.txt or JSON)
+    --crawl             Follow same-origin links and merge tokens across pages
+    --depth <n>         Max crawl link depth (default: 2)
+    --max-pages <n>     Max pages to crawl (default: 10)
+    --include <glob...> Only crawl paths matching these globs (e.g. '/docs/**')
+    --exclude <glob...> Skip paths matching these globs
+    --save-fonts <dir>  Save the web font files the page loaded (for local prototyping)
     -h, --help          Show this help message
 
 EXAMPLES:
@@ -117,9 +135,21 @@ EXAMPLES:
     # Extract dark mode from a slow SPA
     ./extract-website.sh https://myapp.com --dark-mode --slow
 
+    # Light and dark themes in one design system, with per-theme modes
+    ./extract-website.sh https://myapp.com --themes light,dark
+
     # Use Firefox for Cloudflare-protected sites
     ./extract-website.sh https://protected-site.com --browser firefox
 
+    # Extract a page behind a login (session saved with login.sh)
+    ./extract-website.sh https://app.example.com --storage-state ./.auth/app.example.com.json
+
+    # Crawl the docs section and merge tokens from up to 20 pages
+    ./extract-website.sh https://example.com/docs --crawl --max-pages 20 --include '/docs/**'
+
+    # Keep the site's font files next to the extraction
+    ./extract-website.sh https://example.com --output ./out/design-system.json --save-fonts ./out/fonts
+
 OUTPUT:
     Outputs a JSON design system compatible with figma-export.sh
     including colors, typography, spacing, radii, shadows, and breakpoints.
@@ -129,6 +159,7 @@ OUTPUT:
     - Detected CSS framework (Tailwind, Bootstrap, etc.)
     - Component styles (buttons, inputs, links)
     - Icon system detection
+    - Web font files (format, axes, Unicode ranges, license)
 
 EOF
 }
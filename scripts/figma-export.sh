@@ -185,7 +185,7 @@ convert_to_figma_tokens() {
         spacing: (
             (.spacing.scale // {}) | to_entries | map(
                 if .value.value then
-                    {(.key): {value: (.value.value | gsub("px$"; "")), type: "spacing"}}
+                    {(.key): {value: (.value.px // .value.value | gsub("px$"; "")), type: "spacing"}}
                 else empty
                 end
             ) | add // {}
@@ -384,7 +384,7 @@ push_to_figma_api() {
         def flatten_spacing:
             (.spacing.scale // {}) | to_entries | map(
                 if .value.value then
-                    {name: "spacing/\(.key)", value: (.value.value | gsub("px$"; "") | tonumber), type: "FLOAT"}
+                    {name: "spacing/\(.key)", value: (.value.px // .value.value | gsub("px$"; "") | tonumber), type: "FLOAT"}
                 else empty
                 end
             );
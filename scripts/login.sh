@@ -0,0 +1,151 @@
+#!/bin/bash
+# login.sh - Sign in to a website by hand and save the session
+# Opens a visible browser; after you sign in, saves the Playwright storage
+# state so extract-website.sh, batch-extract.sh and record-website.sh can
+# reach pages behind the login with --storage-state.
+#
+# Usage: ./login.sh <url> [options]
+# Options:
+#   --output <file>      Storage state path (default: ./.auth/<hostname>.json)
+#   --cookies <file>     Start from cookies exported from another browser
+#   --mobile             Use mobile viewport (390x844)
+#   --browser <type>     chromium (default) or firefox
+#   --json               Output JSON result only
+#
+# Output: Path to the saved storage state file
+# Status messages: stderr
+
+set -e
+
+# Script directory
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+EXTRACTOR_DIR="$SCRIPT_DIR/../lib/website-extractor"
+
+# Colors for stderr output
+RED='\033[0;31m'
+YELLOW='\033[1;33m'
+GREEN='\033[0;32m'
+CYAN='\033[0;36m'
+NC='\033[0m' # No Color
+
+# Log to stderr
+log_info() {
+    echo -e "${GREEN}[INFO]${NC} $1" >&2
+}
+
+log_warn() {
+    echo -e "${YELLOW}[WARN]${NC} $1" >&2
+}
+
+log_error() {
+    echo -e "${RED}[ERROR]${NC} $1" >&2
+}
+
+log_hint() {
+    echo -e "${CYAN}[HINT]${NC} $1" >&2
+}
+
+# Check Node.js version
+check_node() {
+    if ! command -v node &> /dev/null; then
+        log_error "Node.js is required but not installed."
+        log_hint "Install with: brew install node"
+        echo '{"success": false, "error": "Node.js not installed"}'
+        exit 1
+    fi
+
+    # Check version (need 18+)
+    NODE_VERSION=$(node -v | sed 's/v//' | cut -d. -f1)
+    if [ "$NODE_VERSION" -lt 18 ]; then
+        log_error "Node.js 18+ is required. Current version: $(node -v)"
+        log_hint "Update with: brew upgrade node"
+        echo '{"success": false, "error": "Node.js 18+ required"}'
+        exit 1
+    fi
+}
+
+# Check npm
+check_npm() {
+    if ! command -v npm &> /dev/null; then
+        log_error "npm is required but not installed."
+        echo '{"success": false, "error": "npm not installed"}'
+        exit 1
+    fi
+}
+
+# Install dependencies if needed
+install_deps() {
+    if [ ! -d "$EXTRACTOR_DIR/node_modules" ]; then
+        log_info "Installing dependencies (first run)..."
+        cd "$EXTRACTOR_DIR"
+        npm install --silent 2>&1 | while read line; do
+            log_info "$line"
+        done
+        cd - > /dev/null
+        log_info "Dependencies installed."
+    fi
+}
+
+# Show help
+show_help() {
+    cat << 'EOF'
+login.sh - Sign in to a website by hand and save the session
+
+USAGE:
+    ./login.sh <url> [options]
+
+ARGUMENTS:
+    <url>           Login page URL
+
+OPTIONS:
+    --output <file>     Storage state path (default: ./.auth/<hostname>.json)
+    --cookies <file>    Start from cookies exported from another browser
+    --mobile            Use mobile viewport (390x844)
+    --browser <type>    Browser engine: chromium (default) or firefox
+    --json              Output JSON result only
+    -h, --help          Show this help message
+
+EXAMPLES:
+    # Sign in, then extract the dashboard with the saved session
+    ./login.sh https://app.example.com/login
+    ./extract-website.sh https://app.example.com/dashboard --storage-state ./.auth/app.example.com.json
+
+    # Record the signed-in app
+    ./record-website.sh https://app.example.com --storage-state ./.auth/app.example.com.json
+
+NOTES:
+    A browser window opens on the login page. Sign in, then press Enter in
+    the terminal (or close the tab) to save the session. The saved file holds
+    session cookies: keep it out of version control.
+
+EOF
+}
+
+# Main
+main() {
+    # Check for help flag
+    for arg in "$@"; do
+        if [ "$arg" = "-h" ] || [ "$arg" = "--help" ]; then
+            show_help
+            exit 0
+        fi
+    done
+
+    # Check for URL argument
+    if [ $# -lt 1 ]; then
+        log_error "Missing URL argument"
+        log_hint "Usage: ./login.sh <url> [options]"
+        echo '{"success": false, "error": "Missing URL argument"}'
+        exit 1
+    fi
+
+    # Run checks
+    check_node
+    check_npm
+    install_deps
+
+    # Run the Node.js login helper with all arguments
+    node "$EXTRACTOR_DIR/login.js" "$@"
+}
+
+main "$@"
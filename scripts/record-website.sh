@@ -3,6 +3,7 @@
 # Uses Playwright to navigate, scroll through entire page, hover elements, and capture video
 #
 # Usage: ./record-website.sh <url> [options]
+#        ./record-website.sh --scenario <file> [url] [options]
 # Options:
 #   --output <file>      Output video path (default: ./recordings/<domain>-<timestamp>.webm)
 #   --mobile             Use mobile viewport (390x844)
@@ -10,10 +11,13 @@
 #   --duration <secs>    Max recording duration (default: 60)
 #   --scroll-delay <ms>  Pause at each scroll position (default: 1200)
 #   --click-buttons      Click toggle elements (tabs, accordions)
+#   --scenario <file>    Run scripted steps (JSON/YAML) instead of the default sweep
 #   --browser <type>     chromium (default) or firefox
 #   --analyze            Auto-run frame extraction after recording
 #   --quality <level>    Frame extraction quality (low/default/high)
 #   --json-only          Output JSON only (no status messages)
+#   --storage-state <f>  Sign in with a saved session (see login.sh)
+#   --cookies <file>     Import cookies (Netscape cookies.txt or JSON)
 #
 # What it captures:
 #   - Full page scroll from top to bottom
@@ -21,7 +25,8 @@
 #   - Hover states on buttons, links, cards
 #   - Scroll back to top (captures scroll-triggered animations)
 #
-# Output: Video file (webm format) with website recording
+# Output: Video file (webm format) with website recording, plus
+#         <video>.timeline.json with timestamped interaction events
 
 set -e
 
@@ -43,10 +48,13 @@ DARK_MODE=false
 DURATION=60
 SCROLL_DELAY=1200
 CLICK_BUTTONS=false
+SCENARIO=""
 BROWSER="chromium"
 ANALYZE=false
 QUALITY="default"
 JSON_ONLY=false
+STORAGE_STATE=""
+COOKIES=""
 URL=""
 
 # Log to stderr
@@ -120,9 +128,10 @@ record-website.sh - Record a website with full page scroll and interactions
 
 USAGE:
     ./record-website.sh <url> [options]
+    ./record-website.sh --scenario <file> [url] [options]
 
 ARGUMENTS:
-    <url>               URL of the website to record
+    <url>               URL of the website to record (optional if the scenario sets url)
 
 OPTIONS:
     --output <file>     Output video path (default: ./recordings/<domain>-<timestamp>.webm)
@@ -131,10 +140,14 @@ OPTIONS:
     --duration <secs>   Max recording duration in seconds (default: 60)
     --scroll-delay <ms> Pause at each scroll position in ms (default: 1200)
     --click-buttons     Click toggle elements (tabs, accordions)
+    --scenario <file>   Run scripted steps from a JSON/YAML scenario instead of
+                        the default scroll-and-hover sweep
     --browser <type>    Browser engine: chromium (default) or firefox
     --analyze           Auto-run frame extraction after recording
     --quality <level>   Frame extraction quality: low, default, or high
     --json-only         Output raw JSON only (suppress status messages)
+    --storage-state <f> Sign in with a saved session (see login.sh)
+    --cookies <file>    Import cookies (Netscape cookies.txt or JSON)
     -h, --help          Show this help message
 
 EXAMPLES:
@@ -150,6 +163,12 @@ EXAMPLES:
     # Record and auto-analyze
     ./record-website.sh https://competitor.com --analyze --quality high
 
+    # Record a scripted flow (open a modal, fill a form, ...)
+    ./record-website.sh --scenario ./checkout.yaml --output ./checkout.webm
+
+    # Record a page behind a login (session saved with login.sh)
+    ./record-website.sh https://app.example.com/dashboard --storage-state ./.auth/app.example.com.json
+
 WHAT IT CAPTURES:
     - Full page scroll from top to bottom (not just hero)
     - Lazy-loaded content that appears on scroll
@@ -157,6 +176,10 @@ WHAT IT CAPTURES:
     - Scroll back to top (scroll-triggered animations)
     - Footer and all below-fold content
 
+    Writes <video>.timeline.json next to the video: each scroll position,
+    hover/click target (selector, bounding box, text) and page height change
+    with its time, used by analyze-motion.sh to label animations.
+
     With --analyze, also extracts frames for Claude analysis.
 
 EOF
@@ -194,6 +217,10 @@ parse_args() {
                 CLICK_BUTTONS=true
                 shift
                 ;;
+            --scenario)
+                SCENARIO="$2"
+                shift 2
+                ;;
             --browser)
                 BROWSER="$2"
                 shift 2
@@ -210,6 +237,14 @@ parse_args() {
                 JSON_ONLY=true
                 shift
                 ;;
+            --storage-state)
+                STORAGE_STATE="$2"
+                shift 2
+                ;;
+            --cookies)
+                COOKIES="$2"
+                shift 2
+                ;;
             -*)
                 log_error "Unknown option: $1"
                 show_help
@@ -232,7 +267,11 @@ parse_args() {
 main() {
     parse_args "$@"
 
-    # Check for URL argument
+    # Check for URL argument (a scenario may provide it)
+    if [ -z "$URL" ] && [ -n "$SCENARIO" ]; then
+        URL=$(grep -E '^[[:space:]]*"?url"?[[:space:]]*:' "$SCENARIO" | head -1 | sed -E 's/^[^:]*:[[:space:]]*//; s/[",[:space:]]*$//; s/^"//')
+    fi
+
     if [ -z "$URL" ]; then
         log_error "Missing URL argument"
         log_hint "Usage: ./record-website.sh <url> [options]"
@@ -282,6 +321,18 @@ main() {
         RECORDER_ARGS+=("--click-buttons")
     fi
 
+    if [ -n "$SCENARIO" ]; then
+        RECORDER_ARGS+=("--scenario" "$SCENARIO")
+    fi
+
+    if [ -n "$STORAGE_STATE" ]; then
+        RECORDER_ARGS+=("--storage-state" "$STORAGE_STATE")
+    fi
+
+    if [ -n "$COOKIES" ]; then
+        RECORDER_ARGS+=("--cookies" "$COOKIES")
+    fi
+
     if [ "$JSON_ONLY" = true ]; then
         RECORDER_ARGS+=("--json")
     fi
@@ -316,6 +367,13 @@ main() {
 
     log_info "Recording complete: $VIDEO_PATH"
 
+    # Interaction timeline sidecar written by the recorder
+    TIMELINE_PATH="${VIDEO_PATH%.*}.timeline.json"
+    TIMELINE_JSON="null"
+    if [ -f "$TIMELINE_PATH" ]; then
+        TIMELINE_JSON="\"$TIMELINE_PATH\""
+    fi
+
     # Auto-analyze if requested
     if [ "$ANALYZE" = true ]; then
         log_info "Extracting frames for analysis..."
@@ -331,7 +389,7 @@ main() {
             if [ "$JSON_ONLY" = true ]; then
                 # Combine recording and extraction results
                 FRAME_COUNT=$(echo "$EXTRACT_RESULT" | grep -o '"count"[[:space:]]*:[[:space:]]*[0-9]*' | grep -o '[0-9]*' || echo "0")
-                echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\", \"framesDir\": \"$FRAMES_DIR\", \"frameCount\": $FRAME_COUNT, \"ready\": true}"
+                echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\", \"timelinePath\": $TIMELINE_JSON, \"framesDir\": \"$FRAMES_DIR\", \"frameCount\": $FRAME_COUNT, \"ready\": true}"
             else
                 echo "$VIDEO_PATH"
                 echo "Frames: $FRAMES_DIR"
@@ -339,14 +397,14 @@ main() {
         else
             log_warn "Frame extraction failed, but recording succeeded"
             if [ "$JSON_ONLY" = true ]; then
-                echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\", \"analysisReady\": false}"
+                echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\", \"timelinePath\": $TIMELINE_JSON, \"analysisReady\": false}"
             else
                 echo "$VIDEO_PATH"
             fi
         fi
     else
         if [ "$JSON_ONLY" = true ]; then
-            echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\"}"
+            echo "{\"success\": true, \"videoPath\": \"$VIDEO_PATH\", \"timelinePath\": $TIMELINE_JSON}"
         else
             echo "$VIDEO_PATH"
         fi